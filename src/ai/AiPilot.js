@@ -0,0 +1,679 @@
+/**
+ * AiPilot - Flies an aircraft against hostiles with the same flight model
+ * as the player
+ *
+ * The pilot sets throttle, stick and climb directly (inputState.controls),
+ * runs its aircraft's radar and fires from its weapon system. Tactical
+ * decisions are made every reactionTime seconds (see AI_SKILL_LEVELS);
+ * steering toward the current plan happens every frame.
+ *
+ * Behavior states:
+ * - patrol: orbit the patrol point until a hostile is known
+ * - formation, rejoin: a flight member with no target holds its slot, or
+ *   closes on it when out of position (see FormationController)
+ * - intercept: lead-pursuit toward the target, climbing for an altitude
+ *   advantage, shooting radar missiles inside the skill's share of the envelope
+ * - crank: hold the target near the gimbal limit while a radar missile
+ *   still needs support, cutting closure
+ * - notch: put a close threat missile on the beam (radar missiles lose it
+ *   in the clutter notch), descending if the skill allows
+ * - drag: turn tail on a distant threat missile and outrun it
+ * - merge: within visual range, pull for the target, shoot IR missiles
+ *   and fire the gun whenever the gunsight solution is on the target
+ * - egress: bingo fuel, out of missiles, or critically damaged, head home
+ *   and orbit there
+ *
+ * Hostiles are known from radar track files or, inside visual range and
+ * not hidden behind terrain, by eye.
+ * Threat missiles are noticed at launch with the skill's threatAwareness,
+ * and always once they are close; a close threat being defended against
+ * is met with flares (infrared seekers) or chaff (radar seekers).
+ */
+
+import { AI_DEFAULTS, getSkillLevel } from '../data/ai.js';
+import { getMissile } from '../data/stores.js';
+import { getTargetState } from '../weapons/MissileSeeker.js';
+import { wrapAngle } from '../utils/math.js';
+
+const DEG_TO_RAD = Math.PI / 180;
+const RAD_TO_DEG = 180 / Math.PI;
+
+export class AiPilot {
+  /**
+   * @param {Aircraft} aircraft - Aircraft to fly
+   * @param {Object} [options]
+   * @param {string} [options.skill='regular'] - Skill level id (see AI_SKILL_LEVELS)
+   * @param {WeaponSystem} [options.weaponSystem] - Missiles to employ (none if omitted)
+   * @param {function(number, number): number} [options.getElevation] - Surface elevation (ft) at a world position
+   * @param {LineOfSight} [options.lineOfSight] - Terrain sight-line queries (terrain hides nothing if omitted)
+   * @param {{x: number, y: number}} [options.patrolPoint] - Orbit center (default: where the aircraft starts)
+   * @param {{x: number, y: number}} [options.homePoint] - Egress destination (default: the patrol point)
+   * @param {FormationController} [options.formation] - Flight this aircraft flies in (leads or holds a slot)
+   * @param {Object} [constants] - Overrides for AI_DEFAULTS
+   */
+  constructor(aircraft, options = {}, constants = {}) {
+    const skill = getSkillLevel(options.skill || 'regular');
+    if (!skill) {
+      throw new Error(`Unknown AI skill level: ${options.skill}`);
+    }
+
+    this.aircraft = aircraft;
+    this.skill = skill;
+    this.weaponSystem = options.weaponSystem || null;
+    this.getElevation = options.getElevation || (() => 0);
+    this.lineOfSight = options.lineOfSight || null;
+    this.formation = options.formation || null;
+    this.constants = { ...AI_DEFAULTS, ...constants };
+
+    this.patrolPoint = options.patrolPoint || { x: aircraft.x, y: aircraft.y };
+    this.homePoint = options.homePoint || { ...this.patrolPoint };
+
+    this.state = 'patrol';
+    this.target = null;         // hostile being engaged
+    this.threat = null;         // missile being defended against
+    this.isEgressing = false;   // once set the pilot goes home and stays out of the fight
+
+    this._time = 0;
+    this._targetSeenTime = 0;   // when the target was last known from radar or by eye
+    // First decision staggered so a group of pilots doesn't act in lockstep
+    this._decisionTimer = Math.random() * skill.reactionTime;
+    this._shotTimer = 0;
+    this._countermeasureTimer = 0;
+    this._crankSide = 1;
+    this._defenseSide = 1;
+    this._noticed = new Map();  // threat missile -> whether the pilot has seen it
+
+    // Control positions handed to Aircraft.update()
+    this.controls = { throttle: aircraft.throttle, stick: 0, climb: 0 };
+    this._inputState = { controls: this.controls };
+  }
+
+  // ============================================
+  // Public API - Updates and queries
+  // ============================================
+
+  /**
+   * Sense, decide, and set the controls for this frame
+   * @param {number} deltaTime - Time step in seconds
+   * @param {Object} world
+   * @param {Object[]} world.hostiles - Entities this pilot fights (radar contacts and targets)
+   * @param {Missile[]} [world.threats] - Missiles in flight that may be aimed at this aircraft
+   * @returns {Object} Input state for Aircraft.update()
+   */
+  update(deltaTime, { hostiles, threats = [] }) {
+    const aircraft = this.aircraft;
+    if (aircraft.isDestroyed) return this._inputState;
+
+    this._time += deltaTime;
+    const alive = hostiles.filter((h) => !h.isDestroyed);
+    if (aircraft.radar) {
+      aircraft.radar.update(deltaTime, alive);
+    }
+    this._watchThreats(threats);
+
+    if (this.target && this.target.isDestroyed) this.target = null;
+    if (this.threat && !this.threat.isActive()) this.threat = null;
+
+    this._decisionTimer -= deltaTime;
+    if (this._decisionTimer <= 0) {
+      this._decisionTimer = this.skill.reactionTime;
+      this._decide(alive);
+    }
+
+    const home = Math.hypot(this.homePoint.x - aircraft.x, this.homePoint.y - aircraft.y);
+    aircraft.fuelSystem.updateRecovery(home, aircraft.altitude);
+
+    this._steer(this._plan());
+    this._manageRadar(deltaTime);
+    this._employWeapons(deltaTime);
+    this._employGun();
+    this._employCountermeasures(deltaTime);
+
+    return this._inputState;
+  }
+
+  /**
+   * Current behavior state
+   * @returns {string} 'patrol', 'formation', 'rejoin', 'intercept', 'crank', 'notch', 'drag', 'merge' or 'egress'
+   */
+  getState() {
+    return this.state;
+  }
+
+  /**
+   * Hostile currently engaged
+   * @returns {Object|null}
+   */
+  getTarget() {
+    return this.target;
+  }
+
+  // ============================================
+  // Private Methods - Decisions
+  // ============================================
+
+  /**
+   * Pick the behavior state for the next reaction period
+   * @private
+   */
+  _decide(hostiles) {
+    const c = this.constants;
+    const aircraft = this.aircraft;
+
+    if (!this.isEgressing && this._shouldEgress()) {
+      this.isEgressing = true;
+      console.log(`AI ${aircraft.type.name}: egressing (${this._getEgressReason()})`);
+    }
+
+    // Defend against the nearest threat the pilot knows about
+    const threat = this._getNearestThreat();
+    if (threat) {
+      if (threat !== this.threat) {
+        const bearing = this._bearingTo(threat.x, threat.y);
+        this._defenseSide = wrapAngle(aircraft.heading - bearing) >= 0 ? 1 : -1;
+      }
+      this.threat = threat;
+      const range = this._rangeTo(threat.x, threat.y);
+      this.state = this.skill.defense === 'drag' || range > c.dragRange ? 'drag' : 'notch';
+      return;
+    }
+    this.threat = null;
+
+    if (this.isEgressing) {
+      this.target = null;
+      this.state = 'egress';
+      return;
+    }
+
+    this.target = this._pickTarget(hostiles);
+    if (!this.target) {
+      const station = this.formation ? this.formation.getStation(aircraft) : null;
+      this.state = station ? (station.joined ? 'formation' : 'rejoin') : 'patrol';
+      return;
+    }
+
+    const range = this._rangeTo(this.target.x, this.target.y);
+    if (range < c.mergeRange) {
+      this.state = 'merge';
+    } else if (this.skill.crank && this._isSupportingShot()) {
+      if (this.state !== 'crank') {
+        const offAngle = wrapAngle(this._bearingTo(this.target.x, this.target.y) - aircraft.heading);
+        this._crankSide = offAngle >= 0 ? -1 : 1;
+      }
+      this.state = 'crank';
+    } else {
+      this.state = 'intercept';
+    }
+  }
+
+  /**
+   * Bingo fuel, critical battle damage, or no missiles left and none still
+   * needing support
+   * @private
+   */
+  _shouldEgress() {
+    if (this.aircraft.fuelSystem.getCall() === 'bingo') return true;
+    if (this.aircraft.damage.isCritical()) return true;
+    if (!this.weaponSystem) return false;
+    return this.weaponSystem.getInventory().length === 0 && !this._isSupportingShot();
+  }
+
+  /**
+   * Why the pilot is heading home, for the log
+   * @private
+   */
+  _getEgressReason() {
+    if (this.aircraft.fuelSystem.getCall() === 'bingo') return 'bingo';
+    if (this.aircraft.damage.isCritical()) return 'damaged';
+    return 'winchester';
+  }
+
+  /**
+   * Nearest known hostile inside commit range; the current target is kept
+   * while known, and for targetMemory seconds after losing it
+   * @private
+   */
+  _pickTarget(hostiles) {
+    const known = hostiles.filter((h) => this._knows(h) && this._rangeTo(h.x, h.y) <= this.constants.commitRange);
+    if (this.target && known.includes(this.target)) {
+      this._targetSeenTime = this._time;
+      return this.target;
+    }
+    if (this.target && hostiles.includes(this.target) &&
+        this._time - this._targetSeenTime < this.constants.targetMemory) {
+      return this.target;
+    }
+    this._targetSeenTime = this._time;
+
+    let best = null;
+    let bestRange = Infinity;
+    for (const hostile of known) {
+      const range = this._rangeTo(hostile.x, hostile.y);
+      if (range < bestRange) {
+        best = hostile;
+        bestRange = range;
+      }
+    }
+    return best;
+  }
+
+  /**
+   * Whether the pilot knows where a hostile is: a radar track, or in sight
+   * @private
+   */
+  _knows(hostile) {
+    const radar = this.aircraft.radar;
+    if (radar && radar.tracks.some((t) => t.target === hostile)) return true;
+    if (this._rangeTo(hostile.x, hostile.y) > this.constants.visualRange) return false;
+    return !this.lineOfSight || this.lineOfSight.hasLineOfSight(this.aircraft, hostile);
+  }
+
+  /**
+   * Roll once per missile aimed at this aircraft for whether the pilot sees the launch;
+   * a missile that got close is seen regardless
+   * @private
+   */
+  _watchThreats(threats) {
+    for (const missile of threats) {
+      if (!missile.isActive() || missile.getTarget() !== this.aircraft) continue;
+      if (!this._noticed.has(missile)) {
+        this._noticed.set(missile, Math.random() < this.skill.threatAwareness);
+      }
+      if (!this._noticed.get(missile) && this._rangeTo(missile.x, missile.y) < this.constants.spotRange) {
+        this._noticed.set(missile, true);
+      }
+    }
+
+    for (const missile of this._noticed.keys()) {
+      if (!missile.isActive()) this._noticed.delete(missile);
+    }
+  }
+
+  /**
+   * @private
+   */
+  _getNearestThreat() {
+    let nearest = null;
+    let nearestRange = Infinity;
+    for (const [missile, seen] of this._noticed) {
+      if (!seen || !missile.isActive() || missile.getTarget() !== this.aircraft) continue;
+      const range = this._rangeTo(missile.x, missile.y);
+      if (range < nearestRange) {
+        nearest = missile;
+        nearestRange = range;
+      }
+    }
+    return nearest;
+  }
+
+  /**
+   * Whether a radar missile of ours is still flying on our guidance
+   * @private
+   */
+  _isSupportingShot() {
+    if (!this.weaponSystem) return false;
+    return this.weaponSystem.getMissiles().some(
+      (m) => m.isActive() && (m.guidance === 'datalink' || m.guidance === 'semiactive')
+    );
+  }
+
+  // ============================================
+  // Private Methods - Flying
+  // ============================================
+
+  /**
+   * Heading, altitude, power and stick limit for the current state
+   * @returns {{heading: number, altitude: number, throttle: number|null, speed: number|null, maxStick: number}}
+   * @private
+   */
+  _plan() {
+    const c = this.constants;
+    const aircraft = this.aircraft;
+    const skill = this.skill;
+    const target = this.target;
+    const threat = this.threat;
+
+    switch (this.state) {
+      case 'intercept':
+        if (!target) break;
+        return {
+          heading: this._leadHeading(target),
+          altitude: Math.max(c.minAltitude, Math.min(c.maxAltitude, target.altitude + skill.altitudeAdvantage)),
+          throttle: 1,
+          maxStick: skill.maxStick
+        };
+
+      case 'crank':
+        if (!target) break;
+        return {
+          heading: this._bearingTo(target.x, target.y) + this._crankSide * c.crankAngle * DEG_TO_RAD,
+          altitude: aircraft.altitude,
+          throttle: 1,
+          maxStick: skill.maxStick
+        };
+
+      case 'merge':
+        if (!target) break;
+        return {
+          heading: this._leadHeading(target),
+          altitude: target.altitude,
+          throttle: aircraft.speed < aircraft.getEnergyState().cornerSpeed ? 1.5 : 1,
+          maxStick: skill.maxStick
+        };
+
+      case 'notch': {
+        if (!threat) break;
+        const surface = this.getElevation(aircraft.x, aircraft.y);
+        return {
+          heading: this._bearingTo(threat.x, threat.y) + this._defenseSide * 90 * DEG_TO_RAD,
+          altitude: skill.notchLow ? surface + c.notchAltitude : aircraft.altitude,
+          throttle: 1,
+          maxStick: skill.maxStick
+        };
+      }
+
+      case 'drag':
+        if (!threat) break;
+        return {
+          heading: this._bearingTo(threat.x, threat.y) + Math.PI,
+          // Dive for speed, but not into the weeds
+          altitude: Math.max(c.minAltitude, aircraft.altitude - 5000),
+          throttle: 1.5,
+          maxStick: skill.maxStick
+        };
+
+      case 'formation':
+      case 'rejoin': {
+        const station = this.formation ? this.formation.getStation(aircraft) : null;
+        if (station) return this._stationPlan(station);
+        break;
+      }
+
+      case 'egress':
+        if (this._rangeTo(this.homePoint.x, this.homePoint.y) > c.homeRange) {
+          return {
+            heading: this._bearingTo(this.homePoint.x, this.homePoint.y),
+            altitude: c.cruiseAltitude,
+            throttle: 1,
+            maxStick: 0.5
+          };
+        }
+        return this._orbit(this.homePoint, c.cruiseAltitude);
+    }
+
+    return this._orbit(this.patrolPoint, c.patrolAltitude);
+  }
+
+  /**
+   * Hold a formation slot, or cut across to it on a collision course
+   * @private
+   */
+  _stationPlan(station) {
+    if (station.joined) {
+      return {
+        heading: this._bearingTo(station.aimPoint.x, station.aimPoint.y),
+        altitude: station.slot.altitude,
+        throttle: null,
+        speed: station.speed,
+        maxStick: 0.5
+      };
+    }
+    return {
+      heading: this._leadHeading(station.slot),
+      altitude: station.slot.altitude,
+      throttle: station.afterburner ? 1.5 : null,
+      speed: station.speed,
+      maxStick: 0.6
+    };
+  }
+
+  /**
+   * Clockwise orbit around a point at cruise speed
+   * @private
+   */
+  _orbit(center, altitude) {
+    const c = this.constants;
+    const bearing = this._bearingTo(center.x, center.y);
+    const outside = this._rangeTo(center.x, center.y) > c.patrolRadius;
+    return {
+      heading: outside ? bearing : bearing - Math.PI / 2,
+      altitude,
+      throttle: null,
+      speed: this.aircraft.performance.cruiseSpeed,
+      maxStick: 0.5
+    };
+  }
+
+  /**
+   * Turn the plan into control positions, keeping clear of the ground
+   * @private
+   */
+  _steer(plan) {
+    const c = this.constants;
+    const aircraft = this.aircraft;
+
+    const error = wrapAngle(plan.heading - aircraft.heading);
+    const stick = Math.max(-plan.maxStick, Math.min(plan.maxStick, error * c.headingGain));
+
+    // Terrain under the aircraft and a few seconds ahead
+    const ahead = aircraft.speed * 5;
+    const surface = Math.max(
+      this.getElevation(aircraft.x, aircraft.y),
+      this.getElevation(aircraft.x + Math.sin(aircraft.heading) * ahead, aircraft.y + Math.cos(aircraft.heading) * ahead)
+    );
+    const altitude = Math.max(plan.altitude, surface + c.pullUpClearance);
+    let climb = Math.max(-1, Math.min(1, (altitude - aircraft.altitude) * c.altitudeGain));
+
+    // Climb only with airspeed to spare, unless the ground is close
+    const stallSpeed = aircraft.performance.stallSpeed;
+    climb = Math.min(climb, Math.max(0, (aircraft.speed - c.climbSpeedFactor * stallSpeed) / stallSpeed));
+    if (aircraft.altitude < surface + c.minClearance) climb = 1;
+
+    let throttle = plan.throttle;
+    if (throttle === null) {
+      throttle = Math.max(0.2, Math.min(1, 0.6 + (plan.speed - aircraft.speed) * c.speedGain));
+    }
+
+    this.controls.stick = stick;
+    this.controls.climb = climb;
+    this.controls.throttle = throttle;
+  }
+
+  /**
+   * Heading that leads the target onto a collision course
+   * @private
+   */
+  _leadHeading(target) {
+    const aircraft = this.aircraft;
+    const t = getTargetState(target);
+    const rx = t.x - aircraft.x;
+    const ry = t.y - aircraft.y;
+    const lineOfSight = Math.atan2(rx, ry);
+
+    // Time to intercept at our speed: |r + vt * time| = speed * time
+    const speed = Math.max(aircraft.speed, 1);
+    const a = t.vx * t.vx + t.vy * t.vy - speed * speed;
+    const b = 2 * (rx * t.vx + ry * t.vy);
+    const cc = rx * rx + ry * ry;
+    const discriminant = b * b - 4 * a * cc;
+    if (a >= 0 || discriminant < 0) return lineOfSight;
+
+    const time = (-b - Math.sqrt(discriminant)) / (2 * a);
+    const aimHeading = Math.atan2(rx + t.vx * time, ry + t.vy * time);
+    const maxLead = this.constants.maxLeadAngle * DEG_TO_RAD;
+    const lead = Math.max(-maxLead, Math.min(maxLead, wrapAngle(aimHeading - lineOfSight)));
+    return lineOfSight + lead;
+  }
+
+  // ============================================
+  // Private Methods - Sensors and weapons
+  // ============================================
+
+  /**
+   * Point the radar at the target, choose search mode and decide when to lock
+   * @private
+   */
+  _manageRadar(deltaTime) {
+    const radar = this.aircraft.radar;
+    if (!radar) return;
+
+    const engaged = this.target && ['intercept', 'crank', 'merge'].includes(this.state);
+    const track = engaged ? radar.tracks.find((t) => t.target === this.target) : null;
+
+    if (radar.lockedTrack && (!track || radar.lockedTrack !== track)) {
+      radar.unlock(engaged ? 'switching targets' : 'released');
+    }
+
+    const searchMode = engaged && this.skill.useTws ? 'TWS' : 'RWS';
+    if (radar.mode !== 'STT' && radar.mode !== searchMode) {
+      radar.setMode(searchMode);
+    }
+
+    const slew = radar.constants.elevationRate * deltaTime;
+    if (!track) {
+      radar.setScanCenter(0);
+      radar.slewElevation(Math.max(-slew, Math.min(slew, -radar.antennaElevation)));
+      return;
+    }
+
+    radar.setScanCenter(track.azimuth);
+    radar.slewElevation(Math.max(-slew, Math.min(slew, track.elevation - radar.antennaElevation)));
+    radar.selectTrack(track);
+
+    if (!radar.lockedTrack && this._wantsLock(track)) {
+      radar.lock(track);
+    }
+  }
+
+  /**
+   * Lock in the merge, to guide a semi-active missile, or (without TWS)
+   * once the target is close to shooting range
+   * @private
+   */
+  _wantsLock(track) {
+    if (this.state === 'merge') return true;
+    if (this.weaponSystem && this.weaponSystem.getMissiles().some((m) => m.isActive() && m.guidance === 'semiactive')) {
+      return true;
+    }
+
+    const shot = this._chooseWeapon(true);
+    if (!shot) return false;
+    return shot.category === 'fox1' || !this.skill.useTws;
+  }
+
+  /**
+   * Hold the trigger down while merged with the target and the gunsight
+   * shows the rounds passing close enough to hit
+   * @private
+   */
+  _employGun() {
+    const gun = this.weaponSystem ? this.weaponSystem.gun : null;
+    if (!gun) return;
+
+    let onTarget = false;
+    if (this.state === 'merge' && this.target && this._knows(this.target)) {
+      const solution = gun.getLeadSolution(this.target);
+      onTarget = solution.inRange && solution.missDistance <= this.constants.gunTolerance;
+    }
+    if (onTarget !== gun.trigger) gun.setTrigger(onTarget && gun.rounds > 0);
+  }
+
+  /**
+   * Dispense against the threat being defended once it is close: flares
+   * for an infrared seeker, chaff for a radar one
+   * @private
+   */
+  _employCountermeasures(deltaTime) {
+    this._countermeasureTimer -= deltaTime;
+    const threat = this.threat;
+    if (!threat || this._countermeasureTimer > 0) return;
+    if (this._rangeTo(threat.x, threat.y) > this.constants.countermeasureRange) return;
+
+    const dispenser = this.aircraft.countermeasures;
+    const type = threat.seeker.type === 'ir' ? 'flare' : 'chaff';
+    this._countermeasureTimer = this.constants.countermeasureInterval;
+    if (dispenser.counts[type] > 0) dispenser.dispense(type);
+  }
+
+  /**
+   * Launch when a missile is in envelope and the doctrine allows another shot
+   * @private
+   */
+  _employWeapons(deltaTime) {
+    this._shotTimer -= deltaTime;
+
+    const weaponSystem = this.weaponSystem;
+    const target = this.target;
+    if (!weaponSystem || !target || this._shotTimer > 0) return;
+    if (!['intercept', 'crank', 'merge'].includes(this.state)) return;
+    if (weaponSystem.getDesignatedTarget() !== target) return;
+
+    const inFlight = weaponSystem.getMissiles().filter((m) => m.isActive() && m.getTarget() === target);
+    if (inFlight.length >= this.skill.shotsPerTarget) return;
+
+    const spec = this._chooseWeapon(false);
+    if (!spec || !weaponSystem.selectWeapon(spec.id)) return;
+
+    // Radar missiles need the radar's support at launch
+    if (spec.seeker.type !== 'ir' && !weaponSystem.isSupporting(target, spec)) return;
+
+    if (weaponSystem.fire()) {
+      this._shotTimer = this.skill.shotInterval;
+    }
+  }
+
+  /**
+   * Best missile for the current geometry: IR close to the nose, else radar
+   * missiles inside the skill's share of their launch range (shorter against
+   * a target going away)
+   * @param {boolean} nearlyInRange - Accept a shot up to 20% beyond the launch range
+   * @returns {Object|null} Missile definition
+   * @private
+   */
+  _chooseWeapon(nearlyInRange) {
+    const aircraft = this.aircraft;
+    const target = this.target;
+    if (!target || !this.weaponSystem) return null;
+
+    const range = this._rangeTo(target.x, target.y);
+    const offBoresight = Math.abs(wrapAngle(this._bearingTo(target.x, target.y) - aircraft.heading)) * RAD_TO_DEG;
+
+    // Aspect: 1 when the target is pointed at us, 0 when it is running away
+    const t = getTargetState(target);
+    const awayHeading = Math.atan2(aircraft.x - t.x, aircraft.y - t.y);
+    const aspect = (Math.cos(wrapAngle(target.heading - awayHeading)) + 1) / 2;
+    const reach = this.skill.launchRangeFactor * (0.5 + 0.5 * aspect) * (nearlyInRange ? 1.2 : 1);
+
+    const inventory = this.weaponSystem.getInventory().map((w) => getMissile(w.storeId));
+    const inEnvelope = (spec) =>
+      range >= spec.launchRange.min && range <= spec.launchRange.max * reach;
+
+    const fox2 = inventory.find((spec) => spec.category === 'fox2' && inEnvelope(spec));
+    if (fox2 && offBoresight <= this.constants.fox2OffBoresight) return fox2;
+
+    const gimbal = aircraft.radar ? aircraft.radar.spec.gimbalLimit : 0;
+    if (offBoresight > gimbal) return null;
+    return inventory.find((spec) => spec.category === 'fox3' && inEnvelope(spec)) ||
+      inventory.find((spec) => spec.category === 'fox1' && inEnvelope(spec)) ||
+      null;
+  }
+
+  // ============================================
+  // Private Methods - Geometry
+  // ============================================
+
+  /**
+   * @private
+   */
+  _rangeTo(x, y) {
+    return Math.hypot(x - this.aircraft.x, y - this.aircraft.y);
+  }
+
+  /**
+   * Bearing from this aircraft to a point (radians, 0 = north, clockwise)
+   * @private
+   */
+  _bearingTo(x, y) {
+    return Math.atan2(x - this.aircraft.x, y - this.aircraft.y);
+  }
+}
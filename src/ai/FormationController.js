@@ -0,0 +1,245 @@
+/**
+ * FormationController - Slots and station keeping for a 2- to 4-ship flight
+ *
+ * A flight is a leader and up to three members (#2 to #4), flown by AI
+ * pilots or, for the leader, the player. Slots come from the formation
+ * (see FORMATIONS) as offsets right of, behind and above the leader,
+ * turned with its heading; spacing scales them. A slot moves with the
+ * leader's velocity plus its turn rate times the offset, so in a turn the
+ * slots on the inside slow down and those on the outside speed up.
+ *
+ * Station keeping, for the member's pilot to steer by:
+ * - beyond joinRange of its slot a member rejoins, cutting across to the
+ *   slot with a bounded overtake (afterburner beyond burnerRange)
+ * - inside, it steers at a point slotLeadTime ahead of the slot and sets
+ *   its speed from the along-track error
+ * Overtake is damped in both: it never exceeds what closureDecel can take
+ * off before the slot is reached, so members settle without sailing past.
+ *
+ * When the leader goes down the first member still flying takes the lead
+ * and the others move up a slot. getCluster() gives the flight's center
+ * and extent, for the viewport layout to keep a flight in one cell.
+ */
+
+import { FORMATION_DEFAULTS, getFormation } from '../data/ai.js';
+
+export class FormationController {
+  /**
+   * @param {Object} leader - Aircraft leading the flight (x, y, altitude, heading, speed)
+   * @param {Object} [options]
+   * @param {string} [options.formation='fingertip'] - Formation id (see FORMATIONS)
+   * @param {number} [options.spacing=1] - Scale on the formation's slot offsets
+   * @param {string} [options.name] - Flight name for the log
+   * @param {Object} [constants] - Overrides for FORMATION_DEFAULTS
+   */
+  constructor(leader, options = {}, constants = {}) {
+    const formation = getFormation(options.formation || 'fingertip');
+    if (!formation) {
+      throw new Error(`Unknown formation: ${options.formation}`);
+    }
+
+    this.leader = leader;
+    this.members = [];          // #2, #3, #4 in order
+    this.formation = formation;
+    this.spacing = options.spacing ?? 1;
+    this.name = options.name || 'Flight';
+    this.constants = { ...FORMATION_DEFAULTS, ...constants };
+
+    this.turnRate = 0;          // leader's heading rate, rad/s clockwise
+    this._leaderHeading = leader ? leader.heading : 0;
+  }
+
+  // ============================================
+  // Public API - Membership
+  // ============================================
+
+  /**
+   * Add an aircraft in the next free slot
+   * @param {Object} aircraft
+   * @returns {number|null} Its position in the flight (2 to 4), or null if full
+   */
+  addMember(aircraft) {
+    if (this.members.includes(aircraft)) return this.getPosition(aircraft);
+    if (this.members.length >= this.formation.slots.length) return null;
+    this.members.push(aircraft);
+    return this.members.length + 1;
+  }
+
+  /**
+   * Take an aircraft out of the flight; members behind it move up a slot
+   * @param {Object} aircraft
+   */
+  removeMember(aircraft) {
+    const index = this.members.indexOf(aircraft);
+    if (index !== -1) this.members.splice(index, 1);
+  }
+
+  /**
+   * Change formation; members keep their positions
+   * @param {string} formationId
+   * @returns {boolean} Whether the formation was known
+   */
+  setFormation(formationId) {
+    const formation = getFormation(formationId);
+    if (!formation) return false;
+    this.formation = formation;
+    return true;
+  }
+
+  /**
+   * Drop members that are down, hand the lead on if the leader is, and
+   * follow the leader's turn rate
+   * @param {number} deltaTime - Time step in seconds
+   * @returns {boolean} Whether anyone is left flying
+   */
+  update(deltaTime) {
+    this.members = this.members.filter((m) => !m.isDestroyed);
+    if (this.leader && this.leader.isDestroyed) {
+      const next = this.members.shift() || null;
+      if (next) console.log(`${this.name}: #2 has the lead`);
+      this.leader = next;
+      this.turnRate = 0;
+      this._leaderHeading = next ? next.heading : 0;
+    }
+    if (!this.leader) return false;
+
+    if (deltaTime > 0) {
+      const turn = this.leader.heading - this._leaderHeading;
+      const wrapped = turn - Math.round(turn / (Math.PI * 2)) * Math.PI * 2;
+      this.turnRate = wrapped / deltaTime;
+    }
+    this._leaderHeading = this.leader.heading;
+    return true;
+  }
+
+  /**
+   * Position in the flight
+   * @param {Object} aircraft
+   * @returns {number|null} 1 for the leader, 2 to 4 for members, null if not in the flight
+   */
+  getPosition(aircraft) {
+    if (aircraft === this.leader) return 1;
+    const index = this.members.indexOf(aircraft);
+    return index === -1 ? null : index + 2;
+  }
+
+  /**
+   * @param {Object} aircraft
+   * @returns {boolean}
+   */
+  isLeader(aircraft) {
+    return aircraft === this.leader;
+  }
+
+  /**
+   * Leader and members
+   * @returns {Object[]}
+   */
+  getAircraft() {
+    return this.leader ? [this.leader, ...this.members] : [...this.members];
+  }
+
+  // ============================================
+  // Public API - Slots and station keeping
+  // ============================================
+
+  /**
+   * A member's slot, and the track and speed it moves along
+   * @param {Object} aircraft - Member
+   * @returns {{x: number, y: number, altitude: number, heading: number, speed: number, verticalSpeed: number}|null}
+   *   Null for the leader or an aircraft outside the flight
+   */
+  getSlot(aircraft) {
+    const index = this.members.indexOf(aircraft);
+    const leader = this.leader;
+    if (index === -1 || !leader) return null;
+
+    const offset = this.formation.slots[index];
+    const right = offset.right * this.spacing;
+    const aft = offset.aft * this.spacing;
+    const sin = Math.sin(leader.heading);
+    const cos = Math.cos(leader.heading);
+    const rx = cos * right - sin * aft;
+    const ry = -sin * right - cos * aft;
+
+    // Leader's velocity plus the offset swung round at its turn rate
+    const vx = sin * leader.speed + this.turnRate * ry;
+    const vy = cos * leader.speed - this.turnRate * rx;
+    return {
+      x: leader.x + rx,
+      y: leader.y + ry,
+      altitude: leader.altitude + offset.high,
+      heading: Math.atan2(vx, vy),
+      speed: Math.hypot(vx, vy),
+      verticalSpeed: leader.verticalSpeed || 0
+    };
+  }
+
+  /**
+   * Where a member stands relative to its slot, and what to fly to reach it
+   * @param {Object} aircraft - Member
+   * @returns {Object|null} Null for the leader or an aircraft outside the flight
+   *   - slot: see getSlot()
+   *   - range: ft to the slot
+   *   - along: ft the slot is ahead of the member along the slot's track
+   *   - joined: within joinRange, flying formation rather than rejoining
+   *   - aimPoint: {x, y} to steer at while joined
+   *   - speed: ft/s to fly
+   *   - afterburner: rejoining from beyond burnerRange
+   */
+  getStation(aircraft) {
+    const slot = this.getSlot(aircraft);
+    if (!slot) return null;
+
+    const c = this.constants;
+    const dx = slot.x - aircraft.x;
+    const dy = slot.y - aircraft.y;
+    const sin = Math.sin(slot.heading);
+    const cos = Math.cos(slot.heading);
+    const range = Math.hypot(dx, dy);
+    const along = dx * sin + dy * cos;
+    const joined = range <= c.joinRange;
+
+    // Overtake no greater than can be taken off over the remaining distance
+    const stopping = (distance) => Math.sqrt(2 * c.closureDecel * distance);
+    const overtake = joined
+      ? Math.sign(along) * Math.min(c.maxOvertake, Math.abs(along) * c.stationGain, stopping(Math.abs(along)))
+      : Math.min(c.rejoinOvertake, stopping(range));
+
+    const ahead = slot.speed * c.slotLeadTime;
+    return {
+      slot,
+      range,
+      along,
+      joined,
+      aimPoint: { x: slot.x + sin * ahead, y: slot.y + cos * ahead },
+      speed: slot.speed + overtake,
+      afterburner: range > c.burnerRange
+    };
+  }
+
+  /**
+   * Distance of an aircraft from the leader
+   * @param {Object} aircraft
+   * @returns {number} ft (Infinity without a leader)
+   */
+  getRangeToLeader(aircraft) {
+    if (!this.leader) return Infinity;
+    return Math.hypot(aircraft.x - this.leader.x, aircraft.y - this.leader.y);
+  }
+
+  /**
+   * Center and extent of the flight's aircraft still flying, for the
+   * viewport layout to frame the flight in one cell
+   * @returns {{x: number, y: number, radius: number, aircraft: Object[]}|null} Null if none is flying
+   */
+  getCluster() {
+    const aircraft = this.getAircraft().filter((a) => !a.isDestroyed);
+    if (aircraft.length === 0) return null;
+
+    const x = aircraft.reduce((sum, a) => sum + a.x, 0) / aircraft.length;
+    const y = aircraft.reduce((sum, a) => sum + a.y, 0) / aircraft.length;
+    const radius = Math.max(...aircraft.map((a) => Math.hypot(a.x - x, a.y - y)));
+    return { x, y, radius, aircraft };
+  }
+}
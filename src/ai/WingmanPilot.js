@@ -0,0 +1,161 @@
+/**
+ * WingmanPilot - An AI pilot flying on the player's wing under command
+ *
+ * Flies the same aircraft and fights with the same behaviors as AiPilot;
+ * what it may fight is set by the lead's last command (see
+ * WINGMAN_COMMANDS):
+ * - engageTarget: only the target the lead had locked when calling it
+ * - engageBandits: any hostile it knows about
+ * - cover: hostiles that come within coverRange of the lead
+ * - rejoin: none; breaks off and flies formation
+ * - rtb: none; heads home (as AiPilot egress)
+ * Whatever the command, a hostile that shoots at the wingman is fought
+ * (spec-dynamic-campaign.md 3.4, engage if fired upon), and threat
+ * missiles are defended against first.
+ *
+ * With nothing to fight the wingman flies its slot in the lead's flight
+ * (see FormationController).
+ */
+
+import { AiPilot } from './AiPilot.js';
+import { WINGMAN_DEFAULTS, WINGMAN_COMMANDS } from '../data/ai.js';
+
+export class WingmanPilot extends AiPilot {
+  /**
+   * @param {Aircraft} aircraft - Aircraft to fly
+   * @param {FormationController} flight - The lead's flight; the aircraft joins it in the next free slot
+   * @param {Object} [options] - As AiPilot (formation is the flight), plus:
+   * @param {string} [options.callsign='Two'] - Name for radio calls
+   * @param {Object} [constants] - Overrides for AI_DEFAULTS
+   * @param {Object} [wingmanConstants] - Overrides for WINGMAN_DEFAULTS
+   */
+  constructor(aircraft, flight, options = {}, constants = {}, wingmanConstants = {}) {
+    super(aircraft, { ...options, formation: flight }, constants);
+    flight.addMember(aircraft);
+    this.lead = flight.leader;
+    this.callsign = options.callsign || 'Two';
+    this.wingmanConstants = { ...WINGMAN_DEFAULTS, ...wingmanConstants };
+
+    this.command = 'cover';
+    this.commandTarget = null;  // the lead's target for engageTarget
+    this._attackers = new Set(); // hostiles that have shot at the wingman
+    this.state = 'rejoin';
+  }
+
+  // ============================================
+  // Public API - Commands and queries
+  // ============================================
+
+  /**
+   * Take a command from the lead
+   * @param {string} commandId - See WINGMAN_COMMANDS
+   * @param {Object} [options]
+   * @param {Object|null} [options.target] - The lead's locked target, for engageTarget
+   * @returns {boolean} Whether the command was accepted
+   */
+  giveCommand(commandId, { target = null } = {}) {
+    const command = WINGMAN_COMMANDS.find((c) => c.id === commandId);
+    if (!command || this.aircraft.isDestroyed) return false;
+
+    if (commandId === 'engageTarget' && (!target || target.isDestroyed)) {
+      console.log(`${this.callsign}: unable, no target`);
+      return false;
+    }
+    if (commandId !== 'rtb' && this.isEgressing && this._shouldEgress()) {
+      console.log(`${this.callsign}: unable, ${this._getEgressReason()}`);
+      return false;
+    }
+
+    this.command = commandId;
+    this.commandTarget = commandId === 'engageTarget' ? target : null;
+    this.isEgressing = commandId === 'rtb';
+    this._decisionTimer = 0;
+    console.log(`${this.callsign}: ${command.call}`);
+    return true;
+  }
+
+  /**
+   * Current command
+   * @returns {string}
+   */
+  getCommand() {
+    return this.command;
+  }
+
+  /**
+   * Distance from the lead
+   * @returns {number} ft
+   */
+  getRangeToLead() {
+    return this._rangeTo(this.lead.x, this.lead.y);
+  }
+
+  /**
+   * The wingman's formation slot
+   * @returns {Object|null} See FormationController.getSlot()
+   */
+  getSlot() {
+    return this.formation.getSlot(this.aircraft);
+  }
+
+  // ============================================
+  // Private Methods - Decisions
+  // ============================================
+
+  /**
+   * Decide among the hostiles the command allows
+   * @private
+   */
+  _decide(hostiles) {
+    this._rememberAttackers(hostiles);
+
+    if (this.commandTarget && this.commandTarget.isDestroyed) {
+      console.log(`${this.callsign}: target destroyed, covering`);
+      this.command = 'cover';
+      this.commandTarget = null;
+    }
+
+    super._decide(this._getAllowedHostiles(hostiles));
+  }
+
+  /**
+   * Hostiles the current command lets the wingman fight, plus any that
+   * have shot at it
+   * @private
+   */
+  _getAllowedHostiles(hostiles) {
+    const w = this.wingmanConstants;
+    const lead = this.lead;
+    let allowed;
+
+    switch (this.command) {
+      case 'engageTarget':
+        allowed = hostiles.filter((h) => h === this.commandTarget);
+        break;
+      case 'engageBandits':
+        allowed = hostiles;
+        break;
+      case 'cover':
+        allowed = hostiles.filter((h) => Math.hypot(h.x - lead.x, h.y - lead.y) <= w.coverRange);
+        break;
+      default:
+        allowed = [];
+    }
+
+    const attackers = hostiles.filter((h) => this._attackers.has(h) && !allowed.includes(h));
+    return [...allowed, ...attackers];
+  }
+
+  /**
+   * Note the hostiles behind threat missiles the pilot has seen
+   * @private
+   */
+  _rememberAttackers(hostiles) {
+    for (const [missile, seen] of this._noticed) {
+      if (seen && hostiles.includes(missile.launcher)) this._attackers.add(missile.launcher);
+    }
+    for (const attacker of this._attackers) {
+      if (attacker.isDestroyed) this._attackers.delete(attacker);
+    }
+  }
+}
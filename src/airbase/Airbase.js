@@ -3,9 +3,14 @@
  *
  * Represents a single airbase with its position, runway configuration,
  * and associated systems (TACAN, ILS).
+ *
+ * Bomb craters on the runway are kept in runway-local coordinates; the
+ * runway is closed once no stretch of it clear of craters is at least
+ * minOperatingLength long.
  */
 
 import { AirbaseFlattenZone } from './AirbaseFlattenZone.js';
+import { RUNWAY_DEFAULTS } from '../data/airbases.js';
 
 export class Airbase {
   /**
@@ -20,6 +25,7 @@ export class Airbase {
    * @param {number} [config.tacanChannel] - TACAN station channel (optional)
    * @param {number} [config.ilsFrequency] - ILS frequency (optional)
    * @param {number} [config.apronRadius=500] - Terrain smoothing zone in feet
+   * @param {Object[]} [config.craters] - Runway craters (see addCrater)
    */
   constructor(config) {
     this.id = config.id;
@@ -33,6 +39,9 @@ export class Airbase {
     this.ilsFrequency = config.ilsFrequency || null;
     this.apronRadius = config.apronRadius || 500;
 
+    // Bomb craters on the runway: { along, across, radius } in feet
+    this.craters = config.craters ? config.craters.map((c) => ({ ...c })) : [];
+
     // Create flatten zone for terrain modification
     this.flattenZone = new AirbaseFlattenZone(this);
 
@@ -122,6 +131,48 @@ export class Airbase {
     return Math.sqrt(dx * dx + dz * dz);
   }
 
+  /**
+   * Crater the runway, if a hit at this point cuts into it
+   * @param {number} worldX
+   * @param {number} worldZ
+   * @param {number} radius - Crater radius in feet
+   * @returns {boolean} Whether the runway was cratered
+   */
+  addCrater(worldX, worldZ, radius) {
+    const { along, across } = this.toRunwayLocal(worldX, worldZ);
+    if (Math.abs(along) > this.runwayLength / 2 + radius) return false;
+    if (Math.abs(across) > this.runwayWidth / 2 + radius) return false;
+    this.craters.push({ along, across, radius });
+    return true;
+  }
+
+  /**
+   * Longest stretch of runway clear of craters
+   * @returns {number} Feet
+   */
+  getLongestClearStretch() {
+    const half = this.runwayLength / 2;
+    const cuts = this.craters
+      .map((c) => [c.along - c.radius, c.along + c.radius])
+      .sort((a, b) => a[0] - b[0]);
+
+    let longest = 0;
+    let start = -half;
+    for (const [from, to] of cuts) {
+      longest = Math.max(longest, Math.min(from, half) - start);
+      start = Math.max(start, to);
+    }
+    return Math.max(longest, half - start);
+  }
+
+  /**
+   * Whether craters have closed the runway
+   * @returns {boolean}
+   */
+  isRunwayClosed() {
+    return this.getLongestClearStretch() < RUNWAY_DEFAULTS.minOperatingLength;
+  }
+
   /**
    * Format runway number as string (e.g., "09", "27", "36")
    * @param {number} num - Runway number (1-36)
@@ -154,7 +205,8 @@ export class Airbase {
       runwayWidth: this.runwayWidth,
       tacanChannel: this.tacanChannel,
       ilsFrequency: this.ilsFrequency,
-      apronRadius: this.apronRadius
+      apronRadius: this.apronRadius,
+      craters: this.craters.map((c) => ({ ...c }))
     };
   }
 }
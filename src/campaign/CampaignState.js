@@ -25,6 +25,19 @@ export class CampaignState {
     this.playTime = data.playTime || 0;
     this.enemiesDestroyed = data.enemiesDestroyed || 0;
     this.missionsFailed = data.missionsFailed || 0;
+    this.sortiesFlown = data.sortiesFlown || 0;
+    this.aircraftLost = data.aircraftLost || 0;
+    this.pilotsLost = data.pilotsLost || 0;
+    this.installationsDestroyed = data.installationsDestroyed || 0;
+    this.lastSortie = data.lastSortie || null;
+
+    // Battle damage on the campaign airframe, flown into the next sortie
+    // (see DamageModel.getState); null for a fresh aircraft
+    this.airframeDamage = data.airframeDamage || null;
+
+    // Sites destroyed and runways cratered by strikes, kept from sortie to
+    // sortie (see GroundDamage.getState); null while the world is untouched
+    this.groundDamage = data.groundDamage || null;
 
     // Timestamps
     this.createdAt = data.createdAt || Date.now();
@@ -35,6 +48,45 @@ export class CampaignState {
     return `campaign_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
   }
 
+  /**
+   * Record the outcome of a flown sortie (attrition is permanent)
+   * @param {Object} result - Sortie result from game.getSortieResult()
+   */
+  recordSortie(result) {
+    this.sortiesFlown++;
+    this.playTime += result.flightTime * 1000;  // flightTime is seconds, playTime ms
+    this.enemiesDestroyed += result.airKills || 0;
+    this.lastPlayed = Date.now();
+
+    if (result.outcome === 'lost') {
+      this.aircraftLost++;
+      if (result.pilotStatus === 'killed') {
+        this.pilotsLost++;
+      }
+      this.airframeDamage = null;
+    } else {
+      this.airframeDamage = result.damage ? { ...result.damage, isBurning: false } : null;
+    }
+
+    // Strikes stand whether or not the aircraft made it home
+    const strikes = result.strikes || [];
+    this.installationsDestroyed += strikes.filter((s) => s.knockedOut).length;
+    if (result.groundDamage) {
+      this.groundDamage = result.groundDamage;
+    }
+
+    this.lastSortie = {
+      outcome: result.outcome,
+      cause: result.cause,
+      pilotStatus: result.pilotStatus,
+      aircraftType: result.aircraftType,
+      flightTime: result.flightTime,
+      airKills: result.airKills || 0,
+      landingGrade: result.landing ? result.landing.grade : null,
+      strikes: strikes.map((s) => ({ name: s.name, status: s.status })),
+    };
+  }
+
   /**
    * Serialize to JSON for storage
    */
@@ -52,6 +104,13 @@ export class CampaignState {
       playTime: this.playTime,
       enemiesDestroyed: this.enemiesDestroyed,
       missionsFailed: this.missionsFailed,
+      sortiesFlown: this.sortiesFlown,
+      aircraftLost: this.aircraftLost,
+      pilotsLost: this.pilotsLost,
+      installationsDestroyed: this.installationsDestroyed,
+      lastSortie: this.lastSortie,
+      airframeDamage: this.airframeDamage,
+      groundDamage: this.groundDamage,
       createdAt: this.createdAt,
       lastPlayed: this.lastPlayed,
     };
@@ -0,0 +1,220 @@
+/**
+ * AI pilot definitions
+ *
+ * Tactical constants shared by every AI pilot, formations and station
+ * keeping, the wingman's commands, and the skill levels from the GDD
+ * (Enemy AI: rookie, regular, veteran, ace). Distances in feet, times in
+ * seconds, angles in degrees.
+ */
+
+// Tactical constants shared by all AI pilots
+export const AI_DEFAULTS = {
+  visualRange: 5 * 6076,       // hostiles inside this range are seen without radar
+  mergeRange: 3 * 6076,        // inside this range the fight goes within visual range
+  commitRange: 40 * 6076,      // patrol commits on known hostiles inside this range
+  patrolRadius: 5 * 6076,      // orbit radius around the patrol point
+  patrolAltitude: 20000,
+  cruiseAltitude: 25000,       // egress altitude
+  minAltitude: 8000,           // never plans an intercept below this
+  maxAltitude: 40000,
+  minClearance: 1000,          // ft above the surface the pilot will not go below
+  pullUpClearance: 2500,       // ft above the surface at which the pilot stops descending
+  targetMemory: 15,            // seconds a lost target is still flown at
+  climbSpeedFactor: 2,         // no climbing below this multiple of stall speed
+  headingGain: 2.5,            // stick per radian of heading error
+  altitudeGain: 1 / 2000,      // climb command per foot of altitude error
+  speedGain: 1 / 200,          // throttle per ft/s of speed error
+  crankAngle: 50,              // target held this far off the nose while supporting a shot
+  dragRange: 10 * 6076,        // threat missiles beyond this are outrun, closer ones notched
+  notchAltitude: 3000,         // ft above the surface a low notch descends to
+  spotRange: 2 * 6076,         // threat missiles inside this range are always seen
+  countermeasureRange: 3 * 6076, // dispenses against a threat missile inside this range
+  countermeasureInterval: 1.5, // seconds between dispense commands
+  maxLeadAngle: 40,            // cap on intercept lead
+  fox2OffBoresight: 30,        // IR shots only with the target this close to the nose
+  gunTolerance: 60,            // ft the gunsight solution may miss by and still fire
+  homeRange: 3 * 6076          // egress ends this close to home
+};
+
+// Formation station keeping constants
+export const FORMATION_DEFAULTS = {
+  joinRange: 1.5 * 6076,       // inside this range of its slot a member flies formation, else rejoins
+  burnerRange: 5 * 6076,       // beyond this from its slot a member rejoins in afterburner
+  slotLeadTime: 3,             // seconds ahead of the slot a member steers at
+  stationGain: 1 / 20,         // ft/s of speed change per ft of along-track slot error
+  maxOvertake: 150,            // ft/s faster or slower than the leader while holding the slot
+  rejoinOvertake: 200,         // ft/s faster than the leader while rejoining
+  closureDecel: 10             // ft/s^2 a member plans to lose its overtake at, so it stops on the slot
+};
+
+/**
+ * Formations, slots for members #2 to #4 relative to the leader: ft to
+ * its right (negative is left), behind and above
+ * - fingertip: #2 left, #3 and #4 stepped back on the right
+ * - trail: in line behind the leader
+ * - lineAbreast: side by side, #3 and #4 as a second element on the left
+ * - wall: abreast at wide spacing, stacked in altitude
+ */
+export const FORMATIONS = {
+  fingertip: {
+    id: 'fingertip',
+    name: 'Fingertip',
+    slots: [
+      { right: -1500, aft: 1000, high: 0 },
+      { right: 1500, aft: 1000, high: 0 },
+      { right: 3000, aft: 2000, high: 0 }
+    ]
+  },
+
+  trail: {
+    id: 'trail',
+    name: 'Trail',
+    slots: [
+      { right: 0, aft: 3000, high: -200 },
+      { right: 0, aft: 6000, high: -400 },
+      { right: 0, aft: 9000, high: -600 }
+    ]
+  },
+
+  lineAbreast: {
+    id: 'lineAbreast',
+    name: 'Line abreast',
+    slots: [
+      { right: 6000, aft: 0, high: 0 },
+      { right: -6000, aft: 0, high: 0 },
+      { right: -12000, aft: 0, high: 0 }
+    ]
+  },
+
+  wall: {
+    id: 'wall',
+    name: 'Wall',
+    slots: [
+      { right: 9000, aft: 0, high: 1000 },
+      { right: -9000, aft: 0, high: -1000 },
+      { right: 18000, aft: 0, high: 2000 }
+    ]
+  }
+};
+
+// Wingman command constants
+export const WINGMAN_DEFAULTS = {
+  coverRange: 15 * 6076,       // covering, bandits inside this range of the lead are engaged
+  separationRange: 5 * 6076,   // beyond this from the lead the wingman gets its own cell...
+  rejoinedRange: 3 * 6076      // ...until it is back inside this
+};
+
+/**
+ * Wingman commands, in radial menu order
+ * - engageTarget: attack the lead's radar-locked target
+ * - engageBandits: free to attack any known hostile
+ * - cover: hold formation, engage bandits that come near the lead
+ * - rejoin: break off and fly formation
+ * - rtb: return to base
+ */
+export const WINGMAN_COMMANDS = [
+  { id: 'engageTarget', name: 'Engage my target', call: 'engaging your target' },
+  { id: 'engageBandits', name: 'Engage bandits', call: 'engaging bandits' },
+  { id: 'cover', name: 'Cover me', call: 'covering' },
+  { id: 'rejoin', name: 'Rejoin', call: 'rejoining' },
+  { id: 'rtb', name: 'RTB', call: 'RTB' }
+];
+
+/**
+ * Skill levels
+ * - reactionTime: seconds between tactical decisions (a new threat or
+ *   target is acted on at the next one)
+ * - threatAwareness: chance of noticing a missile launched at it
+ * - maxStick: fraction of the available G the pilot will pull
+ * - useTws: shoots Fox-3 from a TWS track instead of locking first
+ * - crank: turns off the target to support radar missiles in flight
+ * - defense: 'drag' (always run) or 'notch' (beam close threats)
+ * - notchLow: descends into ground clutter while notching
+ * - launchRangeFactor: fraction of a missile's max launch range it shoots at
+ * - shotsPerTarget: missiles it keeps in the air at one target
+ * - shotInterval: minimum seconds between launches
+ * - altitudeAdvantage: ft above the target it intercepts at
+ */
+export const AI_SKILL_LEVELS = {
+  rookie: {
+    id: 'rookie',
+    name: 'Rookie',
+    reactionTime: 3.0,
+    threatAwareness: 0.4,
+    maxStick: 0.6,
+    useTws: false,
+    crank: false,
+    defense: 'drag',
+    notchLow: false,
+    launchRangeFactor: 0.95,
+    shotsPerTarget: 1,
+    shotInterval: 10,
+    altitudeAdvantage: 0
+  },
+
+  regular: {
+    id: 'regular',
+    name: 'Regular',
+    reactionTime: 1.5,
+    threatAwareness: 0.7,
+    maxStick: 0.8,
+    useTws: false,
+    crank: true,
+    defense: 'notch',
+    notchLow: false,
+    launchRangeFactor: 0.75,
+    shotsPerTarget: 1,
+    shotInterval: 6,
+    altitudeAdvantage: 2000
+  },
+
+  veteran: {
+    id: 'veteran',
+    name: 'Veteran',
+    reactionTime: 0.8,
+    threatAwareness: 0.9,
+    maxStick: 1.0,
+    useTws: true,
+    crank: true,
+    defense: 'notch',
+    notchLow: true,
+    launchRangeFactor: 0.6,
+    shotsPerTarget: 2,
+    shotInterval: 4,
+    altitudeAdvantage: 4000
+  },
+
+  ace: {
+    id: 'ace',
+    name: 'Ace',
+    reactionTime: 0.4,
+    threatAwareness: 1.0,
+    maxStick: 1.0,
+    useTws: true,
+    crank: true,
+    defense: 'notch',
+    notchLow: true,
+    launchRangeFactor: 0.5,
+    shotsPerTarget: 2,
+    shotInterval: 3,
+    altitudeAdvantage: 5000
+  }
+};
+
+/**
+ * Look up a formation
+ * @param {string} formationId - 'fingertip', 'trail', 'lineAbreast' or 'wall'
+ * @returns {Object|null} Formation definition, or null if unknown
+ */
+export function getFormation(formationId) {
+  return FORMATIONS[formationId] || null;
+}
+
+/**
+ * Look up a skill level
+ * @param {string} skillId - 'rookie', 'regular', 'veteran' or 'ace'
+ * @returns {Object|null} Skill definition, or null if unknown
+ */
+export function getSkillLevel(skillId) {
+  return AI_SKILL_LEVELS[skillId] || null;
+}
@@ -16,7 +16,10 @@ export const RUNWAY_DEFAULTS = {
   apronRadius: 500,       // Smooth transition zone around runway
 
   // Elevation
-  elevationScale: 400     // Same as terrain ELEVATION_SCALE
+  elevationScale: 400,    // Same as terrain ELEVATION_SCALE
+
+  // Battle damage
+  minOperatingLength: 3000  // ft of runway clear of craters needed to stay open
 };
 
 // PAPI (Precision Approach Path Indicator) configuration
@@ -38,6 +41,26 @@ export const PAPI_CONFIG = {
   lightHeight: 5                // ft above runway elevation
 };
 
+// Touchdown limits and landing grade thresholds
+export const LANDING_LIMITS = {
+  // Beyond any of these the touchdown is a crash
+  maxSinkRate: 20,            // ft/s (1200 fpm)
+  maxAlignment: 15,           // degrees between track and runway axis
+
+  // Within all of these the touchdown is clean
+  goodSinkRate: 8,            // ft/s (480 fpm)
+  goodAlignment: 3,           // degrees
+  goodCenterline: 0.25,       // fraction of runway half-width off centerline
+
+  // Glideslope status is sampled on final inside this distance from the threshold
+  approachGate: 3 * 6076,     // ft (3 nm)
+
+  // Ground roll
+  stopSpeed: 15,              // ft/s, rollout complete below this
+  lineUpDistance: 500,        // ft past the threshold where sorties start
+  excursionSpeed: 40          // ft/s, leaving the runway faster than this is a crash
+};
+
 // Runway marking dimensions (8-bit pixel style)
 export const MARKING_DIMENSIONS = {
   // Threshold markings (piano keys)
@@ -0,0 +1,392 @@
+/**
+ * Aircraft type definitions
+ *
+ * Registry of flyable aircraft types: sprite, geometry, flight performance,
+ * fuel, hardpoints and sensors. Units follow the rest of the world: distances
+ * in feet, speeds in feet/second, forces and weights in pounds.
+ */
+
+// Flight model constants shared by all aircraft types
+export const FLIGHT_MODEL_DEFAULTS = {
+  gravity: 32.174,          // ft/s^2
+  minSpeed: 50,             // ft/s floor to keep turn/energy math finite
+  maxClimbAngle: 30,        // degrees, full Q/E deflection flight path angle
+  flightPathRate: 1.5,      // 1/s, how quickly vertical speed follows command
+  afterburnerRate: 2.0,     // throttle units/second into the AB region (spec 2.2)
+  afterburnerMax: 1.5,      // throttle value at full afterburner
+  thrustLapseExponent: 0.7, // thrust ~ sigma^n with altitude
+  rollingFriction: 0.025,   // wheel rolling resistance coefficient
+  brakingFriction: 0.35,    // wheel friction with brakes applied
+  groundTurnRate: 20        // degrees/second nosewheel steering at full stick
+};
+
+// Fuel planning constants shared by all aircraft types
+export const FUEL_DEFAULTS = {
+  reserve: 800,             // lb expected on the ground after recovery
+  jokerMargin: 1500,        // lb above bingo at which JOKER is called
+  approachAllowance: 400    // lb for descent, pattern and landing
+};
+
+// Ground proximity warning and collision constants
+export const GROUND_COLLISION_DEFAULTS = {
+  warningTime: 5,           // seconds of predicted flight path checked for terrain
+  lookAheadStep: 0.5        // seconds between predicted path samples
+};
+
+// Radar scan, detection and tracking constants shared by all radars
+export const RADAR_DEFAULTS = {
+  referenceRcs: 5,          // m^2 target that detectionRange is quoted against
+  scanRate: 70,             // degrees/second antenna sweep in azimuth
+  beamWidth: 4,             // degrees, azimuth width of the beam
+  barSpacing: 3,            // degrees between elevation bars
+  elevationLimit: 30,       // degrees, antenna elevation travel either side of the horizon
+  elevationRate: 10,        // degrees/second antenna elevation slew
+  scanWidths: [60, 30, 10], // degrees, selectable azimuth half-widths
+  scanPatterns: {           // default azimuth half-width (deg) and bar count per mode
+    RWS: { azimuth: 60, bars: 4 },
+    TWS: { azimuth: 30, bars: 3 }
+  },
+  notchSpeed: 150,          // ft/s, look-down targets with less radial speed are filtered as clutter
+  clutterAltitude: 5000,    // ft, below this look-down detection suffers from ground clutter
+  clutterFactor: 0.5,       // signal multiplier in clutter
+  maxTracks: 10,            // track files held in TWS
+  memoryFrames: 2.5,        // scan frames a track coasts without a return before it is dropped
+  minMemoryTime: 4,         // seconds, floor on the memory time (also applies in STT)
+  sttUpdateInterval: 0.1,   // seconds between STT returns
+  sttGain: 4,               // signal multiplier while the beam dwells on a locked target
+  sttBreakTime: 1.5,        // seconds without a return before a lock breaks
+  sttRangeFactor: 1.3       // lock holds out to this multiple of the detection range
+};
+
+// Radar warning receiver constants shared by all RWRs
+export const RWR_DEFAULTS = {
+  sensitivity: 1.5,         // radars are heard out to this multiple of their detection range
+  rangeError: 0.25,         // fractional error of the range estimated from signal strength
+  rangeRings: [5, 15, 30],  // nm, ring boundaries (inside the first is ring 0, beyond the last the outer ring)
+  memoryTime: 3,            // seconds an emitter stays on the display after it was last heard
+  newTime: 2,               // seconds a new emitter is flagged as new
+  maxContacts: 8            // emitters shown, highest priority first
+};
+
+// Targeting pod constants shared by all pods
+export const TGP_DEFAULTS = {
+  fovLabels: ['WIDE', 'NARO'], // names of the fields of view, widest first
+  sensorModes: ['WHOT', 'BHOT', 'TV'],
+  defaultMode: 'WHOT',
+  slewRate: 0.5,            // footprints/second the crosshair slews at
+  initialRange: 5 * 6076,   // ft ahead of the aircraft the pod first looks
+  captureRadius: 0.15,      // point track captures within this fraction of the footprint...
+  minCaptureRadius: 300,    // ...but never less than this (ft)
+  trackBreakTime: 2,        // seconds a point track survives masked before it breaks
+  aimHeight: 10             // ft above the terrain the sight line to the aim point ends
+};
+
+// Damage model constants shared by all aircraft types (see src/flight/DamageModel.js)
+export const DAMAGE_DEFAULTS = {
+  // Hit points per subsystem, and the share of hits each one takes
+  systems: {
+    structure: { name: 'Structure', hitPoints: 100, exposure: 0.3 },
+    engine: { name: 'Engine', hitPoints: 60, exposure: 0.2 },
+    fuel: { name: 'Fuel tanks', hitPoints: 50, exposure: 0.15 },
+    hydraulics: { name: 'Hydraulics', hitPoints: 40, exposure: 0.12 },
+    controls: { name: 'Control surfaces', hitPoints: 40, exposure: 0.13 },
+    radar: { name: 'Radar', hitPoints: 30, exposure: 0.1 }
+  },
+  engineMinThrust: 0.4,     // thrust fraction left just before the engine fails
+  controlsMinAuthority: 0.35, // stick and climb authority left just before the controls fail
+  hydraulicsLostAuthority: 0.6, // authority multiplier once the hydraulics fail (manual reversion)
+  radarMinRange: 0.3,       // detection range fraction left just before the radar fails
+  maxLeakRate: 12,          // lb/s lost with the fuel tanks shot through
+  fireChance: 0.5,          // chance a failed engine or fuel system catches fire
+  fireDamageRate: 5         // structure hit points per second burned away
+};
+
+// Type used when none is given
+export const DEFAULT_AIRCRAFT_TYPE = 'f16';
+
+/**
+ * Aircraft types keyed by type id
+ *
+ * sprite:
+ * - texture: path under public/
+ * - size: rendered sprite width/height in world units
+ * - tentAngle: ridge angle of the tent geometry in degrees
+ *
+ * performance (see FlightModel):
+ * - weight: gross weight (lb)
+ * - thrustIdle / thrustMil / thrustMax: sea level static thrust (lbf)
+ * - thrustCurve: [speed ft/s, multiplier] pairs, ram effect on thrust
+ * - parasiteDrag: zero-lift drag factor, D0 = parasiteDrag * sigma * V^2
+ * - dragCurve: [speed ft/s, multiplier] pairs applied to parasite drag (transonic rise)
+ * - inducedDrag: induced drag factor, Di = inducedDrag * (n * W)^2 / (sigma * V^2)
+ * - stallSpeed: 1g stall speed at sea level (ft/s)
+ * - rotationSpeed: speed at which the nose can be raised for takeoff (ft/s)
+ * - gLimit: structural load factor limit
+ * - maxSpeed: never-exceed true airspeed (ft/s)
+ * - cruiseSpeed: trimmed speed used when spawning airborne (ft/s)
+ *
+ * fuelCapacity: internal fuel (lb)
+ *
+ * fuelConsumption: thrust specific fuel consumption (lb of fuel per lbf per hour)
+ * - dry: idle to military power
+ * - wet: afterburner region
+ *
+ * configuration (see AirframeConfiguration):
+ * - gear / flaps / speedBrake: transitionTime (s, fully stowed to fully deployed),
+ *   drag (parasite drag increase when fully deployed), lift (maximum lift increase),
+ *   limitSpeed (equivalent airspeed in ft/s above which a deployed surface is damaged;
+ *   null for no limit)
+ * - flaps.settings: named positions the flap handle steps through
+ *
+ * hardpoints: stations with the store ids they accept and their default store
+ *
+ * loadouts: named alternatives to the default stores, as the store id for
+ * each station they change (see getLoadout)
+ *
+ * countermeasures: chaff cartridges and flares carried (see COUNTERMEASURES in
+ * src/data/stores.js and src/weapons/CountermeasureDispenser.js)
+ *
+ * gun: internal cannon id (see GUNS in src/data/stores.js) and rounds carried
+ *
+ * hitbox: length, span and height (ft) of the box rounds are tested against
+ *
+ * sensors:
+ * - radar: detection range with a 50% chance per look against a 5 m^2 target (ft),
+ *   gimbal limit (deg), range scales (nm), symbol other aircraft's RWRs show it as;
+ *   see RADAR_DEFAULTS and src/sensors/Radar.js
+ * - rwr: whether a radar warning receiver is fitted (see RWR_DEFAULTS and
+ *   src/sensors/RadarWarningReceiver.js)
+ * - irst: whether an infrared search and track sensor is fitted
+ * - tgp: targeting pod, or null: fields of view (deg, widest first) and the
+ *   slant range it can look out to (ft); see TGP_DEFAULTS and
+ *   src/sensors/TargetingPod.js
+ *
+ * signature:
+ * - rcs: frontal radar cross section (m^2)
+ * - ir: relative infrared signature at military power
+ */
+export const AIRCRAFT_TYPES = {
+  f16: {
+    id: 'f16',
+    name: 'F-16C',
+    sprite: {
+      texture: 'sprites/f-16.png',
+      size: 64,
+      tentAngle: 15
+    },
+    performance: {
+      weight: 26000,
+      thrustIdle: 900,
+      thrustMil: 17000,
+      thrustMax: 29000,
+      thrustCurve: [[0, 1.0], [600, 1.05], [1000, 1.15], [1300, 1.1]],
+      parasiteDrag: 0.0266,
+      dragCurve: [[0, 1.0], [900, 1.0], [1050, 1.7], [1300, 2.0]],
+      inducedDrag: 0.25,
+      stallSpeed: 200,
+      rotationSpeed: 240,
+      gLimit: 9,
+      maxSpeed: 1300,
+      cruiseSpeed: 450
+    },
+    configuration: {
+      gear: { transitionTime: 4, drag: 0.35, lift: 0, limitSpeed: 505 },
+      flaps: {
+        transitionTime: 3, drag: 0.25, lift: 0.3, limitSpeed: 405,
+        settings: [{ label: 'UP', position: 0 }, { label: 'TO', position: 0.5 }, { label: 'LDG', position: 1 }]
+      },
+      speedBrake: { transitionTime: 1.5, drag: 0.9, lift: 0, limitSpeed: null }
+    },
+    fuelCapacity: 7000,
+    fuelConsumption: { dry: 0.8, wet: 2.0 },
+    countermeasures: { chaff: 60, flare: 30 },
+    gun: { id: 'm61', rounds: 510 },
+    hardpoints: [
+      { station: 1, label: 'L WINGTIP', accepts: ['aim120', 'aim9'], default: 'aim120' },
+      { station: 2, label: 'L OUTER', accepts: ['aim120', 'aim9'], default: 'aim9' },
+      { station: 3, label: 'L MID', accepts: ['aim120', 'aim9', 'mk82', 'gbu12', 'lau68'], default: 'aim120' },
+      { station: 4, label: 'L INNER', accepts: ['fuel370', 'mk82', 'gbu12'], default: 'fuel370' },
+      { station: 5, label: 'CENTER', accepts: ['fuel300'], default: null },
+      { station: 6, label: 'R INNER', accepts: ['fuel370', 'mk82', 'gbu12'], default: 'fuel370' },
+      { station: 7, label: 'R MID', accepts: ['aim120', 'aim9', 'mk82', 'gbu12', 'lau68'], default: 'aim120' },
+      { station: 8, label: 'R OUTER', accepts: ['aim120', 'aim9'], default: 'aim9' },
+      { station: 9, label: 'R WINGTIP', accepts: ['aim120', 'aim9'], default: 'aim120' }
+    ],
+    loadouts: {
+      swing: { 3: 'gbu12', 4: 'mk82', 5: 'fuel300', 6: 'mk82', 7: 'lau68' }
+    },
+    sensors: {
+      radar: { name: 'AN/APG-68', detectionRange: 40 * 6076, gimbalLimit: 60, rangeScales: [10, 20, 40, 80], rwrSymbol: '16' },
+      rwr: true,
+      irst: false,
+      tgp: { name: 'AN/AAQ-33', fieldsOfView: [4, 1], maxRange: 20 * 6076 }
+    },
+    hitbox: { length: 49, span: 33, height: 16 },
+    signature: { rcs: 1.2, ir: 1.0 }
+  },
+
+  mig29: {
+    id: 'mig29',
+    name: 'MiG-29A',
+    sprite: {
+      texture: 'sprites/mig-29.png',
+      size: 72,
+      tentAngle: 12
+    },
+    performance: {
+      weight: 33000,
+      thrustIdle: 1100,
+      thrustMil: 22000,
+      thrustMax: 36000,
+      thrustCurve: [[0, 1.0], [600, 1.05], [1000, 1.12], [1300, 1.05]],
+      parasiteDrag: 0.0345,
+      dragCurve: [[0, 1.0], [880, 1.0], [1050, 1.8], [1300, 2.1]],
+      inducedDrag: 0.24,
+      stallSpeed: 210,
+      rotationSpeed: 250,
+      gLimit: 9,
+      maxSpeed: 1250,
+      cruiseSpeed: 450
+    },
+    configuration: {
+      gear: { transitionTime: 5, drag: 0.3, lift: 0, limitSpeed: 490 },
+      flaps: {
+        transitionTime: 4, drag: 0.3, lift: 0.3, limitSpeed: 420,
+        settings: [{ label: 'UP', position: 0 }, { label: 'TO', position: 0.5 }, { label: 'LDG', position: 1 }]
+      },
+      speedBrake: { transitionTime: 2, drag: 0.8, lift: 0, limitSpeed: null }
+    },
+    fuelCapacity: 7700,
+    fuelConsumption: { dry: 0.85, wet: 2.1 },
+    countermeasures: { chaff: 30, flare: 30 },
+    gun: { id: 'gsh301', rounds: 150 },
+    hardpoints: [
+      { station: 1, label: 'L OUTER', accepts: ['r73'], default: 'r73' },
+      { station: 2, label: 'L MID', accepts: ['r73', 'r27'], default: 'r73' },
+      { station: 3, label: 'L INNER', accepts: ['r27', 'fab250'], default: 'r27' },
+      { station: 4, label: 'CENTER', accepts: ['fuel400'], default: 'fuel400' },
+      { station: 5, label: 'R INNER', accepts: ['r27', 'fab250'], default: 'r27' },
+      { station: 6, label: 'R MID', accepts: ['r73', 'r27'], default: 'r73' },
+      { station: 7, label: 'R OUTER', accepts: ['r73'], default: 'r73' }
+    ],
+    loadouts: {
+      strike: { 3: 'fab250', 5: 'fab250' }
+    },
+    sensors: {
+      radar: { name: 'N019', detectionRange: 32 * 6076, gimbalLimit: 60, rangeScales: [10, 20, 40, 80], rwrSymbol: '29' },
+      rwr: true,
+      irst: true,
+      tgp: null
+    },
+    hitbox: { length: 57, span: 37, height: 16 },
+    signature: { rcs: 5, ir: 1.2 }
+  },
+
+  f14: {
+    id: 'f14',
+    name: 'F-14B',
+    sprite: {
+      texture: 'sprites/f-14.png',
+      size: 80,
+      tentAngle: 10
+    },
+    performance: {
+      weight: 55000,
+      thrustIdle: 1600,
+      thrustMil: 33000,
+      thrustMax: 54000,
+      thrustCurve: [[0, 1.0], [600, 1.06], [1000, 1.18], [1300, 1.15]],
+      parasiteDrag: 0.052,
+      dragCurve: [[0, 1.0], [900, 1.0], [1050, 1.6], [1300, 1.9]],
+      inducedDrag: 0.2,
+      stallSpeed: 190,
+      rotationSpeed: 230,
+      gLimit: 7.5,
+      maxSpeed: 1350,
+      cruiseSpeed: 450
+    },
+    configuration: {
+      gear: { transitionTime: 6, drag: 0.3, lift: 0, limitSpeed: 470 },
+      flaps: {
+        transitionTime: 4, drag: 0.3, lift: 0.45, limitSpeed: 380,
+        settings: [{ label: 'UP', position: 0 }, { label: 'TO', position: 0.4 }, { label: 'LDG', position: 1 }]
+      },
+      speedBrake: { transitionTime: 2, drag: 0.7, lift: 0, limitSpeed: null }
+    },
+    fuelCapacity: 16200,
+    fuelConsumption: { dry: 0.75, wet: 2.3 },
+    countermeasures: { chaff: 60, flare: 60 },
+    gun: { id: 'm61', rounds: 675 },
+    hardpoints: [
+      { station: 1, label: 'L GLOVE', accepts: ['aim9', 'aim120'], default: 'aim9' },
+      { station: 2, label: 'L SHOULDER', accepts: ['aim120', 'fuel267'], default: 'fuel267' },
+      { station: 3, label: 'TUNNEL FWD', accepts: ['aim120', 'mk82'], default: 'aim120' },
+      { station: 4, label: 'TUNNEL AFT', accepts: ['aim120', 'mk82'], default: 'aim120' },
+      { station: 5, label: 'R SHOULDER', accepts: ['aim120', 'fuel267'], default: 'fuel267' },
+      { station: 6, label: 'R GLOVE', accepts: ['aim9', 'aim120'], default: 'aim9' }
+    ],
+    loadouts: {
+      strike: { 3: 'mk82', 4: 'mk82' }
+    },
+    sensors: {
+      radar: { name: 'AN/AWG-9', detectionRange: 60 * 6076, gimbalLimit: 65, rangeScales: [10, 20, 50, 100], rwrSymbol: '14' },
+      rwr: true,
+      irst: false,
+      tgp: null
+    },
+    hitbox: { length: 62, span: 50, height: 16 },
+    signature: { rcs: 12, ir: 1.4 }
+  }
+};
+
+/**
+ * Look up an aircraft type definition
+ * @param {string} typeId - Aircraft type id (e.g. 'f16')
+ * @returns {Object|null} Type definition, or null if unknown
+ */
+export function getAircraftType(typeId) {
+  return AIRCRAFT_TYPES[typeId] || null;
+}
+
+/**
+ * List all registered aircraft type ids
+ * @returns {string[]}
+ */
+export function getAircraftTypeIds() {
+  return Object.keys(AIRCRAFT_TYPES);
+}
+
+/**
+ * Build the default store loadout for a type, keyed by station number
+ * @param {Object} type - Aircraft type definition
+ * @returns {Object<number, string|null>}
+ */
+export function getDefaultLoadout(type) {
+  const loadout = {};
+  for (const hardpoint of type.hardpoints) {
+    loadout[hardpoint.station] = hardpoint.default;
+  }
+  return loadout;
+}
+
+/**
+ * Build a named loadout for a type: the default stores with the loadout's
+ * stations changed
+ * @param {Object} type - Aircraft type definition
+ * @param {string|null} loadoutId - Key of type.loadouts, or null for the default stores
+ * @returns {Object<number, string|null>|null} Store id per station, or null if the
+ *   loadout is unknown or puts a store on a station that does not accept it
+ */
+export function getLoadout(type, loadoutId) {
+  const loadout = getDefaultLoadout(type);
+  if (!loadoutId) return loadout;
+
+  const stations = type.loadouts ? type.loadouts[loadoutId] : null;
+  if (!stations) return null;
+  for (const [station, storeId] of Object.entries(stations)) {
+    const hardpoint = type.hardpoints.find((h) => h.station === Number(station));
+    if (!hardpoint || (storeId !== null && !hardpoint.accepts.includes(storeId))) return null;
+    loadout[station] = storeId;
+  }
+  return loadout;
+}
@@ -0,0 +1,424 @@
+/**
+ * Store definitions
+ *
+ * Everything that can hang on a hardpoint, keyed by the store id used in
+ * AIRCRAFT_TYPES[id].hardpoints. Weights in pounds, fuel in pounds.
+ */
+
+/**
+ * External fuel tanks
+ * - capacity: usable fuel (lb)
+ * - emptyWeight: tank weight when dry (lb)
+ */
+export const FUEL_TANKS = {
+  fuel370: { id: 'fuel370', name: '370 GAL TANK', capacity: 2500, emptyWeight: 300 },
+  fuel300: { id: 'fuel300', name: '300 GAL TANK', capacity: 2000, emptyWeight: 250 },
+  fuel400: { id: 'fuel400', name: 'PTB-1500', capacity: 2600, emptyWeight: 330 },
+  fuel267: { id: 'fuel267', name: '267 GAL TANK', capacity: 1800, emptyWeight: 240 }
+};
+
+/**
+ * Look up an external fuel tank by store id
+ * @param {string|null} storeId
+ * @returns {Object|null} Tank definition, or null if the store is not a fuel tank
+ */
+export function getFuelTank(storeId) {
+  return (storeId && FUEL_TANKS[storeId]) || null;
+}
+
+// Missile constants shared by all missile types
+export const MISSILE_DEFAULTS = {
+  minSpeed: 600,            // ft/s below which a missile can no longer fly an intercept
+  trackMargin: 1.2,         // a locked seeker holds track out to this multiple of its range
+  pursuitAngle: 60,         // degrees off the line of sight beyond which guidance turns flat out
+  referenceRcs: 5,          // m^2 target that radar seeker ranges are quoted against
+  dopplerSeparation: 400,   // ft/s of target radial speed at which chaff no longer shares its doppler
+  chaffFloor: 0.15,         // fraction of chaff effectiveness left with full doppler separation
+  notchSpeed: 150,          // ft/s, a look-down radar seeker loses targets with less radial speed...
+  notchBreakRate: 0.4,      // ...at this chance per second
+  blastDamage: 160,         // hit points a warhead deals at its lethal radius, none at its proximity radius
+  blastFragments: 6,        // hits the blast is spread across
+  trailInterval: 0.1,       // seconds between smoke trail points
+  trailLength: 80           // smoke trail points kept per missile
+};
+
+/**
+ * Air-to-air missiles, and the surface-to-air missiles fired by SAM sites
+ * (see GROUND_THREAT_TYPES)
+ * - category: 'fox1' (semi-active radar), 'fox2' (infrared), 'fox3' (active radar)
+ *   or 'sam' (never carried on a hardpoint)
+ * - weight: launch weight (lb)
+ * - motor: boostTime / sustainTime (s), boostThrust / sustainThrust (lbf),
+ *   propellant (lb burned evenly over both phases)
+ * - dragFactor: D0 = dragFactor * sigma * V^2, dragCurve scales it with speed (ft/s)
+ * - inducedDrag: Di = inducedDrag * (n * W)^2 / (sigma * V^2), as for aircraft
+ * - maxG: maneuver limit; reached only at or above maneuverSpeed (equivalent ft/s)
+ * - navigationGain: proportional navigation constant
+ * - maxFlightTime: seconds until self-destruct
+ * - seeker: type 'ir' | 'sarh' | 'arh', fov (deg half-angle searched for a target),
+ *   gimbalLimit (deg off the missile's nose it can track), range (ft against the
+ *   reference target; for 'arh' this is where the seeker goes active),
+ *   ccm (0-1, how well it rejects chaff or flares)
+ * - loal: can be launched without a seeker lock and acquire in flight
+ * - fuze: armingTime (s), proximityRadius (ft), lethalRadius (ft),
+ *   pk (kill probability inside the lethal radius)
+ * - launchRange: min / max (ft), nominal envelope against a co-altitude
+ *   head-on target, used by AI shot doctrine
+ * - sprite: texture under public/ and size in world units
+ */
+export const MISSILES = {
+  aim120: {
+    id: 'aim120',
+    name: 'AIM-120C AMRAAM',
+    shortName: 'AIM-120',
+    category: 'fox3',
+    weight: 335,
+    motor: { boostTime: 3, boostThrust: 5000, sustainTime: 5, sustainThrust: 1100, propellant: 120 },
+    dragFactor: 0.00016,
+    dragCurve: [[0, 1.0], [900, 1.0], [1100, 1.8], [2000, 1.3], [4000, 1.1]],
+    inducedDrag: 0.3,
+    maxG: 40,
+    maneuverSpeed: 1400,
+    navigationGain: 4,
+    maxFlightTime: 80,
+    seeker: { type: 'arh', fov: 20, gimbalLimit: 55, range: 10 * 6076, ccm: 0.5 },
+    loal: true,
+    fuze: { armingTime: 1.0, proximityRadius: 50, lethalRadius: 25, pk: 0.9 },
+    launchRange: { min: 1 * 6076, max: 25 * 6076 },
+    sprite: { texture: 'sprites/aim-120.png', size: 24 }
+  },
+
+  aim9: {
+    id: 'aim9',
+    name: 'AIM-9M SIDEWINDER',
+    shortName: 'AIM-9',
+    category: 'fox2',
+    weight: 190,
+    motor: { boostTime: 2.2, boostThrust: 3000, sustainTime: 0, sustainThrust: 0, propellant: 60 },
+    dragFactor: 0.0001,
+    dragCurve: [[0, 1.0], [900, 1.0], [1100, 1.8], [2000, 1.3], [4000, 1.1]],
+    inducedDrag: 0.3,
+    maxG: 35,
+    maneuverSpeed: 1200,
+    navigationGain: 4,
+    maxFlightTime: 40,
+    seeker: { type: 'ir', fov: 10, gimbalLimit: 40, range: 4 * 6076, ccm: 0.4 },
+    loal: false,
+    fuze: { armingTime: 0.6, proximityRadius: 30, lethalRadius: 15, pk: 0.85 },
+    launchRange: { min: 0.4 * 6076, max: 4 * 6076 },
+    sprite: { texture: 'sprites/aim-120.png', size: 20 }
+  },
+
+  r73: {
+    id: 'r73',
+    name: 'R-73 ARCHER',
+    shortName: 'R-73',
+    category: 'fox2',
+    weight: 232,
+    motor: { boostTime: 2.5, boostThrust: 3400, sustainTime: 0, sustainThrust: 0, propellant: 70 },
+    dragFactor: 0.00012,
+    dragCurve: [[0, 1.0], [900, 1.0], [1100, 1.8], [2000, 1.3], [4000, 1.1]],
+    inducedDrag: 0.3,
+    maxG: 40,
+    maneuverSpeed: 1100,
+    navigationGain: 4,
+    maxFlightTime: 40,
+    seeker: { type: 'ir', fov: 10, gimbalLimit: 60, range: 4.5 * 6076, ccm: 0.3 },
+    loal: false,
+    fuze: { armingTime: 0.6, proximityRadius: 30, lethalRadius: 15, pk: 0.85 },
+    launchRange: { min: 0.3 * 6076, max: 4.5 * 6076 },
+    sprite: { texture: 'sprites/aim-120.png', size: 20 }
+  },
+
+  r27: {
+    id: 'r27',
+    name: 'R-27R ALAMO',
+    shortName: 'R-27R',
+    category: 'fox1',
+    weight: 560,
+    motor: { boostTime: 3, boostThrust: 6500, sustainTime: 4, sustainThrust: 1500, propellant: 200 },
+    dragFactor: 0.00026,
+    dragCurve: [[0, 1.0], [900, 1.0], [1100, 1.8], [2000, 1.3], [4000, 1.1]],
+    inducedDrag: 0.3,
+    maxG: 30,
+    maneuverSpeed: 1400,
+    navigationGain: 4,
+    maxFlightTime: 70,
+    seeker: { type: 'sarh', fov: 20, gimbalLimit: 50, range: 20 * 6076, ccm: 0.2 },
+    loal: true,
+    fuze: { armingTime: 1.0, proximityRadius: 60, lethalRadius: 30, pk: 0.8 },
+    launchRange: { min: 1 * 6076, max: 18 * 6076 },
+    sprite: { texture: 'sprites/aim-120.png', size: 28 }
+  },
+
+  sa6: {
+    id: 'sa6',
+    name: '3M9 GAINFUL',
+    shortName: 'SA-6',
+    category: 'sam',
+    weight: 1320,
+    motor: { boostTime: 4, boostThrust: 20000, sustainTime: 16, sustainThrust: 2600, propellant: 600 },
+    dragFactor: 0.0006,
+    dragCurve: [[0, 1.0], [900, 1.0], [1100, 1.8], [2000, 1.3], [4000, 1.1]],
+    inducedDrag: 0.3,
+    maxG: 20,
+    maneuverSpeed: 1500,
+    navigationGain: 4,
+    maxFlightTime: 45,
+    seeker: { type: 'sarh', fov: 20, gimbalLimit: 50, range: 15 * 6076, ccm: 0.25 },
+    loal: false,
+    fuze: { armingTime: 1.5, proximityRadius: 60, lethalRadius: 30, pk: 0.75 },
+    launchRange: { min: 2 * 6076, max: 13 * 6076 },
+    sprite: { texture: 'sprites/aim-120.png', size: 32 }
+  }
+};
+
+/**
+ * Look up a missile by store id
+ * @param {string|null} storeId
+ * @returns {Object|null} Missile definition, or null if the store is not a missile
+ */
+export function getMissile(storeId) {
+  return (storeId && MISSILES[storeId]) || null;
+}
+
+/**
+ * Expendable countermeasures, dispensed from the aircraft's own inventory
+ * - lifetime: seconds until the decoy burns out or disperses
+ * - bloomTime: seconds to reach full strength after release
+ * - rcs: radar cross section at full bloom (m^2), seen by radar seekers
+ * - ir: infrared intensity relative to an aircraft at military power, seen by IR seekers
+ * - ejectSpeed: ft/s, pushed away from the aircraft on release
+ * - slowdownTime: seconds for the decoy's speed to fall to a third
+ * - fallSpeed: ft/s settled sink rate
+ * - sprite: color and size in world units
+ */
+export const COUNTERMEASURES = {
+  chaff: {
+    id: 'chaff',
+    name: 'CHAFF',
+    shortName: 'CH',
+    lifetime: 4,
+    bloomTime: 0.5,
+    rcs: 20,
+    ir: 0,
+    ejectSpeed: 50,
+    slowdownTime: 0.3,
+    fallSpeed: 15,
+    sprite: { color: 0xcccccc, size: 18 }
+  },
+
+  flare: {
+    id: 'flare',
+    name: 'FLARE',
+    shortName: 'FL',
+    lifetime: 4,
+    bloomTime: 0.2,
+    rcs: 0,
+    ir: 2,
+    ejectSpeed: 80,
+    slowdownTime: 1.5,
+    fallSpeed: 100,
+    sprite: { color: 0xffcc66, size: 12 }
+  }
+};
+
+/**
+ * Dispensing programs: how many decoys one press releases
+ * - quantity: decoys per burst
+ * - bursts: number of bursts
+ * - interval: seconds between bursts
+ */
+export const DISPENSE_PROGRAMS = {
+  single: { id: 'single', name: 'SGL', quantity: 1, bursts: 1, interval: 0 },
+  salvo: { id: 'salvo', name: 'SLV', quantity: 4, bursts: 1, interval: 0 },
+  interval: { id: 'interval', name: 'INT', quantity: 1, bursts: 6, interval: 0.5 }
+};
+
+/**
+ * Look up a countermeasure type
+ * @param {string} type - 'chaff' or 'flare'
+ * @returns {Object|null}
+ */
+export function getCountermeasure(type) {
+  return COUNTERMEASURES[type] || null;
+}
+
+// Gun constants shared by all internal cannons
+export const GUN_DEFAULTS = {
+  roundLifetime: 2.5,       // seconds a round flies before it is no longer tracked
+  maxRounds: 400,           // rounds in flight per gun
+  tracerSize: 4,            // px, tracer point size
+  tracerHeight: 22,         // world units above the terrain tracers are drawn at
+  hitbox: { length: 50, span: 35, height: 15 }  // ft, for targets without their own
+};
+
+/**
+ * Internal cannons, and the guns of AAA sites
+ * - rateOfFire: rounds per minute
+ * - muzzleVelocity: ft/s relative to the firing aircraft (or ground mount)
+ * - dispersion: mrad, standard deviation of each round's angle off the gun line
+ * - range: ft, the gunsight shows a firing solution inside this range
+ * - damage: hit points one round takes off the subsystem it hits
+ * - tracerInterval: every nth round is a tracer
+ * - tracerColor: color of the drawn tracers
+ */
+export const GUNS = {
+  m61: {
+    id: 'm61',
+    name: 'M61A1 VULCAN',
+    shortName: 'GUN',
+    rateOfFire: 6000,
+    muzzleVelocity: 3450,
+    dispersion: 4,
+    range: 4000,
+    damage: 20,
+    tracerInterval: 5,
+    tracerColor: 0xffee88
+  },
+
+  gsh301: {
+    id: 'gsh301',
+    name: 'GSH-30-1',
+    shortName: 'GUN',
+    rateOfFire: 1650,
+    muzzleVelocity: 2820,
+    dispersion: 3,
+    range: 3500,
+    damage: 45,
+    tracerInterval: 3,
+    tracerColor: 0xff9966
+  },
+
+  zu23: {
+    id: 'zu23',
+    name: 'AZP-23 AMUR (x4)',
+    shortName: 'AAA',
+    rateOfFire: 3400,
+    muzzleVelocity: 3180,
+    dispersion: 15,
+    range: 8000,
+    damage: 15,
+    tracerInterval: 4,
+    tracerColor: 0xff6644
+  }
+};
+
+/**
+ * Look up an internal cannon
+ * @param {string} gunId
+ * @returns {Object|null}
+ */
+export function getGun(gunId) {
+  return GUNS[gunId] || null;
+}
+
+// Air-to-ground ordnance constants shared by bombs and rockets
+export const ORDNANCE_DEFAULTS = {
+  predictionStep: 0.1,      // s, time step of the release computer's trajectory prediction
+  maxFallTime: 90,          // s, predictions give up after this long
+  terrainCeiling: 2500,     // ft, the ground never rises above this; predictions only look for it below
+  releaseWindow: 0.5,       // s, a CCRP release computed this long ago can still be made
+  ejectSpeed: 15,           // ft/s, pushed down off the rack on release
+  craterScale: 0.35,        // crater radius as a fraction of the warhead's lethal radius
+  blastFragments: 4,        // hits a blast that falls short of lethal is spread across
+  trailInterval: 0.05,      // seconds between rocket smoke trail points
+  trailLength: 30           // smoke trail points kept per rocket
+};
+
+/**
+ * Bombs: unguided free-fall ('bomb') and laser-guided ('lgb')
+ * - weight: release weight (lb)
+ * - drag: deceleration = drag * sigma * V^2 (per ft), with V in ft/s
+ * - guidance: laser-guided bombs only; seekerFov (deg half-angle in which
+ *   the seeker sees the laser spot), maxG (maneuver limit) and gain (1/s,
+ *   how hard it turns its velocity onto the line to the spot)
+ * - warhead: lethalRadius (ft, destroys ground sites inside it),
+ *   blastRadius (ft, damages them out to here), damage (hit points at the
+ *   lethal radius, none at the blast radius)
+ * - sprite: color and size in world units
+ */
+export const BOMBS = {
+  mk82: {
+    id: 'mk82',
+    name: 'MK-82 500LB',
+    shortName: 'MK-82',
+    category: 'bomb',
+    weight: 510,
+    drag: 0.000025,
+    guidance: null,
+    warhead: { lethalRadius: 60, blastRadius: 220, damage: 150 },
+    sprite: { color: 0x778866, size: 12 }
+  },
+
+  gbu12: {
+    id: 'gbu12',
+    name: 'GBU-12 PAVEWAY II',
+    shortName: 'GBU-12',
+    category: 'lgb',
+    weight: 800,
+    drag: 0.00003,
+    guidance: { seekerFov: 15, maxG: 2.5, gain: 1.5 },
+    warhead: { lethalRadius: 60, blastRadius: 220, damage: 150 },
+    sprite: { color: 0x889977, size: 14 }
+  },
+
+  fab250: {
+    id: 'fab250',
+    name: 'FAB-250',
+    shortName: 'FAB-250',
+    category: 'bomb',
+    weight: 550,
+    drag: 0.00003,
+    guidance: null,
+    warhead: { lethalRadius: 65, blastRadius: 230, damage: 160 },
+    sprite: { color: 0x667755, size: 12 }
+  }
+};
+
+/**
+ * Look up a bomb by store id
+ * @param {string|null} storeId
+ * @returns {Object|null} Bomb definition, or null if the store is not a bomb
+ */
+export function getBomb(storeId) {
+  return (storeId && BOMBS[storeId]) || null;
+}
+
+/**
+ * Rocket pods; the pod stays on its station once empty
+ * - rockets: rounds loaded
+ * - ripple: rockets one press fires, rippleInterval (s) apart
+ * - rocket: motorTime (s), acceleration (ft/s^2 along the flight path while
+ *   the motor burns), drag (as BOMBS), dispersion (mrad, 1 sigma off the
+ *   launch line), warhead (as BOMBS)
+ * - sprite: color and size of each rocket in world units
+ */
+export const ROCKET_PODS = {
+  lau68: {
+    id: 'lau68',
+    name: 'LAU-68 HYDRA 70',
+    shortName: 'RKT',
+    category: 'rocket',
+    rockets: 7,
+    ripple: 2,
+    rippleInterval: 0.1,
+    rocket: {
+      motorTime: 1.1,
+      acceleration: 1800,
+      drag: 0.00002,
+      dispersion: 3,
+      warhead: { lethalRadius: 15, blastRadius: 60, damage: 60 }
+    },
+    sprite: { color: 0xdddddd, size: 8 }
+  }
+};
+
+/**
+ * Look up a rocket pod by store id
+ * @param {string|null} storeId
+ * @returns {Object|null} Pod definition, or null if the store is not a rocket pod
+ */
+export function getRocketPod(storeId) {
+  return (storeId && ROCKET_PODS[storeId]) || null;
+}
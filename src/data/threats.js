@@ -0,0 +1,93 @@
+/**
+ * Ground threat definitions
+ *
+ * SAM and AAA site types, the constants shared by every site, and the
+ * placement rules from spec-infrastructure-generation.md section 5.2.
+ * Distances in feet, times in seconds, angles in degrees.
+ */
+
+// Constants shared by all ground threat sites
+export const GROUND_THREAT_DEFAULTS = {
+  antennaHeight: 30,           // ft, radar antenna above the site's ground
+  lookInterval: 0.25,          // seconds between radar looks at each hostile
+  sightFactor: 1.5,            // sight lines traced out to this multiple of detection range (RWR reach)
+  referenceRcs: 5,             // m^2 target that detection ranges are quoted against
+  railSpeed: 150,              // ft/s, a SAM leaving its launch rail
+  minLaunchElevation: 20,      // degrees, the rail never points lower than this
+  spriteHeight: 6,             // world units above the terrain surface
+  signature: { rcs: 20, ir: 0.5 },
+  hitbox: { length: 80, span: 80, height: 20 },
+  damage: {
+    structure: { name: 'Structure', hitPoints: 120, exposure: 0.7 },
+    radar: { name: 'Radar', hitPoints: 40, exposure: 0.3 }
+  }
+};
+
+/**
+ * Ground threat site types
+ * - category: 'sam' or 'aaa' (also the RWR category its radar shows as)
+ * - rwrSymbol: shown on the RWR display
+ * - radar: detectionRange (ft against the reference target), trackTime (s of
+ *   continuous track before it can fire), clutterFloor (ft above the ground
+ *   below which the radar cannot hold a target)
+ * - envelope: min / max range (ft) and min / max altitude (ft above the site)
+ *   inside which it engages
+ * - missile: SAM missile id (see MISSILES) with readyRounds on the rails,
+ *   salvoInterval (s between launches) and maxInFlight per target
+ * - gun: AAA gun id (see GUNS) with burstTime / burstPause (s) and aimError
+ *   (mils, 1 sigma tracking error, held for a burst)
+ * - sprite: color and size (world units) of the site marker
+ */
+export const GROUND_THREAT_TYPES = {
+  sa6: {
+    id: 'sa6',
+    name: 'SA-6 GAINFUL',
+    shortName: 'SA-6',
+    category: 'sam',
+    rwrSymbol: '6',
+    radar: { detectionRange: 25 * 6076, trackTime: 4, clutterFloor: 150 },
+    envelope: { minRange: 2 * 6076, maxRange: 13 * 6076, minAltitude: 150, maxAltitude: 40000 },
+    missile: { id: 'sa6', readyRounds: 3, salvoInterval: 8, maxInFlight: 1 },
+    sprite: { color: 0x884433, size: 90 }
+  },
+
+  zsu23: {
+    id: 'zsu23',
+    name: 'ZSU-23-4 SHILKA',
+    shortName: 'ZSU-23',
+    category: 'aaa',
+    rwrSymbol: 'A',
+    radar: { detectionRange: 10 * 6076, trackTime: 1.5, clutterFloor: 50 },
+    envelope: { minRange: 0, maxRange: 8000, minAltitude: 0, maxAltitude: 8000 },
+    gun: { id: 'zu23', rounds: 2000, burstTime: 2, burstPause: 1.5, aimError: 20 },
+    sprite: { color: 0x556633, size: 60 }
+  }
+};
+
+// Site placement for procedural generation
+export const THREAT_PLACEMENT = {
+  seedOffset: 7777,            // differentiates the placement seed from terrain and airbases
+  minSamSites: 4,
+  maxSamSites: 8,
+  samType: 'sa6',
+  aaaType: 'zsu23',
+  coverageRadius: 25000,       // ft each SAM site is taken to cover
+  minStandoff: 0.3,            // SAMs sit this fraction of the coverage radius...
+  maxStandoff: 0.8,            // ...up to this fraction from the asset they protect
+  candidates: 12,              // positions tried per site, the highest kept
+  minSpacing: 12000,           // ft between SAM sites
+  minElevation: 0.05,          // normalized: no water or beaches
+  runwayClearance: 7000,       // ft from an airbase center a SAM may not sit inside
+  aaaOffset: 1500,             // ft beside the runway the field's AAA sits
+  homeClearance: 10 * 6076,    // ft around the player's home field with no threats
+  fallbackRadius: 5            // grid cells of land searched when no field needs defending
+};
+
+/**
+ * Look up a ground threat site type
+ * @param {string} id
+ * @returns {Object|null}
+ */
+export function getGroundThreatType(id) {
+  return GROUND_THREAT_TYPES[id] || null;
+}
@@ -0,0 +1,193 @@
+/**
+ * ImpactEffects - Fireballs, smoke and craters where bombs and rockets hit
+ *
+ * Each impact throws up a short fireball and a column of smoke that drifts
+ * apart and fades, both scaled with the warhead's blast radius, and leaves
+ * a scorch mark on the terrain that stays for the rest of the sortie (the
+ * oldest go once maxCraters are down). Everything lives in the terrain
+ * group over its ground position, like the smoke trails.
+ */
+
+import * as THREE from 'three';
+import { sampleTerrainElevation } from '../terrain/TerrainSampler.js';
+import { getPuffTexture } from './SmokeTrail.js';
+
+// Effect defaults
+const IMPACT_EFFECT_DEFAULTS = {
+  maxPuffs: 240,            // per kind
+  maxCraters: 60,
+  fireballTime: 0.9,        // seconds
+  smokeTime: 7,
+  puffsPerBlast: 0.04,      // puffs per ft of blast radius...
+  minPuffs: 2,              // ...but at least this many
+  fireSize: 22,             // pixels
+  smokeSize: 26,
+  spread: 0.4,              // puffs scatter over this fraction of the blast radius
+  driftSpeed: 8,            // ft/s, smoke spreading outward
+  craterScale: 0.6,         // scorch radius as a fraction of the lethal radius
+  height: 18,               // above the terrain surface, under the aircraft sprites
+  craterHeight: 2,
+  fireColor: [1.0, 0.6, 0.15],
+  smokeColor: [0.2, 0.18, 0.16],
+  craterColor: 0x1a1612
+};
+
+export class ImpactEffects {
+  /**
+   * @param {THREE.Object3D} group - World-space group the effects are added to
+   * @param {Object} [options] - Overrides for IMPACT_EFFECT_DEFAULTS
+   */
+  constructor(group, options = {}) {
+    this.group = group;
+    this.options = { ...IMPACT_EFFECT_DEFAULTS, ...options };
+
+    this.fire = this._createLayer(this.options.fireSize, THREE.AdditiveBlending);
+    this.smoke = this._createLayer(this.options.smokeSize, THREE.NormalBlending);
+    this.craters = [];
+
+    this._craterGeometry = new THREE.CircleGeometry(1, 20);
+    this._craterMaterial = new THREE.MeshBasicMaterial({
+      color: this.options.craterColor,
+      transparent: true,
+      opacity: 0.75,
+      depthWrite: false
+    });
+  }
+
+  // ============================================
+  // Public API
+  // ============================================
+
+  /**
+   * Set off the effects of one impact
+   * @param {{x: number, y: number}} impact - Where it hit the ground
+   * @param {Object} warhead - lethalRadius and blastRadius (see BOMBS)
+   */
+  add(impact, warhead) {
+    const o = this.options;
+    const { x, y } = impact;
+    const z = sampleTerrainElevation(x, y);
+    const count = Math.max(o.minPuffs, Math.round(warhead.blastRadius * o.puffsPerBlast));
+    const spread = warhead.blastRadius * o.spread;
+
+    for (let i = 0; i < count; i++) {
+      const angle = Math.random() * Math.PI * 2;
+      const r = Math.random() * spread;
+      const puff = {
+        x: x + Math.sin(angle) * r * 0.5,
+        y: y + Math.cos(angle) * r * 0.5,
+        z: z + o.height,
+        dx: Math.sin(angle),
+        dy: Math.cos(angle),
+        age: 0
+      };
+      this._push(this.fire, { ...puff, age: Math.random() * o.fireballTime * 0.3 });
+      this._push(this.smoke, puff);
+    }
+
+    const crater = new THREE.Mesh(this._craterGeometry, this._craterMaterial);
+    crater.position.set(x, y, z + o.craterHeight);
+    crater.scale.setScalar(warhead.lethalRadius * o.craterScale);
+    crater.name = 'impact_crater';
+    this.group.add(crater);
+    this.craters.push(crater);
+    if (this.craters.length > o.maxCraters) {
+      this.group.remove(this.craters.shift());
+    }
+  }
+
+  /**
+   * Age the fireballs and smoke and drop the expired ones
+   * @param {number} deltaTime - Time step in seconds
+   */
+  update(deltaTime) {
+    const o = this.options;
+    for (const puff of this.smoke.puffs) {
+      puff.x += puff.dx * o.driftSpeed * deltaTime;
+      puff.y += puff.dy * o.driftSpeed * deltaTime;
+    }
+    this._age(this.fire, deltaTime, o.fireballTime, o.fireColor, 1);
+    this._age(this.smoke, deltaTime, o.smokeTime, o.smokeColor, 0.8);
+  }
+
+  /**
+   * Remove every effect from the scene
+   */
+  dispose() {
+    for (const layer of [this.fire, this.smoke]) {
+      this.group.remove(layer.points);
+      layer.points.geometry.dispose();
+      layer.points.material.dispose();
+      layer.puffs = [];
+    }
+    for (const crater of this.craters) {
+      this.group.remove(crater);
+    }
+    this.craters = [];
+    this._craterGeometry.dispose();
+    this._craterMaterial.dispose();
+  }
+
+  // ============================================
+  // Private Methods
+  // ============================================
+
+  /**
+   * One kind of puff: a point cloud with per-puff color and fade
+   * @private
+   */
+  _createLayer(size, blending) {
+    const max = this.options.maxPuffs;
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(max * 3), 3));
+    geometry.setAttribute('color', new THREE.BufferAttribute(new Float32Array(max * 4), 4));
+    geometry.setDrawRange(0, 0);
+    const material = new THREE.PointsMaterial({
+      size,
+      map: getPuffTexture(),
+      vertexColors: true,
+      sizeAttenuation: false,
+      transparent: true,
+      depthWrite: false,
+      blending
+    });
+    const points = new THREE.Points(geometry, material);
+    points.name = 'impact_effects';
+    points.frustumCulled = false;
+    this.group.add(points);
+    return { points, puffs: [] };
+  }
+
+  /**
+   * Add a puff, dropping the oldest when the layer is full
+   * @private
+   */
+  _push(layer, puff) {
+    if (layer.puffs.length >= this.options.maxPuffs) layer.puffs.shift();
+    layer.puffs.push(puff);
+  }
+
+  /**
+   * Age the puffs, drop the expired ones and refresh the point cloud
+   * @private
+   */
+  _age(layer, deltaTime, lifetime, color, opacity) {
+    layer.puffs = layer.puffs.filter((puff) => (puff.age += deltaTime) < lifetime);
+
+    const geometry = layer.points.geometry;
+    const positions = geometry.attributes.position.array;
+    const colors = geometry.attributes.color.array;
+    layer.puffs.forEach((puff, n) => {
+      positions[n * 3] = puff.x;
+      positions[n * 3 + 1] = puff.y;
+      positions[n * 3 + 2] = puff.z;
+      colors[n * 4] = color[0];
+      colors[n * 4 + 1] = color[1];
+      colors[n * 4 + 2] = color[2];
+      colors[n * 4 + 3] = opacity * (1 - puff.age / lifetime);
+    });
+    geometry.attributes.position.needsUpdate = true;
+    geometry.attributes.color.needsUpdate = true;
+    geometry.setDrawRange(0, layer.puffs.length);
+  }
+}
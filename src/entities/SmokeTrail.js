@@ -0,0 +1,175 @@
+/**
+ * SmokeTrail - Smoke and fire puffs left behind a damaged aircraft
+ *
+ * A damaged aircraft trails smoke, thicker and darker the worse the damage;
+ * a burning one also trails flame. Puffs are released at the aircraft's
+ * position and stay where they were left, growing fainter until they
+ * expire, so the trail traces the path flown. Puffs live in the terrain
+ * group over their ground position, like the missile trails.
+ */
+
+import * as THREE from 'three';
+import { sampleTerrainElevation } from '../terrain/TerrainSampler.js';
+
+// Trail defaults
+const SMOKE_TRAIL_DEFAULTS = {
+  maxPuffs: 160,            // per kind
+  smokeInterval: 0.12,      // seconds between smoke puffs at full severity...
+  sparseInterval: 0.5,      // ...and at the lightest damage
+  smokeLifetime: 6,
+  fireInterval: 0.06,
+  fireLifetime: 0.8,
+  smokeSize: 14,            // pixels
+  fireSize: 10,
+  height: 16,               // above the terrain surface, under the aircraft sprites
+  lightSmoke: [0.75, 0.75, 0.75],
+  darkSmoke: [0.15, 0.15, 0.15],
+  fireColor: [1.0, 0.55, 0.1]
+};
+
+let puffTexture = null;
+
+/**
+ * Soft round puff shared by every trail and impact
+ * @returns {THREE.Texture}
+ */
+export function getPuffTexture() {
+  if (puffTexture) return puffTexture;
+  const canvas = document.createElement('canvas');
+  canvas.width = 32;
+  canvas.height = 32;
+  const ctx = canvas.getContext('2d');
+  const gradient = ctx.createRadialGradient(16, 16, 0, 16, 16, 16);
+  gradient.addColorStop(0, 'rgba(255,255,255,1)');
+  gradient.addColorStop(0.5, 'rgba(255,255,255,0.6)');
+  gradient.addColorStop(1, 'rgba(255,255,255,0)');
+  ctx.fillStyle = gradient;
+  ctx.fillRect(0, 0, 32, 32);
+  puffTexture = new THREE.CanvasTexture(canvas);
+  return puffTexture;
+}
+
+export class SmokeTrail {
+  /**
+   * @param {Aircraft} aircraft - Aircraft whose damage model drives the trail
+   * @param {THREE.Object3D} group - World-space group the puffs are added to
+   * @param {Object} [options] - Overrides for SMOKE_TRAIL_DEFAULTS
+   */
+  constructor(aircraft, group, options = {}) {
+    this.aircraft = aircraft;
+    this.group = group;
+    this.options = { ...SMOKE_TRAIL_DEFAULTS, ...options };
+
+    this.smoke = this._createLayer(this.options.smokeSize, THREE.NormalBlending);
+    this.fire = this._createLayer(this.options.fireSize, THREE.AdditiveBlending);
+  }
+
+  // ============================================
+  // Public API
+  // ============================================
+
+  /**
+   * Release puffs for the aircraft's current damage and age the old ones
+   * @param {number} deltaTime - Time step in seconds
+   */
+  update(deltaTime) {
+    const o = this.options;
+    const aircraft = this.aircraft;
+    const damage = aircraft.damage;
+    const severity = aircraft.isDestroyed ? 0 : damage.getSeverity();
+    const burning = !aircraft.isDestroyed && damage.isBurning;
+
+    if (severity > 0) {
+      const interval = o.sparseInterval + (o.smokeInterval - o.sparseInterval) * Math.min(1, severity * 2);
+      const shade = Math.min(1, severity * 2);
+      const color = o.lightSmoke.map((light, i) => light + (o.darkSmoke[i] - light) * shade);
+      this._emit(this.smoke, deltaTime, interval, color);
+    }
+    if (burning) {
+      this._emit(this.fire, deltaTime, o.fireInterval, o.fireColor);
+    }
+
+    this._age(this.smoke, deltaTime, o.smokeLifetime, 0.7);
+    this._age(this.fire, deltaTime, o.fireLifetime, 1);
+  }
+
+  /**
+   * Remove the puffs from the scene
+   */
+  dispose() {
+    for (const layer of [this.smoke, this.fire]) {
+      this.group.remove(layer.points);
+      layer.points.geometry.dispose();
+      layer.points.material.dispose();
+      layer.puffs = [];
+    }
+  }
+
+  // ============================================
+  // Private Methods
+  // ============================================
+
+  /**
+   * One kind of puff: a point cloud with per-puff color and fade
+   * @private
+   */
+  _createLayer(size, blending) {
+    const max = this.options.maxPuffs;
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(max * 3), 3));
+    geometry.setAttribute('color', new THREE.BufferAttribute(new Float32Array(max * 4), 4));
+    geometry.setDrawRange(0, 0);
+    const material = new THREE.PointsMaterial({
+      size,
+      map: getPuffTexture(),
+      vertexColors: true,
+      sizeAttenuation: false,
+      transparent: true,
+      depthWrite: false,
+      blending
+    });
+    const points = new THREE.Points(geometry, material);
+    points.name = `damage_trail_${this.aircraft.typeId}`;
+    points.frustumCulled = false;
+    this.group.add(points);
+    return { points, puffs: [], timer: 0 };
+  }
+
+  /**
+   * Drop puffs at the aircraft's position every interval
+   * @private
+   */
+  _emit(layer, deltaTime, interval, color) {
+    layer.timer -= deltaTime;
+    if (layer.timer > 0) return;
+    layer.timer = interval;
+
+    if (layer.puffs.length >= this.options.maxPuffs) layer.puffs.shift();
+    const { x, y } = this.aircraft;
+    layer.puffs.push({ x, y, z: sampleTerrainElevation(x, y) + this.options.height, age: 0, color });
+  }
+
+  /**
+   * Age the puffs, drop the expired ones and refresh the point cloud
+   * @private
+   */
+  _age(layer, deltaTime, lifetime, opacity) {
+    layer.puffs = layer.puffs.filter((puff) => (puff.age += deltaTime) < lifetime);
+
+    const geometry = layer.points.geometry;
+    const positions = geometry.attributes.position.array;
+    const colors = geometry.attributes.color.array;
+    layer.puffs.forEach((puff, n) => {
+      positions[n * 3] = puff.x;
+      positions[n * 3 + 1] = puff.y;
+      positions[n * 3 + 2] = puff.z;
+      colors[n * 4] = puff.color[0];
+      colors[n * 4 + 1] = puff.color[1];
+      colors[n * 4 + 2] = puff.color[2];
+      colors[n * 4 + 3] = opacity * (1 - puff.age / lifetime);
+    });
+    geometry.attributes.position.needsUpdate = true;
+    geometry.attributes.color.needsUpdate = true;
+    geometry.setDrawRange(0, layer.puffs.length);
+  }
+}
@@ -1,9 +1,25 @@
 /**
- * Player aircraft state and update logic
+ * Aircraft state and update logic
+ * Shared by the player and any other flying entity; the type id selects
+ * sprite, performance, fuel, hardpoints and sensors from src/data/aircraft.js
  */
 import * as THREE from 'three';
 import { LightingConfig, getLightDirection } from '../terrain/lighting.js';
 import { sampleTerrainElevation } from '../terrain/TerrainSampler.js';
+import { FlightModel } from '../flight/FlightModel.js';
+import { FuelSystem } from '../flight/FuelSystem.js';
+import { AirframeConfiguration } from '../flight/AirframeConfiguration.js';
+import { DamageModel } from '../flight/DamageModel.js';
+import { Radar } from '../sensors/Radar.js';
+import { RadarWarningReceiver } from '../sensors/RadarWarningReceiver.js';
+import { TargetingPod } from '../sensors/TargetingPod.js';
+import { CountermeasureDispenser } from '../weapons/CountermeasureDispenser.js';
+import {
+  FLIGHT_MODEL_DEFAULTS,
+  DEFAULT_AIRCRAFT_TYPE,
+  getAircraftType,
+  getLoadout
+} from '../data/aircraft.js';
 
 /**
  * Create a "tent" geometry for the aircraft sprite
@@ -108,19 +124,55 @@ function createTentGeometry(width, height, angle) {
 }
 
 export class Aircraft {
-  constructor(x = 0, y = 0) {
+  /**
+   * @param {number} [x=0] - World X position
+   * @param {number} [y=0] - World Y position
+   * @param {string} [typeId='f16'] - Aircraft type id (see AIRCRAFT_TYPES)
+   * @param {string|null} [loadoutId=null] - Named loadout (see getLoadout), or null for the default stores
+   */
+  constructor(x = 0, y = 0, typeId = DEFAULT_AIRCRAFT_TYPE, loadoutId = null) {
+    const type = getAircraftType(typeId);
+    if (!type) {
+      throw new Error(`Unknown aircraft type: ${typeId}`);
+    }
+    const loadout = getLoadout(type, loadoutId);
+    if (!loadout) {
+      throw new Error(`Unknown loadout for ${typeId}: ${loadoutId}`);
+    }
+    this.typeId = typeId;
+    this.type = type;
+
     this.x = x;
     this.y = y;
     this.heading = 0; // radians, 0 = up/north
     this.altitude = 10000; // feet
-    this.throttle = 0.5; // 0 to 1
-    this.speed = 0; // current velocity in units/sec
+    this.throttle = 0.5; // 0 to 1 normal range, 1 to 1.5 afterburner
+
+    // Energy-based flight model (see src/flight/FlightModel.js)
+    this.performance = type.performance;
+    this.flightModel = new FlightModel(this.performance);
+    this.speed = this.performance.cruiseSpeed; // true airspeed in ft/s
+    this.verticalSpeed = 0; // ft/s, positive = climbing
+
+    // Flight model outputs (updated each frame, read by HUD/debug)
+    this.loadFactor = 1;
+    this.specificExcessPower = 0;
+    this.isStalled = false;
 
-    // Flight model constants
-    this.maxSpeed = 500;
-    this.acceleration = 100;
-    this.turnRate = Math.PI / 2; // radians per second at full input (90°/sec)
-    this.climbRate = 1000; // feet per second
+    // Ground state: wheels on the surface
+    this.onGround = false;
+
+    // Landing gear, flaps and speedbrake (see src/flight/AirframeConfiguration.js)
+    this.configuration = new AirframeConfiguration(type.configuration);
+
+    // Set once the aircraft is lost; a destroyed aircraft no longer updates
+    this.isDestroyed = false;
+    this.lossCause = null;  // 'terrain', 'water' or 'ejected'
+
+    // Battle damage per subsystem (see src/flight/DamageModel.js); events
+    // since the last frame are drained by the caller for the log
+    this.damage = new DamageModel();
+    this.damageEvents = [];
 
     // Virtual stick X position (per spec section 2.1)
     // Deflects while keys held, persists when released
@@ -137,14 +189,35 @@ export class Aircraft {
     this.screenY = 0;
     this.screenZ = 300;   // 300 units from camera (at Z=600)
 
+    // Stores per station (fuel tanks, weapons) and fitted sensors
+    this.loadout = loadout;
+    this.sensors = type.sensors;
+    this.signature = type.signature;
+    this.hitbox = type.hitbox;
+
+    // Search and track radar (see src/sensors/Radar.js)
+    this.radar = type.sensors.radar ? new Radar(this, type.sensors.radar) : null;
+
+    // Radar warning receiver (see src/sensors/RadarWarningReceiver.js)
+    this.rwr = type.sensors.rwr ? new RadarWarningReceiver(this) : null;
+
+    // Targeting pod (see src/sensors/TargetingPod.js)
+    this.tgp = type.sensors.tgp ? new TargetingPod(this, type.sensors.tgp) : null;
+
+    // Chaff and flares (see src/weapons/CountermeasureDispenser.js)
+    this.countermeasures = new CountermeasureDispenser(this, type.countermeasures);
+
+    // Internal and external tanks (see src/flight/FuelSystem.js)
+    this.fuelSystem = new FuelSystem(type, this.loadout, this.flightModel);
+
     // Geometry parameters (stored for tilt calculations)
-    this.spriteWidth = 64;
-    this.spriteHeight = 64;
-    this.tentAngle = 15;  // degrees
+    this.spriteWidth = type.sprite.size;
+    this.spriteHeight = type.sprite.size;
+    this.tentAngle = type.sprite.tentAngle;  // degrees
 
     // Create sprite mesh with tent geometry for 3D lighting
     const loader = new THREE.TextureLoader();
-    const texture = loader.load('sprites/f-16.png');
+    const texture = loader.load(type.sprite.texture);
     texture.magFilter = THREE.NearestFilter;
     texture.minFilter = THREE.NearestFilter;
 
@@ -162,7 +235,7 @@ export class Aircraft {
     // Create shadow mesh (flat plane, not tent - shadows project onto flat terrain)
     const shadowGeometry = new THREE.PlaneGeometry(this.spriteWidth, this.spriteHeight);
     const shadowMaterial = new THREE.MeshBasicMaterial({
-      map: texture,           // Same F-16 texture as aircraft
+      map: texture,           // Same texture as aircraft
       color: 0x000000,        // Black tint (multiplies with texture for silhouette)
       transparent: true,
       opacity: 0.5,
@@ -184,7 +257,105 @@ export class Aircraft {
     return this.shadowMesh;
   }
 
+  /**
+   * Summarize the current energy-maneuverability state
+   * Turn rates are in degrees/second for display
+   * @returns {Object}
+   */
+  getEnergyState() {
+    const fm = this.flightModel;
+    const config = this.configuration.getEffects();
+    const toDeg = 180 / Math.PI;
+    return {
+      speed: this.speed,
+      altitude: this.altitude,
+      energyHeight: fm.getEnergyHeight(this.speed, this.altitude),
+      specificExcessPower: this.specificExcessPower,
+      loadFactor: this.loadFactor,
+      cornerSpeed: fm.getCornerSpeed(this.altitude, config),
+      stallSpeed: fm.getStallSpeed(this.altitude, config),
+      instantaneousTurnRate: fm.getInstantaneousTurnRate(this.speed, this.altitude, config) * toDeg,
+      sustainedTurnRate: fm.getSustainedTurnRate(this.speed, this.altitude, this.throttle, config) * toDeg,
+      stalled: this.isStalled
+    };
+  }
+
+  /**
+   * Hold the aircraft on the surface, with weight on wheels
+   * @param {number} elevation - Surface elevation in feet
+   */
+  settleOnGround(elevation) {
+    this.altitude = elevation;
+    this.verticalSpeed = 0;
+    this.onGround = true;
+  }
+
+  /**
+   * Park the aircraft on a runway, stopped, gear down, engine at idle
+   * @param {number} x - World X position
+   * @param {number} y - World Y position
+   * @param {number} heading - Heading in radians (0 = north, clockwise)
+   * @param {number} elevation - Surface elevation in feet
+   */
+  placeOnRunway(x, y, heading, elevation) {
+    this.x = x;
+    this.y = y;
+    this.heading = heading;
+    this.speed = 0;
+    this.throttle = 0;
+    this.stickX = 0;
+    this.configuration.setGear(true, true);
+    this.settleOnGround(elevation);
+  }
+
+  /**
+   * Mark the aircraft as lost and remove it from view
+   * @param {string} cause - 'terrain', 'water', 'ejected', 'missile', 'gun' or 'fire'
+   */
+  destroy(cause) {
+    if (this.isDestroyed) return;
+    this.isDestroyed = true;
+    this.lossCause = cause;
+    this.mesh.visible = false;
+    this.shadowMesh.visible = false;
+  }
+
+  /**
+   * Take battle damage; the aircraft is destroyed once its structure fails
+   * @param {number} damage - Hit points per hit
+   * @param {string} cause - Loss cause if the hits destroy it, as destroy()
+   * @param {number} [count=1] - Number of hits (e.g. missile fragments)
+   * @returns {Object[]} Damage events (see DamageModel.applyHits)
+   */
+  takeHits(damage, cause, count = 1) {
+    if (this.isDestroyed) return [];
+    const events = this.damage.applyHits(damage, count);
+    this.damageEvents.push(...events);
+    if (this.damage.isDestroyed()) this.destroy(cause);
+    return events;
+  }
+
+  /**
+   * Fly one time step from player input (keys or touch), or from direct
+   * control positions set by an AI pilot in inputState.controls
+   * @param {number} deltaTime - Time step in seconds
+   * @param {Object} inputState - Input state; inputState.controls, when present,
+   *   holds { throttle (0 to afterburnerMax), stick (-1 to 1), climb (-1 to 1) }
+   */
   update(deltaTime, inputState) {
+    if (this.isDestroyed) return;
+    const direct = inputState.controls;
+
+    // A fire burns through the structure until the aircraft breaks up
+    this.damageEvents.push(...this.damage.update(deltaTime));
+    if (this.damage.isDestroyed()) {
+      this.destroy('fire');
+      return;
+    }
+    const damage = this.damage.getEffects();
+    this.fuelSystem.leakRate = damage.leakRate;
+    if (this.radar) this.radar.setRangeFactor(damage.radarFactor);
+
     // Throttle control - analog touch or digital keyboard
     if (inputState.touchActive && Math.abs(inputState.touchThrottle) > 0.1) {
       // Touch: directly adjust throttle based on analog input
@@ -192,15 +363,28 @@ export class Aircraft {
       const throttleChange = inputState.touchThrottle * deltaTime * 1.0;
       this.throttle = Math.max(0, Math.min(1, this.throttle + throttleChange));
     } else {
-      // Keyboard: digital throttle control
+      // Keyboard: digital throttle control (normal range only)
+      const milThrottle = Math.min(1, this.throttle);
       if (inputState.throttleUp) {
-        this.throttle = Math.min(1, this.throttle + deltaTime * 0.5);
+        this.throttle = Math.min(1, milThrottle + deltaTime * 0.5);
       }
       if (inputState.throttleDown) {
-        this.throttle = Math.max(0, this.throttle - deltaTime * 0.5);
+        this.throttle = Math.max(0, milThrottle - deltaTime * 0.5);
       }
     }
 
+    // Afterburner: the afterburner key pushes past the military detent while held,
+    // releasing it drops straight back to military power (spec 2.2)
+    const abMax = FLIGHT_MODEL_DEFAULTS.afterburnerMax;
+    if (inputState.afterburner && this.throttle >= 1) {
+      this.throttle = Math.min(abMax, this.throttle + FLIGHT_MODEL_DEFAULTS.afterburnerRate * deltaTime);
+    } else if (this.throttle > 1) {
+      this.throttle = 1;
+    }
+    if (direct) {
+      this.throttle = Math.max(0, Math.min(abMax, direct.throttle));
+    }
+
     // Virtual stick X (turn) - deflects while key held, persists when released
     if (inputState.touchActive && Math.abs(inputState.touchTurn) > 0.1) {
       // Touch: direct stick position (bypass deflection rate)
@@ -231,35 +415,70 @@ export class Aircraft {
         this.stickX = 0;
       }
     }
+    if (direct) {
+      this.stickX = Math.max(-1, Math.min(1, direct.stick));
+    }
 
-    // Apply deadzone to stick X for turn rate calculation
-    const effectiveStickX = Math.abs(this.stickX) < this.stickDeadzone ? 0 : this.stickX;
+    // Apply deadzone to stick X for turn rate calculation; damaged controls
+    // or lost hydraulics cut how much of the stick reaches the control surfaces
+    const effectiveStickX = (Math.abs(this.stickX) < this.stickDeadzone ? 0 : this.stickX) * damage.stickAuthority;
 
-    // Turn rate proportional to stick position
-    this.heading += effectiveStickX * this.turnRate * deltaTime;
-    // Normalize heading to 0-2PI
-    this.heading = ((this.heading % (Math.PI * 2)) + Math.PI * 2) % (Math.PI * 2);
-
-    // Altitude control (Q/E) - direct, not stick-based
+    // Altitude control (Q/E) commands a flight path angle, not a fixed rate
     // Q = descend, E = climb
-    if (inputState.climbUp) {
-      this.altitude += this.climbRate * deltaTime;
-    }
-    if (inputState.climbDown) {
-      this.altitude = Math.max(0, this.altitude - this.climbRate * deltaTime);
+    let climbCommand = 0;
+    if (inputState.climbUp) climbCommand += 1;
+    if (inputState.climbDown) climbCommand -= 1;
+    if (direct) climbCommand = Math.max(-1, Math.min(1, direct.climb));
+    climbCommand *= damage.stickAuthority;
+
+    // Energy-based flight: stick pulls G, climbing and turning cost airspeed
+    // A flamed-out engine produces no thrust whatever the throttle says,
+    // a damaged one only part of it
+    const thrustFactor = this.fuelSystem.isFlamedOut ? 0 : damage.thrustFactor;
+
+    // Gear, flaps and speedbrake move toward their commanded positions
+    this.configuration.setHydraulicPower(damage.hydraulicPower);
+    this.configuration.handleInput(inputState, this.onGround);
+    this.configuration.update(deltaTime, this.speed, this.altitude);
+    const configuration = this.configuration.getEffects();
+
+    // Rotation: pulling up at or above rotation speed lifts the aircraft off
+    if (this.onGround && climbCommand > 0 && this.speed >= this.performance.rotationSpeed) {
+      this.onGround = false;
     }
 
-    // Update speed based on throttle
-    const targetSpeed = this.throttle * this.maxSpeed;
-    if (this.speed < targetSpeed) {
-      this.speed = Math.min(targetSpeed, this.speed + this.acceleration * deltaTime);
+    let result;
+    if (this.onGround) {
+      // Ground roll: idle throttle applies the wheel brakes
+      result = this.flightModel.stepGround(this, {
+        throttle: this.throttle,
+        stick: effectiveStickX,
+        braking: this.throttle <= 0,
+        thrustFactor,
+        configuration
+      }, deltaTime);
     } else {
-      this.speed = Math.max(targetSpeed, this.speed - this.acceleration * deltaTime);
+      result = this.flightModel.step(this, {
+        throttle: this.throttle,
+        stick: effectiveStickX,
+        climb: climbCommand,
+        thrustFactor,
+        configuration
+      }, deltaTime);
     }
+    this.fuelSystem.update(deltaTime, this.throttle, this.altitude, this.speed);
+    this.loadFactor = result.loadFactor;
+    this.specificExcessPower = result.specificExcessPower;
+    this.isStalled = result.stalled;
+
+    // Normalize heading to 0-2PI
+    this.heading = ((this.heading % (Math.PI * 2)) + Math.PI * 2) % (Math.PI * 2);
 
     // Update position based on heading and speed
-    this.x += Math.sin(this.heading) * this.speed * deltaTime;
-    this.y += Math.cos(this.heading) * this.speed * deltaTime;
+    // Horizontal component of the flight path
+    const groundSpeed = Math.sqrt(Math.max(0, this.speed * this.speed - this.verticalSpeed * this.verticalSpeed));
+    this.x += Math.sin(this.heading) * groundSpeed * deltaTime;
+    this.y += Math.cos(this.heading) * groundSpeed * deltaTime;
 
     // Determine if turning (based on stick position, not input)
     const isTurning = Math.abs(effectiveStickX) > 0;
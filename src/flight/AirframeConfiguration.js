@@ -0,0 +1,223 @@
+/**
+ * AirframeConfiguration - Landing gear, flaps and speedbrake
+ *
+ * Each device moves between stowed (0) and fully deployed (1) at a rate
+ * set by its transition time, and while out adds parasite drag and,
+ * for flaps, maximum lift. Leaving a device deployed above its limit
+ * speed damages it: a damaged device jams where it is.
+ *
+ * Without hydraulic power (battle damage) the flaps and speedbrake stay
+ * where they are and the gear can no longer retract, though it can still
+ * be dropped by the alternate extension.
+ *
+ * Limit speeds are equivalent airspeeds, so the same placard applies at
+ * any altitude.
+ */
+
+import { getDensityRatio } from './FlightModel.js';
+
+// Seconds above a limit speed before a deployed device is damaged
+const OVERSPEED_DAMAGE_TIME = 1.5;
+
+/**
+ * A single deployable device (gear leg set, flap set or speedbrake)
+ */
+class ConfigurationDevice {
+  /**
+   * @param {Object} spec - Device spec from AIRCRAFT_TYPES[id].configuration
+   */
+  constructor(spec) {
+    this.spec = spec;
+    this.position = 0;       // 0 = stowed, 1 = fully deployed
+    this.target = 0;
+    this.overspeedTime = 0;  // seconds spent deployed above the limit speed
+    this.isDamaged = false;
+  }
+
+  /**
+   * Whether the device is still moving toward its commanded position
+   * @returns {boolean}
+   */
+  isMoving() {
+    return this.position !== this.target;
+  }
+
+  /**
+   * Command a new position; ignored once the device is jammed
+   * @param {number} target - 0 to 1
+   */
+  command(target) {
+    if (this.isDamaged) return;
+    this.target = target;
+  }
+
+  /**
+   * Move toward the commanded position and check the limit speed
+   * @param {number} deltaTime - Time step in seconds
+   * @param {number} equivalentSpeed - Equivalent airspeed in ft/s
+   */
+  update(deltaTime, equivalentSpeed) {
+    if (!this.isDamaged && this.isMoving()) {
+      const step = deltaTime / this.spec.transitionTime;
+      const delta = this.target - this.position;
+      this.position = Math.abs(delta) <= step ? this.target : this.position + Math.sign(delta) * step;
+    }
+
+    const limit = this.spec.limitSpeed;
+    if (limit !== null && this.position > 0 && equivalentSpeed > limit) {
+      this.overspeedTime += deltaTime;
+      if (this.overspeedTime >= OVERSPEED_DAMAGE_TIME) {
+        this.isDamaged = true;
+        this.target = this.position;
+      }
+    } else {
+      this.overspeedTime = 0;
+    }
+  }
+}
+
+export class AirframeConfiguration {
+  /**
+   * @param {Object} spec - AIRCRAFT_TYPES[id].configuration
+   */
+  constructor(spec) {
+    this.gear = new ConfigurationDevice(spec.gear);
+    this.flaps = new ConfigurationDevice(spec.flaps);
+    this.speedBrake = new ConfigurationDevice(spec.speedBrake);
+
+    this.flapSettings = spec.flaps.settings;
+    this.flapSetting = 0;  // index into flapSettings
+    this.hydraulicPower = true;
+
+    // Key states from the previous frame, for press detection
+    this._previousInput = { gear: false, flaps: false, speedBrake: false };
+  }
+
+  // ============================================
+  // Public API - Commands
+  // ============================================
+
+  /**
+   * Toggle devices on key press (not while held)
+   * @param {Object} inputState - Current input state
+   * @param {boolean} onGround - Gear cannot retract with weight on wheels
+   */
+  handleInput(inputState, onGround) {
+    const previous = this._previousInput;
+
+    if (inputState.gear && !previous.gear && !onGround) {
+      this.setGear(this.gear.target < 1);
+    }
+    if (inputState.flaps && !previous.flaps) {
+      this.cycleFlaps();
+    }
+    if (inputState.speedBrake && !previous.speedBrake) {
+      this.setSpeedBrake(this.speedBrake.target < 1);
+    }
+
+    previous.gear = inputState.gear;
+    previous.flaps = inputState.flaps;
+    previous.speedBrake = inputState.speedBrake;
+  }
+
+  /**
+   * Command the landing gear
+   * @param {boolean} down - True to extend
+   * @param {boolean} [immediate=false] - Skip the transition (spawning on the ground)
+   */
+  setGear(down, immediate = false) {
+    if (!down && !this.hydraulicPower) return;
+    this.gear.command(down ? 1 : 0);
+    if (immediate && !this.gear.isDamaged) this.gear.position = this.gear.target;
+  }
+
+  /**
+   * Step the flap handle to the next setting, wrapping from fully down to up
+   */
+  cycleFlaps() {
+    if (this.flaps.isDamaged || !this.hydraulicPower) return;
+    this.flapSetting = (this.flapSetting + 1) % this.flapSettings.length;
+    this.flaps.command(this.flapSettings[this.flapSetting].position);
+  }
+
+  /**
+   * Command the speedbrake
+   * @param {boolean} extended - True to extend
+   */
+  setSpeedBrake(extended) {
+    if (!this.hydraulicPower) return;
+    this.speedBrake.command(extended ? 1 : 0);
+  }
+
+  /**
+   * Connect or lose hydraulic power; losing it stops the flaps and
+   * speedbrake where they are and halts a retracting gear
+   * @param {boolean} powered
+   */
+  setHydraulicPower(powered) {
+    this.hydraulicPower = powered;
+    if (powered) return;
+    this.flaps.target = this.flaps.position;
+    this.speedBrake.target = this.speedBrake.position;
+    this.gear.target = Math.max(this.gear.target, this.gear.position);
+  }
+
+  // ============================================
+  // Public API - Updates and queries
+  // ============================================
+
+  /**
+   * Animate every device and apply limit speed damage
+   * @param {number} deltaTime - Time step in seconds
+   * @param {number} speed - True airspeed in ft/s
+   * @param {number} altitude - Altitude in feet
+   */
+  update(deltaTime, speed, altitude) {
+    const equivalentSpeed = speed * Math.sqrt(getDensityRatio(altitude));
+    this.gear.update(deltaTime, equivalentSpeed);
+    this.flaps.update(deltaTime, equivalentSpeed);
+    this.speedBrake.update(deltaTime, equivalentSpeed);
+  }
+
+  /**
+   * Combined aerodynamic effect of the current device positions
+   * @returns {{dragIncrement: number, liftIncrement: number}} For FlightModel
+   */
+  getEffects() {
+    let dragIncrement = 0;
+    let liftIncrement = 0;
+    for (const device of [this.gear, this.flaps, this.speedBrake]) {
+      dragIncrement += device.position * device.spec.drag;
+      liftIncrement += device.position * device.spec.lift;
+    }
+    return { dragIncrement, liftIncrement };
+  }
+
+  /**
+   * Whether the gear is fully extended (and can take a landing)
+   * @returns {boolean}
+   */
+  isGearDown() {
+    return this.gear.position >= 1;
+  }
+
+  /**
+   * Label of the current flap handle setting
+   * @returns {string}
+   */
+  getFlapLabel() {
+    return this.flapSettings[this.flapSetting].label;
+  }
+
+  /**
+   * Status light state for a device
+   * @param {string} name - 'gear', 'flaps' or 'speedBrake'
+   * @returns {string} 'off', 'on', 'moving' or 'damaged'
+   */
+  getLightState(name) {
+    const device = this[name];
+    if (device.isDamaged) return 'damaged';
+    if (device.isMoving()) return 'moving';
+    return device.position > 0 ? 'on' : 'off';
+  }
+}
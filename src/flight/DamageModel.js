@@ -0,0 +1,233 @@
+/**
+ * DamageModel - Hit points per airframe subsystem and what their loss does
+ *
+ * Each hit lands on one subsystem, chosen by its exposure, and takes hit
+ * points off it. A subsystem is 'ok' at full hit points, 'damaged' below,
+ * and 'failed' at zero:
+ * - structure: fails by breaking up, which destroys the aircraft
+ * - engine: thrust falls with its health, none once failed
+ * - fuel: tanks leak faster the more they are holed
+ * - hydraulics: once failed, stick authority drops to manual reversion and
+ *   the gear, flaps and speedbrake no longer move (the gear can still drop)
+ * - controls: stick and climb authority fall with their health, leaving
+ *   only a little once failed
+ * - radar: detection range falls with its health, nothing once failed
+ *
+ * A failing engine or fuel system may catch fire; a fire burns away the
+ * structure until the aircraft breaks up. Any failure or fire is critical
+ * damage, the cue to head home or eject.
+ */
+
+import { DAMAGE_DEFAULTS } from '../data/aircraft.js';
+
+export class DamageModel {
+  /**
+   * @param {Object} [constants] - Overrides for DAMAGE_DEFAULTS
+   */
+  constructor(constants = {}) {
+    this.constants = { ...DAMAGE_DEFAULTS, ...constants };
+
+    this.systems = {};
+    for (const [id, spec] of Object.entries(this.constants.systems)) {
+      this.systems[id] = { id, name: spec.name, maxHitPoints: spec.hitPoints, hitPoints: spec.hitPoints };
+    }
+    this.isBurning = false;
+  }
+
+  // ============================================
+  // Public API - Commands
+  // ============================================
+
+  /**
+   * Take hits, each on a subsystem chosen by exposure
+   * @param {number} damage - Hit points per hit
+   * @param {number} [count=1] - Number of hits
+   * @returns {Object[]} Events: { type, system }, with type 'damaged' (first
+   *   damage to a subsystem), 'failed' or 'fire'
+   */
+  applyHits(damage, count = 1) {
+    const events = [];
+    for (let i = 0; i < count; i++) {
+      events.push(...this.damageSystem(this._pickSystem(), damage));
+    }
+    return events;
+  }
+
+  /**
+   * Take hit points off one subsystem
+   * @param {string} systemId
+   * @param {number} damage - Hit points
+   * @returns {Object[]} Events, as applyHits()
+   */
+  damageSystem(systemId, damage) {
+    const system = this.systems[systemId];
+    if (!system || system.hitPoints <= 0 || damage <= 0) return [];
+
+    const events = [];
+    if (system.hitPoints === system.maxHitPoints) {
+      events.push({ type: 'damaged', system: systemId });
+    }
+    system.hitPoints = Math.max(0, system.hitPoints - damage);
+
+    if (system.hitPoints === 0) {
+      events.push({ type: 'failed', system: systemId });
+      if ((systemId === 'engine' || systemId === 'fuel') && !this.isBurning &&
+          Math.random() < this.constants.fireChance) {
+        this.isBurning = true;
+        events.push({ type: 'fire', system: systemId });
+      }
+    }
+    return events;
+  }
+
+  /**
+   * Burn away the structure while on fire
+   * @param {number} deltaTime - Time step in seconds
+   * @returns {Object[]} Events, as applyHits()
+   */
+  update(deltaTime) {
+    if (!this.isBurning) return [];
+    return this.damageSystem('structure', this.constants.fireDamageRate * deltaTime);
+  }
+
+  /**
+   * Put the fire out (on the ground)
+   */
+  extinguish() {
+    this.isBurning = false;
+  }
+
+  /**
+   * Restore subsystem health, e.g. carried over from a previous sortie
+   * @param {Object|null} state - From getState()
+   */
+  setState(state) {
+    if (!state) return;
+    for (const [id, health] of Object.entries(state.systems || {})) {
+      const system = this.systems[id];
+      if (system) system.hitPoints = system.maxHitPoints * Math.max(0, Math.min(1, health));
+    }
+    this.isBurning = !!state.isBurning;
+  }
+
+  // ============================================
+  // Public API - Queries
+  // ============================================
+
+  /**
+   * Health of a subsystem
+   * @param {string} systemId
+   * @returns {number} 1 undamaged to 0 failed
+   */
+  getHealth(systemId) {
+    const system = this.systems[systemId];
+    return system ? system.hitPoints / system.maxHitPoints : 1;
+  }
+
+  /**
+   * Condition of a subsystem
+   * @param {string} systemId
+   * @returns {string} 'ok', 'damaged' or 'failed'
+   */
+  getStatus(systemId) {
+    const health = this.getHealth(systemId);
+    return health >= 1 ? 'ok' : health > 0 ? 'damaged' : 'failed';
+  }
+
+  /**
+   * Whether a subsystem has no hit points left
+   * @param {string} systemId
+   * @returns {boolean}
+   */
+  isFailed(systemId) {
+    return this.getHealth(systemId) <= 0;
+  }
+
+  /**
+   * Whether the structure has failed and the aircraft broken up
+   * @returns {boolean}
+   */
+  isDestroyed() {
+    return this.isFailed('structure');
+  }
+
+  /**
+   * Any failure or fire: time to go home, or to leave the aircraft
+   * @returns {boolean}
+   */
+  isCritical() {
+    return this.isBurning || Object.keys(this.systems).some((id) => this.isFailed(id));
+  }
+
+  /**
+   * Overall damage for effects: 0 undamaged to 1 every hit point gone
+   * @returns {number}
+   */
+  getSeverity() {
+    let max = 0;
+    let lost = 0;
+    for (const system of Object.values(this.systems)) {
+      max += system.maxHitPoints;
+      lost += system.maxHitPoints - system.hitPoints;
+    }
+    return max > 0 ? lost / max : 0;
+  }
+
+  /**
+   * What the damage does to the aircraft's systems
+   * @returns {{thrustFactor: number, stickAuthority: number, hydraulicPower: boolean,
+   *   radarFactor: number, leakRate: number}} Thrust and authority multipliers,
+   *   whether the gear, flaps and speedbrake can be driven, detection range
+   *   multiplier (0 when failed) and fuel leak in lb/s
+   */
+  getEffects() {
+    const c = this.constants;
+    const scaled = (systemId, min) => {
+      const health = this.getHealth(systemId);
+      return health > 0 ? min + (1 - min) * health : 0;
+    };
+
+    const hydraulicPower = !this.isFailed('hydraulics');
+    const controls = Math.max(c.controlsMinAuthority * 0.5, scaled('controls', c.controlsMinAuthority));
+    return {
+      thrustFactor: scaled('engine', c.engineMinThrust),
+      stickAuthority: controls * (hydraulicPower ? 1 : c.hydraulicsLostAuthority),
+      hydraulicPower,
+      radarFactor: scaled('radar', c.radarMinRange),
+      leakRate: (1 - this.getHealth('fuel')) * c.maxLeakRate
+    };
+  }
+
+  /**
+   * Subsystem health and fire, for the sortie result and the campaign
+   * @returns {{systems: Object<string, number>, isBurning: boolean}}
+   */
+  getState() {
+    const systems = {};
+    for (const id of Object.keys(this.systems)) {
+      systems[id] = this.getHealth(id);
+    }
+    return { systems, isBurning: this.isBurning };
+  }
+
+  // ============================================
+  // Private Methods
+  // ============================================
+
+  /**
+   * Subsystem a hit lands on, by exposure; a failed subsystem passes the hit
+   * on to the structure
+   * @private
+   */
+  _pickSystem() {
+    const specs = Object.entries(this.constants.systems);
+    const total = specs.reduce((sum, [, spec]) => sum + spec.exposure, 0);
+
+    let roll = Math.random() * total;
+    for (const [id, spec] of specs) {
+      roll -= spec.exposure;
+      if (roll <= 0) return this.isFailed(id) ? 'structure' : id;
+    }
+    return 'structure';
+  }
+}
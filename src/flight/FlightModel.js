@@ -0,0 +1,350 @@
+/**
+ * FlightModel - Energy-maneuverability flight model
+ *
+ * Computes thrust, drag and specific excess power for an aircraft and
+ * integrates speed, altitude and heading from stick, throttle and climb
+ * commands. Total energy (altitude + kinetic) only changes through
+ * specific excess power, so climbing costs airspeed, diving buys it back,
+ * and pulling G bleeds speed through induced drag.
+ *
+ * The model is stateless: all per-aircraft state lives on the caller's
+ * state object, so one instance can serve every aircraft of a type.
+ * Gear, flaps and speedbrake enter as configuration effects: a fractional
+ * increase in parasite drag and in maximum lift (see AirframeConfiguration).
+ */
+
+import { FLIGHT_MODEL_DEFAULTS } from '../data/aircraft.js';
+import { interpolateCurve } from '../utils/math.js';
+
+// Effects of a clean airframe (gear, flaps and speedbrake stowed)
+export const CLEAN_CONFIGURATION = { dragIncrement: 0, liftIncrement: 0 };
+
+// Standard atmosphere: troposphere ends at 36,089 ft
+const TROPOPAUSE_FT = 36089;
+const TROPOPAUSE_SIGMA = 0.2971;
+
+/**
+ * Air density ratio (sigma) relative to sea level, ISA
+ * @param {number} altitude - Altitude in feet
+ * @returns {number} Density ratio in (0, 1]
+ */
+export function getDensityRatio(altitude) {
+  const h = Math.max(0, altitude);
+  if (h <= TROPOPAUSE_FT) {
+    return Math.pow(1 - 6.8756e-6 * h, 4.2559);
+  }
+  return TROPOPAUSE_SIGMA * Math.exp(-(h - TROPOPAUSE_FT) / 20806);
+}
+
+export class FlightModel {
+  /**
+   * @param {Object} performance - Performance table (see AIRCRAFT_TYPES[id].performance)
+   * @param {Object} [constants] - Overrides for FLIGHT_MODEL_DEFAULTS
+   */
+  constructor(performance, constants = {}) {
+    this.performance = performance;
+    this.constants = { ...FLIGHT_MODEL_DEFAULTS, ...constants };
+  }
+
+  // ============================================
+  // Performance queries
+  // ============================================
+
+  /**
+   * Engine thrust for a throttle setting
+   * 0-1 spans idle to military power, 1-afterburnerMax spans the afterburner
+   * @param {number} throttle - Throttle position
+   * @param {number} altitude - Altitude in feet
+   * @param {number} [speed=0] - True airspeed in ft/s (for the ram effect curve)
+   * @returns {number} Thrust in lbf
+   */
+  getThrust(throttle, altitude, speed = 0) {
+    const p = this.performance;
+    const abMax = this.constants.afterburnerMax;
+
+    let seaLevelThrust;
+    if (throttle <= 1) {
+      const t = Math.max(0, throttle);
+      seaLevelThrust = p.thrustIdle + (p.thrustMil - p.thrustIdle) * t;
+    } else {
+      const t = Math.min(1, (throttle - 1) / (abMax - 1));
+      seaLevelThrust = p.thrustMil + (p.thrustMax - p.thrustMil) * t;
+    }
+
+    const sigma = getDensityRatio(altitude);
+    const ram = interpolateCurve(p.thrustCurve, speed);
+    return seaLevelThrust * ram * Math.pow(sigma, this.constants.thrustLapseExponent);
+  }
+
+  /**
+   * Total drag at a given speed, altitude and load factor
+   * @param {number} speed - True airspeed in ft/s
+   * @param {number} altitude - Altitude in feet
+   * @param {number} [loadFactor=1] - Load factor (G)
+   * @param {Object} [configuration] - Configuration effects (default clean)
+   * @returns {number} Drag in lbf
+   */
+  getDrag(speed, altitude, loadFactor = 1, configuration = CLEAN_CONFIGURATION) {
+    const p = this.performance;
+    const sigma = getDensityRatio(altitude);
+    const v = Math.max(this.constants.minSpeed, speed);
+
+    const parasite = this._getParasiteFactor(v) * (1 + configuration.dragIncrement) * sigma * v * v;
+    const lift = loadFactor * p.weight;
+    const induced = p.inducedDrag * lift * lift / (sigma * v * v);
+
+    return parasite + induced;
+  }
+
+  /**
+   * Specific excess power, Ps = (T - D) * V / W
+   * Positive Ps can be spent on climb or acceleration
+   * @param {number} speed - True airspeed in ft/s
+   * @param {number} altitude - Altitude in feet
+   * @param {number} throttle - Throttle position
+   * @param {number} [loadFactor=1] - Load factor (G)
+   * @param {number} [thrustFactor=1] - Fraction of engine thrust available (0 = flamed out)
+   * @param {Object} [configuration] - Configuration effects (default clean)
+   * @returns {number} Ps in ft/s
+   */
+  getSpecificExcessPower(speed, altitude, throttle, loadFactor = 1, thrustFactor = 1,
+    configuration = CLEAN_CONFIGURATION) {
+    const thrust = this.getThrust(throttle, altitude, speed) * thrustFactor;
+    const drag = this.getDrag(speed, altitude, loadFactor, configuration);
+    return (thrust - drag) * speed / this.performance.weight;
+  }
+
+  /**
+   * 1g stall speed at altitude (true airspeed)
+   * @param {number} altitude - Altitude in feet
+   * @param {Object} [configuration] - Configuration effects (default clean)
+   * @returns {number} Stall speed in ft/s
+   */
+  getStallSpeed(altitude, configuration = CLEAN_CONFIGURATION) {
+    const liftRatio = getDensityRatio(altitude) * (1 + configuration.liftIncrement);
+    return this.performance.stallSpeed / Math.sqrt(liftRatio);
+  }
+
+  /**
+   * Corner speed: lowest speed at which the structural G limit is available
+   * @param {number} altitude - Altitude in feet
+   * @param {Object} [configuration] - Configuration effects (default clean)
+   * @returns {number} Corner speed in ft/s
+   */
+  getCornerSpeed(altitude, configuration = CLEAN_CONFIGURATION) {
+    return this.getStallSpeed(altitude, configuration) * Math.sqrt(this.performance.gLimit);
+  }
+
+  /**
+   * Maximum load factor the wing can generate (aerodynamic limit only)
+   * @param {number} speed - True airspeed in ft/s
+   * @param {number} altitude - Altitude in feet
+   * @param {Object} [configuration] - Configuration effects (default clean)
+   * @returns {number} Load factor
+   */
+  getLiftLimitedLoadFactor(speed, altitude, configuration = CLEAN_CONFIGURATION) {
+    const ratio = speed / this.getStallSpeed(altitude, configuration);
+    return ratio * ratio;
+  }
+
+  /**
+   * Maximum usable load factor (aerodynamic or structural, whichever is lower)
+   * @param {number} speed - True airspeed in ft/s
+   * @param {number} altitude - Altitude in feet
+   * @param {Object} [configuration] - Configuration effects (default clean)
+   * @returns {number} Load factor
+   */
+  getMaxLoadFactor(speed, altitude, configuration = CLEAN_CONFIGURATION) {
+    return Math.min(this.performance.gLimit, this.getLiftLimitedLoadFactor(speed, altitude, configuration));
+  }
+
+  /**
+   * Level turn rate for a given speed and load factor
+   * @param {number} speed - True airspeed in ft/s
+   * @param {number} loadFactor - Load factor (G)
+   * @returns {number} Turn rate in radians/second
+   */
+  getTurnRate(speed, loadFactor) {
+    if (loadFactor <= 1) return 0;
+    const v = Math.max(this.constants.minSpeed, speed);
+    return this.constants.gravity * Math.sqrt(loadFactor * loadFactor - 1) / v;
+  }
+
+  /**
+   * Instantaneous (maximum) turn rate at the current energy state
+   * @param {number} speed - True airspeed in ft/s
+   * @param {number} altitude - Altitude in feet
+   * @param {Object} [configuration] - Configuration effects (default clean)
+   * @returns {number} Turn rate in radians/second
+   */
+  getInstantaneousTurnRate(speed, altitude, configuration = CLEAN_CONFIGURATION) {
+    return this.getTurnRate(speed, this.getMaxLoadFactor(speed, altitude, configuration));
+  }
+
+  /**
+   * Load factor at which thrust exactly balances drag (Ps = 0)
+   * @param {number} speed - True airspeed in ft/s
+   * @param {number} altitude - Altitude in feet
+   * @param {number} throttle - Throttle position
+   * @param {Object} [configuration] - Configuration effects (default clean)
+   * @returns {number} Sustained load factor (0 if level flight cannot be held)
+   */
+  getSustainedLoadFactor(speed, altitude, throttle, configuration = CLEAN_CONFIGURATION) {
+    const p = this.performance;
+    const sigma = getDensityRatio(altitude);
+    const v = Math.max(this.constants.minSpeed, speed);
+
+    const parasite = this._getParasiteFactor(v) * (1 + configuration.dragIncrement) * sigma * v * v;
+    const excessThrust = this.getThrust(throttle, altitude, v) - parasite;
+    if (excessThrust <= 0) return 0;
+
+    const nSquared = excessThrust * sigma * v * v / (p.inducedDrag * p.weight * p.weight);
+    return Math.min(Math.sqrt(nSquared), this.getMaxLoadFactor(speed, altitude, configuration));
+  }
+
+  /**
+   * Sustained turn rate (no energy loss) at the current energy state
+   * @param {number} speed - True airspeed in ft/s
+   * @param {number} altitude - Altitude in feet
+   * @param {number} throttle - Throttle position
+   * @param {Object} [configuration] - Configuration effects (default clean)
+   * @returns {number} Turn rate in radians/second
+   */
+  getSustainedTurnRate(speed, altitude, throttle, configuration = CLEAN_CONFIGURATION) {
+    return this.getTurnRate(speed, this.getSustainedLoadFactor(speed, altitude, throttle, configuration));
+  }
+
+  /**
+   * Energy height: altitude the aircraft could reach by trading all airspeed
+   * @param {number} speed - True airspeed in ft/s
+   * @param {number} altitude - Altitude in feet
+   * @returns {number} Energy height in feet
+   */
+  getEnergyHeight(speed, altitude) {
+    return altitude + speed * speed / (2 * this.constants.gravity);
+  }
+
+  // ============================================
+  // Integration
+  // ============================================
+
+  /**
+   * Advance the flight state by one time step
+   *
+   * @param {Object} state - Mutable flight state
+   * @param {number} state.speed - True airspeed (ft/s)
+   * @param {number} state.altitude - Altitude (ft)
+   * @param {number} state.heading - Heading in radians (0 = north, clockwise)
+   * @param {number} state.verticalSpeed - Climb rate (ft/s)
+   * @param {Object} controls
+   * @param {number} controls.throttle - Throttle position (0 to afterburnerMax)
+   * @param {number} controls.stick - Turn command, -1 (left) to 1 (right)
+   * @param {number} controls.climb - Flight path command, -1 (dive) to 1 (climb)
+   * @param {number} [controls.thrustFactor=1] - Fraction of engine thrust available
+   * @param {Object} [controls.configuration] - Configuration effects (default clean)
+   * @param {number} deltaTime - Time step in seconds
+   * @returns {{loadFactor: number, specificExcessPower: number, stalled: boolean}}
+   */
+  step(state, controls, deltaTime) {
+    const c = this.constants;
+    const p = this.performance;
+    const speed = Math.max(c.minSpeed, state.speed);
+    const altitude = state.altitude;
+    const configuration = controls.configuration ?? CLEAN_CONFIGURATION;
+
+    // Available G and stall state
+    const liftLimit = this.getLiftLimitedLoadFactor(speed, altitude, configuration);
+    const maxLoadFactor = Math.min(p.gLimit, liftLimit);
+    const stalled = liftLimit < 1;
+
+    // Stick commands a fraction of the available G (instantaneous turn)
+    // A stalled wing only produces the lift it can, and no turn
+    let loadFactor = liftLimit;
+    if (!stalled) {
+      loadFactor = 1 + Math.abs(controls.stick) * (maxLoadFactor - 1);
+    }
+    const turnRate = this.getTurnRate(speed, loadFactor);
+    state.heading += Math.sign(controls.stick) * turnRate * deltaTime;
+
+    // Flight path: Q/E command a climb angle, vertical speed eases toward it
+    const maxClimbAngle = c.maxClimbAngle * Math.PI / 180;
+    if (stalled) {
+      // Wing can't hold the aircraft up: the missing lift accelerates it down
+      state.verticalSpeed -= c.gravity * (1 - liftLimit) * deltaTime;
+      state.verticalSpeed = Math.max(-speed, state.verticalSpeed);
+    } else {
+      const targetVerticalSpeed = controls.climb * speed * Math.sin(maxClimbAngle);
+      const pathBlend = Math.min(1, deltaTime * c.flightPathRate);
+      state.verticalSpeed += (targetVerticalSpeed - state.verticalSpeed) * pathBlend;
+    }
+
+    // Energy: dE/dt = Ps, with E = h + V^2 / 2g
+    // Whatever Ps is not spent on climbing changes airspeed
+    const thrustFactor = controls.thrustFactor ?? 1;
+    const ps = this.getSpecificExcessPower(speed, altitude, controls.throttle, loadFactor, thrustFactor, configuration);
+    const acceleration = c.gravity * (ps - state.verticalSpeed) / speed;
+
+    state.speed = Math.max(c.minSpeed, Math.min(p.maxSpeed, speed + acceleration * deltaTime));
+    state.altitude = altitude + state.verticalSpeed * deltaTime;
+
+    return { loadFactor, specificExcessPower: ps, stalled };
+  }
+
+  /**
+   * Advance a ground roll by one time step
+   * Wheels carry whatever weight the wing doesn't; rolling or braking
+   * friction acts on that normal force. Altitude and vertical speed are
+   * left to the caller, which holds the aircraft on the surface.
+   *
+   * @param {Object} state - Mutable flight state (speed, altitude, heading)
+   * @param {Object} controls
+   * @param {number} controls.throttle - Throttle position (0 to afterburnerMax)
+   * @param {number} controls.stick - Nosewheel steering, -1 (left) to 1 (right)
+   * @param {boolean} controls.braking - Wheel brakes applied
+   * @param {number} [controls.thrustFactor=1] - Fraction of engine thrust available
+   * @param {Object} [controls.configuration] - Configuration effects (default clean)
+   * @param {number} deltaTime - Time step in seconds
+   * @returns {{loadFactor: number, specificExcessPower: number, stalled: boolean}}
+   */
+  stepGround(state, controls, deltaTime) {
+    const c = this.constants;
+    const p = this.performance;
+    const speed = Math.max(0, state.speed);
+    const configuration = controls.configuration ?? CLEAN_CONFIGURATION;
+
+    // Lift builds with speed, reaching full weight at the 1g stall speed
+    const liftRatio = Math.min(1, this.getLiftLimitedLoadFactor(speed, state.altitude, configuration));
+    const normalForce = p.weight * (1 - liftRatio);
+    const friction = (controls.braking ? c.brakingFriction : c.rollingFriction) * normalForce;
+
+    const thrust = this.getThrust(controls.throttle, state.altitude, speed) * (controls.thrustFactor ?? 1);
+    const drag = speed > 0 ? this.getDrag(speed, state.altitude, liftRatio, configuration) : 0;
+    const acceleration = c.gravity * (thrust - drag - friction) / p.weight;
+
+    state.speed = Math.max(0, Math.min(p.maxSpeed, speed + acceleration * deltaTime));
+    state.verticalSpeed = 0;
+
+    // Nosewheel steering only works while rolling
+    if (state.speed > 0) {
+      state.heading += controls.stick * c.groundTurnRate * Math.PI / 180 * deltaTime;
+    }
+
+    return {
+      loadFactor: 1,
+      specificExcessPower: (thrust - drag) * speed / p.weight,
+      stalled: false
+    };
+  }
+
+  // ============================================
+  // Private Methods
+  // ============================================
+
+  /**
+   * Zero-lift drag factor including the transonic drag rise curve
+   * @private
+   */
+  _getParasiteFactor(speed) {
+    return this.performance.parasiteDrag * interpolateCurve(this.performance.dragCurve, speed);
+  }
+}
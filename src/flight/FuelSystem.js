@@ -0,0 +1,181 @@
+/**
+ * FuelSystem - Internal/external fuel state and consumption
+ *
+ * Fuel flow follows engine thrust through a thrust specific fuel
+ * consumption: dry TSFC up to the military detent, wet TSFC in the
+ * afterburner region. Thrust already lapses with altitude, so climbing
+ * high stretches the tanks. External tanks feed first, then internal.
+ *
+ * Bingo is the fuel needed to cruise back to the nearest field at the
+ * current altitude and still land with the reserve; joker is a fixed
+ * margin above bingo. When every tank is dry the engine flames out.
+ *
+ * Holed internal tanks leak at leakRate on top of what the engine burns
+ * (set from the damage model each frame).
+ */
+
+import { FUEL_DEFAULTS } from '../data/aircraft.js';
+import { getFuelTank } from '../data/stores.js';
+
+export class FuelSystem {
+  /**
+   * @param {Object} type - Aircraft type definition (see AIRCRAFT_TYPES)
+   * @param {Object<number, string|null>} loadout - Store id per station
+   * @param {FlightModel} flightModel - Flight model used for thrust and drag
+   * @param {Object} [constants] - Overrides for FUEL_DEFAULTS
+   */
+  constructor(type, loadout, flightModel, constants = {}) {
+    this.flightModel = flightModel;
+    this.consumption = type.fuelConsumption;
+    this.cruiseSpeed = type.performance.cruiseSpeed;
+    this.constants = { ...FUEL_DEFAULTS, ...constants };
+
+    this.internalCapacity = type.fuelCapacity;
+    this.internal = this.internalCapacity;
+
+    // External tanks in station order, each with its own contents
+    this.tanks = [];
+    for (const [station, storeId] of Object.entries(loadout)) {
+      const tank = getFuelTank(storeId);
+      if (tank) {
+        this.tanks.push({ station: Number(station), storeId, capacity: tank.capacity, fuel: tank.capacity });
+      }
+    }
+
+    // Current consumption and recovery planning (updated each frame)
+    this.fuelFlow = 0;        // lb/hr
+    this.leakRate = 0;        // lb/s lost from the internal tanks
+    this.bingoFuel = 0;       // lb
+    this.jokerFuel = 0;       // lb
+    this.isFlamedOut = false;
+  }
+
+  // ============================================
+  // Public API - Queries
+  // ============================================
+
+  /**
+   * Fuel remaining in external tanks
+   * @returns {number} lb
+   */
+  getExternal() {
+    let total = 0;
+    for (const tank of this.tanks) total += tank.fuel;
+    return total;
+  }
+
+  /**
+   * Combined capacity of all external tanks
+   * @returns {number} lb
+   */
+  getExternalCapacity() {
+    let total = 0;
+    for (const tank of this.tanks) total += tank.capacity;
+    return total;
+  }
+
+  /**
+   * Total fuel remaining, internal plus external
+   * @returns {number} lb
+   */
+  getTotal() {
+    return this.internal + this.getExternal();
+  }
+
+  /**
+   * Engine fuel flow for a throttle setting
+   * @param {number} throttle - Throttle position (0 to afterburnerMax)
+   * @param {number} altitude - Altitude in feet
+   * @param {number} speed - True airspeed in ft/s
+   * @returns {number} Fuel flow in lb/hr
+   */
+  getFuelFlow(throttle, altitude, speed) {
+    if (this.isFlamedOut) return 0;
+    const tsfc = throttle > 1 ? this.consumption.wet : this.consumption.dry;
+    return this.flightModel.getThrust(throttle, altitude, speed) * tsfc;
+  }
+
+  /**
+   * Current fuel call: 'bingo', 'joker', or null while above joker
+   * @returns {string|null}
+   */
+  getCall() {
+    const total = this.getTotal();
+    if (total <= this.bingoFuel) return 'bingo';
+    if (total <= this.jokerFuel) return 'joker';
+    return null;
+  }
+
+  /**
+   * Endurance at the current fuel flow and leak
+   * @returns {number} Seconds until the tanks are dry (Infinity if not burning)
+   */
+  getEndurance() {
+    const loss = this.fuelFlow / 3600 + this.leakRate;
+    if (loss <= 0) return Infinity;
+    return this.getTotal() / loss;
+  }
+
+  // ============================================
+  // Public API - Updates
+  // ============================================
+
+  /**
+   * Burn fuel for one time step
+   * @param {number} deltaTime - Time step in seconds
+   * @param {number} throttle - Throttle position
+   * @param {number} altitude - Altitude in feet
+   * @param {number} speed - True airspeed in ft/s
+   */
+  update(deltaTime, throttle, altitude, speed) {
+    this.fuelFlow = this.getFuelFlow(throttle, altitude, speed);
+    let burn = this.fuelFlow / 3600 * deltaTime;
+
+    // External tanks feed first
+    for (const tank of this.tanks) {
+      if (burn <= 0) break;
+      const used = Math.min(tank.fuel, burn);
+      tank.fuel -= used;
+      burn -= used;
+    }
+    this.internal = Math.max(0, this.internal - burn - this.leakRate * deltaTime);
+
+    if (this.getTotal() <= 0) {
+      this.isFlamedOut = true;
+      this.fuelFlow = 0;
+    }
+  }
+
+  /**
+   * Recompute bingo and joker fuel for the recovery field
+   * Assumes a cruise-speed return at the current altitude
+   * @param {number|null} distance - Distance to the nearest friendly field (ft), null if none
+   * @param {number} altitude - Altitude in feet
+   */
+  updateRecovery(distance, altitude) {
+    const c = this.constants;
+    if (distance === null) {
+      // Nowhere to go: only the landing reserve counts
+      this.bingoFuel = c.reserve + c.approachAllowance;
+      this.jokerFuel = this.bingoFuel + c.jokerMargin;
+      return;
+    }
+
+    // Level cruise: thrust equals drag, so fuel flow follows drag
+    const cruiseDrag = this.flightModel.getDrag(this.cruiseSpeed, altitude, 1);
+    const cruiseFlow = cruiseDrag * this.consumption.dry / 3600;  // lb/s
+    const returnTime = distance / this.cruiseSpeed;
+
+    this.bingoFuel = c.reserve + c.approachAllowance + cruiseFlow * returnTime;
+    this.jokerFuel = this.bingoFuel + c.jokerMargin;
+  }
+
+  /**
+   * Fill every tank and relight the engine
+   */
+  refuel() {
+    this.internal = this.internalCapacity;
+    for (const tank of this.tanks) tank.fuel = tank.capacity;
+    this.isFlamedOut = false;
+  }
+}
@@ -0,0 +1,113 @@
+/**
+ * GroundCollision - Terrain clearance, ground proximity warning and impact
+ *
+ * Ground height comes from sampleTerrainElevation(), with airbase flatten
+ * zones applied so runways sit at field elevation like the rendered mesh.
+ * Anything below sea level is water with its surface at 0 ft.
+ *
+ * The warning projects the current flight path a few seconds ahead and
+ * triggers if it meets terrain. Paths that end on a runway are treated as
+ * approaches and do not warn.
+ */
+
+import { sampleRawElevation } from '../terrain/TerrainSampler.js';
+import { GROUND_COLLISION_DEFAULTS } from '../data/aircraft.js';
+import { RUNWAY_DEFAULTS } from '../data/airbases.js';
+
+export class GroundCollision {
+  /**
+   * @param {AirbaseRegistry|null} airbaseRegistry - Registry for runway surfaces
+   * @param {Object} [constants] - Overrides for GROUND_COLLISION_DEFAULTS
+   */
+  constructor(airbaseRegistry, constants = {}) {
+    this.airbaseRegistry = airbaseRegistry;
+    this.constants = { ...GROUND_COLLISION_DEFAULTS, ...constants };
+    this.elevationScale = RUNWAY_DEFAULTS.elevationScale;
+  }
+
+  // ============================================
+  // Public API
+  // ============================================
+
+  /**
+   * Ground surface under a world position
+   * @param {number} worldX - World X coordinate
+   * @param {number} worldY - World Y coordinate
+   * @returns {{elevation: number, surface: string, airbase: Airbase|null}}
+   *   elevation in feet, surface is 'runway', 'terrain' or 'water'
+   */
+  getSurface(worldX, worldY) {
+    let raw = sampleRawElevation(worldX, worldY);
+
+    const nearest = this.airbaseRegistry
+      ? this.airbaseRegistry.getNearestAirbase(worldX, worldY)
+      : null;
+
+    if (nearest) {
+      const airbase = nearest.airbase;
+      const zone = airbase.flattenZone;
+      const local = airbase.toRunwayLocal(worldX, worldY);
+
+      if (Math.abs(local.along) <= zone.halfLength && Math.abs(local.across) <= zone.halfWidth) {
+        return {
+          elevation: airbase.elevation * this.elevationScale,
+          surface: 'runway',
+          airbase
+        };
+      }
+
+      raw = zone.getModifiedElevation(worldX, worldY, raw).elevation;
+    }
+
+    if (raw < 0) {
+      return { elevation: 0, surface: 'water', airbase: null };
+    }
+    return { elevation: raw * this.elevationScale, surface: 'terrain', airbase: null };
+  }
+
+  /**
+   * Check an aircraft against the ground
+   * @param {Aircraft} aircraft - Aircraft with x, y, altitude, heading, speed, verticalSpeed
+   * @returns {{
+   *   surface: Object,
+   *   clearance: number,
+   *   timeToImpact: number,
+   *   warning: boolean,
+   *   impact: boolean
+   * }} clearance in feet, timeToImpact in seconds (Infinity if none predicted)
+   */
+  check(aircraft) {
+    const surface = this.getSurface(aircraft.x, aircraft.y);
+    const clearance = aircraft.altitude - surface.elevation;
+
+    if (clearance <= 0) {
+      return { surface, clearance, timeToImpact: 0, warning: false, impact: true };
+    }
+
+    // Project the flight path ahead and look for the first terrain contact
+    const c = this.constants;
+    const groundSpeed = Math.sqrt(Math.max(0,
+      aircraft.speed * aircraft.speed - aircraft.verticalSpeed * aircraft.verticalSpeed));
+    const dirX = Math.sin(aircraft.heading);
+    const dirY = Math.cos(aircraft.heading);
+
+    let timeToImpact = Infinity;
+    let warning = false;
+
+    for (let t = c.lookAheadStep; t <= c.warningTime; t += c.lookAheadStep) {
+      const altitude = aircraft.altitude + aircraft.verticalSpeed * t;
+      const ahead = this.getSurface(
+        aircraft.x + dirX * groundSpeed * t,
+        aircraft.y + dirY * groundSpeed * t
+      );
+
+      if (altitude <= ahead.elevation) {
+        timeToImpact = t;
+        warning = ahead.surface !== 'runway';
+        break;
+      }
+    }
+
+    return { surface, clearance, timeToImpact, warning, impact: false };
+  }
+}
@@ -0,0 +1,136 @@
+/**
+ * LandingEvaluator - Touchdown validation and landing grade
+ *
+ * Samples the PAPI glideslope status while on final, then grades the
+ * touchdown from sink rate, alignment with the runway axis, distance off
+ * the centerline and the glideslope flown. Grades follow the LSO scale:
+ * OK (clean), FAIR (one deviation), NO GRADE (several). A gear-up,
+ * too-hard or badly misaligned touchdown is a crash.
+ */
+
+import { LANDING_LIMITS } from '../data/airbases.js';
+
+export class LandingEvaluator {
+  /**
+   * @param {Object} [limits] - Overrides for LANDING_LIMITS
+   */
+  constructor(limits = {}) {
+    this.limits = { ...LANDING_LIMITS, ...limits };
+
+    // Last glideslope status seen on final, and the field it belongs to
+    this.approachStatus = null;
+    this.approachAirbase = null;
+  }
+
+  // ============================================
+  // Public API
+  // ============================================
+
+  /**
+   * Record the glideslope status while the aircraft is on final
+   * @param {Aircraft} aircraft
+   * @param {{airbase: Airbase, status: string}|null} glideslope - From AirbaseRenderer.getNearestGlideslopeStatus()
+   */
+  trackApproach(aircraft, glideslope) {
+    if (aircraft.onGround || !glideslope) return;
+
+    const airbase = glideslope.airbase;
+    if (airbase.getDistanceToThreshold(aircraft.x, aircraft.y) > this.limits.approachGate) return;
+
+    // Only statuses that come from the PAPI lights describe the approach
+    const status = glideslope.status;
+    if (status === 'AT THRESHOLD' || status === 'NOT RENDERED' || status === 'UNKNOWN') return;
+
+    this.approachStatus = status;
+    this.approachAirbase = airbase;
+  }
+
+  /**
+   * Grade a touchdown on a runway
+   * @param {Aircraft} aircraft - Aircraft at the moment of contact
+   * @param {Airbase} airbase - Airbase whose runway was hit
+   * @returns {{
+   *   crashed: boolean,
+   *   grade: string,
+   *   sinkRate: number,
+   *   alignment: number,
+   *   centerlineOffset: number,
+   *   glideslope: string|null,
+   *   remarks: string[]
+   * }} sinkRate in ft/s, alignment in degrees, centerlineOffset in feet
+   */
+  evaluate(aircraft, airbase) {
+    const l = this.limits;
+    const sinkRate = Math.max(0, -aircraft.verticalSpeed);
+    const alignment = this._getAlignment(aircraft, airbase);
+    const centerlineOffset = Math.abs(airbase.toRunwayLocal(aircraft.x, aircraft.y).across);
+    const glideslope = this.approachAirbase === airbase ? this.approachStatus : null;
+
+    const remarks = [];
+    let crashed = false;
+
+    if (!aircraft.configuration.isGearDown()) {
+      remarks.push('GEAR UP');
+      crashed = true;
+    }
+    if (sinkRate > l.maxSinkRate) {
+      remarks.push('HARD');
+      crashed = true;
+    }
+    if (alignment > l.maxAlignment) {
+      remarks.push('NOT ALIGNED');
+      crashed = true;
+    }
+
+    let deviations = 0;
+    if (!crashed) {
+      if (sinkRate > l.goodSinkRate) {
+        remarks.push('FIRM');
+        deviations++;
+      }
+      if (alignment > l.goodAlignment) {
+        remarks.push('DRIFT');
+        deviations++;
+      }
+      if (centerlineOffset > airbase.runwayWidth / 2 * l.goodCenterline) {
+        remarks.push('OFF CENTER');
+        deviations++;
+      }
+      if (glideslope !== 'ON GLIDE') {
+        remarks.push(glideslope ? glideslope : 'NO APPROACH');
+        deviations++;
+      }
+    }
+
+    let grade = 'CUT';
+    if (!crashed) {
+      grade = deviations === 0 ? 'OK' : deviations === 1 ? 'FAIR' : 'NO GRADE';
+    }
+
+    return { crashed, grade, sinkRate, alignment, centerlineOffset, glideslope, remarks };
+  }
+
+  /**
+   * Forget the recorded approach (after a go-around or new sortie)
+   */
+  reset() {
+    this.approachStatus = null;
+    this.approachAirbase = null;
+  }
+
+  // ============================================
+  // Private Methods
+  // ============================================
+
+  /**
+   * Angle between the aircraft's track and the runway axis, either direction
+   * @private
+   */
+  _getAlignment(aircraft, airbase) {
+    const origin = airbase.runwayToWorld(0, 0);
+    const end = airbase.runwayToWorld(1, 0);
+    const dot = Math.sin(aircraft.heading) * (end.x - origin.x) +
+                Math.cos(aircraft.heading) * (end.z - origin.z);
+    return Math.acos(Math.min(1, Math.abs(dot))) * 180 / Math.PI;
+  }
+}
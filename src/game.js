@@ -9,40 +9,176 @@ import * as THREE from 'three';
 import * as input from './input.js';
 import * as renderer from './renderer.js';
 import { Aircraft } from './entities/aircraft.js';
+import { SmokeTrail } from './entities/SmokeTrail.js';
+import { ImpactEffects } from './entities/ImpactEffects.js';
+import { DamageModel } from './flight/DamageModel.js';
 import { TerrainRenderer } from './terrain/TerrainRenderer.js';
 import { ChunkManager } from './terrain/ChunkManager.js';
+import { LineOfSight } from './terrain/LineOfSight.js';
 import { LightingConfig, applyTimePreset } from './terrain/lighting.js';
 import { VoronoiCellManager } from './voronoi/VoronoiCellManager.js';
 import { AirbaseCellController } from './voronoi/AirbaseCellController.js';
 import { UiCellManager } from './ui/UiCellManager.js';
 import { FlightControlIndicator } from './ui/FlightControlIndicator.js';
+import { GroundCollision } from './flight/GroundCollision.js';
+import { LandingEvaluator } from './flight/LandingEvaluator.js';
+import { WeaponSystem, GUN_STORE_ID } from './weapons/WeaponSystem.js';
+import { GroundDamage } from './weapons/GroundDamage.js';
+import { Gunsight } from './ui/Gunsight.js';
+import { BombSight } from './ui/BombSight.js';
+import { AiPilot } from './ai/AiPilot.js';
+import { WingmanPilot } from './ai/WingmanPilot.js';
+import { FormationController } from './ai/FormationController.js';
+import { WingmanMenu } from './ui/WingmanMenu.js';
+import { sampleTerrainElevation } from './terrain/TerrainSampler.js';
+import { LANDING_LIMITS, RUNWAY_DEFAULTS } from './data/airbases.js';
+import { FORMATIONS } from './data/ai.js';
 import { initNoise } from './terrain/noise.js';
 import { AirbaseRegistry, AirbaseRenderer } from './airbase/index.js';
+import { GroundThreatRegistry, GroundThreatRenderer } from './threats/index.js';
 
 // Game state
 let player = null;
+let playerSmoke = null;
 let terrainRenderer = null;
 let chunkManager = null;
+let lineOfSight = null;
 let voronoiCellManager = null;
 let airbaseCellController = null;
 let uiCellManager = null;
 let airbaseRegistry = null;
 let airbaseRenderer = null;
+let threatRegistry = null;
+let threatRenderer = null;
 let flightControlIndicator = null;
+let groundCollision = null;
+let groundStatus = null;
+let landingEvaluator = null;
+let landingResult = null;
+let weaponSystem = null;
+let gunsight = null;
+let gunsightMerged = false;  // the locked target's cell had collapsed into the player's
+let bombSight = null;
+let groundDamage = null;
+let impactEffects = null;
 let debugElement = null;
+let renderTime = 0;  // ms, smoothed (see RENDER_TIME_SMOOTHING)
 let currentCameraZ = 500;
 const TERRAIN_Z = 0;
 
-// Phase 2 Test Targets
+// Test contacts for the radar: spawned ahead, flying straight and level
 const MAX_TARGETS = 5;
 const TARGET_NAMES = ['Alpha', 'Bravo', 'Charlie', 'Delta', 'Echo'];
 const TARGET_COLORS = [0xff4444, 0x44ff44, 0x4444ff, 0xffff44, 0xff44ff];
 const testTargets = [];
 let nextTargetId = 0;
+const TARGET_SPAWN_RANGE = 8 * 6076;  // ft ahead of the player
+const TARGET_SPAWN_SPREAD = 30;       // degrees either side of the nose
+const TARGET_ALTITUDE_SPREAD = 3000;  // ft above or below the player
+const TARGET_SPEED = 450;             // ft/s
+
+// Enemy aircraft flown by AI pilots, spawned ahead of the player in packages
+const MAX_ENEMIES = 4;
+const ENEMY_TYPE = 'mig29';
+const ENEMY_SKILLS = ['rookie', 'regular', 'veteran', 'ace'];  // cycled per spawn
+const ENEMY_PACKAGE_SIZE = 2;
+const ENEMY_FORMATIONS = ['lineAbreast', 'fingertip', 'trail', 'wall'];  // cycled per package
+const ENEMY_SPAWN_RANGE = 30 * 6076;  // ft ahead of the player
+const ENEMY_HOME_RANGE = 20 * 6076;   // ft beyond the spawn point
+const ENEMY_ALTITUDE = 20000;
+const ENEMY_SPRITE_HEIGHT = 30;       // world units above the terrain
+const enemies = [];
+const enemyPackages = [];
+let nextEnemyId = 1;
+let nextPackageId = 1;
+
+// The player's flight, and the AI wingman flying in it, given commands from its menu
+const WINGMAN_TYPE = 'f16';
+const WINGMAN_SKILL = 'veteran';
+let playerFlight = null;
+let wingman = null;
+let wingmanMenu = null;
+
+// Chaff and flares in the air, from the player and the enemies
+const decoys = [];
+
+// Target cells: the radar-locked track, and player missiles in flight
+// (held a moment after they detonate or are lost)
+const MAX_MISSILE_VIEWS = 2;
+const MISSILE_VIEW_LINGER = 2.0;  // seconds
+const targetViews = [];
+
+// Weighted cell layout (see VoronoiCellManager.setLayoutMode): a target
+// cell's share of the screen grows with its threat level (what it is, and
+// what the RWR hears from it) and its closure rate, or is the most a cell
+// gets while pinned (middle-click the cell)
+const CELL_LAYOUT_MODE = 'power';
+const CELL_WEIGHT_KIND = { lock: 0.3, missile: 0.1, wingman: 0.1 };
+const CELL_WEIGHT_RWR = { search: 0.1, lock: 0.3, launch: 0.5 };
+const CELL_WEIGHT_CLOSURE = 0.3;     // at CELL_CLOSURE_FULL and above
+const CELL_CLOSURE_FULL = 1500;      // ft/s
+const CELL_CLOSURE_FILTER = 0.5;     // seconds
+
+// The lock cell frames the locked aircraft's whole package (see
+// FormationController.getCluster) while the package holds within this
+// radius of its center, and just the aircraft once it spreads wider
+const CELL_CLUSTER_RADIUS = 5000;    // ft
+
+// Cell compositor (see VoronoiCellManager), unless initGame is given one:
+// 'stencil' masking, or 'texture', which adds blurring world cells by
+// altitude. Both tint target cells by sensor (see getTargetViewSensor).
+// The debug overlay shows the CPU time spent submitting each frame, smoothed.
+const CELL_COMPOSITOR = 'stencil';
+const RENDER_TIME_SMOOTHING = 0.1;   // weight of each new frame
+
+// Target cell framing (see VoronoiCell.updateCameraForTarget), chosen by
+// clicking the cell and kept per target across its views; the bearing
+// framing draws a line from the target toward the player in the cell
+const targetFraming = new WeakMap();
+const BEARING_LINE_COLOR = 0x00ff00;
+const BEARING_LINE_HEIGHT = 40;      // above the terrain surface
+
+// Radar scope UI cell (position as screen ratios)
+const RADAR_CELL_ID = 'radar';
+const RADAR_CELL_X = 0.84;
+const RADAR_CELL_Y = 0.7;
+const RADAR_CELL_DECONFLICT = 0.12;
+
+// RWR threat display UI cell (position as screen ratios), and the main
+// view's border flash toward threats
+const RWR_CELL_ID = 'rwr';
+const RWR_CELL_X = 0.84;
+const RWR_CELL_Y = 0.28;
+const RWR_CELL_DECONFLICT = 0.1;
+const RWR_FLASH_COLORS = { search: 0x33ff66, lock: 0xffdd33, launch: 0xff3333 };
+const RWR_NEW_FLASH_TIME = 0.6;  // seconds a newly heard emitter flashes the border
+const RWR_HOLD_FLASH_TIME = 0.2; // refreshed every frame while a lock or launch lasts
+
+// Targeting pod cell (position as screen ratios): the pod's picture, framed
+// so the cell shows its ground footprint, on the installations it can point track
+const TGP_CELL_X = 0.16;
+const TGP_CELL_Y = 0.45;
+const TGP_CELL_DECONFLICT = 0.12;
+const TGP_CELL_BORDER = 0xaa8833;  // spec-control-ui.md 6.4
+const TGP_MIN_CAMERA_Z = 300;
+const TGP_MAX_CAMERA_Z = 15600;
+let tgpCell = null;
+let airfieldInstallations = [];
+
+// Stores the player flies with (see AIRCRAFT_TYPES[id].loadouts)
+const PLAYER_LOADOUT = 'swing';
 
 const SCREEN_INSET = 30;
 const VISIBILITY_MARGIN = 50;
 
+// On/off-screen hysteresis for target cells: a target must come this far
+// inside the view edge (fraction of the half-width) to count as on screen,
+// and get this close to the edge to count as off it; after a switch the
+// state holds for ON_SCREEN_HOLD_TIME
+const ON_SCREEN_ENTER_MARGIN = 0.15;
+const ON_SCREEN_EXIT_MARGIN = 0.05;
+const ON_SCREEN_HOLD_TIME = 0.4;  // seconds
+
 // Three.js lighting
 let directionalLight = null;
 let ambientLight = null;
@@ -51,6 +187,10 @@ let hemisphereLight = null;
 // Lighting control state
 let lightingControlsEnabled = true;
 
+// Window listeners for the game's keyboard and mouse controls, added by
+// initGame and removed by stopGame
+let windowListeners = [];
+
 // Loading UI elements
 let loadingOverlay = null;
 let loadingBar = null;
@@ -59,14 +199,30 @@ let loadingText = null;
 // Escape key tracking for menu return
 let escapePressed = false;
 
+// Sortie state: flight time, eject key hold, enemy aircraft shot down by
+// the player or the wingman, and the result once the sortie ends
+const EJECT_HOLD_TIME = 1.0;  // seconds
+let sortieTime = 0;
+let airKills = 0;
+let ejectHoldTime = 0;
+let sortieResult = null;
+
 // Track if game is initialized
 let isInitialized = false;
 
 /**
  * Initialize the game with a specific world seed
  * @param {number} worldSeed - Seed for world generation
+ * @param {Object} [options]
+ * @param {Object|null} [options.airframeDamage] - Damage carried over from the
+ *   previous sortie (see DamageModel.getState)
+ * @param {Object|null} [options.groundDamage] - Sites destroyed and runways cratered
+ *   in earlier sorties (see GroundDamage.getState)
+ * @param {string} [options.loadout] - Player's named loadout, PLAYER_LOADOUT if not given
+ * @param {string} [options.compositor] - Cell compositor, 'stencil' or 'texture'
+ *   (see VoronoiCellManager), CELL_COMPOSITOR if not given
  */
-export async function initGame(worldSeed = 42) {
+export async function initGame(worldSeed = 42, options = {}) {
   if (isInitialized) {
     console.warn('Game already initialized');
     return;
@@ -115,6 +271,11 @@ export async function initGame(worldSeed = 42) {
   airbaseRegistry.generateAirbases();
   airbaseRegistry.ensureStarterAirbase(0, 0);
 
+  // SAM and AAA sites defending the other fields
+  const homeField = airbaseRegistry.getNearestAirbase(0, 0);
+  threatRegistry = new GroundThreatRegistry(worldSeed, airbaseRegistry);
+  threatRegistry.generateSites(homeField ? homeField.airbase.position : null);
+
   // Initialize chunk manager
   chunkManager = new ChunkManager({
     worldSeed: worldSeed,
@@ -133,8 +294,54 @@ export async function initGame(worldSeed = 42) {
     terrainRenderer.getTerrainGroup()
   );
 
-  // Create player aircraft
-  player = new Aircraft(0, 0);
+  // Terrain masking for sensors, AI and target cells
+  lineOfSight = new LineOfSight({ chunkManager });
+
+  // Bomb and rocket damage to sites and runways, carried between sorties
+  groundDamage = new GroundDamage({ threatRegistry, airbaseRegistry });
+  groundDamage.setState(options.groundDamage || null);
+
+  // Airfields as targeting pod point-track targets, until their runway is closed
+  airfieldInstallations = airbaseRegistry.getAllAirbases().map((airbase) => ({
+    name: airbase.name,
+    airbase,
+    x: airbase.position.x,
+    y: airbase.position.z,
+    altitude: airbase.elevation * RUNWAY_DEFAULTS.elevationScale,
+    isDestroyed: airbase.isRunwayClosed(),
+  }));
+
+  // Site meshes live in their terrain chunks
+  threatRenderer = new GroundThreatRenderer(threatRegistry, chunkManager);
+
+  // Create player aircraft, lined up on the home runway
+  player = new Aircraft(0, 0, 'f16', options.loadout ?? PLAYER_LOADOUT);
+  player.damage.setState(options.airframeDamage || null);
+  placeOnHomeRunway(player);
+  if (player.radar) player.radar.setLineOfSight(lineOfSight);
+  if (player.tgp) player.tgp.setLineOfSight(lineOfSight);
+  playerSmoke = new SmokeTrail(player, terrainRenderer.getTerrainGroup());
+  playerFlight = new FormationController(player, { name: 'Flight' });
+
+  // Terrain clearance, impact and touchdown checks
+  groundCollision = new GroundCollision(airbaseRegistry);
+  landingEvaluator = new LandingEvaluator();
+
+  // Missiles on the hardpoints and in flight
+  weaponSystem = new WeaponSystem(player, {
+    group: terrainRenderer.getTerrainGroup(),
+    getElevation: (x, y) => groundCollision.getSurface(x, y).elevation,
+  });
+  for (const site of threatRegistry.getAllSites()) {
+    site.attach(terrainRenderer.getTerrainGroup(), (x, y) => groundCollision.getSurface(x, y).elevation, lineOfSight);
+  }
+
+  // Lead-computing pipper for the gun, and bombing cues
+  gunsight = new Gunsight();
+  terrainRenderer.getTerrainGroup().add(gunsight.getObject());
+  bombSight = new BombSight();
+  terrainRenderer.getTerrainGroup().add(bombSight.getObject());
+  impactEffects = new ImpactEffects(terrainRenderer.getTerrainGroup());
 
   // Queue initial chunks
   chunkManager.initializeAtPosition(player.x, player.y);
@@ -154,8 +361,11 @@ export async function initGame(worldSeed = 42) {
   // Initialize Voronoi cell manager
   const threeRenderer = renderer.getRenderer();
   const mainCamera = renderer.getCamera();
-  voronoiCellManager = new VoronoiCellManager(threeRenderer, scene, mainCamera);
+  voronoiCellManager = new VoronoiCellManager(threeRenderer, scene, mainCamera, {
+    compositor: options.compositor ?? CELL_COMPOSITOR,
+  });
   voronoiCellManager.initPlayerCell();
+  voronoiCellManager.setLayoutMode(CELL_LAYOUT_MODE);
 
   // Initialize label overlay
   voronoiCellManager.initLabelOverlay(container);
@@ -168,27 +378,110 @@ export async function initGame(worldSeed = 42) {
 
   // Initialize UI cell manager
   uiCellManager = new UiCellManager(voronoiCellManager);
+  if (player.radar) {
+    uiCellManager.registerUiCell(RADAR_CELL_ID, RADAR_CELL_X, RADAR_CELL_Y, 'radar', {
+      deconflictRadius: RADAR_CELL_DECONFLICT,
+    });
+  }
+  if (player.rwr) {
+    uiCellManager.registerUiCell(RWR_CELL_ID, RWR_CELL_X, RWR_CELL_Y, 'rwr', {
+      deconflictRadius: RWR_CELL_DECONFLICT,
+    });
+  }
+  initRadarScopeControls();
 
   // Initialize flight control indicator
   flightControlIndicator = new FlightControlIndicator({ container });
 
+  // Wingman command menu
+  wingmanMenu = new WingmanMenu({ container, onCommand: commandWingman });
+
   isInitialized = true;
 }
 
+/**
+ * Line the aircraft up at the start of the nearest runway to the origin
+ * @param {Aircraft} aircraft
+ */
+function placeOnHomeRunway(aircraft) {
+  const nearest = airbaseRegistry.getNearestAirbase(0, 0);
+  if (!nearest) {
+    console.warn('No airbase to start from, spawning airborne');
+    return;
+  }
+
+  const airbase = nearest.airbase;
+  const start = airbase.runwayToWorld(
+    -airbase.runwayLength / 2 + LANDING_LIMITS.lineUpDistance,
+    0
+  );
+  const ahead = airbase.runwayToWorld(airbase.runwayLength / 2, 0);
+  const heading = Math.atan2(ahead.x - start.x, ahead.z - start.z);
+
+  aircraft.placeOnRunway(start.x, start.z, heading, airbase.elevation * RUNWAY_DEFAULTS.elevationScale);
+}
+
 /**
  * Stop and clean up the game
  */
 export function stopGame() {
   if (!isInitialized) return;
 
-  // Clear targets
+  removeWindowListeners();
+
+  // Clear targets, enemies, wingman and missiles
   clearAllTargets();
+  clearEnemies();
+  removeWingman();
+  clearDecoys();
+  clearTargetViews();
+  removeTgpCell();
+  airfieldInstallations = [];
+  if (weaponSystem) {
+    weaponSystem.dispose();
+    weaponSystem = null;
+  }
+  if (gunsight) {
+    terrainRenderer.getTerrainGroup().remove(gunsight.getObject());
+    gunsight.dispose();
+    gunsight = null;
+  }
+  gunsightMerged = false;
+  if (bombSight) {
+    terrainRenderer.getTerrainGroup().remove(bombSight.getObject());
+    bombSight.dispose();
+    bombSight = null;
+  }
+  if (impactEffects) {
+    impactEffects.dispose();
+    impactEffects = null;
+  }
+  groundDamage = null;
+  if (playerSmoke) {
+    playerSmoke.dispose();
+    playerSmoke = null;
+  }
 
   // Dispose flight control indicator
   if (flightControlIndicator) {
     flightControlIndicator.dispose();
     flightControlIndicator = null;
   }
+  if (wingmanMenu) {
+    wingmanMenu.dispose();
+    wingmanMenu = null;
+  }
+
+  // Dispose ground threats (before the chunks holding their meshes)
+  if (threatRegistry) {
+    threatRegistry.dispose();
+    threatRegistry = null;
+  }
+  threatRenderer = null;
+  if (lineOfSight) {
+    lineOfSight.dispose();
+    lineOfSight = null;
+  }
 
   // Dispose chunk manager
   if (chunkManager) {
@@ -208,6 +501,11 @@ export function stopGame() {
     terrainRenderer = null;
   }
 
+  // Dispose UI cells (before the cell manager they are registered with)
+  if (uiCellManager) {
+    uiCellManager.dispose();
+  }
+
   // Dispose voronoi cell manager
   if (voronoiCellManager) {
     voronoiCellManager.dispose();
@@ -219,6 +517,15 @@ export function stopGame() {
 
   // Reset state
   player = null;
+  playerFlight = null;
+  groundCollision = null;
+  groundStatus = null;
+  landingEvaluator = null;
+  landingResult = null;
+  sortieTime = 0;
+  airKills = 0;
+  ejectHoldTime = 0;
+  sortieResult = null;
   airbaseRegistry = null;
   airbaseCellController = null;
   uiCellManager = null;
@@ -231,6 +538,14 @@ export function stopGame() {
   console.log('Game stopped and cleaned up');
 }
 
+/**
+ * Get the result of the current sortie once it has ended
+ * @returns {Object|null} Sortie result, or null while still flying
+ */
+export function getSortieResult() {
+  return sortieResult;
+}
+
 /**
  * Check if user wants to return to menu (ESC pressed)
  */
@@ -250,8 +565,41 @@ export function update(deltaTime) {
 
   const inputState = input.getInputState();
 
+  // Sight lines answered last frame age out; queue this frame's site lines for the worker
+  lineOfSight.update(deltaTime);
+  prefetchSightLines();
+
   // Update player aircraft
   player.update(deltaTime, inputState);
+  logDamageEvents(player, 'Player');
+  playerSmoke.update(deltaTime);
+  updateSortie(deltaTime, inputState);
+  updateTestTargets(deltaTime);
+  updateCountermeasures(deltaTime, inputState);
+  updateEnemies(deltaTime);
+  updateWingman(deltaTime);
+  updateGroundThreats(deltaTime);
+  updateSensors(deltaTime, inputState);
+  updateWeapons(deltaTime, inputState);
+  impactEffects.update(deltaTime);
+  updateTargetViews(deltaTime);
+  updateGunsight();
+  bombSight.update({ solution: sortieResult ? null : weaponSystem.getBombingSolution(), aircraft: player });
+
+  // Update instrument cells
+  uiCellManager.updateInstruments({
+    altitude: player.altitude,
+    heading: (player.heading * 180) / Math.PI,
+    radar: player.radar,
+    rwr: player.rwr,
+    deltaTime,
+  });
+
+  // Bingo/joker are planned against the nearest friendly field
+  const fuelSystem = player.fuelSystem;
+  const recoveryField = airbaseRegistry ? airbaseRegistry.getNearestAirbase(player.x, player.y) : null;
+  fuelSystem.updateRecovery(recoveryField ? recoveryField.distance : null, player.altitude);
+  const fuelCall = fuelSystem.getCall();
 
   // Update flight control indicator
   if (flightControlIndicator) {
@@ -259,11 +607,29 @@ export function update(deltaTime) {
       throttle: player.throttle,
       stickX: player.stickX,
       stickY: player.pitchAngle,
+      fuel: {
+        internal: fuelSystem.internal,
+        external: fuelSystem.getExternal(),
+        capacity: fuelSystem.internalCapacity + fuelSystem.getExternalCapacity(),
+      },
+      countermeasures: player.countermeasures.getInventory(),
+      damage: {
+        engine: player.damage.getStatus('engine'),
+        hydraulics: player.damage.getStatus('hydraulics'),
+        fuel: player.damage.getStatus('fuel'),
+        controls: player.damage.getStatus('controls'),
+        radar: player.damage.getStatus('radar'),
+        fire: player.damage.isBurning,
+      },
       status: {
-        afterburner: player.throttle > 1.0,
-        speedBrake: false,
-        flaps: false,
-        gear: false,
+        afterburner: player.throttle > 1.0 && !fuelSystem.isFlamedOut,
+        speedBrake: player.configuration.getLightState('speedBrake'),
+        flaps: player.configuration.getLightState('flaps'),
+        flapLabel: player.configuration.getFlapLabel(),
+        gear: player.configuration.getLightState('gear'),
+        joker: fuelCall === 'joker',
+        bingo: fuelCall === 'bingo',
+        pullUp: groundStatus !== null && groundStatus.warning,
       },
       inputActive:
         inputState.turnLeft ||
@@ -272,6 +638,7 @@ export function update(deltaTime) {
         inputState.throttleDown ||
         inputState.climbUp ||
         inputState.climbDown ||
+        inputState.afterburner ||
         inputState.touchActive,
     });
   }
@@ -282,6 +649,7 @@ export function update(deltaTime) {
 
   // Update airbase rendering
   updateAirbaseRendering();
+  threatRenderer.update();
 
   // Update PAPI lights
   if (airbaseRenderer) {
@@ -314,22 +682,349 @@ export function update(deltaTime) {
 
   // Update blur
   renderer.updateBlur(player.altitude);
+  voronoiCellManager.getPlayerCell().blur = renderer.getBlurAmount(player.altitude);
+
+  // Update target cells, then ease the layout toward the new seeds
+  updateTargetCells(deltaTime, pivotY);
+  updateTgpCell(pivotY);
+  voronoiCellManager.updateLayout(deltaTime);
 
-  // Update test targets
-  updateTestTargets();
+  // Threat flashes follow the cell borders just computed
+  voronoiCellManager.updateBorderFlashes(deltaTime);
 
   // Update Voronoi cell cameras
   voronoiCellManager.updateCameras();
 }
 
+/**
+ * Check terrain clearance, touchdown, rollout and ejection, and end the
+ * sortie when the aircraft is lost or has landed and stopped
+ * @param {number} deltaTime - Time step in seconds
+ * @param {Object} inputState - Current input state
+ */
+function updateSortie(deltaTime, inputState) {
+  if (sortieResult) return;
+
+  sortieTime += deltaTime;
+
+  // Shot down, or broken up by a fire
+  if (player.isDestroyed) {
+    endSortie('lost', player.lossCause, 'killed');
+    return;
+  }
+
+  // Eject requires holding the key so a stray press doesn't end the sortie
+  ejectHoldTime = inputState.eject ? ejectHoldTime + deltaTime : 0;
+  if (ejectHoldTime >= EJECT_HOLD_TIME) {
+    const surface = groundCollision.getSurface(player.x, player.y).surface;
+    endSortie('lost', 'ejected', surface === 'water' ? 'rescue' : 'recovered');
+    return;
+  }
+
+  // A touch-and-go discards the previous landing
+  if (!player.onGround) {
+    landingResult = null;
+    if (airbaseRenderer) {
+      landingEvaluator.trackApproach(
+        player,
+        airbaseRenderer.getNearestGlideslopeStatus(player.x, player.y, player.altitude)
+      );
+    }
+  }
+
+  groundStatus = groundCollision.check(player);
+  if (!groundStatus.impact) return;
+
+  const surface = groundStatus.surface;
+
+  if (player.onGround) {
+    // Rolling: leaving the paved surface at speed is an excursion
+    if (surface.surface !== 'runway' && player.speed > LANDING_LIMITS.excursionSpeed) {
+      endSortie('lost', 'excursion', 'recovered');
+      return;
+    }
+    player.settleOnGround(surface.elevation);
+
+    if (landingResult && player.speed < LANDING_LIMITS.stopSpeed) {
+      endSortie('landed', 'landed', 'recovered', { landing: landingResult });
+    }
+    return;
+  }
+
+  if (surface.surface !== 'runway') {
+    endSortie('lost', surface.surface, 'killed');
+    return;
+  }
+
+  // Touchdown on a runway
+  const landing = landingEvaluator.evaluate(player, surface.airbase);
+  console.log(
+    `Touchdown at ${surface.airbase.name}: ${landing.grade} ` +
+    `sink ${landing.sinkRate.toFixed(1)}ft/s align ${landing.alignment.toFixed(1)}\u00B0 ` +
+    `${landing.remarks.join(' ')}`
+  );
+
+  if (landing.crashed) {
+    endSortie('lost', 'runway', 'killed', { landing });
+    return;
+  }
+
+  landingResult = { ...landing, airbase: surface.airbase.name };
+  landingEvaluator.reset();
+  player.settleOnGround(surface.elevation);
+}
+
+/**
+ * Record the sortie result, destroying the aircraft if it was lost
+ * @param {string} outcome - 'lost' or 'landed'
+ * @param {string} cause - 'terrain', 'water', 'runway', 'excursion', 'ejected', 'missile', 'gun',
+ *   'fire' or 'landed'
+ * @param {string} pilotStatus - 'killed', 'recovered' or 'rescue'
+ * @param {Object} [details] - Extra fields for the result (e.g. landing grade)
+ */
+function endSortie(outcome, cause, pilotStatus, details = {}) {
+  if (outcome === 'lost') {
+    player.destroy(cause);
+  } else {
+    player.damage.extinguish();
+  }
+  groundStatus = null;
+
+  sortieResult = {
+    outcome,
+    cause,
+    pilotStatus,
+    aircraftType: player.typeId,
+    flightTime: sortieTime,
+    airKills,
+    position: { x: player.x, y: player.y },
+    fuelRemaining: player.fuelSystem.getTotal(),
+    damage: player.damage.getState(),
+    strikes: groundDamage.getResults(),
+    groundDamage: groundDamage.getState(),
+    ...details
+  };
+
+  console.log(`Sortie ended: ${cause} (pilot ${pilotStatus}) after ${sortieTime.toFixed(0)}s`);
+}
+
+/**
+ * Handle fire and weapon select, fly missiles, bombs and rockets and apply
+ * their results
+ * @param {number} deltaTime - Time step in seconds
+ * @param {Object} inputState - Current input state
+ */
+function updateWeapons(deltaTime, inputState) {
+  if (!sortieResult) {
+    weaponSystem.handleInput(inputState);
+  }
+
+  const events = weaponSystem.update(deltaTime, getContacts(), decoys);
+  for (const event of events) {
+    const missile = event.missile;
+    if (event.type === 'hit') {
+      console.log(`${event.gun.spec.shortName} hit ${getContactName(event.target) || 'target'}`);
+      damageContact(event.target, event.gun.spec.damage, 1, 'gun');
+    } else if (event.type === 'launch') {
+      addMissileView(missile);
+    } else if (event.type === 'impact') {
+      applyImpact(event.ordnance);
+    } else if (event.type === 'pitbull') {
+      console.log(`${missile.spec.shortName} #${missile.id} pitbull`);
+    } else if (event.type === 'decoyed' || event.type === 'notched') {
+      console.log(`${missile.spec.shortName} #${missile.id} ${event.type}`);
+    } else if (event.type === 'detonated' || event.type === 'lost') {
+      const result = missile.result;
+      console.log(
+        `${missile.spec.shortName} #${missile.id} ${result.outcome}` +
+        `${result.missDistance !== null ? ` (miss ${result.missDistance.toFixed(0)}ft)` : ''}`
+      );
+      if (result.outcome === 'kill') {
+        const enemy = enemies.find((e) => e.aircraft === result.target);
+        if (enemy) {
+          if (!enemy.aircraft.isDestroyed) airKills++;
+          enemy.aircraft.destroy('missile');
+          console.log(`Splash ${enemy.name}`);
+        } else if (result.target.isGroundThreat) {
+          result.target.destroy('missile');
+          console.log(`${result.target.name} destroyed`);
+        } else {
+          destroyTestTarget(result.target);
+        }
+      } else if (result.damage > 0) {
+        const fragments = missile.constants.blastFragments;
+        damageContact(result.target, result.damage / fragments, fragments, 'missile');
+      }
+    }
+  }
+}
+
+/**
+ * Set off a bomb or rocket where it hit the ground: effects, blast damage
+ * to sites and runways, and the strike log
+ * @param {Bomb|Rocket} ordnance - Store that has impacted
+ */
+function applyImpact(ordnance) {
+  const cause = ordnance.spec.category === 'rocket' ? 'rocket' : 'bomb';
+  impactEffects.add(ordnance.impact, ordnance.warhead);
+
+  for (const result of groundDamage.applyImpact(ordnance.impact, ordnance.warhead, cause)) {
+    if (result.kind === 'airbase') {
+      const installation = airfieldInstallations.find((i) => i.airbase.id === result.id);
+      if (installation) installation.isDestroyed = result.status === 'closed';
+    }
+    console.log(`${ordnance.spec.shortName} #${ordnance.id}: ${result.name} ${result.status}`);
+  }
+}
+
+/**
+ * Apply player gun or missile fragment hits to an enemy, ground threat site
+ * or test target, removing it once its structure fails
+ * @param {Object} target - Enemy aircraft, ground threat site or test target
+ * @param {number} damage - Hit points per hit
+ * @param {number} count - Number of hits
+ * @param {string} cause - 'gun' or 'missile'
+ */
+function damageContact(target, damage, count, cause) {
+  const enemy = enemies.find((e) => e.aircraft === target);
+  if (enemy) {
+    if (enemy.aircraft.isDestroyed) return;
+    enemy.aircraft.takeHits(damage, cause, count);
+    if (enemy.aircraft.isDestroyed) {
+      airKills++;
+      console.log(`Splash ${enemy.name}${cause === 'gun' ? ' (guns)' : ''}`);
+    }
+    return;
+  }
+
+  if (target.isGroundThreat) {
+    target.takeHits(damage, cause, count);
+    if (target.isDestroyed) {
+      console.log(`${target.name} destroyed${cause === 'gun' ? ' (guns)' : ''}`);
+    }
+    return;
+  }
+
+  if (!target.damage || target.isDestroyed) return;
+  target.damage.applyHits(damage, count);
+  if (target.damage.isDestroyed()) {
+    destroyTestTarget(target);
+  }
+}
+
+/**
+ * Log and clear an aircraft's damage events since the last frame
+ * @param {Aircraft} aircraft
+ * @param {string} name - Name for the log
+ */
+function logDamageEvents(aircraft, name) {
+  for (const event of aircraft.damageEvents) {
+    const system = aircraft.damage.systems[event.system].name;
+    const text = event.type === 'fire' ? `${system} fire` : `${system} ${event.type}`;
+    console.log(`${name}: ${text}`);
+  }
+  aircraft.damageEvents.length = 0;
+}
+
+/**
+ * Show the pipper on a locked target inside gun range; when the target's
+ * cell collapses into the player's at the merge, switch to the gun so the
+ * gunsight becomes the aiming aid
+ */
+function updateGunsight() {
+  const gun = weaponSystem.gun;
+  const locked = player.radar ? player.radar.lockedTrack : null;
+  const target = locked && !locked.target.isDestroyed ? locked.target : null;
+
+  const lockView = targetViews.find((v) => v.kind === 'lock');
+  const merged = !!lockView && lockView.cell !== null && lockView.onScreen;
+  if (merged && !gunsightMerged && gun && !sortieResult && weaponSystem.selectWeapon(GUN_STORE_ID)) {
+    console.log('GUNS');
+  }
+  gunsightMerged = merged;
+
+  const solution = gun && target && !player.isDestroyed ? gun.getLeadSolution(target) : null;
+  const hitbox = target ? target.hitbox || gun.constants.hitbox : null;
+  gunsight.update({
+    solution: solution && solution.inRange ? solution : null,
+    maxRange: gun ? gun.spec.range : 0,
+    hitRadius: hitbox ? hitbox.span / 2 : 0,
+    heading: player.heading,
+  });
+}
+
+/**
+ * Radar controls, scan and track files; targeting pod controls and
+ * tracking; RWR warnings
+ * @param {number} deltaTime - Time step in seconds
+ * @param {Object} inputState - Current input state
+ */
+function updateSensors(deltaTime, inputState) {
+  const radar = player.radar;
+  if (radar) {
+    if (!sortieResult) {
+      radar.handleInput(inputState, deltaTime);
+    }
+    radar.update(deltaTime, getContacts());
+  }
+
+  const tgp = player.tgp;
+  if (tgp) {
+    if (!sortieResult) {
+      tgp.handleInput(inputState, deltaTime);
+    }
+    tgp.update(deltaTime, getGroundInstallations());
+  }
+
+  if (player.rwr) {
+    updateRwr(deltaTime);
+  }
+}
+
+/**
+ * Listen for emitters painting the player, announce new ones and step-ups
+ * to lock or launch, and flash the main view's border toward them
+ * @param {number} deltaTime - Time step in seconds
+ */
+function updateRwr(deltaTime) {
+  const rwr = player.rwr;
+  const playerCell = voronoiCellManager.getPlayerCell();
+  const events = rwr.update(deltaTime, getEmissions(player));
+
+  for (const { type, contact } of events) {
+    console.log(
+      `RWR: ${contact.symbol} ${type === 'new' ? contact.mode : type} ` +
+      `${Math.round((contact.bearing + 360) % 360)}\u00B0 ring ${contact.ring}`
+    );
+    if (type === 'new') {
+      voronoiCellManager.flashCellEdge(playerCell, (contact.bearing * Math.PI) / 180, {
+        color: RWR_FLASH_COLORS[contact.mode],
+        duration: RWR_NEW_FLASH_TIME,
+      });
+    }
+  }
+
+  // Locks and launches keep the border flashing toward them until they stop
+  for (const contact of rwr.getContacts()) {
+    if (contact.mode === 'search') continue;
+    voronoiCellManager.flashCellEdge(playerCell, (contact.bearing * Math.PI) / 180, {
+      color: RWR_FLASH_COLORS[contact.mode],
+      duration: RWR_HOLD_FLASH_TIME,
+      key: `rwr-${contact.id}`,
+    });
+  }
+}
+
 /**
  * Render the game
  */
 export function render() {
   if (!isInitialized || !voronoiCellManager) return;
 
+  const start = performance.now();
   voronoiCellManager.render();
   voronoiCellManager.renderLabels(currentCameraZ, player.x, player.y);
+  renderTime += (performance.now() - start - renderTime) * RENDER_TIME_SMOOTHING;
 }
 
 /**
@@ -365,7 +1060,93 @@ export function updateDebug(deltaTime) {
     const dy = t.worldY - player.y;
     const dist = Math.hypot(dx, dy);
     const distNm = (dist / 6076).toFixed(1);
-    return `  ${t.name}: ${distNm}nm ${t.onScreen ? '\u2713' : '\u25CB'}`;
+    return `  ${t.name}: ${distNm}nm ${Math.round(t.altitude)}ft`;
+  });
+
+  const enemyLines = enemies.map((e) => {
+    const a = e.aircraft;
+    const dist = Math.hypot(a.x - player.x, a.y - player.y) / 6076;
+    const status = a.isDestroyed ? 'DOWN' : e.pilot.getState().toUpperCase();
+    const position = e.flight.getPosition(a);
+    return `  ${e.name}${position ? ` #${position}` : ''} ${e.pilot.skill.name} ${status} ` +
+      `${dist.toFixed(1)}nm ${Math.round(a.altitude)}ft`;
+  });
+
+  const tgp = player.tgp;
+  let tgpInfo = tgp ? 'Off (press H)' : 'None';
+  if (tgp && tgp.active) {
+    const tracked = tgp.trackTarget ? ` ${tgp.trackTarget.name}` : '';
+    tgpInfo = `${tgp.sensorMode} ${tgp.getFieldOfView().label} ${tgp.trackMode.toUpperCase()}${tracked} ` +
+      `${(tgp.getSlantRange() / 6076).toFixed(1)}nm ${Math.round(tgp.getFootprint())}ft` +
+      `${tgp.designating ? ' LASE' : ''}${tgp.masked ? ' MASKED' : ''}${tgp.outOfRange ? ' RANGE' : ''}`;
+  }
+
+  let wingmanInfo = 'None (press 7)';
+  if (wingman) {
+    const a = wingman.aircraft;
+    const status = a.isDestroyed ? 'DOWN' : wingman.pilot.getState().toUpperCase();
+    wingmanInfo = `${wingman.name} ${wingman.pilot.getCommand().toUpperCase()} ${status} ` +
+      `${(wingman.pilot.getRangeToLead() / 6076).toFixed(1)}nm ${Math.round(a.altitude)}ft`;
+  }
+
+  const threatLines = threatRegistry.getAllSites()
+    .map((site) => ({ site, dist: Math.hypot(site.x - player.x, site.y - player.y) / 6076 }))
+    .filter(({ site, dist }) => !site.isDestroyed && dist < 30)
+    .map(({ site, dist }) => {
+      const status = site.isLocked() ? 'LOCK' : site.track ? 'TRACK' : 'SEARCH';
+      return `  ${site.name} ${status} ${dist.toFixed(1)}nm${site.readyRounds > 0 ? ` x${site.readyRounds}` : ''}`;
+    });
+
+  const radar = player.radar;
+  const scan = radar ? radar.getScanState() : null;
+  const radarLines = radar
+    ? radar.getTracks().map((track) => {
+      const mark = track === radar.lockedTrack ? '\u25A0' : track === radar.selectedTrack ? '\u25A1' : ' ';
+      return `  ${mark}${track.id} ${(track.range / 6076).toFixed(1)}nm ` +
+        `${Math.round(track.azimuth)}\u00B0 ${Math.round(track.altitude)}ft ${track.status.toUpperCase()}`;
+    })
+    : [];
+
+  const cm = player.countermeasures.getInventory();
+
+  const rwrLines = player.rwr
+    ? player.rwr.getContacts().map((c) =>
+      `  ${c.symbol} ${c.mode.toUpperCase()} ${Math.round((c.bearing + 360) % 360)}\u00B0 ~${(c.range / 6076).toFixed(0)}nm`)
+    : [];
+
+  const energy = player.getEnergyState();
+  const fuel = player.fuelSystem;
+  const damaged = Object.values(player.damage.systems).filter((sys) => sys.hitPoints < sys.maxHitPoints);
+  const damageInfo = damaged.length > 0
+    ? damaged.map((sys) => `${sys.id.toUpperCase()} ${Math.round((sys.hitPoints / sys.maxHitPoints) * 100)}%`).join(' ')
+    : 'None';
+
+  const designated = weaponSystem.getDesignatedTarget();
+  const selected = [...weaponSystem.getInventory(), ...weaponSystem.getGroundInventory()]
+    .find((w) => w.storeId === weaponSystem.selectedStore);
+  const gun = weaponSystem.gun;
+  const bombing = weaponSystem.getBombingSolution();
+  let weaponInfo = 'None';
+  if (weaponSystem.isGunSelected()) {
+    weaponInfo = `${gun.spec.shortName} x${gun.rounds}${gun.isFiring() ? ' FIRING' : ''}`;
+  } else if (selected) {
+    weaponInfo = `${selected.name} x${selected.count} ${weaponSystem.getLaunchMode() || 'NO SHOT'}`;
+  }
+  if (bombing && bombing.mode === 'CCRP') {
+    const steering = Math.round((bombing.steering * 180) / Math.PI);
+    weaponInfo += ` REL ${bombing.timeToRelease.toFixed(1)}s STR ${steering > 0 ? 'R' : 'L'}${Math.abs(steering)}\u00B0` +
+      `${weaponSystem.releaseConsent ? ' CONSENT' : ''}`;
+  } else if (bombing) {
+    weaponInfo += ` TOF ${bombing.impact.time.toFixed(1)}s`;
+  }
+  const groundInventory = weaponSystem.getGroundInventory().map((w) => `${w.name} x${w.count}`).join(' ');
+  const ordnanceLines = weaponSystem.getOrdnance().map((o) =>
+    `  #${o.id} ${o.spec.shortName} ${o.guidance ? o.guidance.toUpperCase() : 'BALLISTIC'} ${Math.round(o.altitude)}ft`);
+  const strikes = groundDamage.getResults();
+  const missileLines = weaponSystem.getMissiles().map((m) => {
+    const target = m.getTarget();
+    const range = target ? `${(m.getRangeTo(target) / 6076).toFixed(1)}nm` : '-';
+    return `  #${m.id} ${m.spec.shortName} ${m.guidance.toUpperCase()} ${range} ${Math.round(m.speed)}ft/s`;
   });
 
   const inputState = input.getInputState();
@@ -378,9 +1159,21 @@ export function updateDebug(deltaTime) {
     `X: ${Math.round(player.x)}`,
     `Y: ${Math.round(player.y)}`,
     `HDG: ${Math.round((player.heading * 180) / Math.PI)}\u00B0`,
-    `ALT: ${Math.round(player.altitude)}ft`,
+    `ALT: ${Math.round(player.altitude)}ft AGL: ${groundStatus ? Math.round(groundStatus.clearance) : '-'}ft`,
     `THR: ${Math.round(player.throttle * 100)}%`,
     `SPD: ${Math.round(player.speed)}`,
+    `GEAR: ${player.configuration.isGearDown() ? 'DOWN' : 'UP'}${player.onGround ? ' ON GROUND' : ''}`,
+    `FLAPS: ${player.configuration.getFlapLabel()} SPDBRK: ${player.configuration.speedBrake.position > 0 ? 'OUT' : 'IN'}`,
+    `--- ENERGY ---`,
+    `G: ${player.loadFactor.toFixed(1)} PS: ${Math.round(player.specificExcessPower)}`,
+    `VS: ${Math.round(player.verticalSpeed)}ft/s${player.isStalled ? ' STALL' : ''}`,
+    `CORNER: ${Math.round(energy.cornerSpeed)}`,
+    `TURN: ${energy.instantaneousTurnRate.toFixed(1)}/${energy.sustainedTurnRate.toFixed(1)}\u00B0/s`,
+    `--- FUEL ---`,
+    `FUEL: ${Math.round(fuel.getTotal())}lb (${Math.round(fuel.getExternal())} ext)${fuel.isFlamedOut ? ' FLAMEOUT' : ''}`,
+    `FLOW: ${Math.round(fuel.fuelFlow)}pph BINGO: ${Math.round(fuel.bingoFuel)}`,
+    `--- DAMAGE ---`,
+    `${damageInfo}${player.damage.isBurning ? ' FIRE' : ''}`,
     `CAM_Z: ${currentCameraZ.toFixed(0)}`,
     `CHUNK: ${chunkX},${chunkY}`,
     `ACTIVE: ${chunkManager.getActiveChunkCount()}`,
@@ -389,7 +1182,48 @@ export function updateDebug(deltaTime) {
     `TOUCH: ${touchInfo}`,
     `TAP: drop view | 2x TAP: clear`,
     `--- VORONOI CELLS ---`,
-    `CELLS: ${voronoiCellManager ? voronoiCellManager.getCellCount() : 0}`,
+    `CELLS: ${voronoiCellManager ? voronoiCellManager.getCellCount() : 0} ` +
+      `LAYOUT: ${voronoiCellManager ? voronoiCellManager.getLayoutMode().toUpperCase() : '-'}`,
+    `COMPOSITOR: ${voronoiCellManager ? voronoiCellManager.getCompositor().toUpperCase() : '-'} ` +
+      `RENDER: ${renderTime.toFixed(1)}ms`,
+    ...targetViews
+      .filter((view) => view.cell)
+      .map((view) => `${view.name}: W ${view.cell.getLayoutWeight().toFixed(2)}${view.pinned ? ' PIN' : ''} ` +
+        `CLS ${Math.round(view.closure)}`),
+    `--- LINE OF SIGHT ---`,
+    `QUERIES: ${lineOfSight.stats.queries} CACHED: ${lineOfSight.stats.cacheHits}`,
+    `TRACED: ${lineOfSight.stats.traced} WORKER: ${lineOfSight.stats.prefetched} SIZE: ${lineOfSight.cache.size}`,
+    `--- RADAR (Space lock / Tab next / M mode) ---`,
+    ...(scan
+      ? [
+        `MODE: ${scan.mode} ${scan.rangeScale}nm`,
+        `SCAN: \u00B1${scan.scanAzimuth}\u00B0 ${scan.bars}B EL ${scan.antennaElevation.toFixed(0)}\u00B0`,
+        ...radarLines,
+      ]
+      : ['None']),
+    `--- TGP (H on/off, Shift+H mode, arrows slew, = FOV, \\ track, Enter laser) ---`,
+    tgpInfo,
+    `--- RWR ---`,
+    ...(rwrLines.length > 0 ? rwrLines : ['Clear']),
+    `--- COUNTERMEASURES (C chaff / X flare / Z program) ---`,
+    `CHAFF: ${cm.chaff} FLARE: ${cm.flare} PRGM: ${cm.program} AIR: ${decoys.length}`,
+    `--- WEAPONS (F fire / R select) ---`,
+    `SEL: ${weaponInfo}`,
+    `DESIG: ${designated ? `${getContactName(designated)} ${(Math.hypot(designated.x - player.x, designated.y - player.y) / 6076).toFixed(1)}nm` : 'None'}`,
+    ...missileLines,
+    `A/G: ${groundInventory || 'None'}`,
+    ...ordnanceLines,
+    `STRIKES: ${strikes.length > 0 ? strikes.map((r) => `${r.name} ${r.status.toUpperCase()}`).join(', ') : 'None'}`,
+    `--- ENEMIES (8/Shift+8) ---`,
+    `COUNT: ${enemies.length}/${MAX_ENEMIES} PACKAGES: ${enemyPackages.length}`,
+    ...enemyLines,
+    `--- WINGMAN (7/Shift+7, O commands, Shift+O formation) ---`,
+    `FLIGHT: ${playerFlight.formation.name}`,
+    wingmanInfo,
+    `--- GROUND THREATS ---`,
+    `SITES: ${threatRegistry.getAllSites().filter((site) => !site.isDestroyed).length}/${threatRegistry.getCount()} ` +
+      `RENDERED: ${threatRenderer.getRenderedCount()}`,
+    ...threatLines,
     `--- TARGETS (9/Shift+9) ---`,
     `COUNT: ${targetInfo}`,
     ...targetLines,
@@ -462,15 +1296,46 @@ function updateLightDirection() {
   );
 }
 
+/**
+ * Add a window listener that stopGame removes again
+ * @param {string} type - Event type
+ * @param {function(Event)} handler
+ * @param {Object} [options] - addEventListener options
+ */
+function addWindowListener(type, handler, options) {
+  window.addEventListener(type, handler, options);
+  windowListeners.push({ type, handler, options });
+}
+
+/**
+ * Remove every listener added with addWindowListener
+ */
+function removeWindowListeners() {
+  for (const { type, handler, options } of windowListeners) {
+    window.removeEventListener(type, handler, options);
+  }
+  windowListeners = [];
+}
+
 function initLightingControls() {
-  window.addEventListener('keydown', (e) => {
-    // ESC key to return to menu
+  addWindowListener('keydown', (e) => {
+    // ESC key closes the wingman menu, else returns to menu
     if (e.code === 'Escape') {
+      if (wingmanMenu && wingmanMenu.isOpen()) {
+        wingmanMenu.close();
+        return;
+      }
       escapePressed = true;
       return;
     }
 
-    if (!lightingControlsEnabled) return;
+    // While the wingman menu is open its number keys pick commands
+    if (wingmanMenu && wingmanMenu.isOpen() && e.code.startsWith('Digit')) {
+      if (wingmanMenu.select(Number(e.code.slice(5)) - 1)) return;
+    }
+
+    // Nothing to act on until the sortie is set up
+    if (!isInitialized || !lightingControlsEnabled) return;
 
     let updated = false;
 
@@ -524,6 +1389,63 @@ function initLightingControls() {
         updated = true;
         break;
 
+      case 'KeyP': {
+        const scope = uiCellManager ? uiCellManager.getInstrument(RADAR_CELL_ID) : null;
+        if (scope) {
+          scope.toggleFormat();
+          console.log(`Radar scope: ${scope.format === 'ppi' ? 'PPI' : 'B-scope'}`);
+        }
+        break;
+      }
+
+      case 'KeyH':
+        if (e.shiftKey) {
+          if (player.tgp && player.tgp.active) {
+            player.tgp.cycleSensorMode();
+            console.log(`TGP: ${player.tgp.sensorMode}`);
+          }
+        } else {
+          toggleTgpCell();
+        }
+        break;
+
+      case 'KeyO':
+        if (e.shiftKey) {
+          cycleFlightFormation();
+        } else if (wingmanMenu) {
+          wingmanMenu.toggle();
+        }
+        break;
+
+      case 'Semicolon': {
+        if (!voronoiCellManager) break;
+        const mode = voronoiCellManager.getLayoutMode() === 'power' ? 'voronoi' : 'power';
+        voronoiCellManager.setLayoutMode(mode);
+        console.log(`Cell layout: ${mode === 'power' ? 'weighted by threat' : 'equal'}`);
+        break;
+      }
+
+      case 'Digit7':
+        if (e.shiftKey) {
+          if (wingman) {
+            wingman.aircraft.destroy('removed');
+            removeWingman();
+            console.log('Wingman removed');
+          }
+        } else {
+          spawnWingman();
+        }
+        break;
+
+      case 'Digit8':
+        if (e.shiftKey) {
+          clearEnemies();
+          console.log('All enemies cleared');
+        } else {
+          spawnEnemyPackage();
+        }
+        break;
+
       case 'Digit9':
         if (e.shiftKey) {
           clearAllTargets();
@@ -540,15 +1462,29 @@ function initLightingControls() {
     }
   });
 
-  window.addEventListener(
+  addWindowListener(
     'wheel',
     (e) => {
       if (!voronoiCellManager) return;
 
+      // Over the radar scope the wheel steps the range scale
+      if (getRadarScopePoint(e.clientX, e.clientY)) {
+        player.radar.changeRangeScale(e.deltaY < 0 ? 1 : -1);
+        e.preventDefault();
+        return;
+      }
+
       const cell = voronoiCellManager.getCellAtPoint(e.clientX, e.clientY);
       if (!cell) return;
 
-      if (cell.type === 'player') return;
+      if (cell.type === 'player' || cell.type === 'ui') return;
+
+      // Over the targeting pod the wheel steps the field of view
+      if (cell.type === 'tgp') {
+        cell.pod.changeFieldOfView(e.deltaY < 0 ? 1 : -1);
+        e.preventDefault();
+        return;
+      }
 
       if (cell.terrainZ === null) {
         cell.terrainZ = renderer.getCameraZ();
@@ -566,13 +1502,101 @@ function initLightingControls() {
 
       e.preventDefault();
 
-      const target = testTargets.find((t) => t.cell === cell);
+      const target = targetViews.find((t) => t.cell === cell);
       if (target) {
         console.log(`${target.name} camera Z: ${cell.terrainZ.toFixed(0)}`);
       }
     },
     { passive: false }
   );
+
+  // On a target cell: click cycles its framing, Shift+click switches
+  // heading-up/north-up, middle-click pins it to the largest share of the
+  // weighted layout
+  addWindowListener('mousedown', (e) => {
+    if ((e.button !== 0 && e.button !== 1) || !voronoiCellManager) return;
+    const cell = voronoiCellManager.getCellAtPoint(e.clientX, e.clientY);
+    const view = cell ? targetViews.find((t) => t.cell === cell) : null;
+    if (!view) return;
+
+    if (e.button === 1) {
+      view.pinned = !view.pinned;
+      e.preventDefault();
+      console.log(`${view.name} ${view.pinned ? 'pinned' : 'unpinned'}`);
+      return;
+    }
+
+    if (e.shiftKey) {
+      cell.toggleNorthUp();
+    } else {
+      cell.cycleFraming();
+    }
+    saveTargetFraming(view);
+    console.log(`${view.name} framing: ${cell.framing}, ${cell.northUp ? 'north-up' : 'heading-up'}`);
+  });
+}
+
+/**
+ * Mouse on the radar scope: hovering slews the acquisition cursor (and the
+ * scan center with it while searching), left-click on a contact locks it,
+ * middle-click breaks the lock
+ */
+function initRadarScopeControls() {
+  addWindowListener('mousemove', (e) => {
+    if (!uiCellManager) return;
+    const scope = uiCellManager.getInstrument(RADAR_CELL_ID);
+    if (!scope) return;
+
+    const point = getRadarScopePoint(e.clientX, e.clientY);
+    renderer.getRenderer().domElement.style.cursor = point ? 'crosshair' : '';
+    if (!point) {
+      scope.hideCursor();
+      return;
+    }
+
+    const cursor = scope.slewCursor(point.x, point.y);
+    if (cursor && !player.radar.lockedTrack) {
+      player.radar.setScanCenter(cursor.azimuth);
+    }
+  });
+
+  addWindowListener('mousedown', (e) => {
+    const point = getRadarScopePoint(e.clientX, e.clientY);
+    if (!point) return;
+
+    const radar = player.radar;
+    if (e.button === 0) {
+      const track = point.scope.pickTrack(point.x, point.y, radar.getTracks());
+      if (track && track !== radar.lockedTrack) {
+        radar.unlock();
+        radar.lock(track);
+      }
+    } else if (e.button === 1) {
+      radar.unlock();
+      e.preventDefault();
+    }
+  });
+}
+
+/**
+ * Position on the radar scope under a screen point
+ * @param {number} clientX
+ * @param {number} clientY
+ * @returns {{scope: RadarScope, x: number, y: number}|null} Scope and scene
+ *   position (px from the cell seed, y up), or null if the point is not in the radar cell
+ */
+function getRadarScopePoint(clientX, clientY) {
+  if (!voronoiCellManager || !uiCellManager || !player || !player.radar) return null;
+
+  const uiCell = uiCellManager.getUiCell(RADAR_CELL_ID);
+  if (!uiCell || !uiCell.enabled) return null;
+  if (voronoiCellManager.getCellAtPoint(clientX, clientY) !== uiCell.cell) return null;
+
+  return {
+    scope: uiCellManager.getInstrument(RADAR_CELL_ID),
+    x: clientX - uiCell.cell.seed.x,
+    y: uiCell.cell.seed.y - clientY,
+  };
 }
 
 function applyTimePresetWithSky(presetName) {
@@ -623,7 +1647,17 @@ function syncLightsToConfig(skyColor = null) {
   updateLightDirection();
 }
 
-function isTargetVisible(worldX, worldY, playerX, playerY, playerHeading) {
+/**
+ * Whether a world position is inside the player's view, less a margin
+ * @param {number} worldX
+ * @param {number} worldY
+ * @param {number} playerX
+ * @param {number} playerY
+ * @param {number} playerHeading
+ * @param {number} [marginFraction=0.1] - Margin inside the view edge, as a fraction of the half-width/height
+ * @returns {boolean}
+ */
+function isTargetVisible(worldX, worldY, playerX, playerY, playerHeading, marginFraction = 0.1) {
   const mainCamera = renderer.getCamera();
   const cameraZ = renderer.getCameraZ();
 
@@ -633,7 +1667,6 @@ function isTargetVisible(worldX, worldY, playerX, playerY, playerHeading) {
   const halfHeight = Math.tan(fovRad / 2) * cameraZ;
   const halfWidth = halfHeight * aspect;
 
-  const marginFraction = 0.1;
   const visibleHalfWidth = halfWidth * (1 - marginFraction);
   const visibleHalfHeight = halfHeight * (1 - marginFraction);
 
@@ -723,22 +1756,36 @@ function rayToScreenEdge(targetX, targetY, screenW, screenH) {
   return hit || { x: cx, y: 0 };
 }
 
-function updateTestTargets() {
-  if (testTargets.length === 0) return;
+/**
+ * Place the target cells' seeds: on the target while it is on screen, else
+ * at the screen edge toward it, deconflicted; point the cameras of the
+ * off-screen ones as their framing asks
+ * @param {number} deltaTime - Time step in seconds
+ * @param {number} pivotY - Terrain pivot offset this frame
+ */
+function updateTargetCells(deltaTime, pivotY) {
+  const viewTargets = targetViews;
+  if (viewTargets.length === 0) return;
 
   const screenW = window.innerWidth;
   const screenH = window.innerHeight;
 
   const offScreenTargets = [];
 
-  for (const target of testTargets) {
-    target.onScreen = isTargetVisible(
+  for (const target of viewTargets) {
+    const visible = isTargetVisible(
       target.worldX,
       target.worldY,
       player.x,
       player.y,
-      player.heading
+      player.heading,
+      target.onScreen ? ON_SCREEN_EXIT_MARGIN : ON_SCREEN_ENTER_MARGIN
     );
+    target.onScreenHold = Math.max(0, target.onScreenHold - deltaTime);
+    if (visible !== target.onScreen && target.onScreenHold === 0) {
+      target.onScreen = visible;
+      target.onScreenHold = ON_SCREEN_HOLD_TIME;
+    }
 
     const projected = projectToScreen(
       target.worldX,
@@ -773,23 +1820,28 @@ function updateTestTargets() {
     voronoiCellManager.deconflictSeeds(offScreenTargets);
   }
 
-  for (const target of testTargets) {
+  for (const target of viewTargets) {
     if (!target.cell || !voronoiCellManager.getCells().includes(target.cell)) {
       target.cell = voronoiCellManager.createCell('target');
       target.cell.target = target;
       target.cell.setTerrainZ(target.initialCameraZ);
+      target.cell.setFraming(target.framing);
+      target.cell.northUp = target.northUp;
+      target.cell.setSensorType(getTargetViewSensor(target));
     }
 
     target.cell.seed.x = target.seedX;
     target.cell.seed.y = target.seedY;
     target.cell.onScreen = target.onScreen;
+    target.cell.weight = getTargetViewWeight(target);
+    target.cell.pinned = target.pinned;
+    target.cell.blur = renderer.getBlurAmount(target.source.altitude ?? 0);
 
     target.cell.setProjectedPosition(target.projectedX, target.projectedY);
 
-    if (!target.onScreen) {
-      const markerWorldPos = new THREE.Vector3();
-      target.marker.getWorldPosition(markerWorldPos);
+    updateBearingLine(target);
 
+    if (!target.onScreen) {
       const mainCamera = renderer.getCamera();
       const cameraZ = renderer.getCameraZ();
 
@@ -798,48 +1850,134 @@ function updateTestTargets() {
         VISIBILITY_MARGIN
       );
 
-      target.cell.camera.position.set(
-        markerWorldPos.x,
-        markerWorldPos.y,
-        blendedCameraZ
+      target.cell.updateCameraForTarget(
+        target.worldX,
+        target.worldY,
+        blendedCameraZ,
+        player.heading,
+        player.x,
+        player.y,
+        mainCamera,
+        pivotY,
+        { x: target.vx, y: target.vy }
       );
-      target.cell.camera.lookAt(markerWorldPos.x, markerWorldPos.y, TERRAIN_Z);
-      target.cell.camera.up.set(0, 1, 0);
-      target.cell.camera.fov = mainCamera.fov;
-      target.cell.camera.aspect = screenW / screenH;
-      target.cell.camera.near = mainCamera.near;
-      target.cell.camera.far = mainCamera.far;
-      target.cell.camera.updateProjectionMatrix();
     }
   }
+}
 
-  if (testTargets.length > 0) {
-    voronoiCellManager.computeVoronoi();
+/**
+ * Switch the targeting pod on with its cell, or off and remove the cell
+ */
+function toggleTgpCell() {
+  const tgp = player.tgp;
+  if (!tgp) {
+    console.log('No targeting pod fitted');
+    return;
   }
-}
 
-function dropTarget() {
-  if (testTargets.length >= MAX_TARGETS) {
-    console.log(`Maximum ${MAX_TARGETS} targets reached`);
+  if (tgpCell) {
+    removeTgpCell();
+    console.log('TGP off');
     return;
   }
 
-  const targetIndex = testTargets.length;
-  const targetId = nextTargetId++;
+  tgp.setActive(true);
+  tgpCell = voronoiCellManager.createCell('tgp', {
+    deconflictRadius: TGP_CELL_DECONFLICT * Math.hypot(window.innerWidth, window.innerHeight),
+  });
+  tgpCell.pod = tgp;
+  tgpCell.onScreen = false;
+  tgpCell.borderColor = TGP_CELL_BORDER;
+  console.log(`TGP on, ${tgp.sensorMode} ${tgp.getFieldOfView().label}`);
+}
+
+/**
+ * Switch the targeting pod off and remove its cell
+ */
+function removeTgpCell() {
+  if (player && player.tgp) player.tgp.setActive(false);
+  if (tgpCell && voronoiCellManager) voronoiCellManager.removeCell(tgpCell);
+  tgpCell = null;
+}
+
+/**
+ * Keep the targeting pod cell at its screen position, its camera centered
+ * on the aim point and backed off to show the pod's ground footprint
+ * @param {number} pivotY - Terrain pivot offset this frame
+ */
+function updateTgpCell(pivotY) {
+  if (!tgpCell) return;
+
+  const tgp = tgpCell.pod;
+  tgpCell.seed.x = TGP_CELL_X * window.innerWidth;
+  tgpCell.seed.y = TGP_CELL_Y * window.innerHeight;
+
+  const mainCamera = renderer.getCamera();
+  const halfFov = (mainCamera.fov * Math.PI) / 360;
+  const cameraZ = Math.max(
+    TGP_MIN_CAMERA_Z,
+    Math.min(TGP_MAX_CAMERA_Z, tgp.getFootprint() / 2 / Math.tan(halfFov))
+  );
+  tgpCell.setTerrainZ(cameraZ);
+  tgpCell.updateCameraForTarget(
+    tgp.aimPoint.x,
+    tgp.aimPoint.y,
+    cameraZ,
+    player.heading,
+    player.x,
+    player.y,
+    mainCamera,
+    pivotY
+  );
+}
+
+/**
+ * Installations the targeting pod can point track: ground threat sites
+ * and airfields
+ * @returns {Object[]}
+ */
+function getGroundInstallations() {
+  return [
+    ...threatRegistry.getAllSites().filter((site) => !site.isDestroyed),
+    ...airfieldInstallations,
+  ];
+}
+
+/**
+ * Spawn a test contact ahead of the player, flying straight and level,
+ * for the radar to find
+ */
+function dropTarget() {
+  if (testTargets.length >= MAX_TARGETS) {
+    console.log(`Maximum ${MAX_TARGETS} targets reached`);
+    return;
+  }
+
+  const targetIndex = testTargets.length;
+  const targetId = nextTargetId++;
+
+  const bearing = player.heading + ((Math.random() * 2 - 1) * TARGET_SPAWN_SPREAD * Math.PI) / 180;
+  const x = player.x + Math.sin(bearing) * TARGET_SPAWN_RANGE;
+  const y = player.y + Math.cos(bearing) * TARGET_SPAWN_RANGE;
 
   const target = {
     id: targetId,
-    worldX: player.x,
-    worldY: player.y,
+    worldX: x,
+    worldY: y,
+    x,
+    y,
+    altitude: Math.max(1000, player.altitude + (Math.random() * 2 - 1) * TARGET_ALTITUDE_SPREAD),
+    heading: Math.random() * Math.PI * 2,
+    speed: TARGET_SPEED,
+    verticalSpeed: 0,
+    signature: player.signature,
+    damage: new DamageModel(),
+    isDestroyed: false,
     name: TARGET_NAMES[targetIndex],
     color: TARGET_COLORS[targetIndex],
     marker: null,
-    cell: null,
-    onScreen: true,
   };
 
-  target.initialCameraZ = renderer.getCameraZ();
-
   const markerGeometry = new THREE.BoxGeometry(50, 50, 50);
   const markerMaterial = new THREE.MeshBasicMaterial({ color: target.color });
   target.marker = new THREE.Mesh(markerGeometry, markerMaterial);
@@ -850,27 +1988,821 @@ function dropTarget() {
   testTargets.push(target);
 
   console.log(
-    `Target ${target.name} dropped at (${target.worldX.toFixed(0)}, ${target.worldY.toFixed(0)}) cameraZ:${target.initialCameraZ.toFixed(0)} [${testTargets.length}/${MAX_TARGETS}]`
+    `Target ${target.name} spawned at (${x.toFixed(0)}, ${y.toFixed(0)}) ${Math.round(target.altitude)}ft ` +
+    `heading ${Math.round((target.heading * 180) / Math.PI)}° [${testTargets.length}/${MAX_TARGETS}]`
   );
 }
 
+/**
+ * Fly the test contacts straight and level
+ * @param {number} deltaTime - Time step in seconds
+ */
+function updateTestTargets(deltaTime) {
+  for (const target of testTargets) {
+    target.x += Math.sin(target.heading) * target.speed * deltaTime;
+    target.y += Math.cos(target.heading) * target.speed * deltaTime;
+    target.worldX = target.x;
+    target.worldY = target.y;
+    target.marker.position.set(target.x, target.y, 5);
+  }
+}
+
 function clearAllTargets() {
   for (const target of testTargets) {
+    target.isDestroyed = true;
     if (target.marker) {
       terrainRenderer.getTerrainGroup().remove(target.marker);
       target.marker.geometry.dispose();
       target.marker.material.dispose();
     }
-
-    if (target.cell && voronoiCellManager.getCells().includes(target.cell)) {
-      voronoiCellManager.removeCell(target.cell);
-    }
   }
 
   testTargets.length = 0;
   console.log('All targets cleared');
 }
 
+/**
+ * Remove a test target that has been shot down
+ * @param {Object} target
+ */
+function destroyTestTarget(target) {
+  const index = testTargets.indexOf(target);
+  if (index === -1) return;
+
+  target.isDestroyed = true;
+  terrainRenderer.getTerrainGroup().remove(target.marker);
+  target.marker.geometry.dispose();
+  target.marker.material.dispose();
+
+  testTargets.splice(index, 1);
+  console.log(`Splash ${target.name}`);
+}
+
+/**
+ * Everything the player can detect and shoot at: test targets, live enemies
+ * and ground threat sites still in action
+ * @returns {Object[]}
+ */
+function getContacts() {
+  return [
+    ...testTargets,
+    ...enemies.filter((e) => !e.aircraft.isDestroyed).map((e) => e.aircraft),
+    ...threatRegistry.getAllSites().filter((site) => !site.isDestroyed),
+  ];
+}
+
+/**
+ * Radar emissions reaching an entity: enemy radars and their missiles'
+ * seekers not masked by terrain, and ground threat radars with the entity
+ * in sight
+ * @param {Object} receiver
+ * @returns {Object[]} Emissions (see Radar.getEmission)
+ */
+function getEmissions(receiver) {
+  return [
+    ...enemies.flatMap((e) => e.weaponSystem.getEmissions(receiver))
+      .filter((emission) => lineOfSight.hasLineOfSight(emission, receiver)),
+    ...threatRegistry.getAllSites().map((site) => site.getEmission(receiver)).filter((e) => e !== null),
+  ];
+}
+
+/**
+ * Display name of a contact
+ * @param {Object} contact
+ * @returns {string|null}
+ */
+function getContactName(contact) {
+  const enemy = enemies.find((e) => e.aircraft === contact);
+  return enemy ? enemy.name : contact.name || null;
+}
+
+/**
+ * Spawn a package of AI-flown enemies ahead of the player, pointed at it,
+ * in formation behind their leader; skill levels cycle per aircraft and
+ * formations per package
+ */
+function spawnEnemyPackage() {
+  const room = MAX_ENEMIES - enemies.length;
+  if (room <= 0) {
+    console.log(`Maximum ${MAX_ENEMIES} enemies reached`);
+    return;
+  }
+
+  const packageId = nextPackageId++;
+  const formation = ENEMY_FORMATIONS[(packageId - 1) % ENEMY_FORMATIONS.length];
+
+  const bearing = player.heading + ((Math.random() * 2 - 1) * TARGET_SPAWN_SPREAD * Math.PI) / 180;
+  const x = player.x + Math.sin(bearing) * ENEMY_SPAWN_RANGE;
+  const y = player.y + Math.cos(bearing) * ENEMY_SPAWN_RANGE;
+  const heading = (bearing + Math.PI) % (Math.PI * 2);
+  const patrolPoint = { x, y };
+  const homePoint = {
+    x: x + Math.sin(bearing) * ENEMY_HOME_RANGE,
+    y: y + Math.cos(bearing) * ENEMY_HOME_RANGE,
+  };
+
+  let flight = null;
+  for (let i = 0; i < Math.min(ENEMY_PACKAGE_SIZE, room); i++) {
+    const aircraft = new Aircraft(x, y, ENEMY_TYPE);
+    aircraft.heading = heading;
+    aircraft.altitude = ENEMY_ALTITUDE;
+
+    if (flight) {
+      flight.addMember(aircraft);
+      const slot = flight.getSlot(aircraft);
+      aircraft.x = slot.x;
+      aircraft.y = slot.y;
+      aircraft.altitude = slot.altitude;
+    } else {
+      flight = new FormationController(aircraft, { formation, name: `Package ${packageId}` });
+      enemyPackages.push(flight);
+    }
+    addEnemy(aircraft, { patrolPoint, homePoint, formation: flight });
+  }
+
+  console.log(
+    `${flight.name} (${flight.getAircraft().length}x ${ENEMY_TYPE}, ${flight.formation.name}) spawned ` +
+    `${(ENEMY_SPAWN_RANGE / 6076).toFixed(0)}nm ahead at ${ENEMY_ALTITUDE}ft`
+  );
+}
+
+/**
+ * Give an enemy aircraft its weapons, pilot and sprite
+ * @param {Aircraft} aircraft
+ * @param {Object} options
+ * @param {{x: number, y: number}} options.patrolPoint
+ * @param {{x: number, y: number}} options.homePoint
+ * @param {FormationController} options.formation - Package it flies in
+ */
+function addEnemy(aircraft, { patrolPoint, homePoint, formation }) {
+  const id = nextEnemyId++;
+  const skill = ENEMY_SKILLS[(id - 1) % ENEMY_SKILLS.length];
+
+  const getElevation = (wx, wy) => groundCollision.getSurface(wx, wy).elevation;
+  const enemyWeapons = new WeaponSystem(aircraft, {
+    group: terrainRenderer.getTerrainGroup(),
+    getElevation,
+  });
+  if (aircraft.radar) aircraft.radar.setLineOfSight(lineOfSight);
+  const pilot = new AiPilot(aircraft, {
+    skill,
+    weaponSystem: enemyWeapons,
+    getElevation,
+    lineOfSight,
+    patrolPoint,
+    homePoint,
+    formation,
+  });
+
+  // The sprite is built for the screen-fixed player; enemies fly it in world space
+  const anchor = new THREE.Group();
+  anchor.name = `enemy_${id}`;
+  aircraft.getMesh().position.set(0, 0, 0);
+  anchor.add(aircraft.getMesh());
+  terrainRenderer.getTerrainGroup().add(anchor);
+  terrainRenderer.getTerrainGroup().add(aircraft.getShadowMesh());
+
+  const enemy = {
+    id,
+    name: `Bandit ${id}`,
+    aircraft,
+    pilot,
+    weaponSystem: enemyWeapons,
+    flight: formation,
+    anchor,
+    smoke: new SmokeTrail(aircraft, terrainRenderer.getTerrainGroup()),
+  };
+  enemies.push(enemy);
+  placeEnemyMesh(enemy);
+
+  console.log(`${enemy.name} (${aircraft.type.name}, ${pilot.skill.name}) #${formation.getPosition(aircraft)} in ${formation.name}`);
+}
+
+/**
+ * Fly the enemies, their missiles and their terrain checks; remove wrecks
+ * once their missiles are gone
+ * @param {number} deltaTime - Time step in seconds
+ */
+function updateEnemies(deltaTime) {
+  // Packages close up on their losses and hand on the lead
+  for (const flight of [...enemyPackages]) {
+    if (!flight.update(deltaTime)) enemyPackages.splice(enemyPackages.indexOf(flight), 1);
+  }
+
+  const hostiles = getFriendlies();
+  const threats = [...weaponSystem.getMissiles(), ...(wingman ? wingman.weaponSystem.getMissiles() : [])];
+
+  for (const enemy of [...enemies]) {
+    const aircraft = enemy.aircraft;
+
+    if (!aircraft.isDestroyed) {
+      const enemyInput = enemy.pilot.update(deltaTime, { hostiles, threats });
+      aircraft.update(deltaTime, enemyInput);
+
+      const surface = groundCollision.getSurface(aircraft.x, aircraft.y);
+      if (aircraft.altitude <= surface.elevation) {
+        aircraft.destroy(surface.surface === 'water' ? 'water' : 'terrain');
+        console.log(`${enemy.name} hit the ${surface.surface === 'water' ? 'water' : 'ground'}`);
+      }
+      placeEnemyMesh(enemy);
+    }
+    logDamageEvents(aircraft, enemy.name);
+    enemy.smoke.update(deltaTime);
+
+    // Hits on the player end the sortie through updateSortie once the structure fails
+    const events = enemy.weaponSystem.update(deltaTime, hostiles, decoys);
+    for (const event of events) {
+      const result = event.missile ? event.missile.result : null;
+      damageWingman(event);
+      if (event.type === 'hit') {
+        if (event.target === player && !sortieResult) {
+          player.takeHits(event.gun.spec.damage, 'gun');
+        }
+      } else if (event.type === 'decoyed' || event.type === 'notched') {
+        console.log(`${enemy.name} ${event.missile.spec.shortName} ${event.type}`);
+      } else if (event.type === 'detonated' && result.target === player && !sortieResult) {
+        if (result.outcome === 'kill') {
+          endSortie('lost', 'missile', 'killed');
+        } else if (result.damage > 0) {
+          const fragments = event.missile.constants.blastFragments;
+          player.takeHits(result.damage / fragments, 'missile', fragments);
+        }
+      }
+    }
+
+    if (aircraft.isDestroyed && enemy.weaponSystem.getMissiles().length === 0) {
+      removeEnemy(enemy);
+    }
+  }
+}
+
+/**
+ * Send the sight lines from each ground threat radar to the player within
+ * reach to the terrain worker, so the sites' looks find them answered
+ */
+function prefetchSightLines() {
+  if (sortieResult) return;
+  const pairs = threatRegistry.getAllSites()
+    .filter((site) => !site.isDestroyed &&
+      Math.hypot(site.x - player.x, site.y - player.y) <= site.getDetectionRange() * site.constants.sightFactor)
+    .map((site) => [site.antenna, player]);
+  lineOfSight.prefetch(pairs);
+}
+
+/**
+ * Run the SAM and AAA sites against the player and wingman: radar looks, launches,
+ * bursts, and their missiles and rounds in flight
+ * @param {number} deltaTime - Time step in seconds
+ */
+function updateGroundThreats(deltaTime) {
+  const hostiles = sortieResult ? getFriendlies().filter((a) => a !== player) : getFriendlies();
+
+  for (const site of threatRegistry.getAllSites()) {
+    // Hits on the player end the sortie through updateSortie once the structure fails
+    for (const event of site.update(deltaTime, hostiles, decoys)) {
+      const result = event.missile ? event.missile.result : null;
+      damageWingman(event);
+      if (event.type === 'hit') {
+        if (event.target === player && !sortieResult) {
+          player.takeHits(event.gun.spec.damage, 'gun');
+        }
+      } else if (event.type === 'decoyed' || event.type === 'notched') {
+        console.log(`${site.name} ${event.missile.spec.shortName} ${event.type}`);
+      } else if (event.type === 'detonated' && result.target === player && !sortieResult) {
+        if (result.outcome === 'kill') {
+          endSortie('lost', 'missile', 'killed');
+        } else if (result.damage > 0) {
+          const fragments = event.missile.constants.blastFragments;
+          player.takeHits(result.damage / fragments, 'missile', fragments);
+        }
+      }
+    }
+  }
+}
+
+/**
+ * Player dispenser controls; release, fly and burn out the chaff and flares
+ * of every aircraft
+ * @param {number} deltaTime - Time step in seconds
+ * @param {Object} inputState - Current input state
+ */
+function updateCountermeasures(deltaTime, inputState) {
+  if (!sortieResult) {
+    player.countermeasures.handleInput(inputState);
+  }
+
+  const group = terrainRenderer.getTerrainGroup();
+  const aircraft = [player, ...(wingman ? [wingman.aircraft] : []), ...enemies.map((e) => e.aircraft)];
+  const dispensers = aircraft.map((a) => a.countermeasures);
+  for (const dispenser of dispensers) {
+    for (const decoy of dispenser.update(deltaTime)) {
+      group.add(decoy.getMesh());
+      decoys.push(decoy);
+    }
+  }
+
+  for (const decoy of [...decoys]) {
+    decoy.update(deltaTime);
+    if (!decoy.isActive()) removeDecoy(decoy);
+  }
+}
+
+/**
+ * Take a burnt-out decoy out of the world
+ * @param {Decoy} decoy
+ */
+function removeDecoy(decoy) {
+  terrainRenderer.getTerrainGroup().remove(decoy.getMesh());
+  decoy.dispose();
+  decoys.splice(decoys.indexOf(decoy), 1);
+}
+
+function clearDecoys() {
+  while (decoys.length > 0) {
+    removeDecoy(decoys[0]);
+  }
+}
+
+/**
+ * Put an enemy's or the wingman's sprite over its ground position, turned
+ * to its heading
+ * @param {Object} enemy - Enemy or wingman
+ */
+function placeEnemyMesh(enemy) {
+  const aircraft = enemy.aircraft;
+  const surface = sampleTerrainElevation(aircraft.x, aircraft.y);
+  enemy.anchor.position.set(aircraft.x, aircraft.y, surface + ENEMY_SPRITE_HEIGHT);
+  enemy.anchor.rotation.z = -aircraft.heading;
+}
+
+/**
+ * Take an enemy, its meshes and its missiles out of the world
+ * @param {Object} enemy
+ */
+function removeEnemy(enemy) {
+  const group = terrainRenderer.getTerrainGroup();
+  group.remove(enemy.anchor);
+  group.remove(enemy.aircraft.getShadowMesh());
+  enemy.weaponSystem.dispose();
+  enemy.smoke.dispose();
+  enemy.aircraft.getMesh().geometry.dispose();
+  enemy.aircraft.getMesh().material.dispose();
+  enemy.aircraft.getShadowMesh().geometry.dispose();
+  enemy.aircraft.getShadowMesh().material.dispose();
+  enemies.splice(enemies.indexOf(enemy), 1);
+}
+
+function clearEnemies() {
+  while (enemies.length > 0) {
+    enemies[0].aircraft.destroy('removed');
+    removeEnemy(enemies[0]);
+  }
+  enemyPackages.length = 0;
+}
+
+/**
+ * The aircraft on the player's side the enemies fight: the player and the
+ * wingman
+ * @returns {Aircraft[]}
+ */
+function getFriendlies() {
+  return wingman && !wingman.aircraft.isDestroyed ? [player, wingman.aircraft] : [player];
+}
+
+/**
+ * Spawn the wingman in its formation slot beside the airborne player
+ */
+function spawnWingman() {
+  if (wingman) {
+    console.log(`${wingman.name} is already up`);
+    return;
+  }
+  if (player.onGround || sortieResult) {
+    console.log('Wingman joins once airborne');
+    return;
+  }
+
+  const aircraft = new Aircraft(player.x, player.y, WINGMAN_TYPE);
+  const getElevation = (wx, wy) => groundCollision.getSurface(wx, wy).elevation;
+  const wingmanWeapons = new WeaponSystem(aircraft, {
+    group: terrainRenderer.getTerrainGroup(),
+    getElevation,
+  });
+  if (aircraft.radar) aircraft.radar.setLineOfSight(lineOfSight);
+  // RTB goes to the home field
+  const home = airbaseRegistry.getNearestAirbase(0, 0);
+  const pilot = new WingmanPilot(aircraft, playerFlight, {
+    skill: WINGMAN_SKILL,
+    weaponSystem: wingmanWeapons,
+    getElevation,
+    lineOfSight,
+    patrolPoint: { x: player.x, y: player.y },
+    homePoint: home ? { x: home.airbase.position.x, y: home.airbase.position.z } : { x: 0, y: 0 },
+  });
+
+  // Start in the slot, matching the player's flight path
+  const slot = pilot.getSlot();
+  aircraft.x = slot.x;
+  aircraft.y = slot.y;
+  aircraft.altitude = slot.altitude;
+  aircraft.heading = player.heading;
+  aircraft.speed = player.speed;
+  aircraft.throttle = player.throttle;
+
+  const anchor = new THREE.Group();
+  anchor.name = 'wingman';
+  aircraft.getMesh().position.set(0, 0, 0);
+  anchor.add(aircraft.getMesh());
+  terrainRenderer.getTerrainGroup().add(anchor);
+  terrainRenderer.getTerrainGroup().add(aircraft.getShadowMesh());
+
+  wingman = {
+    name: pilot.callsign,
+    aircraft,
+    pilot,
+    weaponSystem: wingmanWeapons,
+    anchor,
+    smoke: new SmokeTrail(aircraft, terrainRenderer.getTerrainGroup()),
+  };
+  placeEnemyMesh(wingman);
+  wingmanMenu.setActive(pilot.getCommand());
+
+  console.log(`${wingman.name} (${aircraft.type.name}) joined`);
+}
+
+/**
+ * Step the player's flight to the next formation
+ */
+function cycleFlightFormation() {
+  const ids = Object.keys(FORMATIONS);
+  const next = ids[(ids.indexOf(playerFlight.formation.id) + 1) % ids.length];
+  playerFlight.setFormation(next);
+  console.log(`${playerFlight.name}: ${playerFlight.formation.name}`);
+}
+
+/**
+ * Pass a command from the menu to the wingman; engage my target goes
+ * against the radar-locked track
+ * @param {string} commandId - See WINGMAN_COMMANDS
+ */
+function commandWingman(commandId) {
+  if (!wingman || wingman.aircraft.isDestroyed) {
+    console.log('No wingman');
+    return;
+  }
+
+  const locked = player.radar ? player.radar.lockedTrack : null;
+  wingman.pilot.giveCommand(commandId, { target: locked ? locked.target : null });
+  wingmanMenu.setActive(wingman.pilot.getCommand());
+}
+
+/**
+ * Fly the wingman, its missiles and its terrain check against the enemies
+ * and the enemy and ground threat missiles; remove the wreck once its
+ * missiles are gone
+ * @param {number} deltaTime - Time step in seconds
+ */
+function updateWingman(deltaTime) {
+  if (!wingman) return;
+  playerFlight.update(deltaTime);
+  const aircraft = wingman.aircraft;
+  const bandits = enemies.map((e) => e.aircraft).filter((a) => !a.isDestroyed);
+
+  if (!aircraft.isDestroyed) {
+    const threats = [
+      ...enemies.flatMap((e) => e.weaponSystem.getMissiles()),
+      ...threatRegistry.getAllSites().flatMap((site) => site.getMissiles()),
+    ];
+    const wingmanInput = wingman.pilot.update(deltaTime, { hostiles: bandits, threats });
+    aircraft.update(deltaTime, wingmanInput);
+
+    const surface = groundCollision.getSurface(aircraft.x, aircraft.y);
+    if (aircraft.altitude <= surface.elevation) {
+      aircraft.destroy(surface.surface === 'water' ? 'water' : 'terrain');
+      console.log(`${wingman.name} hit the ${surface.surface === 'water' ? 'water' : 'ground'}`);
+    }
+    placeEnemyMesh(wingman);
+  }
+  logDamageEvents(aircraft, wingman.name);
+  wingman.smoke.update(deltaTime);
+
+  const events = wingman.weaponSystem.update(deltaTime, bandits, decoys);
+  for (const event of events) {
+    const result = event.missile ? event.missile.result : null;
+    if (event.type === 'hit') {
+      damageContact(event.target, event.gun.spec.damage, 1, 'gun');
+    } else if (event.type === 'detonated' && result.outcome === 'kill') {
+      const enemy = enemies.find((e) => e.aircraft === result.target);
+      if (enemy && !enemy.aircraft.isDestroyed) {
+        enemy.aircraft.destroy('missile');
+        airKills++;
+        console.log(`${wingman.name}: splash ${enemy.name}`);
+      }
+    } else if (event.type === 'detonated' && result.damage > 0) {
+      const fragments = event.missile.constants.blastFragments;
+      damageContact(result.target, result.damage / fragments, fragments, 'missile');
+    }
+  }
+
+  if (aircraft.isDestroyed && wingman.weaponSystem.getMissiles().length === 0) {
+    removeWingman();
+  }
+}
+
+/**
+ * Apply an enemy or ground threat gun hit or missile detonation to the
+ * wingman, if it was the target
+ * @param {Object} event - Weapon event (see WeaponSystem.update)
+ */
+function damageWingman(event) {
+  if (!wingman || wingman.aircraft.isDestroyed) return;
+  const aircraft = wingman.aircraft;
+
+  if (event.type === 'hit' && event.target === aircraft) {
+    aircraft.takeHits(event.gun.spec.damage, 'gun');
+  } else if (event.type === 'detonated' && event.missile.result.target === aircraft) {
+    const result = event.missile.result;
+    if (result.outcome === 'kill') {
+      aircraft.destroy('missile');
+    } else if (result.damage > 0) {
+      const fragments = event.missile.constants.blastFragments;
+      aircraft.takeHits(result.damage / fragments, 'missile', fragments);
+    }
+  }
+
+  if (aircraft.isDestroyed) {
+    console.log(`${wingman.name} is down`);
+  }
+}
+
+/**
+ * Take the wingman, its meshes, missiles and target cell out of the world
+ */
+function removeWingman() {
+  if (!wingman) return;
+  const view = targetViews.find((v) => v.kind === 'wingman');
+  if (view) removeTargetView(view);
+
+  const group = terrainRenderer.getTerrainGroup();
+  group.remove(wingman.anchor);
+  group.remove(wingman.aircraft.getShadowMesh());
+  wingman.weaponSystem.dispose();
+  wingman.smoke.dispose();
+  wingman.aircraft.getMesh().geometry.dispose();
+  wingman.aircraft.getMesh().material.dispose();
+  wingman.aircraft.getShadowMesh().geometry.dispose();
+  wingman.aircraft.getShadowMesh().material.dispose();
+  if (playerFlight) playerFlight.removeMember(wingman.aircraft);
+  wingman = null;
+  if (wingmanMenu) wingmanMenu.setActive(null);
+}
+
+/**
+ * Keep a cell on the radar-locked track (or its package), on player
+ * missiles in flight and on the wingman while it is separated, dropping
+ * missile cells a moment after the missile is gone
+ * @param {number} deltaTime - Time step in seconds
+ */
+function updateTargetViews(deltaTime) {
+  const locked = player.radar ? player.radar.lockedTrack : null;
+  const lockView = targetViews.find((v) => v.kind === 'lock');
+  if (lockView && lockView.source !== locked) {
+    removeTargetView(lockView);
+  }
+  if (locked && (!lockView || lockView.source !== locked)) {
+    addTargetView('lock', locked, getContactName(locked.target) || `TRK ${locked.id}`);
+  }
+
+  // The wingman gets a cell once beyond separation range, until it is back in close
+  if (wingman) {
+    const wingmanView = targetViews.find((v) => v.kind === 'wingman');
+    const range = wingman.pilot.getRangeToLead();
+    const { separationRange, rejoinedRange } = wingman.pilot.wingmanConstants;
+    if (!wingmanView && !wingman.aircraft.isDestroyed && range > separationRange) {
+      addTargetView('wingman', wingman.aircraft, wingman.name);
+    } else if (wingmanView && (wingman.aircraft.isDestroyed || range < rejoinedRange)) {
+      removeTargetView(wingmanView);
+    }
+  }
+
+  for (const view of [...targetViews]) {
+    const source = view.source;
+
+    if (view.kind === 'lock' || view.kind === 'wingman' || source.isActive()) {
+      const position = getTargetViewPosition(view);
+      updateTargetViewMotion(view, position, deltaTime);
+      view.worldX = position.x;
+      view.worldY = position.y;
+      view.marker.position.set(position.x, position.y, 0);
+      view.masked = !lineOfSight.hasLineOfSight(player, source);
+      continue;
+    }
+
+    // The anchor stays put once the missile is gone
+    view.vx = 0;
+    view.vy = 0;
+    view.lingerTime -= deltaTime;
+    if (view.lingerTime <= 0) {
+      removeTargetView(view);
+    }
+  }
+}
+
+/**
+ * Where a target view's cell looks: the center of the locked aircraft's
+ * package while it flies in one that holds together, else the source
+ * @param {Object} view
+ * @returns {{x: number, y: number}}
+ */
+function getTargetViewPosition(view) {
+  if (view.kind === 'lock') {
+    const enemy = enemies.find((e) => e.aircraft === view.source.target);
+    const cluster = enemy ? enemy.flight.getCluster() : null;
+    if (cluster && cluster.aircraft.length > 1 && cluster.radius <= CELL_CLUSTER_RADIUS) {
+      return cluster;
+    }
+  }
+  return view.source;
+}
+
+/**
+ * Follow a target view's source before its position is taken for the frame:
+ * the rate of change of the range filtered into the closure rate, and of the
+ * position into the ground velocity
+ * @param {Object} view
+ * @param {{x: number, y: number}} position - Where the cell looks this frame (see getTargetViewPosition)
+ * @param {number} deltaTime - Time step in seconds
+ */
+function updateTargetViewMotion(view, position, deltaTime) {
+  const source = view.source;
+  const range = Math.hypot(
+    source.x - player.x,
+    source.y - player.y,
+    (source.altitude ?? player.altitude) - player.altitude
+  );
+  if (view.range !== null && deltaTime > 0) {
+    const k = Math.min(1, deltaTime / CELL_CLOSURE_FILTER);
+    view.closure += ((view.range - range) / deltaTime - view.closure) * k;
+    view.vx += ((position.x - view.worldX) / deltaTime - view.vx) * k;
+    view.vy += ((position.y - view.worldY) / deltaTime - view.vy) * k;
+  }
+  view.range = range;
+}
+
+/**
+ * What a target view is looking at, to keep its framing by: the aircraft
+ * behind a radar track, else the source itself
+ * @param {string} kind - View kind
+ * @param {Object} source - View source
+ * @returns {Object}
+ */
+function getViewSubject(kind, source) {
+  return kind === 'lock' && source.target ? source.target : source;
+}
+
+/**
+ * Remember a target cell's framing for its target, for this view and any
+ * later view of the same target
+ * @param {Object} view
+ */
+function saveTargetFraming(view) {
+  view.framing = view.cell.framing;
+  view.northUp = view.cell.northUp;
+  targetFraming.set(getViewSubject(view.kind, view.source), { framing: view.framing, northUp: view.northUp });
+}
+
+/**
+ * Keep a target cell's bearing line from the target to the player while
+ * it is framed that way; the line shows in that cell only (its overlay)
+ * @param {Object} view
+ */
+function updateBearingLine(view) {
+  const cell = view.cell;
+  if (cell.framing !== 'bearing') {
+    cell.overlay = null;
+    return;
+  }
+
+  if (!view.bearingLine) {
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(6), 3));
+    view.bearingLine = new THREE.Line(
+      geometry,
+      new THREE.LineBasicMaterial({ color: BEARING_LINE_COLOR, depthTest: false, depthWrite: false })
+    );
+    view.bearingLine.name = 'bearing_line';
+    view.bearingLine.frustumCulled = false;
+    view.bearingLine.visible = false;
+    terrainRenderer.getTerrainGroup().add(view.bearingLine);
+  }
+
+  const height = (x, y) => sampleTerrainElevation(x, y) + BEARING_LINE_HEIGHT;
+  const line = view.bearingLine.geometry.attributes.position;
+  line.setXYZ(0, view.worldX, view.worldY, height(view.worldX, view.worldY));
+  line.setXYZ(1, player.x, player.y, height(player.x, player.y));
+  line.needsUpdate = true;
+  cell.overlay = view.bearingLine;
+}
+
+/**
+ * Layout weight of a target view's cell: its threat level and closure rate
+ * (pinning is applied by the cell, see VoronoiCell.getLayoutWeight)
+ * @param {Object} view
+ * @returns {number} 0-1
+ */
+function getTargetViewWeight(view) {
+  const aircraft = view.kind === 'lock' ? view.source.target : view.source;
+  const contact = player.rwr ? player.rwr.getContacts().find((c) => c.source === aircraft) : null;
+  const threat = CELL_WEIGHT_KIND[view.kind] + (contact ? CELL_WEIGHT_RWR[contact.mode] : 0);
+  const closure = Math.max(0, Math.min(1, view.closure / CELL_CLOSURE_FULL));
+  return Math.min(1, threat + closure * CELL_WEIGHT_CLOSURE);
+}
+
+/**
+ * Sensor a target view comes from, which tints its cell (see
+ * VoronoiCell.setSensorType): the radar for a track, an IR missile's
+ * seeker, and the datalink for other missiles and the wingman
+ * @param {Object} view
+ * @returns {string}
+ */
+function getTargetViewSensor(view) {
+  if (view.kind === 'lock') return 'radar';
+  if (view.kind === 'missile' && view.source.seeker.type === 'ir') return 'ir';
+  return 'datalink';
+}
+
+/**
+ * Give a newly launched missile its own target cell, if one is free
+ * @param {Missile} missile
+ */
+function addMissileView(missile) {
+  const missileViews = targetViews.filter((v) => v.kind === 'missile');
+  if (missileViews.length >= MAX_MISSILE_VIEWS) return;
+  addTargetView('missile', missile, `${missile.spec.shortName} #${missile.id}`);
+}
+
+/**
+ * Start tracking something with a target cell
+ * @param {string} kind - 'lock' (radar track), 'missile' or 'wingman'
+ * @param {Object} source - Radar track, missile or aircraft; anything with x and y
+ * @param {string} name
+ */
+function addTargetView(kind, source, name) {
+  const framing = targetFraming.get(getViewSubject(kind, source)) || { framing: 'centered', northUp: false };
+
+  // The cell camera follows an anchor, which stays put once a missile is gone
+  const marker = new THREE.Object3D();
+  marker.position.set(source.x, source.y, 0);
+  terrainRenderer.getTerrainGroup().add(marker);
+
+  targetViews.push({
+    id: source.id !== undefined ? `${kind}_${source.id}` : kind,
+    kind,
+    source,
+    name,
+    worldX: source.x,
+    worldY: source.y,
+    marker,
+    cell: null,
+    onScreen: true,
+    onScreenHold: 0,         // seconds before onScreen may switch again
+    masked: false,           // terrain stands between the player and the source
+    range: null,             // ft, from the player
+    closure: 0,              // ft/s, positive closing (filtered)
+    vx: 0,                   // ft/s, ground velocity (filtered)
+    vy: 0,
+    pinned: false,           // held at the largest share of the weighted layout
+    framing: framing.framing,  // cell framing, kept per target (see saveTargetFraming)
+    northUp: framing.northUp,
+    bearingLine: null,       // created with the first bearing framing
+    initialCameraZ: renderer.getCameraZ(),
+    lingerTime: MISSILE_VIEW_LINGER,
+  });
+}
+
+/**
+ * Remove a target view, its anchor and its cell
+ * @param {Object} view
+ */
+function removeTargetView(view) {
+  terrainRenderer.getTerrainGroup().remove(view.marker);
+  if (view.bearingLine) {
+    terrainRenderer.getTerrainGroup().remove(view.bearingLine);
+    view.bearingLine.geometry.dispose();
+    view.bearingLine.material.dispose();
+  }
+  if (view.cell && voronoiCellManager.getCells().includes(view.cell)) {
+    voronoiCellManager.removeCell(view.cell);
+  }
+  targetViews.splice(targetViews.indexOf(view), 1);
+}
+
+function clearTargetViews() {
+  while (targetViews.length > 0) {
+    removeTargetView(targetViews[0]);
+  }
+}
+
 function buildViewportRegions() {
   const regions = [];
 
@@ -882,14 +2814,14 @@ function buildViewportRegions() {
     id: 'player',
   });
 
-  for (const target of testTargets) {
-    if (!target.onScreen && target.cell) {
+  for (const view of targetViews) {
+    if (!view.onScreen && view.cell) {
       regions.push({
-        x: target.worldX,
-        y: target.worldY,
+        x: view.worldX,
+        y: view.worldY,
         radius: 2,
         priority: 2,
-        id: `target_${target.id}`,
+        id: `target_${view.id}`,
       });
     }
   }
@@ -16,6 +16,9 @@ let touchInputState = {
 export function init() {
   window.addEventListener('keydown', (e) => {
     keys[e.code] = true;
+    // Tab cycles radar targets rather than moving focus; arrows slew the
+    // targeting pod rather than scroll
+    if (e.code === 'Tab' || e.code.startsWith('Arrow')) e.preventDefault();
   });
 
   window.addEventListener('keyup', (e) => {
@@ -69,11 +72,34 @@ export function getInputState() {
     turnRight: keyTurnRight || touchTurnRight,
     climbUp: keyClimbUp,
     climbDown: keyClimbDown,
+    afterburner: isKeyDown('Slash'),  // not Shift, which is the chord modifier
     centerStick: isKeyDown('Space'),  // Center turn stick
     lock: isKeyDown('Space'),
+    cycleTarget: isKeyDown('Tab'),
+    radarMode: isKeyDown('KeyM'),
+    radarScan: isKeyDown('KeyN'),
+    radarRangeUp: isKeyDown('BracketRight'),
+    radarRangeDown: isKeyDown('BracketLeft'),
+    radarElevationUp: isKeyDown('PageUp'),
+    radarElevationDown: isKeyDown('PageDown'),
     fire: isKeyDown('KeyF'),
+    weaponSelect: isKeyDown('KeyR'),
+    dispenseChaff: isKeyDown('KeyC'),
+    dispenseFlare: isKeyDown('KeyX'),
+    dispenseProgram: isKeyDown('KeyZ'),
+    eject: isKeyDown('KeyJ'),
+    gear: isKeyDown('KeyG'),
+    flaps: isKeyDown('KeyV'),
+    speedBrake: isKeyDown('KeyB'),
     advanceTime: isKeyDown('KeyT'),
     advanceSeason: isKeyDown('KeyY'),
+    tgpSlewUp: isKeyDown('ArrowUp'),
+    tgpSlewDown: isKeyDown('ArrowDown'),
+    tgpSlewLeft: isKeyDown('ArrowLeft'),
+    tgpSlewRight: isKeyDown('ArrowRight'),
+    tgpZoom: isKeyDown('Equal'),
+    tgpTrack: isKeyDown('Backslash'),
+    tgpDesignate: isKeyDown('Enter'),
 
     // Analog touch values for smoother control (optional use by aircraft)
     touchActive: touchInputState.active,
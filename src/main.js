@@ -10,6 +10,7 @@ import { MainMenuScreen } from './screens/MainMenuScreen.js';
 import { NewCampaignScreen } from './screens/NewCampaignScreen.js';
 import { LoadCampaignScreen } from './screens/LoadCampaignScreen.js';
 import { FlightScreen } from './screens/FlightScreen.js';
+import { SortieResultScreen } from './screens/SortieResultScreen.js';
 
 let screenManager = null;
 
@@ -31,6 +32,7 @@ function init() {
   screenManager.register('new-campaign', NewCampaignScreen);
   screenManager.register('load-campaign', LoadCampaignScreen);
   screenManager.register('flight', FlightScreen);
+  screenManager.register('sortie-result', SortieResultScreen);
 
   // Start at main menu
   screenManager.goto('main-menu');
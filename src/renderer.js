@@ -144,24 +144,29 @@ export function render() {
 export function updateBlur(altitude) {
   if (!blurPass) return;
 
-  let blurAmount = 0;
+  blurPass.uniforms.uBlurAmount.value = getBlurAmount(altitude);
+}
 
+/**
+ * Terrain blur for a view from an altitude (also used per cell by the
+ * render-to-texture compositor)
+ * @param {number} altitude - ft
+ * @returns {number} 0 (sharp) to 1 (strongest blur)
+ */
+export function getBlurAmount(altitude) {
   // Altitude thresholds for blur progression
   if (altitude <= 500) {
     // Ground level: no blur
-    blurAmount = 0;
+    return 0;
   } else if (altitude < 15000) {
     // Low to mid altitude: gradual blur increase
-    blurAmount = ((altitude - 500) / 14500) * 0.3;
+    return ((altitude - 500) / 14500) * 0.3;
   } else if (altitude < 35000) {
     // Mid to high altitude: moderate blur
-    blurAmount = 0.3 + ((altitude - 15000) / 20000) * 0.4;
-  } else {
-    // Very high altitude: strong blur
-    blurAmount = 0.7 + ((Math.min(altitude, 40000) - 35000) / 5000) * 0.3;
+    return 0.3 + ((altitude - 15000) / 20000) * 0.4;
   }
-
-  blurPass.uniforms.uBlurAmount.value = blurAmount;
+  // Very high altitude: strong blur
+  return 0.7 + ((Math.min(altitude, 40000) - 35000) / 5000) * 0.3;
 }
 
 export function getScene() {
@@ -1,5 +1,13 @@
 import { Screen } from './Screen.js';
 import * as game from '../game.js';
+import { CampaignPersistence } from '../campaign/CampaignPersistence.js';
+import { COMPOSITORS } from '../voronoi/VoronoiCellManager.js';
+
+// Seconds the world keeps running after the aircraft is lost before the result screen
+const RESULT_DELAY = 2.0;
+
+// Cell compositor from the page URL (?compositor=stencil|texture), or the game's default
+const COMPOSITOR_PARAM = 'compositor';
 
 /**
  * Flight screen that wraps the main game.
@@ -11,6 +19,7 @@ export class FlightScreen extends Screen {
     this.campaign = null;
     this.isRunning = false;
     this.animationFrameId = null;
+    this.resultTimer = 0;
   }
 
   create() {
@@ -31,14 +40,33 @@ export class FlightScreen extends Screen {
     const worldSeed = this.campaign?.seed ?? 42;
 
     // Initialize the game
-    await game.initGame(worldSeed);
+    await game.initGame(worldSeed, {
+      airframeDamage: this.campaign?.airframeDamage ?? null,
+      groundDamage: this.campaign?.groundDamage ?? null,
+      compositor: this.getCompositor(),
+    });
 
     // Start game loop
+    this.resultTimer = 0;
     this.isRunning = true;
     this.lastTime = performance.now();
     this.animationFrameId = requestAnimationFrame((t) => this.gameLoop(t));
   }
 
+  /**
+   * Cell compositor asked for in the page URL, if it is a known one
+   * @returns {string|undefined} undefined for the game's default
+   */
+  getCompositor() {
+    const compositor = new URLSearchParams(window.location.search).get(COMPOSITOR_PARAM);
+    if (compositor === null) return undefined;
+    if (!COMPOSITORS.includes(compositor)) {
+      console.warn(`Unknown compositor "${compositor}", using the default (${COMPOSITORS.join('/')})`);
+      return undefined;
+    }
+    return compositor;
+  }
+
   async hide() {
     // Stop game loop
     this.isRunning = false;
@@ -70,7 +98,30 @@ export class FlightScreen extends Screen {
     game.render();
     game.updateDebug(deltaTime);
 
+    // Once the sortie has ended, hold briefly then show the result
+    const result = game.getSortieResult();
+    if (result) {
+      this.resultTimer += deltaTime;
+      if (this.resultTimer >= RESULT_DELAY) {
+        this.endSortie(result);
+        return;
+      }
+    }
+
     // Continue loop
     this.animationFrameId = requestAnimationFrame((t) => this.gameLoop(t));
   }
+
+  /**
+   * Record the sortie in the campaign and show the result screen
+   * @param {Object} result - Sortie result from game.getSortieResult()
+   */
+  endSortie(result) {
+    if (this.campaign) {
+      this.campaign.recordSortie(result);
+      CampaignPersistence.save(this.campaign);
+    }
+
+    this.manager.goto('sortie-result', { result, campaign: this.campaign }, false);
+  }
 }
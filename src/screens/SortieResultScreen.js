@@ -0,0 +1,118 @@
+import { Screen } from './Screen.js';
+import { DAMAGE_DEFAULTS } from '../data/aircraft.js';
+
+const CAUSE_TEXT = {
+  terrain: 'Controlled flight into terrain',
+  water: 'Impacted the water',
+  runway: 'Crashed on landing',
+  excursion: 'Runway excursion',
+  ejected: 'Pilot ejected',
+  missile: 'Shot down',
+  gun: 'Shot down by gunfire',
+  fire: 'Lost to an in-flight fire',
+  landed: 'Landed',
+};
+
+const PILOT_TEXT = {
+  killed: 'Killed in action',
+  recovered: 'Recovered',
+  rescue: 'Awaiting rescue at sea',
+};
+
+/**
+ * Sortie result screen shown when a sortie ends.
+ * Summarizes what happened and offers to fly again or return to the menu.
+ */
+export class SortieResultScreen extends Screen {
+  constructor(manager) {
+    super(manager);
+    this.campaign = null;
+  }
+
+  create() {
+    const container = document.createElement('div');
+    container.className = 'screen';
+    container.innerHTML = `
+      <div class="panel">
+        <h1 class="screen-title" id="result-title"></h1>
+        <div class="preview-stats" id="result-details"></div>
+        <div class="btn-row">
+          <button class="menu-btn" data-action="main-menu">Main Menu</button>
+          <button class="menu-btn primary" data-action="fly-again">Fly Again</button>
+        </div>
+      </div>
+    `;
+
+    // Cache references
+    this.titleEl = container.querySelector('#result-title');
+    this.detailsEl = container.querySelector('#result-details');
+
+    // Bind events
+    container
+      .querySelector('[data-action="main-menu"]')
+      .addEventListener('click', () => this.manager.goto('main-menu', {}, false));
+
+    container
+      .querySelector('[data-action="fly-again"]')
+      .addEventListener('click', () =>
+        this.manager.goto('flight', { campaign: this.campaign }, false)
+      );
+
+    return container;
+  }
+
+  onShow(params) {
+    const { result, campaign } = params;
+    this.campaign = campaign || null;
+
+    this.titleEl.textContent = result.outcome === 'lost' ? 'Aircraft Lost' : 'Sortie Complete';
+    const cause = result.cause === 'landed' && result.landing?.airbase
+      ? `Landed at ${result.landing.airbase}`
+      : CAUSE_TEXT[result.cause] || result.cause;
+
+    const minutes = Math.floor(result.flightTime / 60);
+    const seconds = Math.floor(result.flightTime % 60).toString().padStart(2, '0');
+
+    const lines = [
+      `<strong>${cause}</strong>`,
+      `Pilot: ${PILOT_TEXT[result.pilotStatus] || result.pilotStatus}`,
+      `Flight time: ${minutes}:${seconds}`,
+      `Fuel remaining: ${Math.round(result.fuelRemaining)} lb`,
+    ];
+
+    if (result.landing) {
+      const landing = result.landing;
+      lines.push(
+        `Landing grade: <strong>${landing.grade}</strong>${landing.remarks.length ? ` (${landing.remarks.join(', ')})` : ''}`,
+        `Sink rate: ${Math.round(landing.sinkRate * 60)} fpm, alignment ${landing.alignment.toFixed(1)}\u00B0`
+      );
+    }
+
+    // Damage the airframe brings home, and into the next sortie
+    if (result.outcome !== 'lost' && result.damage) {
+      const damaged = Object.entries(result.damage.systems)
+        .filter(([, health]) => health < 1)
+        .map(([id, health]) => `${DAMAGE_DEFAULTS.systems[id].name} ${Math.round(health * 100)}%`);
+      lines.push(`Battle damage: ${damaged.length ? damaged.join(', ') : 'none'}`);
+    }
+
+    // Enemy aircraft shot down by the player and the wingman
+    if (result.airKills > 0) {
+      lines.push(`Air kills: ${result.airKills}`);
+    }
+
+    // Sites and runways hit by bombs and rockets
+    if (result.strikes && result.strikes.length > 0) {
+      lines.push(`Strikes: ${result.strikes.map((s) => `${s.name} ${s.status}`).join(', ')}`);
+    }
+
+    if (this.campaign) {
+      lines.push(
+        `Campaign losses: ${this.campaign.aircraftLost} aircraft, ${this.campaign.pilotsLost} pilots`,
+        `Installations destroyed: ${this.campaign.installationsDestroyed}`
+      );
+    }
+
+    this.detailsEl.innerHTML = lines.join('<br>');
+  }
+}
@@ -0,0 +1,707 @@
+/**
+ * Radar - Airborne pulse-doppler radar with scan volume, detection and track files
+ *
+ * In the search modes the antenna sweeps back and forth in azimuth across
+ * the scan width, stepping one elevation bar at the end of each sweep.
+ * Every target the beam passes over gets one look, detected with a
+ * probability that depends on range, RCS and aspect:
+ *
+ *   signal = (rcs / referenceRcs) * (detectionRange / range)^4
+ *   Pd = 1 - 0.5^signal   (50% at the quoted detection range)
+ *
+ * RCS grows from the nose toward the beam and tail. Looking down, targets
+ * with little radial speed fall into the clutter notch and are filtered
+ * out, and targets close to the ground are harder to see. Terrain between
+ * the radar and a target masks it (see setLineOfSight).
+ *
+ * Modes:
+ * - RWS (range while search): wide scan, contacts carry position only
+ * - TWS (track while scan): narrower scan, contacts become firm tracks
+ *   with velocity after two returns and can support Fox-3 shots
+ * - STT (single target track): the beam dwells on one track, updated
+ *   several times a second; every other track coasts and ages out
+ *
+ * Track files coast on their last velocity between returns and are dropped
+ * once they go unseen for a few scan frames.
+ *
+ * A damaged radar sees less far (setRangeFactor); a failed one (factor 0)
+ * neither detects nor radiates.
+ */
+
+import { RADAR_DEFAULTS } from '../data/aircraft.js';
+import { getTargetState } from '../weapons/MissileSeeker.js';
+import { angleBetween, wrapDegrees } from '../utils/math.js';
+
+const DEG_TO_RAD = Math.PI / 180;
+const RAD_TO_DEG = 180 / Math.PI;
+
+/**
+ * A radar track file: the radar's estimate of one contact
+ */
+class RadarTrack {
+  /**
+   * @param {number} id - Track number
+   * @param {Object} target - Entity the returns come from
+   */
+  constructor(id, target) {
+    this.id = id;
+    this.target = target;
+
+    // Estimated position (ft) and velocity (ft/s), world axes
+    this.x = target.x;
+    this.y = target.y;
+    this.altitude = target.altitude;
+    this.vx = 0;
+    this.vy = 0;
+    this.vz = 0;
+    this.hasVelocity = false;
+
+    // Relative to the radar (updated every frame from the estimate)
+    this.range = 0;       // ft
+    this.azimuth = 0;     // degrees off the nose, positive right
+    this.elevation = 0;   // degrees above the horizon
+
+    // From the last return
+    this.closure = 0;     // ft/s, positive closing
+    this.aspect = 0;      // degrees, 0 = nose-on (hot), 180 = tail-on (cold)
+
+    this.hits = 0;
+    this.lastSeen = 0;    // radar time of the last return (s)
+    this.age = 0;         // seconds since the last return
+    this.status = 'new';  // 'new' or 'firm'
+  }
+
+  /**
+   * Record a return
+   * @param {Object} geometry - From Radar._getGeometry()
+   * @param {number} time - Radar time (s)
+   * @param {boolean} withVelocity - Whether the mode measures velocity
+   */
+  update(geometry, time, withVelocity) {
+    const state = geometry.state;
+    this.x = state.x;
+    this.y = state.y;
+    this.altitude = state.z;
+    this.vx = withVelocity ? state.vx : 0;
+    this.vy = withVelocity ? state.vy : 0;
+    this.vz = withVelocity ? state.vz : 0;
+    this.hasVelocity = withVelocity;
+
+    this.closure = geometry.closure;
+    this.aspect = geometry.aspect;
+
+    this.hits++;
+    this.lastSeen = time;
+    this.age = 0;
+    this.status = withVelocity && this.hits >= 2 ? 'firm' : 'new';
+  }
+
+  /**
+   * Coast the estimate on its last velocity
+   * @param {number} deltaTime - Time step in seconds
+   */
+  extrapolate(deltaTime) {
+    this.x += this.vx * deltaTime;
+    this.y += this.vy * deltaTime;
+    this.altitude += this.vz * deltaTime;
+  }
+}
+
+export class Radar {
+  /**
+   * @param {Aircraft} aircraft - Carrying aircraft (position, heading, flight path)
+   * @param {Object} spec - AIRCRAFT_TYPES[id].sensors.radar
+   * @param {Object} [constants] - Overrides for RADAR_DEFAULTS
+   */
+  constructor(aircraft, spec, constants = {}) {
+    this.aircraft = aircraft;
+    this.spec = spec;
+    this.constants = { ...RADAR_DEFAULTS, ...constants };
+    this.rangeFactor = 1;       // detection range multiplier, lowered by damage
+    this.lineOfSight = null;    // terrain masking, none until set
+
+    this.mode = 'RWS';          // 'RWS', 'TWS' or 'STT'
+    this._searchMode = 'RWS';   // mode to return to when a lock ends
+    this.rangeScaleIndex = Math.min(2, spec.rangeScales.length - 1);
+
+    // Scan volume (degrees): azimuth half-width about scanCenter, elevation bars about antennaElevation
+    this.scanCenter = 0;
+    this.scanAzimuth = 0;
+    this.bars = 1;
+    this.antennaElevation = 0;
+    this._applyScanPattern('RWS');
+
+    this.time = 0;
+    this.tracks = [];
+    this.selectedTrack = null;
+    this.lockedTrack = null;
+    this._nextTrackId = 1;
+    this._sttTimer = 0;
+
+    // Key states from the previous frame, for press detection
+    this._previousInput = {
+      lock: false, cycleTarget: false, radarMode: false, radarScan: false,
+      radarRangeUp: false, radarRangeDown: false
+    };
+  }
+
+  // ============================================
+  // Public API - Commands
+  // ============================================
+
+  /**
+   * Radar controls: lock/unlock, target cycling, mode, scan width,
+   * range scale (on key press) and antenna elevation (while held)
+   * @param {Object} inputState - Current input state
+   * @param {number} deltaTime - Time step in seconds
+   */
+  handleInput(inputState, deltaTime) {
+    const previous = this._previousInput;
+    const pressed = (name) => inputState[name] && !previous[name];
+
+    if (pressed('lock')) {
+      if (this.lockedTrack) {
+        this.unlock();
+      } else {
+        if (!this.selectedTrack) this.selectNextTrack();
+        if (this.selectedTrack) this.lock(this.selectedTrack);
+      }
+    }
+    if (pressed('cycleTarget')) this.selectNextTrack();
+    if (pressed('radarMode')) this.setMode(this._searchMode === 'RWS' ? 'TWS' : 'RWS');
+    if (pressed('radarScan')) this.cycleScanWidth();
+    if (pressed('radarRangeUp')) this.changeRangeScale(1);
+    if (pressed('radarRangeDown')) this.changeRangeScale(-1);
+
+    if (inputState.radarElevationUp) this.slewElevation(this.constants.elevationRate * deltaTime);
+    if (inputState.radarElevationDown) this.slewElevation(-this.constants.elevationRate * deltaTime);
+
+    for (const name of Object.keys(previous)) {
+      previous[name] = inputState[name];
+    }
+  }
+
+  /**
+   * Switch search mode, breaking any lock
+   * @param {string} mode - 'RWS' or 'TWS'
+   */
+  setMode(mode) {
+    if (this.lockedTrack) this.unlock();
+    this._searchMode = mode;
+    this.mode = mode;
+    this._applyScanPattern(mode);
+  }
+
+  /**
+   * Step to the next azimuth scan width
+   */
+  cycleScanWidth() {
+    const widths = this.constants.scanWidths;
+    const index = widths.indexOf(this.scanAzimuth);
+    this.scanAzimuth = widths[(index + 1) % widths.length];
+    this.setScanCenter(this.scanCenter);
+    this._resetBeam();
+  }
+
+  /**
+   * Move the scan volume in azimuth, kept inside the gimbal
+   * @param {number} azimuth - Degrees off the nose, positive right
+   */
+  setScanCenter(azimuth) {
+    const limit = Math.max(0, this.spec.gimbalLimit - this.scanAzimuth);
+    this.scanCenter = Math.max(-limit, Math.min(limit, azimuth));
+  }
+
+  /**
+   * Tilt the antenna
+   * @param {number} delta - Degrees, positive up
+   */
+  slewElevation(delta) {
+    const limit = this.constants.elevationLimit;
+    this.antennaElevation = Math.max(-limit, Math.min(limit, this.antennaElevation + delta));
+  }
+
+  /**
+   * Step the display range scale
+   * @param {number} step - +1 for the next longer scale, -1 for shorter
+   */
+  changeRangeScale(step) {
+    const count = this.spec.rangeScales.length;
+    this.rangeScaleIndex = Math.max(0, Math.min(count - 1, this.rangeScaleIndex + step));
+  }
+
+  /**
+   * Select the next track by range, wrapping to the nearest.
+   * The selection stays on the locked track while in STT.
+   */
+  selectNextTrack() {
+    if (this.lockedTrack) return;
+
+    const tracks = this.getTracks();
+    if (tracks.length === 0) {
+      this.selectedTrack = null;
+      return;
+    }
+    const index = tracks.indexOf(this.selectedTrack);
+    this.selectedTrack = tracks[(index + 1) % tracks.length];
+  }
+
+  /**
+   * Select a track file for designation (ignored while locked)
+   * @param {Object|null} track
+   */
+  selectTrack(track) {
+    if (this.lockedTrack) return;
+    this.selectedTrack = track && this.tracks.includes(track) ? track : null;
+  }
+
+  /**
+   * Enter single target track on a track file
+   * @param {Object} track
+   * @returns {boolean} True if the lock was taken
+   */
+  lock(track) {
+    if (!track || !this.tracks.includes(track)) return false;
+
+    const geometry = this._getBearing(track.x, track.y, track.altitude);
+    if (!this._inGimbal(geometry) || geometry.range > this.getDetectionRange() * this.constants.sttRangeFactor) {
+      console.log(`Radar: track ${track.id} outside lock envelope`);
+      return false;
+    }
+
+    this.mode = 'STT';
+    this.lockedTrack = track;
+    this.selectedTrack = track;
+    track.lastSeen = this.time;
+    this._sttTimer = 0;
+    console.log(`Radar: locked track ${track.id} at ${(geometry.range / 6076).toFixed(1)}nm`);
+    return true;
+  }
+
+  /**
+   * Drop the lock and return to the previous search mode
+   * @param {string} [reason='released']
+   */
+  unlock(reason = 'released') {
+    if (!this.lockedTrack) return;
+    console.log(`Radar: lock on track ${this.lockedTrack.id} ${reason}`);
+    this.lockedTrack = null;
+    this.mode = this._searchMode;
+    this._resetBeam();
+  }
+
+  // ============================================
+  // Public API - Updates and queries
+  // ============================================
+
+  /**
+   * Scan (or track), record returns and age the track files
+   * @param {number} deltaTime - Time step in seconds
+   * @param {Object[]} contacts - Entities that can be detected (not the carrying aircraft)
+   */
+  update(deltaTime, contacts) {
+    if (this.aircraft.isDestroyed || this.isFailed()) {
+      this.tracks = [];
+      this.selectedTrack = null;
+      this.lockedTrack = null;
+      return;
+    }
+
+    this.time += deltaTime;
+
+    if (this.mode === 'STT') {
+      this._updateLock(deltaTime);
+    } else {
+      this._scan(deltaTime, contacts);
+    }
+
+    this._ageTracks(deltaTime);
+  }
+
+  /**
+   * Scale the detection range, as damage takes it away
+   * @param {number} factor - 1 undamaged, 0 failed
+   */
+  setRangeFactor(factor) {
+    if (factor <= 0 && this.rangeFactor > 0) {
+      this.unlock('lost, radar failed');
+    }
+    this.rangeFactor = factor;
+  }
+
+  /**
+   * Mask targets behind terrain
+   * @param {LineOfSight|null} lineOfSight - Terrain sight-line queries
+   */
+  setLineOfSight(lineOfSight) {
+    this.lineOfSight = lineOfSight;
+  }
+
+  /**
+   * Whether the radar has failed
+   * @returns {boolean}
+   */
+  isFailed() {
+    return this.rangeFactor <= 0;
+  }
+
+  /**
+   * Detection range against the reference target, after damage
+   * @returns {number} Feet
+   */
+  getDetectionRange() {
+    return this.spec.detectionRange * this.rangeFactor;
+  }
+
+  /**
+   * Track files, nearest first
+   * @returns {Object[]}
+   */
+  getTracks() {
+    return [...this.tracks].sort((a, b) => a.range - b.range);
+  }
+
+  /**
+   * Current display range scale
+   * @returns {number} Nautical miles
+   */
+  getRangeScale() {
+    return this.spec.rangeScales[this.rangeScaleIndex];
+  }
+
+  /**
+   * Seconds for one full scan of every bar
+   * @returns {number}
+   */
+  getFrameTime() {
+    return this.bars * 2 * this.scanAzimuth / this.constants.scanRate;
+  }
+
+  /**
+   * Seconds a track coasts without a return before it is dropped
+   * @returns {number}
+   */
+  getMemoryTime() {
+    const c = this.constants;
+    if (this.mode === 'STT') return c.minMemoryTime;
+    return Math.max(c.minMemoryTime, this.getFrameTime() * c.memoryFrames);
+  }
+
+  /**
+   * Target weapons should be launched at: the locked track, else the selected one
+   * @returns {Object|null} Target entity
+   */
+  getDesignatedTarget() {
+    const track = this.lockedTrack || this.selectedTrack;
+    return track ? track.target : null;
+  }
+
+  /**
+   * Whether the radar provides guidance updates on a target: an STT lock,
+   * or (unless a lock is required) a firm TWS track
+   * @param {Object} target
+   * @param {boolean} [requireLock=false] - Semi-active missiles need the STT beam
+   * @returns {boolean}
+   */
+  isSupporting(target, requireLock = false) {
+    if (!target) return false;
+    if (this.lockedTrack) return this.lockedTrack.target === target;
+    if (requireLock || this.mode !== 'TWS') return false;
+    return this.tracks.some((t) => t.target === target && t.status === 'firm');
+  }
+
+  /**
+   * Antenna position and scan volume, for displays
+   * @returns {Object} Angles in degrees, rangeScale in nm
+   */
+  getScanState() {
+    return {
+      mode: this.mode,
+      beamAzimuth: this.scanCenter + this.beamAzimuth,
+      beamElevation: this.beamElevation,
+      scanCenter: this.scanCenter,
+      scanAzimuth: this.scanAzimuth,
+      bar: this.bar,
+      bars: this.bars,
+      antennaElevation: this.antennaElevation,
+      rangeScale: this.getRangeScale()
+    };
+  }
+
+  /**
+   * What a radar warning receiver on another entity hears from this radar:
+   * search while the entity is inside the scan volume, lock while it is
+   * the locked track. A lock on anything else keeps the beam off it.
+   * @param {Object} receiver - Entity carrying the RWR
+   * @returns {Object|null} Emission ({ source, category, symbol, mode, x, y,
+   *   altitude, power }), or null if the receiver is not illuminated
+   */
+  getEmission(receiver) {
+    if (this.aircraft.isDestroyed || this.isFailed() || !receiver || receiver === this.aircraft) return null;
+
+    const bearing = this._getBearing(receiver.x, receiver.y, receiver.altitude);
+    if (!this._inGimbal(bearing)) return null;
+
+    let mode;
+    if (this.lockedTrack) {
+      if (this.lockedTrack.target !== receiver) return null;
+      mode = 'lock';
+    } else {
+      const c = this.constants;
+      const top = this._getBarElevation(0) + c.barSpacing / 2;
+      const bottom = this._getBarElevation(this.bars - 1) - c.barSpacing / 2;
+      if (Math.abs(bearing.azimuth - this.scanCenter) > this.scanAzimuth + c.beamWidth / 2) return null;
+      if (bearing.elevation > top || bearing.elevation < bottom) return null;
+      mode = 'search';
+    }
+
+    const a = this.aircraft;
+    return {
+      source: a,
+      category: 'airborne',
+      symbol: this.spec.rwrSymbol || 'U',
+      mode,
+      x: a.x,
+      y: a.y,
+      altitude: a.altitude,
+      power: this.getDetectionRange()
+    };
+  }
+
+  // ============================================
+  // Private Methods - Scanning and tracking
+  // ============================================
+
+  /**
+   * Sweep the beam and give each target it passes over one look
+   * @private
+   */
+  _scan(deltaTime, contacts) {
+    const c = this.constants;
+    const previous = this.beamAzimuth;
+    let next = previous + this.beamDirection * c.scanRate * deltaTime;
+    const barElevation = this._getBarElevation(this.bar);
+    this.beamElevation = barElevation;
+
+    // Looks this frame cover the azimuth swept, widened by half a beam each side
+    const sweptMin = this.scanCenter + Math.min(previous, next) - c.beamWidth / 2;
+    const sweptMax = this.scanCenter + Math.max(previous, next) + c.beamWidth / 2;
+
+    // End of a sweep: turn around and step to the next bar
+    if (Math.abs(next) >= this.scanAzimuth) {
+      next = Math.sign(next) * this.scanAzimuth;
+      this.beamDirection = -this.beamDirection;
+      this.bar = (this.bar + 1) % this.bars;
+    }
+    this.beamAzimuth = next;
+
+    for (const contact of contacts) {
+      if (contact.isDestroyed) continue;
+
+      const geometry = this._getGeometry(contact);
+      if (!this._inGimbal(geometry)) continue;
+      if (geometry.azimuth < sweptMin || geometry.azimuth > sweptMax) continue;
+      if (Math.abs(geometry.elevation - barElevation) > c.barSpacing / 2) continue;
+      if (!this._canSee(contact)) continue;
+
+      if (Math.random() < this._getDetectionChance(contact, geometry)) {
+        this._recordReturn(contact, geometry);
+      }
+    }
+  }
+
+  /**
+   * Dwell on the locked track; break the lock after too long without a return
+   * @private
+   */
+  _updateLock(deltaTime) {
+    const c = this.constants;
+    const track = this.lockedTrack;
+    const target = track.target;
+
+    if (target.isDestroyed) {
+      this.unlock('lost, target destroyed');
+      return;
+    }
+
+    const geometry = this._getGeometry(target);
+    const inEnvelope = this._inGimbal(geometry) &&
+      geometry.range <= this.getDetectionRange() * c.sttRangeFactor && this._canSee(target);
+
+    // Beam follows the track
+    this.beamAzimuth = geometry.azimuth - this.scanCenter;
+    this.beamElevation = geometry.elevation;
+
+    this._sttTimer -= deltaTime;
+    if (inEnvelope && this._sttTimer <= 0) {
+      this._sttTimer = c.sttUpdateInterval;
+      if (Math.random() < this._getDetectionChance(target, geometry, c.sttGain)) {
+        track.update(geometry, this.time, true);
+      }
+    }
+
+    if (this.time - track.lastSeen > c.sttBreakTime) {
+      this.unlock('broken');
+    }
+  }
+
+  /**
+   * Correlate a return with its track file, opening a new one if needed
+   * @private
+   */
+  _recordReturn(contact, geometry) {
+    let track = this.tracks.find((t) => t.target === contact);
+    if (!track) {
+      if (this.mode === 'TWS' && this.tracks.length >= this.constants.maxTracks) return;
+      track = new RadarTrack(this._nextTrackId++, contact);
+      this.tracks.push(track);
+    }
+    track.update(geometry, this.time, this.mode !== 'RWS');
+  }
+
+  /**
+   * Coast every track, refresh its bearing and drop stale ones
+   * @private
+   */
+  _ageTracks(deltaTime) {
+    const memory = this.getMemoryTime();
+
+    this.tracks = this.tracks.filter((track) => {
+      track.age = this.time - track.lastSeen;
+      const stale = track !== this.lockedTrack && track.age > memory;
+      if (stale || track.target.isDestroyed) {
+        if (track === this.selectedTrack) this.selectedTrack = null;
+        return false;
+      }
+
+      if (track.age > 0) track.extrapolate(deltaTime);
+      const bearing = this._getBearing(track.x, track.y, track.altitude);
+      track.range = bearing.range;
+      track.azimuth = bearing.azimuth;
+      track.elevation = bearing.elevation;
+      return true;
+    });
+  }
+
+  // ============================================
+  // Private Methods - Geometry and detection
+  // ============================================
+
+  /**
+   * Range and angles from the radar to a point
+   * @returns {{range: number, azimuth: number, elevation: number}} ft, degrees
+   * @private
+   */
+  _getBearing(x, y, altitude) {
+    const a = this.aircraft;
+    const dx = x - a.x;
+    const dy = y - a.y;
+    const dz = altitude - a.altitude;
+    const horizontal = Math.hypot(dx, dy);
+    return {
+      range: Math.hypot(horizontal, dz),
+      azimuth: wrapDegrees(Math.atan2(dx, dy) * RAD_TO_DEG - a.heading * RAD_TO_DEG),
+      elevation: Math.atan2(dz, horizontal) * RAD_TO_DEG
+    };
+  }
+
+  /**
+   * Bearing plus the target's motion along and across the line of sight
+   * @private
+   */
+  _getGeometry(target) {
+    const state = getTargetState(target);
+    const own = getTargetState(this.aircraft);
+    const bearing = this._getBearing(state.x, state.y, state.z);
+
+    const range = Math.max(1, bearing.range);
+    const lx = (state.x - own.x) / range;
+    const ly = (state.y - own.y) / range;
+    const lz = (state.z - own.z) / range;
+
+    return {
+      ...bearing,
+      state,
+      // Target's own speed along the line of sight; near zero when it beams the radar
+      radialSpeed: state.vx * lx + state.vy * ly + state.vz * lz,
+      closure: -((state.vx - own.vx) * lx + (state.vy - own.vy) * ly + (state.vz - own.vz) * lz),
+      aspect: angleBetween(state.vx, state.vy, state.vz, -lx, -ly, -lz) * RAD_TO_DEG
+    };
+  }
+
+  /**
+   * Probability of detecting a target on one look
+   * @param {Object} target
+   * @param {Object} geometry - From _getGeometry()
+   * @param {number} [gain=1] - Signal multiplier (dwell time)
+   * @returns {number} 0 to 1
+   * @private
+   */
+  _getDetectionChance(target, geometry, gain = 1) {
+    const c = this.constants;
+    const lookDown = geometry.elevation < 0;
+
+    // Doppler filter: a look-down target with no radial speed sits in the clutter
+    if (lookDown && Math.abs(geometry.radialSpeed) < c.notchSpeed) return 0;
+
+    // RCS grows off the nose: x1 head-on, x3.5 on the beam, x2 from behind
+    const aspect = geometry.aspect * DEG_TO_RAD;
+    const sin = Math.sin(aspect);
+    const aspectFactor = 1 + 2 * sin * sin + 0.5 * (1 - Math.cos(aspect));
+    const rcs = (target.signature?.rcs ?? c.referenceRcs) * aspectFactor;
+
+    const rangeRatio = this.getDetectionRange() / Math.max(1, geometry.range);
+    let signal = gain * (rcs / c.referenceRcs) * Math.pow(rangeRatio, 4);
+    if (lookDown && target.altitude < c.clutterAltitude) signal *= c.clutterFactor;
+
+    return 1 - Math.pow(0.5, signal);
+  }
+
+  /**
+   * Whether no terrain stands between the radar and a target
+   * @private
+   */
+  _canSee(target) {
+    return !this.lineOfSight || this.lineOfSight.hasLineOfSight(this.aircraft, target);
+  }
+
+  /**
+   * Whether a direction is inside the antenna gimbal
+   * @private
+   */
+  _inGimbal(bearing) {
+    const limit = this.spec.gimbalLimit;
+    return Math.abs(bearing.azimuth) <= limit && Math.abs(bearing.elevation) <= limit;
+  }
+
+  /**
+   * Elevation of a scan bar, bars stacked top to bottom about the antenna elevation
+   * @private
+   */
+  _getBarElevation(bar) {
+    return this.antennaElevation + ((this.bars - 1) / 2 - bar) * this.constants.barSpacing;
+  }
+
+  /**
+   * Load a mode's default scan width and bar count
+   * @private
+   */
+  _applyScanPattern(mode) {
+    const pattern = this.constants.scanPatterns[mode];
+    this.scanAzimuth = pattern.azimuth;
+    this.bars = pattern.bars;
+    this.setScanCenter(this.scanCenter);
+    this._resetBeam();
+  }
+
+  /**
+   * Start a new scan frame from the left edge, top bar
+   * @private
+   */
+  _resetBeam() {
+    this.beamAzimuth = -this.scanAzimuth;
+    this.beamDirection = 1;
+    this.bar = 0;
+    this.beamElevation = this._getBarElevation(0);
+  }
+}
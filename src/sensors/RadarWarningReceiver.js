@@ -0,0 +1,194 @@
+/**
+ * RadarWarningReceiver - Passive warning of radars illuminating the aircraft
+ *
+ * Each frame the RWR is handed the emissions reaching the aircraft (see
+ * Radar.getEmission): fighter radars, SAM search and track radars, and
+ * active missile seekers. Emissions from the same source merge into one
+ * contact, classified by the emitter's category ('airborne', 'sam' or
+ * 'missile') and symbol, with:
+ * - bearing relative to the nose (the antennas measure direction well)
+ * - a rough range from signal strength, shown as a range ring
+ * - the most threatening mode heard: search, lock or launch
+ *
+ * An emitter that falls silent stays on the display for a short memory
+ * time, so sweeping search radars don't blink in and out; a lock or launch
+ * that stops drops back to search at once.
+ */
+
+import { RWR_DEFAULTS } from '../data/aircraft.js';
+import { wrapDegrees } from '../utils/math.js';
+
+const RAD_TO_DEG = 180 / Math.PI;
+
+// Mode precedence when one source is heard in several modes
+const MODE_PRIORITY = { search: 0, lock: 1, launch: 2 };
+
+export class RadarWarningReceiver {
+  /**
+   * @param {Aircraft} aircraft - Carrying aircraft (position and heading)
+   * @param {Object} [constants] - Overrides for RWR_DEFAULTS
+   */
+  constructor(aircraft, constants = {}) {
+    this.aircraft = aircraft;
+    this.constants = { ...RWR_DEFAULTS, ...constants };
+
+    this.time = 0;
+    this.contacts = [];
+    this._nextContactId = 1;
+  }
+
+  // ============================================
+  // Public API
+  // ============================================
+
+  /**
+   * Listen to this frame's emissions and age the contacts
+   * @param {number} deltaTime - Time step in seconds
+   * @param {Object[]} emissions - Emissions reaching the aircraft (see Radar.getEmission)
+   * @returns {Object[]} Events: { type, contact }, with type 'new' (emitter
+   *   first heard), 'lock' or 'launch' (emitter stepped up to that mode)
+   */
+  update(deltaTime, emissions) {
+    if (this.aircraft.isDestroyed) {
+      this.contacts = [];
+      return [];
+    }
+
+    this.time += deltaTime;
+    const events = [];
+    const heard = new Set();
+
+    for (const emission of this._mergeBySource(emissions)) {
+      const range = this._getRange(emission);
+      if (range > emission.power * this.constants.sensitivity) continue;
+
+      let contact = this.contacts.find((c) => c.source === emission.source);
+      if (!contact) {
+        contact = this._createContact(emission);
+        this.contacts.push(contact);
+        events.push({ type: 'new', contact });
+      }
+      if (MODE_PRIORITY[emission.mode] > MODE_PRIORITY[contact.mode]) {
+        events.push({ type: emission.mode, contact });
+      }
+
+      contact.mode = emission.mode;
+      contact.category = emission.category;
+      contact.symbol = emission.symbol;
+      contact.heardTime = this.time;
+      this._updateBearing(contact, emission, range);
+      heard.add(contact);
+    }
+
+    this.contacts = this.contacts.filter((contact) => {
+      contact.age = this.time - contact.heardTime;
+      if (heard.has(contact)) return true;
+      if (contact.age > this.constants.memoryTime || contact.source.isDestroyed) return false;
+      contact.mode = 'search';
+      return true;
+    });
+
+    return events;
+  }
+
+  /**
+   * Contacts in display order: launches, then locks, then search; nearest
+   * first within a mode. Limited to the display's capacity.
+   * @returns {Object[]}
+   */
+  getContacts() {
+    return [...this.contacts]
+      .sort((a, b) => MODE_PRIORITY[b.mode] - MODE_PRIORITY[a.mode] || a.range - b.range)
+      .slice(0, this.constants.maxContacts);
+  }
+
+  /**
+   * Most threatening contact
+   * @returns {Object|null}
+   */
+  getHighestThreat() {
+    return this.getContacts()[0] || null;
+  }
+
+  /**
+   * Whether a contact was first heard within the new-emitter time
+   * @param {Object} contact
+   * @returns {boolean}
+   */
+  isNew(contact) {
+    return this.time - contact.firstHeardTime < this.constants.newTime;
+  }
+
+  /**
+   * Drop every contact
+   */
+  reset() {
+    this.contacts = [];
+  }
+
+  // ============================================
+  // Private Methods
+  // ============================================
+
+  /**
+   * One emission per source: the most threatening mode heard from it
+   * @private
+   */
+  _mergeBySource(emissions) {
+    const bySource = new Map();
+    for (const emission of emissions) {
+      const existing = bySource.get(emission.source);
+      if (!existing || MODE_PRIORITY[emission.mode] > MODE_PRIORITY[existing.mode]) {
+        bySource.set(emission.source, emission);
+      }
+    }
+    return bySource.values();
+  }
+
+  /**
+   * @private
+   */
+  _createContact(emission) {
+    const error = this.constants.rangeError;
+    return {
+      id: this._nextContactId++,
+      source: emission.source,
+      category: emission.category,
+      symbol: emission.symbol,
+      mode: 'search',
+      bearing: 0,           // degrees off the nose, positive right
+      range: 0,             // ft, estimated from signal strength
+      ring: 0,              // range ring index, 0 innermost
+      firstHeardTime: this.time,
+      heardTime: this.time,
+      age: 0,
+      // Each emitter's transmitter power is misjudged by a fixed amount
+      _rangeBias: 1 + (Math.random() * 2 - 1) * error
+    };
+  }
+
+  /**
+   * Bearing, estimated range and ring of a contact from its emission
+   * @private
+   */
+  _updateBearing(contact, emission, range) {
+    const a = this.aircraft;
+    const bearing = Math.atan2(emission.x - a.x, emission.y - a.y) * RAD_TO_DEG;
+    contact.bearing = wrapDegrees(bearing - a.heading * RAD_TO_DEG);
+    contact.range = range * contact._rangeBias;
+
+    const rangeNm = contact.range / 6076;
+    const rings = this.constants.rangeRings;
+    const ring = rings.findIndex((limit) => rangeNm <= limit);
+    contact.ring = ring === -1 ? rings.length : ring;
+  }
+
+  /**
+   * True slant range to an emitter
+   * @private
+   */
+  _getRange(emission) {
+    const a = this.aircraft;
+    return Math.hypot(emission.x - a.x, emission.y - a.y, emission.altitude - a.altitude);
+  }
+}
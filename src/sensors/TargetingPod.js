@@ -0,0 +1,324 @@
+/**
+ * TargetingPod - Ground-stabilized, slewable, zoomable targeting pod
+ *
+ * The pod looks at an aim point on the ground and holds it there as the
+ * aircraft flies, so the picture stays on the same patch of terrain. The
+ * crosshair is slewed in the pod picture's frame (heading-up, as the
+ * player's view), at a rate that scales with the ground footprint so a
+ * narrow field of view slews finely.
+ *
+ * Track modes:
+ * - area: holds a point on the ground
+ * - point: locks onto an installation (ground site, airfield) near the
+ *   crosshair and follows it; slewing drops back to area track. A point
+ *   track masked by terrain for trackBreakTime, or whose target is
+ *   destroyed, drops back to area track where it was
+ *
+ * Designating fires the laser at the aim point (and the point-tracked
+ * target, if any) until designation is cleared or the pod is switched off;
+ * see getDesignation(). Terrain between the aircraft and the aim point
+ * masks the pod (see setLineOfSight), and beyond maxRange it cannot see.
+ *
+ * Sensor modes (spec-control-ui.md 6.3): WHOT (white-hot), BHOT
+ * (black-hot) and TV. The pod only keeps the mode; the cell that shows the
+ * picture applies it.
+ */
+
+import { TGP_DEFAULTS } from '../data/aircraft.js';
+import { sampleTerrainElevation } from '../terrain/TerrainSampler.js';
+
+const DEG_TO_RAD = Math.PI / 180;
+
+export class TargetingPod {
+  /**
+   * @param {Aircraft} aircraft - Carrying aircraft (position, heading, altitude)
+   * @param {Object} spec - AIRCRAFT_TYPES[id].sensors.tgp
+   * @param {Object} [constants] - Overrides for TGP_DEFAULTS
+   */
+  constructor(aircraft, spec, constants = {}) {
+    this.aircraft = aircraft;
+    this.spec = spec;
+    this.constants = { ...TGP_DEFAULTS, ...constants };
+    this.lineOfSight = null;    // terrain masking, none until set
+
+    this.active = false;
+    this.sensorMode = this.constants.defaultMode;
+    this.trackMode = 'area';    // 'area' or 'point'
+    this.fovIndex = 0;
+
+    // Ground-stabilized aim point (ft, world axes)
+    this.aimPoint = { x: 0, y: 0, altitude: 0 };
+    this.trackTarget = null;    // installation followed in point track
+    this.designating = false;
+    this.masked = false;
+    this.outOfRange = false;
+    this._maskedTime = 0;
+    this._installations = [];
+
+    // Key states from the previous frame, for press detection
+    this._previousInput = { tgpZoom: false, tgpTrack: false, tgpDesignate: false };
+  }
+
+  // ============================================
+  // Public API - Commands
+  // ============================================
+
+  /**
+   * Pod controls: slew (while held), field of view, track mode and
+   * designation (on key press)
+   * @param {Object} inputState - Current input state
+   * @param {number} deltaTime - Time step in seconds
+   */
+  handleInput(inputState, deltaTime) {
+    const previous = this._previousInput;
+    const pressed = (name) => inputState[name] && !previous[name];
+
+    if (this.active) {
+      const right = (inputState.tgpSlewRight ? 1 : 0) - (inputState.tgpSlewLeft ? 1 : 0);
+      const up = (inputState.tgpSlewUp ? 1 : 0) - (inputState.tgpSlewDown ? 1 : 0);
+      if (right !== 0 || up !== 0) {
+        const step = this.constants.slewRate * this.getFootprint() * deltaTime;
+        this.slew(right * step, up * step);
+      }
+
+      if (pressed('tgpZoom')) this.cycleFieldOfView();
+      if (pressed('tgpTrack')) this.setTrackMode(this.trackMode === 'point' ? 'area' : 'point');
+      if (pressed('tgpDesignate')) this.setDesignating(!this.designating);
+    }
+
+    for (const name of Object.keys(previous)) {
+      previous[name] = inputState[name];
+    }
+  }
+
+  /**
+   * Switch the pod on or off; it comes on looking initialRange ahead
+   * @param {boolean} active
+   */
+  setActive(active) {
+    if (active === this.active) return;
+    this.active = active;
+    if (active) {
+      const a = this.aircraft;
+      const range = this.constants.initialRange;
+      this._setAimPoint(a.x + Math.sin(a.heading) * range, a.y + Math.cos(a.heading) * range);
+    } else {
+      this.trackMode = 'area';
+      this.trackTarget = null;
+      this.designating = false;
+    }
+  }
+
+  /**
+   * Move the aim point in the picture's frame; breaks a point track
+   * @param {number} right - ft to the right of the aircraft's heading
+   * @param {number} up - ft along the aircraft's heading
+   */
+  slew(right, up) {
+    if (this.trackMode === 'point') this._breakTrack();
+    const h = this.aircraft.heading;
+    const cos = Math.cos(h);
+    const sin = Math.sin(h);
+    this._setAimPoint(
+      this.aimPoint.x + right * cos + up * sin,
+      this.aimPoint.y - right * sin + up * cos
+    );
+  }
+
+  /**
+   * Step to the next field of view, narrowest wrapping to widest
+   */
+  cycleFieldOfView() {
+    this.fovIndex = (this.fovIndex + 1) % this.spec.fieldsOfView.length;
+  }
+
+  /**
+   * Step the field of view, clamped to the widest and narrowest
+   * @param {number} step - Positive to narrow, negative to widen
+   */
+  changeFieldOfView(step) {
+    const last = this.spec.fieldsOfView.length - 1;
+    this.fovIndex = Math.max(0, Math.min(last, this.fovIndex + step));
+  }
+
+  /**
+   * Step to the next sensor mode (WHOT, BHOT, TV)
+   */
+  cycleSensorMode() {
+    const modes = this.constants.sensorModes;
+    this.sensorMode = modes[(modes.indexOf(this.sensorMode) + 1) % modes.length];
+  }
+
+  /**
+   * Switch track mode; point track captures the installation nearest the
+   * crosshair, and stays in area track if there is none close enough
+   * @param {string} mode - 'area' or 'point'
+   * @returns {boolean} Whether the pod is now in that mode
+   */
+  setTrackMode(mode) {
+    if (mode === 'area') {
+      if (this.trackMode === 'point') this._breakTrack();
+      return true;
+    }
+
+    const target = this._findCapture();
+    if (!target) {
+      console.log('TGP: no point track, nothing under the crosshair');
+      return false;
+    }
+    this.trackMode = 'point';
+    this.trackTarget = target;
+    this._maskedTime = 0;
+    this._setAimPoint(target.x, target.y);
+    console.log(`TGP: point track ${target.name || 'target'}`);
+    return true;
+  }
+
+  /**
+   * Start or stop lasing the aim point
+   * @param {boolean} designating
+   */
+  setDesignating(designating) {
+    if (designating === this.designating) return;
+    this.designating = designating && this.active;
+    console.log(`TGP: ${this.designating ? 'laser on' : 'laser off'}`);
+  }
+
+  /**
+   * Mask the aim point behind terrain
+   * @param {LineOfSight|null} lineOfSight - Terrain sight-line queries
+   */
+  setLineOfSight(lineOfSight) {
+    this.lineOfSight = lineOfSight;
+  }
+
+  // ============================================
+  // Public API - Update
+  // ============================================
+
+  /**
+   * Follow a point track, and check the aim point can be seen
+   * @param {number} deltaTime - Time step in seconds
+   * @param {Object[]} installations - Point-trackable targets (x, y, altitude, name, isDestroyed)
+   */
+  update(deltaTime, installations) {
+    this._installations = installations;
+    if (!this.active) return;
+
+    if (this.trackMode === 'point') {
+      const target = this.trackTarget;
+      if (target.isDestroyed) {
+        console.log('TGP: point track lost, target destroyed');
+        this._breakTrack();
+      } else {
+        this._setAimPoint(target.x, target.y);
+      }
+    }
+
+    const a = this.aircraft;
+    this.outOfRange = this.getSlantRange() > this.spec.maxRange;
+    this.masked = !!this.lineOfSight && !this.lineOfSight.hasLineOfSight(a, this.aimPoint);
+
+    if (this.trackMode === 'point' && (this.masked || this.outOfRange)) {
+      this._maskedTime += deltaTime;
+      if (this._maskedTime >= this.constants.trackBreakTime) {
+        console.log(`TGP: point track lost, ${this.outOfRange ? 'out of range' : 'masked'}`);
+        this._breakTrack();
+      }
+    } else {
+      this._maskedTime = 0;
+    }
+  }
+
+  // ============================================
+  // Public API - Queries
+  // ============================================
+
+  /**
+   * Current field of view
+   * @returns {{fov: number, label: string}} fov in degrees
+   */
+  getFieldOfView() {
+    const fov = this.spec.fieldsOfView[this.fovIndex];
+    return { fov, label: this.constants.fovLabels[this.fovIndex] || `${fov}°` };
+  }
+
+  /**
+   * Distance from the aircraft to the aim point
+   * @returns {number} ft
+   */
+  getSlantRange() {
+    const a = this.aircraft;
+    return Math.hypot(this.aimPoint.x - a.x, this.aimPoint.y - a.y, this.aimPoint.altitude - a.altitude);
+  }
+
+  /**
+   * Height of the patch of ground the field of view covers at the aim point
+   * @returns {number} ft
+   */
+  getFootprint() {
+    return 2 * this.getSlantRange() * Math.tan((this.getFieldOfView().fov * DEG_TO_RAD) / 2);
+  }
+
+  /**
+   * Whether the pod sees its aim point (switched on, in range, unmasked)
+   * @returns {boolean}
+   */
+  hasPicture() {
+    return this.active && !this.masked && !this.outOfRange;
+  }
+
+  /**
+   * Where the laser is spotting, while designating with a picture
+   * @returns {{x: number, y: number, altitude: number, target: Object|null}|null}
+   */
+  getDesignation() {
+    if (!this.designating || !this.hasPicture()) return null;
+    return { ...this.aimPoint, target: this.trackTarget };
+  }
+
+  // ============================================
+  // Private Methods
+  // ============================================
+
+  /**
+   * Put the aim point on the ground at (x, y)
+   * @private
+   */
+  _setAimPoint(x, y) {
+    const ground = this.lineOfSight ? this.lineOfSight.getTerrainHeight(x, y) : sampleTerrainElevation(x, y);
+    this.aimPoint.x = x;
+    this.aimPoint.y = y;
+    this.aimPoint.altitude = Math.max(0, ground) + this.constants.aimHeight;
+  }
+
+  /**
+   * Back to area track where the pod is looking
+   * @private
+   */
+  _breakTrack() {
+    this.trackMode = 'area';
+    this.trackTarget = null;
+    this._maskedTime = 0;
+  }
+
+  /**
+   * Installation nearest the aim point within the capture radius
+   * @private
+   */
+  _findCapture() {
+    const c = this.constants;
+    const radius = Math.max(c.minCaptureRadius, c.captureRadius * this.getFootprint());
+    let best = null;
+    let bestDistance = radius;
+    for (const target of this._installations) {
+      if (target.isDestroyed) continue;
+      const distance = Math.hypot(target.x - this.aimPoint.x, target.y - this.aimPoint.y);
+      if (distance <= bestDistance) {
+        best = target;
+        bestDistance = distance;
+      }
+    }
+    return best;
+  }
+}
@@ -0,0 +1,108 @@
+/**
+ * Cell compositing shaders for the render-to-texture path (see CellCompositor)
+ *
+ * CellIdShader fills a cell polygon (NDC positions) with its slot number,
+ * building a cell-ID texture. CompositeShader then draws the screen in one
+ * full-screen pass: each pixel looks up its slot in the ID texture and
+ * samples that cell's render with the cell's effects:
+ * - uBlur: box blur by altitude, as BlurShader (0-1 of an 8 px radius)
+ * - uSensor: sensor tinting style (see SENSOR_STYLES)
+ * - uDisplay: 1 where the cell's render is already display-referred (the
+ *   targeting pod picture), so it is not encoded again
+ * Samplers cannot be picked by a computed index, so the lookup is an
+ * if-chain over COMPOSITE_MAX_CELLS fixed samplers.
+ * Uses inline GLSL strings per project conventions (no vite-plugin-glsl)
+ */
+
+import { SENSOR_STYLE_GLSL } from './sensorShader.js';
+
+// Cells the composite pass can take: one texture unit each, plus the ID
+// texture, within the 16 units WebGL 2 guarantees
+export const COMPOSITE_MAX_CELLS = 15;
+
+const slots = Array.from({ length: COMPOSITE_MAX_CELLS }, (_, i) => i);
+
+export const CellIdShader = {
+  uniforms: {
+    uSlot: { value: 0 }
+  },
+
+  vertexShader: /* glsl */ `
+    void main() {
+      gl_Position = vec4(position.xy, 0.0, 1.0);
+    }
+  `,
+
+  fragmentShader: /* glsl */ `
+    uniform float uSlot;
+
+    void main() {
+      // Slot + 1, so 0 is left for pixels no cell covers
+      gl_FragColor = vec4((uSlot + 1.0) / 255.0, 0.0, 0.0, 1.0);
+    }
+  `
+};
+
+export const CompositeShader = {
+  uniforms: {
+    tCellId: { value: null },
+    ...Object.fromEntries(slots.map((i) => [`tCell${i}`, { value: null }])),
+    uResolution: { value: [1, 1] },
+    uBackground: { value: [0, 0, 0] },
+    uBlur: { value: new Array(COMPOSITE_MAX_CELLS).fill(0) },
+    uSensor: { value: new Array(COMPOSITE_MAX_CELLS).fill(0) },
+    uDisplay: { value: new Array(COMPOSITE_MAX_CELLS).fill(0) }
+  },
+
+  vertexShader: /* glsl */ `
+    void main() {
+      gl_Position = vec4(position.xy, 0.0, 1.0);
+    }
+  `,
+
+  fragmentShader: /* glsl */ `
+    uniform sampler2D tCellId;
+    ${slots.map((i) => `uniform sampler2D tCell${i};`).join('\n    ')}
+    uniform vec2 uResolution;
+    uniform vec3 uBackground;
+    uniform float uBlur[${COMPOSITE_MAX_CELLS}];
+    uniform float uSensor[${COMPOSITE_MAX_CELLS}];
+    uniform float uDisplay[${COMPOSITE_MAX_CELLS}];
+
+    vec4 sampleCell(int slot, vec2 uv) {
+      ${slots.map((i) => `if (slot == ${i}) return texture2D(tCell${i}, uv);`).join('\n      ')}
+      return vec4(0.0);
+    }
+
+    ${SENSOR_STYLE_GLSL}
+
+    void main() {
+      vec2 uv = gl_FragCoord.xy / uResolution;
+      int slot = int(floor(texture2D(tCellId, uv).r * 255.0 + 0.5)) - 1;
+      if (slot < 0) {
+        gl_FragColor = vec4(uBackground, 1.0);
+        return;
+      }
+
+      // 9-tap box blur, as BlurShader
+      float radius = uBlur[slot] * 8.0;
+      vec4 color;
+      if (radius < 0.5) {
+        color = sampleCell(slot, uv);
+      } else {
+        color = vec4(0.0);
+        vec2 texel = radius / uResolution;
+        for (float x = -1.0; x <= 1.0; x += 1.0) {
+          for (float y = -1.0; y <= 1.0; y += 1.0) {
+            color += sampleCell(slot, uv + vec2(x, y) * texel);
+          }
+        }
+        color /= 9.0;
+      }
+
+      // Tinting works on what the screen would show
+      vec3 rgb = uDisplay[slot] > 0.5 ? color.rgb : linearToOutputTexel(color).rgb;
+      gl_FragColor = vec4(sensorStyle(rgb, int(uSensor[slot] + 0.5), gl_FragCoord.xy), 1.0);
+    }
+  `
+};
@@ -0,0 +1,70 @@
+/**
+ * Sensor cell tinting (GDD "Sensor Cell Tinting")
+ *
+ * A world cell is colored by the sensor that produced it (see
+ * VoronoiCell.sensorType):
+ * - visual: untouched
+ * - radar: green phosphor, brightest on highlights, with scanlines
+ * - ir: white-hot grayscale thermal (warm hues hotter, stretched contrast)
+ * - datalink: blue monochrome tint
+ *
+ * SENSOR_STYLE_GLSL holds the style function shared with CompositeShader.
+ * SensorShader draws it as a full-screen quad over a render of the cell's
+ * view, inside the cell's stencil region, like TgpShader.
+ * Uses inline GLSL strings per project conventions (no vite-plugin-glsl)
+ */
+
+// Style number per sensor type (uSensor in the shaders)
+export const SENSOR_STYLES = { visual: 0, radar: 1, ir: 2, datalink: 3 };
+
+// vec3 sensorStyle(vec3 color, int style, vec2 fragCoord): color as the
+// screen would show it, fragCoord in GL pixels
+export const SENSOR_STYLE_GLSL = /* glsl */ `
+  vec3 sensorStyle(vec3 color, int style, vec2 fragCoord) {
+    float luma = dot(color, vec3(0.299, 0.587, 0.114));
+
+    if (style == 1) {
+      // Phosphor green, highlights blooming toward white; every other
+      // pair of rows dimmed
+      float scan = mod(floor(fragCoord.y / 2.0), 2.0) < 1.0 ? 1.0 : 0.7;
+      vec3 phosphor = vec3(0.15, 1.0, 0.35) * pow(luma, 0.8) + vec3(0.25) * luma * luma;
+      return phosphor * scan;
+    }
+    if (style == 2) {
+      float heat = luma + 0.25 * (color.r - color.b);
+      return vec3(clamp((heat - 0.45) * 1.6 + 0.5, 0.0, 1.0));
+    }
+    if (style == 3) {
+      return mix(color, vec3(0.3, 0.55, 1.0) * luma * 1.3, 0.6);
+    }
+    return color;
+  }
+`;
+
+export const SensorShader = {
+  uniforms: {
+    tDiffuse: { value: null },
+    uResolution: { value: [1, 1] },
+    uSensor: { value: 0 }
+  },
+
+  vertexShader: /* glsl */ `
+    void main() {
+      gl_Position = vec4(position.xy, 0.0, 1.0);
+    }
+  `,
+
+  fragmentShader: /* glsl */ `
+    uniform sampler2D tDiffuse;
+    uniform vec2 uResolution;
+    uniform int uSensor;
+
+    ${SENSOR_STYLE_GLSL}
+
+    void main() {
+      // The render target holds linear color; work on what the screen would show
+      vec3 color = sRGBTransferOETF(texture2D(tDiffuse, gl_FragCoord.xy / uResolution)).rgb;
+      gl_FragColor = vec4(sensorStyle(color, uSensor, gl_FragCoord.xy), 1.0);
+    }
+  `
+};
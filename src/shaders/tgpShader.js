@@ -0,0 +1,94 @@
+/**
+ * Targeting pod picture shader (spec-control-ui.md 6.3)
+ *
+ * Drawn as a full-screen quad over a render of the pod's view, inside the
+ * pod cell's stencil region. Samples the render by screen position, so the
+ * picture lines up with the cell wherever it sits.
+ * - WHOT / BHOT: grayscale heat from luminance (warm hues hotter, blues
+ *   colder), stretched by uContrast, inverted for black-hot
+ * - TV: natural color with a slight vignette toward the cell's edge
+ * Sensor grain over both; a masked pod shows mostly static.
+ *
+ * Symbology: crosshair with a gap at the aim point, a box around it in
+ * point track, and a blinking dot while the laser fires.
+ * Uses inline GLSL strings per project conventions (no vite-plugin-glsl)
+ */
+
+export const TgpShader = {
+  uniforms: {
+    tDiffuse: { value: null },
+    uResolution: { value: [1, 1] },
+    uCenter: { value: [0, 0] },       // aim point on screen, GL pixels (origin bottom-left)
+    uRadius: { value: 1 },            // px from the center to the cell's farthest corner
+    uMode: { value: 0 },              // 0 = WHOT, 1 = BHOT, 2 = TV
+    uContrast: { value: 1.6 },
+    uNoise: { value: 0.08 },
+    uTime: { value: 0 },
+    uCrossGap: { value: 8 },          // px either side of the center left clear
+    uBoxSize: { value: 14 },          // px half-size of the point track box
+    uPointTrack: { value: 0 },
+    uDesignating: { value: 0 },
+    uMasked: { value: 0 }
+  },
+
+  vertexShader: /* glsl */ `
+    void main() {
+      gl_Position = vec4(position.xy, 0.0, 1.0);
+    }
+  `,
+
+  fragmentShader: /* glsl */ `
+    uniform sampler2D tDiffuse;
+    uniform vec2 uResolution;
+    uniform vec2 uCenter;
+    uniform float uRadius;
+    uniform int uMode;
+    uniform float uContrast;
+    uniform float uNoise;
+    uniform float uTime;
+    uniform float uCrossGap;
+    uniform float uBoxSize;
+    uniform float uPointTrack;
+    uniform float uDesignating;
+    uniform float uMasked;
+
+    float hash(vec2 p) {
+      return fract(sin(dot(p, vec2(12.9898, 78.233))) * 43758.5453);
+    }
+
+    void main() {
+      // The render target holds linear color; work on what the screen would
+      // show, and draw display-referred whether into the screen or a
+      // compositor slot (see CellCompositor)
+      vec3 color = sRGBTransferOETF(texture2D(tDiffuse, gl_FragCoord.xy / uResolution)).rgb;
+      vec2 d = gl_FragCoord.xy - uCenter;
+      float grain = (hash(gl_FragCoord.xy + fract(uTime) * 100.0) - 0.5) * uNoise;
+
+      vec3 picture;
+      if (uMode == 2) {
+        float edge = smoothstep(0.4, 1.0, length(d) / uRadius);
+        picture = color * (1.0 - 0.35 * edge) + grain * 0.5;
+      } else {
+        float heat = dot(color, vec3(0.299, 0.587, 0.114)) + 0.25 * (color.r - color.b);
+        heat = clamp((heat - 0.45) * uContrast + 0.5, 0.0, 1.0);
+        if (uMode == 1) heat = 1.0 - heat;
+        picture = vec3(heat + grain);
+      }
+
+      // No picture: static over a dimmed frame
+      if (uMasked > 0.5) {
+        float snow = hash(floor(gl_FragCoord.xy / 2.0) + fract(uTime) * 100.0);
+        picture = mix(picture * 0.4, vec3(snow * 0.6), 0.7);
+      }
+
+      // Symbology, 1px lines in white (black in black-hot)
+      vec2 a = abs(d);
+      bool cross = (a.x < 0.5 && a.y > uCrossGap) || (a.y < 0.5 && a.x > uCrossGap);
+      bool box = uPointTrack > 0.5 && max(a.x, a.y) > uBoxSize - 0.5 && max(a.x, a.y) < uBoxSize + 0.5;
+      bool laser = uDesignating > 0.5 && fract(uTime * 2.0) < 0.5 && length(d) < 2.5;
+
+      vec3 symbol = uMode == 1 ? vec3(0.0) : vec3(1.0);
+      gl_FragColor = vec4((cross || box || laser) ? symbol : picture, 1.0);
+    }
+  `
+};
@@ -31,6 +31,9 @@ export class Chunk {
     // Delaunay triangle data
     this.triangles = [];
 
+    // Elevation grid (ft) from the worker, for terrain queries: square, row by row from minY
+    this.heights = null;
+
     // Mesh references for disposal
     this.cellMesh = null;
     this.edgeMesh = null;
@@ -48,6 +51,31 @@ export class Chunk {
     return `${this.chunkX},${this.chunkY}`;
   }
 
+  /**
+   * Terrain elevation inside the chunk, interpolated from its height grid
+   * @param {number} worldX
+   * @param {number} worldY
+   * @returns {number|null} - Elevation in ft, or null without a grid
+   */
+  getElevation(worldX, worldY) {
+    if (!this.heights) return null;
+
+    const size = Math.round(Math.sqrt(this.heights.length));
+    const cells = size - 1;
+    const gx = Math.max(0, Math.min(cells, ((worldX - this.bounds[0]) / this.chunkSize) * cells));
+    const gy = Math.max(0, Math.min(cells, ((worldY - this.bounds[1]) / this.chunkSize) * cells));
+    const col = Math.min(cells - 1, Math.floor(gx));
+    const row = Math.min(cells - 1, Math.floor(gy));
+    const fx = gx - col;
+    const fy = gy - row;
+
+    const h = this.heights;
+    const i = row * size + col;
+    const bottom = h[i] + (h[i + 1] - h[i]) * fx;
+    const top = h[i + size] + (h[i + size + 1] - h[i + size]) * fx;
+    return bottom + (top - bottom) * fy;
+  }
+
   /**
    * Dispose of all GPU resources and clear references
    */
@@ -77,6 +105,7 @@ export class Chunk {
 
     this.cells = [];
     this.triangles = [];
+    this.heights = null;
     this.isGenerated = false;
   }
 }
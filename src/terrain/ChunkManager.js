@@ -1,6 +1,8 @@
 /**
  * Manages terrain chunk lifecycle: loading, unloading, and generation queue
  * Uses Web Worker exclusively for terrain generation
+ * Also answers elevation queries from loaded chunks and passes sight-line
+ * batches to the worker (see LineOfSight)
  */
 import { Chunk } from './Chunk.js';
 import { ChunkRenderer, BoundaryMode } from './ChunkRenderer.js';
@@ -46,6 +48,7 @@ export class ChunkManager {
     this.worker = null;
     this.workerReady = false;
     this.pendingRequests = new Map(); // requestId -> { chunkX, chunkY }
+    this.lineOfSightRequests = new Map(); // requestId -> resolve
     this.inFlightChunks = new Set();  // chunk keys being generated
     this.nextRequestId = 0;
 
@@ -101,13 +104,17 @@ export class ChunkManager {
       case 'chunk_error':
         this.handleChunkError(payload);
         break;
+
+      case 'line_of_sight_ready':
+        this.handleLineOfSightReady(payload);
+        break;
     }
   }
 
   /**
    * Handle completed chunk from worker
    */
-  handleChunkReady({ requestId, chunkX, chunkY, positions, normals, colors, bounds }) {
+  handleChunkReady({ requestId, chunkX, chunkY, positions, normals, colors, heights, bounds }) {
     const request = this.pendingRequests.get(requestId);
     if (!request) return;
 
@@ -142,6 +149,7 @@ export class ChunkManager {
     // Build mesh from worker buffers
     const chunk = new Chunk(chunkX, chunkY, this.chunkSize);
     this.chunkRenderer.buildFromBuffers(chunk, positions, normals, colors, bounds);
+    chunk.heights = heights || null;
 
     // Add to scene
     this.terrainGroup.add(chunk.group);
@@ -152,6 +160,16 @@ export class ChunkManager {
     this.inFlightChunks.delete(key);
   }
 
+  /**
+   * Handle traced sight lines from worker
+   */
+  handleLineOfSightReady({ requestId, results }) {
+    const resolve = this.lineOfSightRequests.get(requestId);
+    if (!resolve) return;
+    this.lineOfSightRequests.delete(requestId);
+    resolve(results);
+  }
+
   /**
    * Handle worker error for a chunk
    */
@@ -583,6 +601,52 @@ export class ChunkManager {
     this.processGenerationQueue(4);
   }
 
+  /**
+   * Terrain elevation from the loaded chunk under a position
+   * @param {number} worldX
+   * @param {number} worldY
+   * @returns {number|null} - Elevation in ft, or null if no chunk with a height grid is loaded there
+   */
+  getElevation(worldX, worldY) {
+    const key = `${this.getChunkCoord(worldX)},${this.getChunkCoord(worldY)}`;
+    const chunk = this.chunks.get(key);
+    return chunk ? chunk.getElevation(worldX, worldY) : null;
+  }
+
+  /**
+   * Trace a batch of sight lines in the worker
+   * @param {Float64Array} queries - Six values per line: from x, y, z, to x, y, z
+   * @param {Object} options
+   * @param {number} options.step - ft between terrain samples
+   * @param {number} options.earthRadius - ft
+   * @returns {Promise<Uint8Array>|null} - 1 for each clear line, or null if the worker is not ready
+   */
+  queryLineOfSight(queries, { step, earthRadius }) {
+    if (!this.worker || !this.workerReady) return null;
+
+    // Airfields the lines may cross, for their flattened ground
+    let flattenZones = [];
+    if (this.airbaseRegistry) {
+      const bounds = [Infinity, Infinity, -Infinity, -Infinity];
+      for (let i = 0; i < queries.length; i += 3) {
+        bounds[0] = Math.min(bounds[0], queries[i]);
+        bounds[1] = Math.min(bounds[1], queries[i + 1]);
+        bounds[2] = Math.max(bounds[2], queries[i]);
+        bounds[3] = Math.max(bounds[3], queries[i + 1]);
+      }
+      flattenZones = this.airbaseRegistry.getAirbasesInBounds(bounds).map(ab => ab.flattenZone.serialize());
+    }
+
+    const requestId = this.nextRequestId++;
+    return new Promise((resolve) => {
+      this.lineOfSightRequests.set(requestId, resolve);
+      this.worker.postMessage({
+        type: 'line_of_sight',
+        payload: { requestId, queries, step, earthRadius, flattenZones }
+      });
+    });
+  }
+
   /**
    * Get the number of active chunks (for debug display)
    * @returns {number}
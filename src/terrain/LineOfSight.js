@@ -0,0 +1,211 @@
+/**
+ * LineOfSight - Whether one point can see another over the terrain
+ *
+ * A sight line is ray-marched from one end to the other every step feet;
+ * it is blocked where the terrain, raised by the earth's bulge at that
+ * point, stands above the line. The bulge (d1 * d2 / 2R, with R the 4/3
+ * effective earth radius for radar refraction) also brings the radar
+ * horizon: a low target far enough away drops behind the curve.
+ *
+ * Terrain heights come from the loaded chunks' elevation grids, which
+ * include the flattened airfields, and from sampleTerrainElevation()
+ * beyond them. Answers are cached for a short time against the two end
+ * points rounded to cacheQuantum, so sensors, AI and target cells asking
+ * about the same pair in consecutive frames trace it once. Batches can be
+ * traced in the terrain worker with prefetch(); their answers land in the
+ * cache for the synchronous queries that follow.
+ *
+ * traceLineOfSight() is free of any main-thread state, so the terrain
+ * worker runs the same march.
+ */
+
+import { sampleTerrainElevation } from './TerrainSampler.js';
+
+// Line of sight defaults
+const LINE_OF_SIGHT_DEFAULTS = {
+  step: 250,                 // ft between terrain samples along a sight line
+  earthRadius: 27.9e6,       // ft, 4/3 earth radius (radar refraction)
+  cacheQuantum: 150,         // ft, end points are rounded to this for the cache
+  cacheLifetime: 0.5,        // seconds an answer is reused
+  maxCacheEntries: 4000
+};
+
+/**
+ * Ray-march a sight line over the terrain
+ * @param {{x: number, y: number, z: number}} from - Eye point (z = altitude, ft)
+ * @param {{x: number, y: number, z: number}} to - Target point
+ * @param {function(number, number): number} getHeight - Terrain elevation (ft)
+ * @param {number} step - ft between samples
+ * @param {number} earthRadius - ft, Infinity for a flat earth
+ * @returns {boolean} True if no terrain stands across the line
+ */
+export function traceLineOfSight(from, to, getHeight, step, earthRadius) {
+  const dx = to.x - from.x;
+  const dy = to.y - from.y;
+  const distance = Math.hypot(dx, dy);
+  const steps = Math.floor(distance / step);
+
+  for (let i = 1; i < steps; i++) {
+    const f = i / steps;
+    const lineHeight = from.z + (to.z - from.z) * f;
+    const bulge = (f * distance) * ((1 - f) * distance) / (2 * earthRadius);
+    if (getHeight(from.x + dx * f, from.y + dy * f) + bulge > lineHeight) return false;
+  }
+  return true;
+}
+
+export class LineOfSight {
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.chunkManager] - Loaded chunks (elevation grids) and the terrain worker
+   * @param {Object} [constants] - Overrides for LINE_OF_SIGHT_DEFAULTS
+   */
+  constructor({ chunkManager = null } = {}, constants = {}) {
+    this.chunkManager = chunkManager;
+    this.constants = { ...LINE_OF_SIGHT_DEFAULTS, ...constants };
+
+    this.time = 0;
+    this.cache = new Map();    // key -> { visible, time }
+    this._pending = new Set(); // keys being traced in the worker
+    this.stats = { queries: 0, cacheHits: 0, traced: 0, prefetched: 0 };
+
+    this._getHeight = (x, y) => this.getTerrainHeight(x, y);
+  }
+
+  // ============================================
+  // Public API - Queries
+  // ============================================
+
+  /**
+   * Whether a can see b over the terrain
+   * @param {{x: number, y: number, altitude: number}} a - Eye
+   * @param {{x: number, y: number, altitude: number}} b - Target
+   * @returns {boolean}
+   */
+  hasLineOfSight(a, b) {
+    this.stats.queries++;
+    const key = this._getKey(a, b);
+    const cached = this.cache.get(key);
+    if (cached && this.time - cached.time <= this.constants.cacheLifetime) {
+      this.stats.cacheHits++;
+      return cached.visible;
+    }
+
+    this.stats.traced++;
+    const c = this.constants;
+    const visible = traceLineOfSight(
+      { x: a.x, y: a.y, z: a.altitude },
+      { x: b.x, y: b.y, z: b.altitude },
+      this._getHeight,
+      c.step,
+      c.earthRadius
+    );
+    this._store(key, visible);
+    return visible;
+  }
+
+  /**
+   * Answer several sight lines at once
+   * @param {Array<[Object, Object]>} pairs - [eye, target] pairs, as hasLineOfSight()
+   * @returns {boolean[]}
+   */
+  queryBatch(pairs) {
+    return pairs.map(([a, b]) => this.hasLineOfSight(a, b));
+  }
+
+  /**
+   * Trace sight lines in the terrain worker ahead of need; the answers go
+   * into the cache for later hasLineOfSight() calls. Lines already cached
+   * or in flight are skipped; without a worker nothing is sent.
+   * @param {Array<[Object, Object]>} pairs - [eye, target] pairs
+   */
+  prefetch(pairs) {
+    if (!this.chunkManager) return;
+
+    const keys = [];
+    const queries = [];
+    for (const [a, b] of pairs) {
+      const key = this._getKey(a, b);
+      const cached = this.cache.get(key);
+      if (this._pending.has(key) || (cached && this.time - cached.time <= this.constants.cacheLifetime / 2)) continue;
+      keys.push(key);
+      queries.push(a.x, a.y, a.altitude, b.x, b.y, b.altitude);
+    }
+    if (keys.length === 0) return;
+
+    const request = this.chunkManager.queryLineOfSight(new Float64Array(queries), {
+      step: this.constants.step,
+      earthRadius: this.constants.earthRadius
+    });
+    if (!request) return;
+
+    for (const key of keys) this._pending.add(key);
+    request.then((results) => {
+      keys.forEach((key, i) => {
+        this._pending.delete(key);
+        this._store(key, results[i] === 1);
+      });
+      this.stats.prefetched += keys.length;
+    });
+  }
+
+  /**
+   * Terrain elevation for sight lines: the loaded chunk's grid, else the noise
+   * @param {number} x
+   * @param {number} y
+   * @returns {number} ft
+   */
+  getTerrainHeight(x, y) {
+    const height = this.chunkManager ? this.chunkManager.getElevation(x, y) : null;
+    return height ?? sampleTerrainElevation(x, y);
+  }
+
+  // ============================================
+  // Public API - Updates
+  // ============================================
+
+  /**
+   * Advance the cache clock and drop expired answers
+   * @param {number} deltaTime - Time step in seconds
+   */
+  update(deltaTime) {
+    this.time += deltaTime;
+    const lifetime = this.constants.cacheLifetime;
+    for (const [key, entry] of this.cache) {
+      if (this.time - entry.time > lifetime) this.cache.delete(key);
+    }
+  }
+
+  /**
+   * Forget every answer
+   */
+  dispose() {
+    this.cache.clear();
+    this._pending.clear();
+  }
+
+  // ============================================
+  // Private Methods
+  // ============================================
+
+  /**
+   * Cache key: both end points rounded to the cache quantum
+   * @private
+   */
+  _getKey(a, b) {
+    const q = this.constants.cacheQuantum;
+    return `${Math.round(a.x / q)},${Math.round(a.y / q)},${Math.round(a.altitude / q)}:` +
+      `${Math.round(b.x / q)},${Math.round(b.y / q)},${Math.round(b.altitude / q)}`;
+  }
+
+  /**
+   * Remember an answer, making room if the cache is full
+   * @private
+   */
+  _store(key, visible) {
+    if (this.cache.size >= this.constants.maxCacheEntries && !this.cache.has(key)) {
+      this.cache.delete(this.cache.keys().next().value);
+    }
+    this.cache.set(key, { visible, time: this.time });
+  }
+}
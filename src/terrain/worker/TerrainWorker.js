@@ -2,11 +2,13 @@
  * Web Worker for terrain generation
  * Handles noise computation, Delaunay triangulation, and mesh data packing
  * Returns transferable typed arrays for zero-copy transfer to main thread
+ * Also traces batches of terrain sight lines (see LineOfSight)
  */
 import { Delaunay } from 'd3-delaunay';
 import { generateJitteredGridPoints } from '../../utils/seededRandom.js';
 import { initNoise, moisture, detail, getElevation } from '../noise.js';
 import { biome, getBaseColor } from '../biomes.js';
+import { traceLineOfSight } from '../LineOfSight.js';
 
 // Worker state
 let noiseInitialized = false;
@@ -15,6 +17,9 @@ let currentWorldSeed = null;
 // Elevation scaling factor: maps noise [-1, 1] to world units (feet)
 const ELEVATION_SCALE = 400;
 
+// Cells per side of the elevation grid returned with each chunk
+const HEIGHT_GRID_CELLS = 20;
+
 // Flatten zone helper functions (matching AirbaseFlattenZone logic)
 
 /**
@@ -112,6 +117,10 @@ self.onmessage = function(e) {
       handleGenerate(payload);
       break;
 
+    case 'line_of_sight':
+      handleLineOfSight(payload);
+      break;
+
     default:
       console.warn('TerrainWorker: unknown message type', type);
   }
@@ -148,6 +157,7 @@ function handleGenerate(payload) {
         positions: result.positions,
         normals: result.normals,
         colors: result.colors,
+        heights: result.heights,
         bounds: result.bounds
       }
     }, result.transferables);
@@ -165,6 +175,52 @@ function handleGenerate(payload) {
   }
 }
 
+/**
+ * Trace a batch of sight lines over the terrain, with airbase flattening
+ * @param {Object} payload
+ * @param {number} payload.requestId
+ * @param {Float64Array} payload.queries - Six values per line: from x, y, z, to x, y, z
+ * @param {number} payload.step - ft between samples
+ * @param {number} payload.earthRadius - ft
+ * @param {Array} payload.flattenZones - Serialized flatten zones the lines may cross
+ */
+function handleLineOfSight({ requestId, queries, step, earthRadius, flattenZones }) {
+  const getHeight = (x, y) => getModifiedElevation(x, y, flattenZones || []) * ELEVATION_SCALE;
+  const count = queries.length / 6;
+  const results = new Uint8Array(count);
+
+  for (let i = 0; i < count; i++) {
+    const q = i * 6;
+    const from = { x: queries[q], y: queries[q + 1], z: queries[q + 2] };
+    const to = { x: queries[q + 3], y: queries[q + 4], z: queries[q + 5] };
+    results[i] = traceLineOfSight(from, to, getHeight, step, earthRadius) ? 1 : 0;
+  }
+
+  self.postMessage({ type: 'line_of_sight_ready', payload: { requestId, results } }, [results.buffer]);
+}
+
+/**
+ * Sample elevation (ft) on a regular grid over the chunk, corners included,
+ * for terrain queries on the main thread
+ * @param {Array} bounds - [minX, minY, maxX, maxY]
+ * @param {Array} flattenZones
+ * @returns {Float32Array} (HEIGHT_GRID_CELLS + 1)^2 values, row by row from minY
+ */
+function generateHeightGrid(bounds, flattenZones) {
+  const [minX, minY, maxX, maxY] = bounds;
+  const size = HEIGHT_GRID_CELLS + 1;
+  const heights = new Float32Array(size * size);
+  const cellX = (maxX - minX) / HEIGHT_GRID_CELLS;
+  const cellY = (maxY - minY) / HEIGHT_GRID_CELLS;
+
+  for (let row = 0; row < size; row++) {
+    for (let col = 0; col < size; col++) {
+      heights[row * size + col] = getModifiedElevation(minX + col * cellX, minY + row * cellY, flattenZones) * ELEVATION_SCALE;
+    }
+  }
+  return heights;
+}
+
 /**
  * Generate terrain data for a chunk
  * Returns flat typed arrays ready for BufferGeometry
@@ -338,12 +394,15 @@ function generateChunkData(chunkX, chunkY, chunkSize, gridSpacing, aoConfig, fla
     }
   }
 
+  const heights = generateHeightGrid(bounds, flattenZones);
+
   return {
     positions,
     normals,
     colors,
+    heights,
     bounds,
-    transferables: [positions.buffer, normals.buffer, colors.buffer]
+    transferables: [positions.buffer, normals.buffer, colors.buffer, heights.buffer]
   };
 }
 
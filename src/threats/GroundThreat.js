@@ -0,0 +1,485 @@
+/**
+ * GroundThreat - A SAM or AAA site: radar, engagement envelope and weapons
+ *
+ * The site's radar looks at each hostile every lookInterval. A hostile is
+ * in sight when the line from the antenna clears the terrain and the radar
+ * horizon (see LineOfSight). It is detected
+ * when it is also inside detection range, scaled by the fourth root of its
+ * RCS and by radar damage, and above the clutter floor over the ground
+ * beneath it. Flying low behind a ridge, or down in the clutter, breaks
+ * the track.
+ *
+ * After trackTime of continuous track on the nearest detected hostile the
+ * site engages it inside its envelope: a SAM site launches a semi-active
+ * missile and illuminates the target until the missile arrives; an AAA
+ * site lays its gun on the lead point and fires in bursts. Hostiles in
+ * sight hear the radar on their RWR ('sam' category) as search, lock on
+ * the tracked target, and launch while a missile or burst is on its way.
+ *
+ * Sites carry the same position, signature and hitbox fields as aircraft,
+ * so the player's radar, missiles and gun can engage them. A failed radar
+ * stops the site engaging; a failed structure destroys it.
+ */
+
+import * as THREE from 'three';
+import { FLIGHT_MODEL_DEFAULTS } from '../data/aircraft.js';
+import { GROUND_THREAT_DEFAULTS } from '../data/threats.js';
+import { getMissile, getGun } from '../data/stores.js';
+import { DamageModel } from '../flight/DamageModel.js';
+import { sampleTerrainElevation } from '../terrain/TerrainSampler.js';
+import { Missile } from '../weapons/Missile.js';
+import { Gun } from '../weapons/Gun.js';
+import { getTargetState } from '../weapons/MissileSeeker.js';
+import { randomNormal } from '../utils/math.js';
+
+const DEG_TO_RAD = Math.PI / 180;
+
+export class GroundThreat {
+  /**
+   * @param {Object} type - Site type (see GROUND_THREAT_TYPES)
+   * @param {Object} options
+   * @param {string} options.id
+   * @param {string} options.name - Name for logs and the debug overlay
+   * @param {number} options.x - World X position
+   * @param {number} options.y - World Y position
+   * @param {number} options.elevation - Ground elevation at the site (ft)
+   * @param {Object} [constants] - Overrides for GROUND_THREAT_DEFAULTS
+   */
+  constructor(type, { id, name, x, y, elevation }, constants = {}) {
+    this.type = type;
+    this.typeId = type.id;
+    this.id = id;
+    this.name = name;
+    this.constants = { ...GROUND_THREAT_DEFAULTS, ...constants };
+    const c = this.constants;
+
+    // Target fields, as aircraft carry them (a site sits still on the ground)
+    this.x = x;
+    this.y = y;
+    this.groundElevation = elevation;
+    this.altitude = elevation + c.hitbox.height / 2;
+    this.heading = 0;          // AAA sites turn it with the gun
+    this.speed = 0;
+    this.verticalSpeed = 0;
+    this.signature = c.signature;
+    this.hitbox = c.hitbox;
+    this.isGroundThreat = true;
+    this.antenna = { x, y, altitude: elevation + c.antennaHeight };
+
+    this.isDestroyed = false;
+    this.lossCause = null;
+    this.damage = new DamageModel({ systems: c.damage });
+
+    // Radar: the hostile held in track, and what the last look saw
+    this.track = null;           // { target, time }
+    this._inSight = new Set();   // hostiles above the horizon and unmasked
+    this._lookTimer = 0;
+
+    // Weapons, set up by attach()
+    this.missileSpec = type.missile ? getMissile(type.missile.id) : null;
+    this.readyRounds = type.missile ? type.missile.readyRounds : 0;
+    this.missiles = [];
+    this.gun = null;
+    this.gunElevation = 0;      // radians, the gun line above the horizon
+    this._salvoTimer = 0;
+    this._burstTimer = 0;
+    this._aimError = { heading: 0, elevation: 0 };
+    this._nextMissileId = 1;
+    this._events = [];
+
+    this._createMesh();
+  }
+
+  // ============================================
+  // Public API - Setup and commands
+  // ============================================
+
+  /**
+   * Connect the site to the world: where its missiles and tracers are drawn,
+   * how high the surface is under a missile, and what the terrain masks
+   * @param {THREE.Object3D} group - World-space group for missiles and tracers
+   * @param {function(number, number): number} getElevation - Surface elevation (ft)
+   * @param {LineOfSight} lineOfSight - Terrain sight-line queries
+   */
+  attach(group, getElevation, lineOfSight) {
+    this.group = group;
+    this.getElevation = getElevation;
+    this.lineOfSight = lineOfSight;
+    if (this.type.gun && !this.gun) {
+      this.gun = new Gun(getGun(this.type.gun.id), this, { rounds: this.type.gun.rounds, group });
+    }
+  }
+
+  /**
+   * Take battle damage; the site is destroyed once its structure fails
+   * @param {number} damage - Hit points per hit
+   * @param {string} cause - 'missile', 'gun', 'bomb' or 'rocket'
+   * @param {number} [count=1] - Number of hits
+   * @returns {Object[]} Damage events (see DamageModel.applyHits)
+   */
+  takeHits(damage, cause, count = 1) {
+    if (this.isDestroyed) return [];
+    const events = this.damage.applyHits(damage, count);
+    if (this.damage.isDestroyed()) this.destroy(cause);
+    return events;
+  }
+
+  /**
+   * Knock the site out; its wreck stays on the map
+   * @param {string} cause
+   */
+  destroy(cause) {
+    if (this.isDestroyed) return;
+    this.isDestroyed = true;
+    this.lossCause = cause;
+    this.track = null;
+    this._inSight.clear();
+    if (this.gun) this.gun.setTrigger(false);
+    this.pad.material.color.setHex(0x222222);
+    this.marker.visible = false;
+  }
+
+  // ============================================
+  // Public API - Updates and queries
+  // ============================================
+
+  /**
+   * Look for hostiles, engage the one in track, and fly missiles and rounds
+   * @param {number} deltaTime - Time step in seconds
+   * @param {Object[]} hostiles - Entities the site engages
+   * @param {Object[]} [decoys=[]] - Chaff and flares in the air
+   * @returns {Object[]} Events since the last update, as WeaponSystem.update:
+   *   { type, missile } and gun hits { type: 'hit', target, gun }
+   */
+  update(deltaTime, hostiles, decoys = []) {
+    const candidates = hostiles.filter((h) => !h.isDestroyed);
+
+    if (!this.isDestroyed) {
+      this._look(deltaTime, candidates);
+      this._engage(deltaTime);
+    }
+
+    if (this.gun) {
+      this._events.push(...this.gun.update(deltaTime, candidates));
+    }
+
+    for (const missile of this.missiles) {
+      missile.update(deltaTime, candidates, this.getElevation, decoys);
+      this._events.push(...missile.events);
+      missile.events.length = 0;
+    }
+    this.missiles = this.missiles.filter((missile) => {
+      if (missile.isActive()) return true;
+      this._removeMissile(missile);
+      return false;
+    });
+
+    const events = this._events;
+    this._events = [];
+    return events;
+  }
+
+  /**
+   * Whether the radar can still see a target (for a missile it guides)
+   * @param {Object} target
+   * @returns {boolean}
+   */
+  isSupporting(target) {
+    return !this.isDestroyed && !this.damage.isFailed('radar') &&
+      this.track !== null && this.track.target === target && !target.isDestroyed;
+  }
+
+  /**
+   * Whether the radar has held its track long enough to fire
+   * @returns {boolean}
+   */
+  isLocked() {
+    return this.track !== null && this.track.time >= this.type.radar.trackTime;
+  }
+
+  /**
+   * Detection range against the reference target, after radar damage
+   * @returns {number} ft
+   */
+  getDetectionRange() {
+    return this.type.radar.detectionRange * this.damage.getEffects().radarFactor;
+  }
+
+  /**
+   * The site's radar as an RWR receiving on a hostile would hear it
+   * @param {Object} receiver - Entity carrying the RWR
+   * @returns {Object|null} Emission (see Radar.getEmission), or null if the
+   *   receiver is out of sight of the radar
+   */
+  getEmission(receiver) {
+    if (this.isDestroyed || this.damage.isFailed('radar') || !this._inSight.has(receiver)) return null;
+
+    let mode = 'search';
+    if (this.track && this.track.target === receiver && this.isLocked()) {
+      const guiding = this.missiles.some((m) => m.isActive() && m.getTarget() === receiver);
+      mode = guiding || (this.gun && this.gun.isFiring()) ? 'launch' : 'lock';
+    }
+
+    return {
+      source: this,
+      category: 'sam',
+      symbol: this.type.rwrSymbol,
+      mode,
+      x: this.x,
+      y: this.y,
+      altitude: this.antenna.altitude,
+      power: this.getDetectionRange()
+    };
+  }
+
+  /**
+   * Missiles the site has in flight
+   * @returns {Missile[]}
+   */
+  getMissiles() {
+    return this.missiles;
+  }
+
+  getMesh() {
+    return this.mesh;
+  }
+
+  /**
+   * Remove missiles and tracers from the scene and release the site's meshes
+   */
+  dispose() {
+    for (const missile of this.missiles) {
+      this._removeMissile(missile);
+    }
+    this.missiles = [];
+    if (this.gun) this.gun.dispose();
+    if (this.mesh.parent) this.mesh.parent.remove(this.mesh);
+    for (const child of this.mesh.children) {
+      child.geometry.dispose();
+      child.material.dispose();
+    }
+  }
+
+  // ============================================
+  // Private Methods - Radar
+  // ============================================
+
+  /**
+   * Every lookInterval, work out which hostiles are in sight and keep the
+   * track on the nearest detected one; track time runs while it stays seen
+   * @private
+   */
+  _look(deltaTime, hostiles) {
+    if (this.damage.isFailed('radar')) {
+      this.track = null;
+      this._inSight.clear();
+      return;
+    }
+
+    if (this.track) this.track.time += deltaTime;
+    this._lookTimer -= deltaTime;
+    if (this._lookTimer > 0) return;
+    this._lookTimer = this.constants.lookInterval;
+
+    const detectionRange = this.getDetectionRange();
+    this._inSight.clear();
+    let nearest = null;
+    let nearestRange = Infinity;
+
+    for (const hostile of hostiles) {
+      const range = this._getRange(hostile);
+      const rcs = hostile.signature?.rcs ?? this.constants.referenceRcs;
+      const reach = detectionRange * Math.pow(rcs / this.constants.referenceRcs, 0.25);
+
+      // Out past where its RWR could hear the radar: no need to trace a line
+      if (range > Math.max(reach, detectionRange * this.constants.sightFactor) || !this._isInSight(hostile)) continue;
+      this._inSight.add(hostile);
+
+      const clearance = hostile.altitude - this.getElevation(hostile.x, hostile.y);
+      if (range > reach || clearance < this.type.radar.clutterFloor) continue;
+      if (range < nearestRange || (this.track && this.track.target === hostile && range < nearestRange * 1.2)) {
+        nearest = hostile;
+        nearestRange = range;
+      }
+    }
+
+    if (!nearest) {
+      this.track = null;
+    } else if (!this.track || this.track.target !== nearest) {
+      this.track = { target: nearest, time: 0 };
+    }
+  }
+
+  /**
+   * Above the radar horizon and not masked by terrain
+   * @private
+   */
+  _isInSight(target) {
+    return this.lineOfSight.hasLineOfSight(this.antenna, target);
+  }
+
+  /**
+   * Slant range from the site to a target
+   * @private
+   */
+  _getRange(target) {
+    return Math.hypot(target.x - this.x, target.y - this.y, target.altitude - this.altitude);
+  }
+
+  /**
+   * Whether a target is inside the site's engagement envelope
+   * @private
+   */
+  _inEnvelope(target) {
+    const envelope = this.type.envelope;
+    const range = this._getRange(target);
+    const height = target.altitude - this.groundElevation;
+    return range >= envelope.minRange && range <= envelope.maxRange &&
+      height >= envelope.minAltitude && height <= envelope.maxAltitude;
+  }
+
+  // ============================================
+  // Private Methods - Weapons
+  // ============================================
+
+  /**
+   * Fire on the tracked target once locked and inside the envelope
+   * @private
+   */
+  _engage(deltaTime) {
+    const target = this.isLocked() && this._inEnvelope(this.track.target) ? this.track.target : null;
+
+    if (this.gun) this._fireGun(deltaTime, target);
+
+    this._salvoTimer -= deltaTime;
+    if (this.missileSpec && target && this._salvoTimer <= 0 && this.readyRounds > 0) {
+      const inFlight = this.missiles.filter((m) => m.isActive() && m.target === target).length;
+      if (inFlight < this.type.missile.maxInFlight) this._launch(target);
+    }
+  }
+
+  /**
+   * Launch a missile off the rail toward the target
+   * @private
+   */
+  _launch(target) {
+    const c = this.constants;
+    const antenna = this.antenna.altitude;
+    const dx = target.x - this.x;
+    const dy = target.y - this.y;
+    const elevation = Math.max(c.minLaunchElevation * DEG_TO_RAD, Math.atan2(target.altitude - antenna, Math.hypot(dx, dy)));
+
+    // The missile leaves the rail as if from a launcher flying up it
+    const rail = {
+      x: this.x,
+      y: this.y,
+      altitude: antenna,
+      heading: Math.atan2(dx, dy),
+      speed: c.railSpeed,
+      verticalSpeed: c.railSpeed * Math.sin(elevation)
+    };
+    const missile = new Missile(this.missileSpec, rail, {
+      target,
+      locked: true,
+      isSupported: (t) => this.isSupporting(t),
+      id: this._nextMissileId++
+    });
+
+    this.missiles.push(missile);
+    this.group.add(missile.getTrail());
+    this.group.add(missile.getMesh());
+    this.readyRounds--;
+    this._salvoTimer = this.type.missile.salvoInterval;
+
+    this._events.push({ type: 'launch', missile });
+    console.log(`${this.name}: ${this.missileSpec.shortName} launch at ${(this._getRange(target) / 6076).toFixed(1)}nm`);
+  }
+
+  /**
+   * Lay the gun on the lead point and fire in bursts while there is a target
+   * @private
+   */
+  _fireGun(deltaTime, target) {
+    const gun = this.gun;
+    const { burstTime, burstPause } = this.type.gun;
+
+    if (!target) {
+      gun.setTrigger(false);
+      this._burstTimer = 0;
+      return;
+    }
+
+    // Burst timer runs from 0 to burstTime firing, then on to the end of the
+    // pause; each burst is laid with a fresh tracking error
+    if (this._burstTimer === 0) {
+      const spread = this.type.gun.aimError / 1000;
+      this._aimError = { heading: randomNormal() * spread, elevation: randomNormal() * spread };
+    }
+    this._burstTimer += deltaTime;
+    if (this._burstTimer >= burstTime + burstPause) this._burstTimer = 0;
+
+    this._layGun(target);
+    gun.setTrigger(this._burstTimer < burstTime && gun.rounds > 0);
+  }
+
+  /**
+   * Point the gun where the rounds will meet the target, allowing for the
+   * rounds' drop over their time of flight, off by the burst's tracking error
+   * @private
+   */
+  _layGun(target) {
+    const muzzle = this.gun.spec.muzzleVelocity;
+    const t = getTargetState(target);
+
+    let time = this._getRange(target) / muzzle;
+    let future = t;
+    for (let i = 0; i < 3; i++) {
+      future = { x: t.x + t.vx * time, y: t.y + t.vy * time, z: t.z + t.vz * time };
+      time = Math.hypot(future.x - this.x, future.y - this.y, future.z - this.altitude) / muzzle;
+    }
+
+    const dx = future.x - this.x;
+    const dy = future.y - this.y;
+    const dz = future.z - this.altitude + 0.5 * FLIGHT_MODEL_DEFAULTS.gravity * time * time;
+    this.heading = Math.atan2(dx, dy) + this._aimError.heading;
+    this.gunElevation = Math.atan2(dz, Math.hypot(dx, dy)) + this._aimError.elevation;
+  }
+
+  /**
+   * Take a missile's sprite and trail out of the scene
+   * @private
+   */
+  _removeMissile(missile) {
+    this.group.remove(missile.getMesh());
+    this.group.remove(missile.getTrail());
+    missile.dispose();
+  }
+
+  // ============================================
+  // Private Methods - Rendering
+  // ============================================
+
+  /**
+   * Revetment pad with a launcher (triangle) or gun (square) marker; placed
+   * in a terrain chunk group by GroundThreatRenderer
+   * @private
+   */
+  _createMesh() {
+    const { color, size } = this.type.sprite;
+    this.mesh = new THREE.Group();
+    this.mesh.name = `threat_${this.id}`;
+
+    this.pad = new THREE.Mesh(
+      new THREE.CircleGeometry(size / 2, 8),
+      new THREE.MeshBasicMaterial({ color, depthWrite: false })
+    );
+    this.marker = new THREE.Mesh(
+      new THREE.CircleGeometry(size / 4, this.type.category === 'sam' ? 3 : 4),
+      new THREE.MeshBasicMaterial({ color: 0xdddddd, depthWrite: false })
+    );
+    this.marker.position.z = 1;
+    this.mesh.add(this.pad, this.marker);
+
+    this.mesh.position.set(this.x, this.y, sampleTerrainElevation(this.x, this.y) + this.constants.spriteHeight);
+  }
+}
@@ -0,0 +1,263 @@
+/**
+ * GroundThreatRegistry - Procedural placement and lookup of SAM and AAA sites
+ *
+ * Generates sites deterministically from the world seed, following
+ * spec-infrastructure-generation.md section 5.2:
+ * - SAM sites ring the assets they protect (airbases), standing off part
+ *   of their coverage radius so coverage overlaps over the field
+ * - of the candidate positions tried for each site, the highest is kept
+ *   for the better radar horizon
+ * - sites sit on land, clear of runways and of each other
+ * - each defended airbase also gets an AAA site beside its runway
+ * The player's home field and the area around it are left undefended.
+ */
+
+import { GroundThreat } from './GroundThreat.js';
+import { createSeededRandom } from '../utils/seededRandom.js';
+import { getGroundThreatType, THREAT_PLACEMENT } from '../data/threats.js';
+import { PLACEMENT_CONSTRAINTS } from '../data/airbases.js';
+import { sampleTerrainElevation } from '../terrain/TerrainSampler.js';
+
+// Import noise functions for terrain sampling
+// Note: These must be initialized before calling generateSites
+import { getElevation, classifyZone, isLandZone } from '../terrain/noise.js';
+
+export class GroundThreatRegistry {
+  /**
+   * @param {number} worldSeed - World seed for deterministic generation
+   * @param {Object} airbaseRegistry - AirbaseRegistry with the airbases to defend
+   */
+  constructor(worldSeed, airbaseRegistry) {
+    this.worldSeed = worldSeed;
+    this.airbaseRegistry = airbaseRegistry;
+
+    // All generated sites
+    this.sites = [];
+
+    // Maps chunk key to the sites whose center lies in that chunk
+    this.chunkIndex = new Map();
+  }
+
+  /**
+   * Generate all sites for the world
+   * Should be called after noise is initialized and airbases are generated
+   * @param {Object|null} home - Player's home field ({x, z}), left undefended
+   */
+  generateSites(home) {
+    const rng = createSeededRandom(this.worldSeed + THREAT_PLACEMENT.seedOffset);
+    this.home = home;
+
+    // Nearest fields first, so the sites meet the player early in a sortie
+    const defended = this.airbaseRegistry.getAllAirbases()
+      .filter((airbase) => !this._isNearHome(airbase.position.x, airbase.position.z))
+      .sort((a, b) => this._distanceFromHome(a.position) - this._distanceFromHome(b.position));
+    const assets = defended.length > 0
+      ? defended.map((airbase) => airbase.position)
+      : this._findFallbackAssets();
+
+    // SAM sites, spread round-robin over the assets
+    const samType = getGroundThreatType(THREAT_PLACEMENT.samType);
+    const samCount = THREAT_PLACEMENT.minSamSites +
+      Math.floor(rng() * (THREAT_PLACEMENT.maxSamSites - THREAT_PLACEMENT.minSamSites + 1));
+    for (let i = 0; i < samCount && assets.length > 0; i++) {
+      const position = this._pickSamPosition(assets[i % assets.length], rng);
+      if (position) this._addSite(samType, position.x, position.z);
+    }
+
+    // AAA beside each defended runway
+    const aaaType = getGroundThreatType(THREAT_PLACEMENT.aaaType);
+    for (const airbase of defended) {
+      const side = rng() < 0.5 ? -1 : 1;
+      const position = airbase.runwayToWorld(0, side * THREAT_PLACEMENT.aaaOffset);
+      this._addSite(aaaType, position.x, position.z);
+    }
+
+    this.buildChunkIndex();
+
+    console.log(`GroundThreatRegistry: Generated ${this.sites.length} sites`);
+  }
+
+  /**
+   * Build spatial index for chunk queries
+   * @param {number} [chunkSize=2000]
+   */
+  buildChunkIndex(chunkSize = 2000) {
+    this.chunkIndex.clear();
+
+    for (const site of this.sites) {
+      const key = `${Math.floor(site.x / chunkSize)},${Math.floor(site.y / chunkSize)}`;
+      if (!this.chunkIndex.has(key)) {
+        this.chunkIndex.set(key, []);
+      }
+      this.chunkIndex.get(key).push(site);
+    }
+  }
+
+  /**
+   * Get the sites centered in a chunk
+   * @param {number} chunkX
+   * @param {number} chunkY
+   * @returns {GroundThreat[]}
+   */
+  getSitesInChunk(chunkX, chunkY) {
+    return this.chunkIndex.get(`${chunkX},${chunkY}`) || [];
+  }
+
+  /**
+   * Find the nearest site still in action to a position
+   * @param {number} x
+   * @param {number} y
+   * @returns {{site: GroundThreat, distance: number}|null}
+   */
+  getNearestSite(x, y) {
+    let nearest = null;
+    let nearestDistance = Infinity;
+
+    for (const site of this.sites) {
+      if (site.isDestroyed) continue;
+      const distance = Math.hypot(site.x - x, site.y - y);
+      if (distance < nearestDistance) {
+        nearestDistance = distance;
+        nearest = site;
+      }
+    }
+
+    return nearest ? { site: nearest, distance: nearestDistance } : null;
+  }
+
+  /**
+   * Get all sites, destroyed ones included
+   * @returns {GroundThreat[]}
+   */
+  getAllSites() {
+    return [...this.sites];
+  }
+
+  /**
+   * Get site count
+   * @returns {number}
+   */
+  getCount() {
+    return this.sites.length;
+  }
+
+  /**
+   * Release every site's missiles, tracers and meshes
+   */
+  dispose() {
+    for (const site of this.sites) {
+      site.dispose();
+    }
+    this.sites = [];
+    this.chunkIndex.clear();
+  }
+
+  // ============================================
+  // Private Methods
+  // ============================================
+
+  /**
+   * Create a site and add it to the registry
+   * @private
+   */
+  _addSite(type, x, z) {
+    const index = this.sites.length;
+    const site = new GroundThreat(type, {
+      id: `threat_${index}`,
+      name: `${type.shortName} #${index + 1}`,
+      x,
+      y: z,
+      elevation: sampleTerrainElevation(x, z)
+    });
+    this.sites.push(site);
+    return site;
+  }
+
+  /**
+   * Best of several candidate positions around an asset, or null if none fit
+   * @private
+   */
+  _pickSamPosition(asset, rng) {
+    const p = THREAT_PLACEMENT;
+    let best = null;
+
+    for (let i = 0; i < p.candidates; i++) {
+      const angle = rng() * Math.PI * 2;
+      const standoff = p.coverageRadius * (p.minStandoff + rng() * (p.maxStandoff - p.minStandoff));
+      const x = asset.x + Math.sin(angle) * standoff;
+      const z = asset.z + Math.cos(angle) * standoff;
+
+      const elevation = this._checkSuitability(x, z);
+      if (elevation === null) continue;
+      if (!best || elevation > best.elevation) {
+        best = { x, z, elevation };
+      }
+    }
+
+    return best;
+  }
+
+  /**
+   * Normalized elevation at a position if a SAM site may sit there, else null
+   * @private
+   */
+  _checkSuitability(x, z) {
+    const p = THREAT_PLACEMENT;
+    const elevation = getElevation(x, z);
+    const { zone } = classifyZone(x, z);
+
+    if (!isLandZone(zone) || elevation < p.minElevation) return null;
+    if (this._isNearHome(x, z)) return null;
+
+    for (const airbase of this.airbaseRegistry.getAllAirbases()) {
+      if (Math.hypot(x - airbase.position.x, z - airbase.position.z) < p.runwayClearance) return null;
+    }
+    for (const site of this.sites) {
+      if (Math.hypot(x - site.x, z - site.y) < p.minSpacing) return null;
+    }
+
+    return elevation;
+  }
+
+  /**
+   * Whether a position is inside the undefended area around the home field
+   * @private
+   */
+  _isNearHome(x, z) {
+    if (!this.home) return false;
+    return this._distanceFromHome({ x, z }) < THREAT_PLACEMENT.homeClearance;
+  }
+
+  /**
+   * Distance of a position from the home field (or the origin without one)
+   * @private
+   */
+  _distanceFromHome(position) {
+    const home = this.home || { x: 0, z: 0 };
+    return Math.hypot(position.x - home.x, position.z - home.z);
+  }
+
+  /**
+   * Land points on the airbase placement grid to defend when no airbase
+   * needs it (a single-field world)
+   * @private
+   */
+  _findFallbackAssets() {
+    const assets = [];
+    const radius = THREAT_PLACEMENT.fallbackRadius;
+    const gridSize = PLACEMENT_CONSTRAINTS.gridSize;
+
+    for (let gx = -radius; gx <= radius; gx++) {
+      for (let gy = -radius; gy <= radius; gy++) {
+        const x = gx * gridSize;
+        const z = gy * gridSize;
+        const { zone } = classifyZone(x, z);
+        if (isLandZone(zone) && getElevation(x, z) >= THREAT_PLACEMENT.minElevation && !this._isNearHome(x, z)) {
+          assets.push({ x, z });
+        }
+      }
+    }
+
+    return assets.sort((a, b) => this._distanceFromHome(a) - this._distanceFromHome(b));
+  }
+}
@@ -0,0 +1,45 @@
+/**
+ * GroundThreatRenderer - Keeps site meshes in their terrain chunk groups
+ *
+ * Each site is drawn in the group of the chunk its center lies in, so it
+ * appears and disappears with the terrain under it. When a chunk unloads
+ * its group is cleared, dropping the site mesh; the next update puts it
+ * back once the chunk has loaded again.
+ */
+
+export class GroundThreatRenderer {
+  /**
+   * @param {Object} threatRegistry - GroundThreatRegistry instance
+   * @param {Object} chunkManager - ChunkManager whose chunk groups hold the sites
+   */
+  constructor(threatRegistry, chunkManager) {
+    this.threatRegistry = threatRegistry;
+    this.chunkManager = chunkManager;
+  }
+
+  /**
+   * Add each loaded chunk's sites to its group
+   * Call this every frame
+   */
+  update() {
+    for (const [key, chunk] of this.chunkManager.chunks) {
+      if (!chunk.group) continue;
+      const [chunkX, chunkY] = key.split(',').map(Number);
+
+      for (const site of this.threatRegistry.getSitesInChunk(chunkX, chunkY)) {
+        const mesh = site.getMesh();
+        if (mesh.parent !== chunk.group) {
+          chunk.group.add(mesh);
+        }
+      }
+    }
+  }
+
+  /**
+   * Get count of sites in loaded chunks
+   * @returns {number}
+   */
+  getRenderedCount() {
+    return this.threatRegistry.getAllSites().filter((site) => site.getMesh().parent).length;
+  }
+}
@@ -0,0 +1,7 @@
+/**
+ * Threats module - exports all ground threat classes
+ */
+
+export { GroundThreat } from './GroundThreat.js';
+export { GroundThreatRegistry } from './GroundThreatRegistry.js';
+export { GroundThreatRenderer } from './GroundThreatRenderer.js';
@@ -0,0 +1,156 @@
+/**
+ * BombSight - CCIP pipper and CCRP cues drawn in the world
+ *
+ * Shown while a bomb or rocket pod is selected and the bombing computer
+ * has a solution (see BombingComputer):
+ * - the pipper sits on the ground where a store released now would hit,
+ *   joined to the aircraft by the fall line
+ * - in CCRP a diamond marks the designated target; the pipper closes on
+ *   it as the release nears, and the cues turn to the release color in
+ *   the last cueTime before the automatic release
+ *
+ * Lives in the terrain group, so positions and sizes are world units.
+ */
+
+import * as THREE from 'three';
+import { sampleTerrainElevation } from '../terrain/TerrainSampler.js';
+
+// Display defaults
+const BOMB_SIGHT_DEFAULTS = {
+  radius: 30,               // pipper ring radius (world units)
+  dotRadius: 3,
+  diamondSize: 40,          // target diamond half-diagonal
+  height: 40,               // above the terrain surface, over the aircraft sprites
+  color: 0x66ff88,
+  releaseColor: 0xff4444,
+  cueTime: 2                // seconds before a CCRP release the cue shows
+};
+
+export class BombSight {
+  /**
+   * @param {Object} [options] - Overrides for BOMB_SIGHT_DEFAULTS
+   */
+  constructor(options = {}) {
+    this.options = { ...BOMB_SIGHT_DEFAULTS, ...options };
+
+    this.group = new THREE.Group();
+    this.group.name = 'bomb_sight';
+    this.group.visible = false;
+
+    this._createPipper();
+    this._createDiamond();
+    this._createFallLine();
+  }
+
+  // ============================================
+  // Public API
+  // ============================================
+
+  getObject() {
+    return this.group;
+  }
+
+  /**
+   * Move the cues to the current solution, or hide them
+   * @param {Object} state
+   * @param {Object|null} state.solution - BombingComputer.getSolution() result, or null to hide
+   * @param {{x: number, y: number}} state.aircraft - Releasing aircraft's position
+   */
+  update({ solution, aircraft }) {
+    this.group.visible = !!solution;
+    if (!solution) return;
+
+    const o = this.options;
+    const { impact, target } = solution;
+    const height = (x, y) => sampleTerrainElevation(x, y) + o.height;
+
+    this.pipper.position.set(impact.x, impact.y, height(impact.x, impact.y));
+
+    this.diamond.visible = !!target;
+    if (target) {
+      this.diamond.position.set(target.x, target.y, height(target.x, target.y));
+    }
+
+    const line = this.fallLine.geometry.attributes.position;
+    line.setXYZ(0, aircraft.x, aircraft.y, height(aircraft.x, aircraft.y));
+    line.setXYZ(1, impact.x, impact.y, height(impact.x, impact.y));
+    line.needsUpdate = true;
+    this.fallLine.geometry.computeBoundingSphere();
+
+    const cue = solution.mode === 'CCRP' && solution.timeToRelease <= o.cueTime;
+    const color = cue ? o.releaseColor : o.color;
+    for (const child of [this.ring, this.dot, this.diamond, this.fallLine]) {
+      child.material.color.setHex(color);
+    }
+  }
+
+  /**
+   * Release GPU resources
+   */
+  dispose() {
+    for (const child of [this.ring, this.dot, this.diamond, this.fallLine]) {
+      child.geometry.dispose();
+      child.material.dispose();
+    }
+  }
+
+  // ============================================
+  // Private Methods
+  // ============================================
+
+  /**
+   * Ring and center dot
+   * @private
+   */
+  _createPipper() {
+    const { radius, dotRadius, color } = this.options;
+
+    const points = [];
+    const segments = 40;
+    for (let i = 0; i <= segments; i++) {
+      const a = (i / segments) * Math.PI * 2;
+      points.push(new THREE.Vector3(Math.sin(a) * radius, Math.cos(a) * radius, 0));
+    }
+    this.ring = new THREE.Line(
+      new THREE.BufferGeometry().setFromPoints(points),
+      new THREE.LineBasicMaterial({ color, depthWrite: false })
+    );
+    this.dot = new THREE.Mesh(
+      new THREE.CircleGeometry(dotRadius, 12),
+      new THREE.MeshBasicMaterial({ color, depthWrite: false })
+    );
+
+    this.pipper = new THREE.Group();
+    this.pipper.add(this.ring, this.dot);
+    this.group.add(this.pipper);
+  }
+
+  /**
+   * Diamond over the designated target
+   * @private
+   */
+  _createDiamond() {
+    const { diamondSize: s, color } = this.options;
+    const points = [[0, s], [s, 0], [0, -s], [-s, 0], [0, s]].map(([x, y]) => new THREE.Vector3(x, y, 0));
+    this.diamond = new THREE.Line(
+      new THREE.BufferGeometry().setFromPoints(points),
+      new THREE.LineBasicMaterial({ color, depthWrite: false })
+    );
+    this.group.add(this.diamond);
+  }
+
+  /**
+   * Line from the aircraft down to the pipper, in world positions
+   * @private
+   */
+  _createFallLine() {
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(6), 3));
+    this.fallLine = new THREE.Line(
+      geometry,
+      new THREE.LineBasicMaterial({ color: this.options.color, transparent: true, opacity: 0.6, depthWrite: false })
+    );
+    this.fallLine.frustumCulled = false;
+    this.group.add(this.fallLine);
+  }
+}
@@ -1,6 +1,7 @@
 /**
  * FlightControlIndicator - DOM-based HUD widget showing throttle,
- * stick position, and flight status indicators.
+ * fuel, stick position, flight status indicators, chaff and flare
+ * counts, and battle damage lights.
  *
  * 8-bit pixel art aesthetic: hard edges, 1px borders, no gradients.
  */
@@ -16,8 +17,11 @@ export class FlightControlIndicator {
 
     this.element = null;
     this.throttleFill = null;
+    this.fuelInternalFill = null;
+    this.fuelExternalFill = null;
     this.stickDot = null;
     this.statusLights = {};
+    this.countermeasureReadouts = {};
 
     this._createDOM();
   }
@@ -44,6 +48,10 @@ export class FlightControlIndicator {
     const throttle = this._createThrottleBar();
     this.element.appendChild(throttle);
 
+    // Fuel gauge
+    const fuel = this._createFuelGauge();
+    this.element.appendChild(fuel);
+
     // Stick indicator
     const stick = this._createStickIndicator();
     this.element.appendChild(stick);
@@ -52,6 +60,26 @@ export class FlightControlIndicator {
     const status = this._createStatusLights();
     this.element.appendChild(status);
 
+    // Warning lights
+    const warnings = this._createWarningLights();
+    this.element.appendChild(warnings);
+
+    // Chaff and flare counts
+    const countermeasures = this._createCountermeasureReadout();
+    this.element.appendChild(countermeasures);
+
+    // Battle damage lights
+    this.element.appendChild(this._createDamageLights([
+      { key: 'engine', label: 'ENG', color: '#cc0' },
+      { key: 'hydraulics', label: 'HYD', color: '#cc0' },
+      { key: 'fuel', label: 'FUEL', color: '#cc0' }
+    ]));
+    this.element.appendChild(this._createDamageLights([
+      { key: 'controls', label: 'CTL', color: '#cc0' },
+      { key: 'radar', label: 'RDR', color: '#cc0' },
+      { key: 'fire', label: 'FIRE', color: '#f22' }
+    ]));
+
     this.container.appendChild(this.element);
   }
 
@@ -105,6 +133,43 @@ export class FlightControlIndicator {
     return throttle;
   }
 
+  _createFuelGauge() {
+    const fuel = document.createElement('div');
+    fuel.style.cssText = `
+      position: relative;
+      width: 8px;
+      height: 60px;
+      background: #1a1a1a;
+      border: 1px solid #444;
+    `;
+
+    // Internal fuel fills from the bottom
+    this.fuelInternalFill = document.createElement('div');
+    this.fuelInternalFill.style.cssText = `
+      position: absolute;
+      bottom: 0;
+      left: 0;
+      width: 100%;
+      height: 100%;
+      background: #4a4;
+    `;
+    fuel.appendChild(this.fuelInternalFill);
+
+    // External tank fuel stacks on top of internal
+    this.fuelExternalFill = document.createElement('div');
+    this.fuelExternalFill.style.cssText = `
+      position: absolute;
+      bottom: 100%;
+      left: 0;
+      width: 100%;
+      height: 0;
+      background: #488;
+    `;
+    fuel.appendChild(this.fuelExternalFill);
+
+    return fuel;
+  }
+
   _createStickIndicator() {
     const stick = document.createElement('div');
     stick.style.cssText = `
@@ -183,10 +248,75 @@ export class FlightControlIndicator {
       { key: 'gear', label: 'G', color: '#0c0' }
     ];
 
+    this._addLights(status, lights, 20);
+
+    return status;
+  }
+
+  _createWarningLights() {
+    const status = document.createElement('div');
+    status.style.cssText = `
+      display: flex;
+      flex-direction: column;
+      gap: 4px;
+    `;
+
+    const lights = [
+      { key: 'joker', label: 'JOKER', color: '#cc0' },
+      { key: 'bingo', label: 'BINGO', color: '#c22' },
+      { key: 'pullUp', label: 'PULL', color: '#f22' }
+    ];
+
+    this._addLights(status, lights, 30);
+
+    return status;
+  }
+
+  _createCountermeasureReadout() {
+    const readout = document.createElement('div');
+    readout.style.cssText = `
+      display: flex;
+      flex-direction: column;
+      gap: 4px;
+    `;
+
+    ['chaff', 'flare', 'program'].forEach((key) => {
+      const cell = document.createElement('div');
+      cell.style.cssText = `
+        width: 34px;
+        height: 12px;
+        background: #222;
+        border: 1px solid #444;
+        color: #4a4;
+        font-size: 8px;
+        line-height: 12px;
+        text-align: center;
+      `;
+      readout.appendChild(cell);
+      this.countermeasureReadouts[key] = cell;
+    });
+
+    return readout;
+  }
+
+  _createDamageLights(lights) {
+    const status = document.createElement('div');
+    status.style.cssText = `
+      display: flex;
+      flex-direction: column;
+      gap: 4px;
+    `;
+
+    this._addLights(status, lights, 26);
+
+    return status;
+  }
+
+  _addLights(parent, lights, width) {
     lights.forEach(({ key, label, color }) => {
       const light = document.createElement('div');
       light.style.cssText = `
-        width: 20px;
+        width: ${width}px;
         height: 12px;
         background: #1a1a1a;
         border: 1px solid #2a2a2a;
@@ -197,11 +327,9 @@ export class FlightControlIndicator {
       `;
       light.textContent = label;
       light.dataset.onColor = color;
-      status.appendChild(light);
+      parent.appendChild(light);
       this.statusLights[key] = light;
     });
-
-    return status;
   }
 
   /**
@@ -210,11 +338,20 @@ export class FlightControlIndicator {
    * @param {number} flightState.throttle - 0 to 1.5
    * @param {number} flightState.stickX - -1 to 1
    * @param {number} flightState.stickY - -1 to 1
-   * @param {Object} flightState.status - Status light states
+   * @param {Object} [flightState.fuel] - Fuel state in lb
+   * @param {number} flightState.fuel.internal - Internal fuel remaining
+   * @param {number} flightState.fuel.external - External tank fuel remaining
+   * @param {number} flightState.fuel.capacity - Internal plus external capacity
+   * @param {Object} [flightState.countermeasures] - Dispenser inventory
+   *   (see CountermeasureDispenser.getInventory)
+   * @param {Object} [flightState.damage] - Subsystem status per damage light
+   *   ('ok', 'damaged' or 'failed') and fire (boolean)
+   * @param {Object} flightState.status - Status light states (booleans, except
+   *   gear/flaps/speedBrake which are 'off', 'on', 'moving' or 'damaged')
    * @param {boolean} flightState.inputActive - Whether any input is active
    */
   update(flightState) {
-    const { throttle, stickX, stickY, status, inputActive } = flightState;
+    const { throttle, stickX, stickY, fuel, countermeasures, damage, status, inputActive } = flightState;
 
     // Update opacity based on input activity
     this.element.style.opacity = inputActive ? '0.7' : '0.5';
@@ -226,6 +363,16 @@ export class FlightControlIndicator {
     this.throttleFill.style.height = `${fillPercent}%`;
     this.throttleFill.style.background = throttle > 1.0 ? '#f84' : '#4a4';
 
+    // Update fuel gauge (fraction of full internal + external load)
+    if (fuel && fuel.capacity > 0) {
+      const internalPercent = (fuel.internal / fuel.capacity) * 100;
+      const externalPercent = (fuel.external / fuel.capacity) * 100;
+      this.fuelInternalFill.style.height = `${internalPercent}%`;
+      this.fuelExternalFill.style.bottom = `${internalPercent}%`;
+      this.fuelExternalFill.style.height = `${externalPercent}%`;
+      this.fuelInternalFill.style.background = status.bingo ? '#c22' : status.joker ? '#cc0' : '#4a4';
+    }
+
     // Update stick dot position
     // stickX: -1 to 1 maps to 3px to 41px (center at 22, range ±19)
     // stickY: -1 to 1 maps to 41px to 3px (inverted, up = negative in screen coords)
@@ -237,9 +384,87 @@ export class FlightControlIndicator {
 
     // Update status lights
     this._updateStatusLight('afterburner', status.afterburner, true);
-    this._updateStatusLight('speedBrake', status.speedBrake, false);
-    this._updateStatusLight('flaps', status.flaps, false);
-    this._updateStatusLight('gear', status.gear, false);
+    this._updateConfigurationLight('speedBrake', status.speedBrake);
+    this._updateConfigurationLight('flaps', status.flaps);
+    this._updateConfigurationLight('gear', status.gear);
+
+    // Flap light shows the handle setting once flaps leave the up position
+    const flapLight = this.statusLights.flaps;
+    if (flapLight) {
+      flapLight.textContent = status.flapLabel && status.flapLabel !== 'UP' ? status.flapLabel : 'F';
+    }
+    this._updateStatusLight('joker', status.joker, true);
+    this._updateStatusLight('bingo', status.bingo, true);
+    this._updateStatusLight('pullUp', status.pullUp, true);
+
+    if (countermeasures) {
+      this._updateCountermeasureCount('chaff', 'CH', countermeasures.chaff, countermeasures.capacity.chaff);
+      this._updateCountermeasureCount('flare', 'FL', countermeasures.flare, countermeasures.capacity.flare);
+      this.countermeasureReadouts.program.textContent = countermeasures.program;
+    }
+
+    if (damage) {
+      for (const key of ['engine', 'hydraulics', 'fuel', 'controls', 'radar']) {
+        this._updateDamageLight(key, damage[key]);
+      }
+      const blinkOn = Math.floor(performance.now() / 250) % 2 === 0;
+      this._updateStatusLight('fire', damage.fire && blinkOn, true);
+    }
+  }
+
+  /**
+   * Update a battle damage light: amber when damaged, red when failed
+   * @param {string} key - Light key
+   * @param {string} state - 'ok', 'damaged' or 'failed'
+   */
+  _updateDamageLight(key, state) {
+    const light = this.statusLights[key];
+    if (!light) return;
+
+    if (state === 'failed') {
+      light.style.background = '#c22';
+      light.style.color = '#fff';
+      light.style.borderColor = '#c22';
+      return;
+    }
+    this._updateStatusLight(key, state === 'damaged', true);
+  }
+
+  /**
+   * Update a chaff or flare count: green, amber at a quarter load or less, red when empty
+   * @param {string} key - Readout key
+   * @param {string} label - Short name shown before the count
+   * @param {number} count - Remaining
+   * @param {number} capacity - Full load
+   */
+  _updateCountermeasureCount(key, label, count, capacity) {
+    const cell = this.countermeasureReadouts[key];
+    if (!cell) return;
+
+    cell.textContent = `${label} ${count}`;
+    cell.style.color = count <= 0 ? '#c22' : count <= capacity / 4 ? '#cc0' : '#4a4';
+  }
+
+  /**
+   * Update a gear/flaps/speedbrake light from its configuration state
+   * Lit when deployed, blinking while moving, red when damaged
+   * @param {string} key - Light key
+   * @param {string} state - 'off', 'on', 'moving' or 'damaged'
+   */
+  _updateConfigurationLight(key, state) {
+    const light = this.statusLights[key];
+    if (!light) return;
+
+    if (state === 'damaged') {
+      light.style.background = '#c22';
+      light.style.color = '#fff';
+      light.style.borderColor = '#c22';
+      return;
+    }
+
+    const blinkOn = Math.floor(performance.now() / 250) % 2 === 0;
+    const isOn = state === 'on' || (state === 'moving' && blinkOn);
+    this._updateStatusLight(key, isOn, true);
   }
 
   _updateStatusLight(key, isOn, isEnabled) {
@@ -283,7 +508,10 @@ export class FlightControlIndicator {
     }
     this.element = null;
     this.throttleFill = null;
+    this.fuelInternalFill = null;
+    this.fuelExternalFill = null;
     this.stickDot = null;
     this.statusLights = {};
+    this.countermeasureReadouts = {};
   }
 }
@@ -0,0 +1,147 @@
+/**
+ * Gunsight - Lead-computing pipper drawn in the world around the target
+ *
+ * Shown while a locked target is inside gun range (see Gun.getLeadSolution).
+ * The pipper sits where the target must be for rounds fired now to hit;
+ * flying the pipper onto the target sprite is the aiming task. Around it:
+ * - a range arc, running clockwise from the nose as the target closes
+ *   from gun range (empty) to point blank (full circle)
+ * - the ring and dot turn to the shoot color when rounds fired now would
+ *   pass within the target's hitbox
+ *
+ * Lives in the terrain group, so sizes are world units; the group is
+ * turned with the player's heading so the range arc starts at screen up.
+ */
+
+import * as THREE from 'three';
+import { sampleTerrainElevation } from '../terrain/TerrainSampler.js';
+
+// Display defaults
+const GUNSIGHT_DEFAULTS = {
+  radius: 36,               // pipper ring radius (world units)
+  dotRadius: 3,
+  arcWidth: 5,              // range arc thickness inside the ring
+  height: 40,               // above the terrain surface, over the aircraft sprites
+  color: 0x66ff88,
+  shootColor: 0xff4444,
+  arcSegments: 48
+};
+
+export class Gunsight {
+  /**
+   * @param {Object} [options] - Overrides for GUNSIGHT_DEFAULTS
+   */
+  constructor(options = {}) {
+    this.options = { ...GUNSIGHT_DEFAULTS, ...options };
+
+    this.group = new THREE.Group();
+    this.group.name = 'gunsight';
+    this.group.visible = false;
+
+    this._createPipper();
+    this._createRangeArc();
+  }
+
+  // ============================================
+  // Public API
+  // ============================================
+
+  getObject() {
+    return this.group;
+  }
+
+  /**
+   * Move the pipper to the current solution, or hide it
+   * @param {Object} state
+   * @param {Object|null} state.solution - Gun.getLeadSolution() result, or null to hide
+   * @param {number} state.maxRange - Gun range (ft), where the range arc is empty
+   * @param {number} state.hitRadius - Miss distance (ft) inside which the shoot cue shows
+   * @param {number} state.heading - Player heading in radians
+   */
+  update({ solution, maxRange, hitRadius, heading }) {
+    this.group.visible = !!solution;
+    if (!solution) return;
+
+    const { x, y } = solution;
+    this.group.position.set(x, y, sampleTerrainElevation(x, y) + this.options.height);
+    this.group.rotation.z = -heading;
+
+    const fraction = Math.max(0, Math.min(1, 1 - solution.range / maxRange));
+    this.rangeArc.geometry.setDrawRange(0, Math.round(fraction * this.options.arcSegments) * 6);
+
+    const color = solution.missDistance <= hitRadius ? this.options.shootColor : this.options.color;
+    this.ring.material.color.setHex(color);
+    this.dot.material.color.setHex(color);
+    this.rangeArc.material.color.setHex(color);
+  }
+
+  /**
+   * Release GPU resources
+   */
+  dispose() {
+    for (const child of this.group.children) {
+      child.geometry.dispose();
+      child.material.dispose();
+    }
+  }
+
+  // ============================================
+  // Private Methods
+  // ============================================
+
+  /**
+   * Ring and center dot
+   * @private
+   */
+  _createPipper() {
+    const { radius, dotRadius, color } = this.options;
+
+    const points = [];
+    const segments = 48;
+    for (let i = 0; i <= segments; i++) {
+      const a = (i / segments) * Math.PI * 2;
+      points.push(new THREE.Vector3(Math.sin(a) * radius, Math.cos(a) * radius, 0));
+    }
+    this.ring = new THREE.Line(
+      new THREE.BufferGeometry().setFromPoints(points),
+      new THREE.LineBasicMaterial({ color, depthWrite: false })
+    );
+
+    this.dot = new THREE.Mesh(
+      new THREE.CircleGeometry(dotRadius, 12),
+      new THREE.MeshBasicMaterial({ color, depthWrite: false })
+    );
+
+    this.group.add(this.ring, this.dot);
+  }
+
+  /**
+   * Band just inside the ring, drawn clockwise from the top; the draw range
+   * shows how much of it is lit
+   * @private
+   */
+  _createRangeArc() {
+    const { radius, arcWidth, arcSegments, color } = this.options;
+    const inner = radius - arcWidth;
+    const positions = [];
+
+    for (let i = 0; i < arcSegments; i++) {
+      const a0 = (i / arcSegments) * Math.PI * 2;
+      const a1 = ((i + 1) / arcSegments) * Math.PI * 2;
+      const p = (a, r) => [Math.sin(a) * r, Math.cos(a) * r, 0];
+      positions.push(
+        ...p(a0, inner), ...p(a0, radius), ...p(a1, radius),
+        ...p(a0, inner), ...p(a1, radius), ...p(a1, inner)
+      );
+    }
+
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+    geometry.setDrawRange(0, 0);
+    this.rangeArc = new THREE.Mesh(
+      geometry,
+      new THREE.MeshBasicMaterial({ color, side: THREE.DoubleSide, depthWrite: false })
+    );
+    this.group.add(this.rangeArc);
+  }
+}
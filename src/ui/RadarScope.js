@@ -0,0 +1,673 @@
+/**
+ * RadarScope - Radar display instrument for a UI cell
+ *
+ * Draws the radar picture in the cell's scene, centered on the origin:
+ * - B-scope: azimuth across, range up (the gimbal limits are the sides)
+ * - PPI: a fan of range rings from own aircraft at the bottom edge
+ *
+ * Shows range rings, the scan volume limits, the sweep line with a short
+ * afterglow, track symbols (brightness fades as a track goes unrefreshed,
+ * velocity vectors on firm tracks), the selected track, the designation
+ * box on the locked track and the acquisition cursor. A scanline and
+ * static overlay gives the phosphor look (spec-control-ui section 6.2).
+ *
+ * All sizes are in pixels; the orthographic UI camera maps one scene
+ * unit to one screen pixel.
+ */
+
+import * as THREE from 'three';
+
+const DEG_TO_RAD = Math.PI / 180;
+
+// Display defaults (spec-control-ui sections 6.2, 6.4 and 9)
+const SCOPE_DEFAULTS = {
+  size: 200,                // display width and height (px)
+  format: 'bscope',         // 'bscope' or 'ppi'
+  phosphorColor: 0x33ff66,
+  borderColor: 0x338833,
+  backgroundColor: 0x020a04,
+  scanlineIntensity: 0.15,
+  noiseIntensity: 0.05,
+  sweep: true,              // false for reduced motion
+  sweepTrail: 8,            // afterglow segments behind the sweep line
+  rangeRings: 4,
+  maxContacts: 10,
+  minIntensity: 0.25,       // brightness of a track about to age out
+  symbolSize: 5,
+  vectorScale: 0.02,        // px per ft/s of track speed
+  pickRadius: 12            // px around a symbol that counts as a click on it
+};
+
+// Layers, back to front
+const Z = {
+  background: -5,
+  grid: -4,
+  scan: -3,
+  sweep: -2,
+  contacts: 0,
+  markers: 1,
+  cursor: 2,
+  overlay: 4
+};
+
+const OVERLAY_VERTEX_SHADER = `
+  void main() {
+    gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+  }
+`;
+
+// Every other screen row darkened, plus flickering static in phosphor green
+const OVERLAY_FRAGMENT_SHADER = `
+  uniform vec3 color;
+  uniform float time;
+  uniform float scanlineIntensity;
+  uniform float noiseIntensity;
+
+  float hash(vec2 p) {
+    return fract(sin(dot(p, vec2(12.9898, 78.233))) * 43758.5453);
+  }
+
+  void main() {
+    float scanline = mod(floor(gl_FragCoord.y), 2.0) < 1.0 ? scanlineIntensity : 0.0;
+    float noise = hash(floor(gl_FragCoord.xy) + fract(time) * 100.0) * noiseIntensity;
+    float alpha = scanline + noise;
+    gl_FragColor = vec4(color * noise / max(alpha, 0.001), alpha);
+  }
+`;
+
+export class RadarScope {
+  /**
+   * @param {Object} [options] - Overrides for SCOPE_DEFAULTS
+   */
+  constructor(options = {}) {
+    this.options = { ...SCOPE_DEFAULTS, ...options };
+    this.format = this.options.format;
+
+    this.scene = new THREE.Scene();
+    this.time = 0;
+
+    // Acquisition cursor in radar terms ({azimuth, range}), null when hidden
+    this.cursor = null;
+
+    // Scales the current picture was drawn for (grid rebuilt when they change)
+    this._gimbalLimit = 60;
+    this._rangeScale = 0;
+    this._headerText = '';
+    this._sweepHistory = [];
+
+    this._createBackground();
+    this._createGrid();
+    this._createScanLimits();
+    this._createSweep();
+    this._createContacts();
+    this._createMarkers();
+    this._createCursor();
+    this._createHeader();
+    this._createOverlay();
+  }
+
+  // ============================================
+  // Public API - Commands
+  // ============================================
+
+  /**
+   * Switch between B-scope and PPI
+   * @param {string} format - 'bscope' or 'ppi'
+   */
+  setFormat(format) {
+    if (format === this.format) return;
+    this.format = format;
+    this._sweepHistory = [];
+    this._rebuildGrid();
+  }
+
+  /**
+   * Switch to the other display format
+   */
+  toggleFormat() {
+    this.setFormat(this.format === 'bscope' ? 'ppi' : 'bscope');
+  }
+
+  /**
+   * Move the acquisition cursor to a point on the display
+   * @param {number} x - Scene X (px right of the display center)
+   * @param {number} y - Scene Y (px above the display center)
+   * @returns {{azimuth: number, range: number}|null} Cursor position in
+   *   radar terms (degrees, ft), or null if the point is off the display
+   */
+  slewCursor(x, y) {
+    this.cursor = this.fromScope(x, y);
+    return this.cursor;
+  }
+
+  /**
+   * Hide the acquisition cursor
+   */
+  hideCursor() {
+    this.cursor = null;
+  }
+
+  // ============================================
+  // Public API - Updates and queries
+  // ============================================
+
+  /**
+   * Redraw the picture from the radar's current state
+   * @param {Object} state
+   * @param {Radar|null} state.radar - Radar to display (blank scope without one)
+   * @param {number} [state.deltaTime=0] - Time step in seconds
+   */
+  update({ radar, deltaTime = 0 }) {
+    this.time += deltaTime;
+    this.overlay.material.uniforms.time.value = this.time;
+
+    if (!radar) {
+      this._hideDynamic();
+      return;
+    }
+
+    const scan = radar.getScanState();
+    const rangeScale = scan.rangeScale * 6076;
+    if (radar.spec.gimbalLimit !== this._gimbalLimit || rangeScale !== this._rangeScale) {
+      this._gimbalLimit = radar.spec.gimbalLimit;
+      this._rangeScale = rangeScale;
+      this._rebuildGrid();
+    }
+
+    this._updateScanLimits(scan);
+    this._updateSweep(scan);
+    this._updateContacts(radar);
+    this._updateCursor();
+    this._updateHeader(scan, radar);
+  }
+
+  /**
+   * Display position of a point given in radar terms
+   * @param {number} azimuth - Degrees off the nose, positive right
+   * @param {number} range - ft
+   * @returns {{x: number, y: number}} Scene position (px)
+   */
+  toScope(azimuth, range) {
+    const half = this.options.size / 2;
+    const r = range / this._rangeScale;
+
+    if (this.format === 'ppi') {
+      const radius = r * this._getFanRadius();
+      return {
+        x: Math.sin(azimuth * DEG_TO_RAD) * radius,
+        y: -half + Math.cos(azimuth * DEG_TO_RAD) * radius
+      };
+    }
+
+    return {
+      x: (azimuth / this._gimbalLimit) * half,
+      y: -half + r * this.options.size
+    };
+  }
+
+  /**
+   * Radar azimuth and range at a display position
+   * @param {number} x - Scene X (px)
+   * @param {number} y - Scene Y (px)
+   * @returns {{azimuth: number, range: number}|null} Null if off the display
+   */
+  fromScope(x, y) {
+    const half = this.options.size / 2;
+    if (!this._rangeScale || Math.abs(x) > half || Math.abs(y) > half) return null;
+
+    if (this.format === 'ppi') {
+      const dy = y + half;
+      const radius = Math.hypot(x, dy);
+      const azimuth = Math.atan2(x, dy) / DEG_TO_RAD;
+      if (radius > this._getFanRadius() || Math.abs(azimuth) > this._gimbalLimit) return null;
+      return { azimuth, range: (radius / this._getFanRadius()) * this._rangeScale };
+    }
+
+    return {
+      azimuth: (x / half) * this._gimbalLimit,
+      range: ((y + half) / this.options.size) * this._rangeScale
+    };
+  }
+
+  /**
+   * Track whose symbol is nearest a display position
+   * @param {number} x - Scene X (px)
+   * @param {number} y - Scene Y (px)
+   * @param {Object[]} tracks - Radar track files
+   * @returns {Object|null} Track within the pick radius, or null
+   */
+  pickTrack(x, y, tracks) {
+    let best = null;
+    let bestDistance = this.options.pickRadius;
+    for (const track of tracks) {
+      if (track.range > this._rangeScale) continue;
+      const p = this.toScope(track.azimuth, track.range);
+      const distance = Math.hypot(p.x - x, p.y - y);
+      if (distance < bestDistance) {
+        best = track;
+        bestDistance = distance;
+      }
+    }
+    return best;
+  }
+
+  /**
+   * Free the header texture (geometry and materials go with the scene)
+   */
+  dispose() {
+    this.headerTexture.dispose();
+  }
+
+  // ============================================
+  // Private Methods - Scene construction
+  // ============================================
+
+  /**
+   * Background quad (not scene.background, which breaks the stencil) and frame
+   * @private
+   */
+  _createBackground() {
+    const { size, backgroundColor, borderColor } = this.options;
+
+    const background = new THREE.Mesh(
+      new THREE.PlaneGeometry(size * 4, size * 4),
+      new THREE.MeshBasicMaterial({ color: backgroundColor })
+    );
+    background.position.z = Z.background;
+    this.scene.add(background);
+
+    const half = size / 2;
+    const frame = this._createLine(
+      [-half, -half, half, -half, half, half, -half, half, -half, -half],
+      borderColor,
+      THREE.Line
+    );
+    frame.position.z = Z.grid;
+    this.scene.add(frame);
+  }
+
+  /**
+   * Range rings and azimuth lines, drawn by _rebuildGrid()
+   * @private
+   */
+  _createGrid() {
+    this.grid = this._createLine([], this.options.phosphorColor, THREE.LineSegments, 0.3);
+    this.grid.position.z = Z.grid;
+    this.scene.add(this.grid);
+  }
+
+  /**
+   * Dim lines at the edges of the scan volume
+   * @private
+   */
+  _createScanLimits() {
+    this.scanLimits = this._createLine(new Array(8).fill(0), this.options.phosphorColor, THREE.LineSegments, 0.5);
+    this.scanLimits.position.z = Z.scan;
+    this.scene.add(this.scanLimits);
+  }
+
+  /**
+   * Sweep line and afterglow; vertex colors fade each older segment toward black,
+   * which additive blending shows as fading light
+   * @private
+   */
+  _createSweep() {
+    const segments = this.options.sweepTrail + 1;
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(segments * 6), 3));
+
+    const colors = new Float32Array(segments * 6);
+    const phosphor = new THREE.Color(this.options.phosphorColor);
+    for (let i = 0; i < segments; i++) {
+      const fade = 1 - i / segments;
+      for (let v = 0; v < 2; v++) {
+        colors[(i * 2 + v) * 3] = phosphor.r * fade;
+        colors[(i * 2 + v) * 3 + 1] = phosphor.g * fade;
+        colors[(i * 2 + v) * 3 + 2] = phosphor.b * fade;
+      }
+    }
+    geometry.setAttribute('color', new THREE.BufferAttribute(colors, 3));
+
+    this.sweep = new THREE.LineSegments(
+      geometry,
+      new THREE.LineBasicMaterial({
+        vertexColors: true,
+        transparent: true,
+        blending: THREE.AdditiveBlending,
+        depthWrite: false
+      })
+    );
+    this.sweep.position.z = Z.sweep;
+    this.scene.add(this.sweep);
+  }
+
+  /**
+   * Pool of track symbols: a square, a soft glow behind it and a velocity vector
+   * @private
+   */
+  _createContacts() {
+    const { symbolSize, phosphorColor, maxContacts } = this.options;
+    this.contacts = [];
+
+    for (let i = 0; i < maxContacts; i++) {
+      const symbol = new THREE.Group();
+
+      const glow = new THREE.Mesh(
+        new THREE.CircleGeometry(symbolSize * 1.6, 12),
+        new THREE.MeshBasicMaterial({
+          color: phosphorColor,
+          transparent: true,
+          blending: THREE.AdditiveBlending,
+          depthWrite: false
+        })
+      );
+      const core = new THREE.Mesh(
+        new THREE.PlaneGeometry(symbolSize, symbolSize),
+        new THREE.MeshBasicMaterial({ color: phosphorColor, transparent: true, depthWrite: false })
+      );
+      core.position.z = 0.1;
+      const vector = this._createLine([0, 0, 0, 0], phosphorColor, THREE.Line, 1);
+
+      symbol.add(glow, core, vector);
+      symbol.position.z = Z.contacts;
+      symbol.visible = false;
+      this.scene.add(symbol);
+      this.contacts.push({ symbol, glow, core, vector });
+    }
+  }
+
+  /**
+   * Diamond on the selected track and the designation box on the locked one
+   * @private
+   */
+  _createMarkers() {
+    const s = this.options.symbolSize * 1.8;
+    this.selectMarker = this._createLine([0, s, s, 0, 0, -s, -s, 0, 0, s], this.options.phosphorColor, THREE.Line);
+    this.selectMarker.position.z = Z.markers;
+    this.scene.add(this.selectMarker);
+
+    const b = this.options.symbolSize * 1.8;
+    this.designationBox = this._createLine([-b, -b, b, -b, b, b, -b, b, -b, -b], 0xffffff, THREE.Line);
+    this.designationBox.position.z = Z.markers;
+    this.scene.add(this.designationBox);
+  }
+
+  /**
+   * Acquisition cursor: two short vertical bars
+   * @private
+   */
+  _createCursor() {
+    const gap = 4;
+    const height = 6;
+    this.cursorMarker = this._createLine(
+      [-gap, -height, -gap, height, gap, -height, gap, height],
+      0xffffff,
+      THREE.LineSegments
+    );
+    this.cursorMarker.position.z = Z.cursor;
+    this.cursorMarker.visible = false;
+    this.scene.add(this.cursorMarker);
+  }
+
+  /**
+   * Mode and scale readout above the display, drawn to a canvas texture
+   * @private
+   */
+  _createHeader() {
+    const size = this.options.size;
+    this.headerCanvas = document.createElement('canvas');
+    this.headerCanvas.width = 256;
+    this.headerCanvas.height = 24;
+    this.headerTexture = new THREE.CanvasTexture(this.headerCanvas);
+    this.headerTexture.minFilter = THREE.LinearFilter;
+
+    const height = (size * this.headerCanvas.height) / this.headerCanvas.width;
+    this.header = new THREE.Mesh(
+      new THREE.PlaneGeometry(size, height),
+      new THREE.MeshBasicMaterial({ map: this.headerTexture, transparent: true, depthWrite: false })
+    );
+    this.header.position.set(0, size / 2 + height / 2 + 2, Z.cursor);
+    this.scene.add(this.header);
+  }
+
+  /**
+   * Scanlines and static over the display
+   * @private
+   */
+  _createOverlay() {
+    const { size, phosphorColor, scanlineIntensity, noiseIntensity } = this.options;
+    this.overlay = new THREE.Mesh(
+      new THREE.PlaneGeometry(size, size),
+      new THREE.ShaderMaterial({
+        uniforms: {
+          color: { value: new THREE.Color(phosphorColor) },
+          time: { value: 0 },
+          scanlineIntensity: { value: scanlineIntensity },
+          noiseIntensity: { value: noiseIntensity }
+        },
+        vertexShader: OVERLAY_VERTEX_SHADER,
+        fragmentShader: OVERLAY_FRAGMENT_SHADER,
+        transparent: true,
+        depthWrite: false
+      })
+    );
+    this.overlay.position.z = Z.overlay;
+    this.scene.add(this.overlay);
+  }
+
+  /**
+   * Line from flat [x, y, x, y, ...] points
+   * @private
+   */
+  _createLine(points, color, LineType, opacity = 1) {
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.BufferAttribute(this._toPositions(points), 3));
+    return new LineType(
+      geometry,
+      new THREE.LineBasicMaterial({ color, transparent: opacity < 1, opacity, depthWrite: false })
+    );
+  }
+
+  /**
+   * Expand flat 2D points to a 3D position array
+   * @private
+   */
+  _toPositions(points) {
+    const positions = new Float32Array((points.length / 2) * 3);
+    for (let i = 0; i < points.length / 2; i++) {
+      positions[i * 3] = points[i * 2];
+      positions[i * 3 + 1] = points[i * 2 + 1];
+    }
+    return positions;
+  }
+
+  // ============================================
+  // Private Methods - Drawing
+  // ============================================
+
+  /**
+   * Redraw range rings and azimuth lines for the current format and scales
+   * @private
+   */
+  _rebuildGrid() {
+    if (!this._rangeScale) return;
+
+    const points = [];
+    const { rangeRings } = this.options;
+    const gimbal = this._gimbalLimit;
+    const azimuthLines = [-gimbal, -30, 0, 30, gimbal].filter((a) => Math.abs(a) <= gimbal);
+
+    // Range rings: straight lines on the B-scope, arcs on the PPI
+    for (let ring = 1; ring <= rangeRings; ring++) {
+      const range = (ring / rangeRings) * this._rangeScale;
+      const steps = this.format === 'ppi' ? 24 : 1;
+      for (let i = 0; i < steps; i++) {
+        const a = this.toScope(-gimbal + (2 * gimbal * i) / steps, range);
+        const b = this.toScope(-gimbal + (2 * gimbal * (i + 1)) / steps, range);
+        points.push(a.x, a.y, b.x, b.y);
+      }
+    }
+
+    for (const azimuth of azimuthLines) {
+      const a = this.toScope(azimuth, 0);
+      const b = this.toScope(azimuth, this._rangeScale);
+      points.push(a.x, a.y, b.x, b.y);
+    }
+
+    this.grid.geometry.setAttribute('position', new THREE.BufferAttribute(this._toPositions(points), 3));
+    this.grid.geometry.computeBoundingSphere();
+  }
+
+  /**
+   * Scan volume edges, at the scan center and either side of it
+   * @private
+   */
+  _updateScanLimits(scan) {
+    const visible = scan.mode !== 'STT';
+    this.scanLimits.visible = visible;
+    if (!visible) return;
+
+    const positions = this.scanLimits.geometry.attributes.position;
+    const edges = [scan.scanCenter - scan.scanAzimuth, scan.scanCenter + scan.scanAzimuth];
+    edges.forEach((azimuth, i) => {
+      const a = this.toScope(azimuth, 0);
+      const b = this.toScope(azimuth, this._rangeScale);
+      positions.setXYZ(i * 2, a.x, a.y, 0);
+      positions.setXYZ(i * 2 + 1, b.x, b.y, 0);
+    });
+    positions.needsUpdate = true;
+    this.scanLimits.geometry.computeBoundingSphere();
+  }
+
+  /**
+   * Sweep line at the beam azimuth, trailing its recent positions
+   * @private
+   */
+  _updateSweep(scan) {
+    const visible = this.options.sweep && scan.mode !== 'STT';
+    this.sweep.visible = visible;
+    if (!visible) {
+      this._sweepHistory = [];
+      return;
+    }
+
+    const history = this._sweepHistory;
+    history.unshift(scan.beamAzimuth);
+    if (history.length > this.options.sweepTrail + 1) history.pop();
+
+    const positions = this.sweep.geometry.attributes.position;
+    for (let i = 0; i <= this.options.sweepTrail; i++) {
+      const azimuth = history[Math.min(i, history.length - 1)];
+      const a = this.toScope(azimuth, 0);
+      const b = this.toScope(azimuth, this._rangeScale);
+      positions.setXYZ(i * 2, a.x, a.y, 0);
+      positions.setXYZ(i * 2 + 1, b.x, b.y, 0);
+    }
+    positions.needsUpdate = true;
+    this.sweep.geometry.computeBoundingSphere();
+  }
+
+  /**
+   * Place a symbol on each track inside the range scale; tracks dim as they age
+   * @private
+   */
+  _updateContacts(radar) {
+    const { minIntensity, vectorScale } = this.options;
+    const memoryTime = radar.getMemoryTime();
+    const heading = radar.aircraft.heading;
+    const tracks = radar.getTracks().filter((t) => t.range <= this._rangeScale);
+
+    this.selectMarker.visible = false;
+    this.designationBox.visible = false;
+
+    this.contacts.forEach((contact, i) => {
+      const track = tracks[i];
+      contact.symbol.visible = !!track;
+      if (!track) return;
+
+      const p = this.toScope(track.azimuth, track.range);
+      contact.symbol.position.set(p.x, p.y, Z.contacts);
+
+      const intensity = track === radar.lockedTrack
+        ? 1
+        : Math.max(minIntensity, 1 - track.age / memoryTime);
+      contact.core.material.opacity = intensity;
+      contact.glow.material.opacity = 0.3 * intensity;
+
+      // Velocity vector, on display axes (own nose up)
+      contact.vector.visible = track.hasVelocity;
+      if (track.hasVelocity) {
+        const course = Math.atan2(track.vx, track.vy) - heading;
+        const length = Math.hypot(track.vx, track.vy) * vectorScale;
+        const positions = contact.vector.geometry.attributes.position;
+        positions.setXYZ(1, Math.sin(course) * length, Math.cos(course) * length, 0);
+        positions.needsUpdate = true;
+        contact.vector.geometry.computeBoundingSphere();
+      }
+
+      if (track === radar.lockedTrack) {
+        this.designationBox.visible = true;
+        this.designationBox.position.set(p.x, p.y, Z.markers);
+      } else if (track === radar.selectedTrack) {
+        this.selectMarker.visible = true;
+        this.selectMarker.position.set(p.x, p.y, Z.markers);
+      }
+    });
+  }
+
+  /**
+   * @private
+   */
+  _updateCursor() {
+    this.cursorMarker.visible = this.cursor !== null;
+    if (!this.cursor) return;
+    const p = this.toScope(this.cursor.azimuth, this.cursor.range);
+    this.cursorMarker.position.set(p.x, p.y, Z.cursor);
+  }
+
+  /**
+   * Redraw the readout when its text changes
+   * @private
+   */
+  _updateHeader(scan, radar) {
+    const scanInfo = scan.mode === 'STT'
+      ? `TRK ${radar.lockedTrack.id}`
+      : `±${scan.scanAzimuth} ${scan.bars}B`;
+    const elevation = Math.round(scan.antennaElevation);
+    const text = `${scan.mode} ${scan.rangeScale}  ${scanInfo}  EL${elevation >= 0 ? '+' : ''}${elevation}`;
+    if (text === this._headerText) return;
+    this._headerText = text;
+
+    const ctx = this.headerCanvas.getContext('2d');
+    ctx.clearRect(0, 0, this.headerCanvas.width, this.headerCanvas.height);
+    ctx.font = '16px monospace';
+    ctx.textBaseline = 'middle';
+    ctx.fillStyle = `#${new THREE.Color(this.options.phosphorColor).getHexString()}`;
+    ctx.fillText(text, 4, this.headerCanvas.height / 2);
+    this.headerTexture.needsUpdate = true;
+  }
+
+  /**
+   * Blank the picture (no radar)
+   * @private
+   */
+  _hideDynamic() {
+    this.scanLimits.visible = false;
+    this.sweep.visible = false;
+    this.selectMarker.visible = false;
+    this.designationBox.visible = false;
+    this.cursorMarker.visible = false;
+    for (const contact of this.contacts) {
+      contact.symbol.visible = false;
+    }
+  }
+
+  /**
+   * Radius of the PPI fan, sized so the gimbal limits fit the display width
+   * @private
+   */
+  _getFanRadius() {
+    const size = this.options.size;
+    return Math.min(size, size / 2 / Math.sin(this._gimbalLimit * DEG_TO_RAD));
+  }
+}
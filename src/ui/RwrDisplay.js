@@ -0,0 +1,351 @@
+/**
+ * RwrDisplay - Radar warning receiver azimuth display for a UI cell
+ *
+ * A heading-up threat circle centered on the origin, own aircraft in the
+ * middle. Each emitter the RWR hears is drawn as its symbol ('29', 'M',
+ * SAM numbers...) at its bearing, on the range ring its estimated range
+ * falls in (closer threats nearer the center):
+ * - search: steady symbol
+ * - lock: yellow symbol inside a circle
+ * - launch: red symbol inside a circle, blinking
+ * - airborne emitters carry a "hat" above the symbol, missiles a bar under it
+ * - the highest priority threat is marked with a diamond
+ * - new emitters blink their hat for a moment
+ *
+ * All sizes are in pixels; the orthographic UI camera maps one scene
+ * unit to one screen pixel.
+ */
+
+import * as THREE from 'three';
+
+const DEG_TO_RAD = Math.PI / 180;
+
+// Display defaults
+const RWR_DISPLAY_DEFAULTS = {
+  size: 160,                // display diameter (px)
+  searchColor: 0x33ff66,
+  lockColor: 0xffdd33,
+  launchColor: 0xff3333,
+  borderColor: 0x338833,
+  backgroundColor: 0x020a04,
+  maxContacts: 8,
+  symbolSize: 22,           // px width of a threat symbol
+  blinkRate: 3              // launch and new-emitter blinks per second
+};
+
+// Layers, back to front
+const Z = {
+  background: -5,
+  grid: -4,
+  contacts: 0,
+  markers: 1
+};
+
+export class RwrDisplay {
+  /**
+   * @param {Object} [options] - Overrides for RWR_DISPLAY_DEFAULTS
+   */
+  constructor(options = {}) {
+    this.options = { ...RWR_DISPLAY_DEFAULTS, ...options };
+
+    this.scene = new THREE.Scene();
+    this.time = 0;
+
+    // Ring count the grid was drawn for (rebuilt when it changes)
+    this._ringCount = 0;
+
+    this._createBackground();
+    this._createGrid();
+    this._createContacts();
+    this._createPriorityMarker();
+  }
+
+  // ============================================
+  // Public API
+  // ============================================
+
+  /**
+   * Redraw the threat picture from the RWR's current contacts
+   * @param {Object} state
+   * @param {RadarWarningReceiver|null} state.rwr - RWR to display (blank without one)
+   * @param {number} [state.deltaTime=0] - Time step in seconds
+   */
+  update({ rwr, deltaTime = 0 }) {
+    this.time += deltaTime;
+
+    if (!rwr) {
+      this._hideContacts();
+      return;
+    }
+
+    const ringCount = rwr.constants.rangeRings.length + 1;
+    if (ringCount !== this._ringCount) {
+      this._ringCount = ringCount;
+      this._rebuildGrid();
+    }
+
+    this._updateContacts(rwr);
+  }
+
+  /**
+   * Display position of a contact
+   * @param {number} bearing - Degrees off the nose, positive right
+   * @param {number} ring - Range ring index, 0 innermost
+   * @returns {{x: number, y: number}} Scene position (px)
+   */
+  toDisplay(bearing, ring) {
+    const radius = this._getRingRadius(ring);
+    return {
+      x: Math.sin(bearing * DEG_TO_RAD) * radius,
+      y: Math.cos(bearing * DEG_TO_RAD) * radius
+    };
+  }
+
+  /**
+   * Free the symbol textures (geometry and materials go with the scene)
+   */
+  dispose() {
+    for (const contact of this.contacts) {
+      contact.texture.dispose();
+    }
+  }
+
+  // ============================================
+  // Private Methods - Scene construction
+  // ============================================
+
+  /**
+   * Background quad (not scene.background, which breaks the stencil) and bezel
+   * @private
+   */
+  _createBackground() {
+    const { size, backgroundColor, borderColor } = this.options;
+
+    const background = new THREE.Mesh(
+      new THREE.PlaneGeometry(size * 4, size * 4),
+      new THREE.MeshBasicMaterial({ color: backgroundColor })
+    );
+    background.position.z = Z.background;
+    this.scene.add(background);
+
+    const bezel = this._createCircle(size / 2, borderColor, 1);
+    bezel.position.z = Z.grid;
+    this.scene.add(bezel);
+  }
+
+  /**
+   * Range rings, bearing ticks and own aircraft, drawn by _rebuildGrid()
+   * @private
+   */
+  _createGrid() {
+    this.grid = new THREE.Group();
+    this.grid.position.z = Z.grid;
+    this.scene.add(this.grid);
+  }
+
+  /**
+   * Pool of threat symbols: a text sprite, a lock circle and a hat or bar
+   * @private
+   */
+  _createContacts() {
+    const { maxContacts, symbolSize } = this.options;
+    this.contacts = [];
+
+    for (let i = 0; i < maxContacts; i++) {
+      const group = new THREE.Group();
+
+      const canvas = document.createElement('canvas');
+      canvas.width = 64;
+      canvas.height = 32;
+      const texture = new THREE.CanvasTexture(canvas);
+      texture.minFilter = THREE.LinearFilter;
+
+      const label = new THREE.Mesh(
+        new THREE.PlaneGeometry(symbolSize, symbolSize / 2),
+        new THREE.MeshBasicMaterial({ map: texture, transparent: true, depthWrite: false })
+      );
+
+      const ring = this._createCircle(symbolSize * 0.6, 0xffffff, 1);
+
+      const w = symbolSize * 0.45;
+      const h = symbolSize * 0.35;
+      const hat = this._createLine([-w, h, 0, h + 5, w, h], 0xffffff, THREE.Line);
+      const bar = this._createLine([-w, -h, w, -h], 0xffffff, THREE.Line);
+
+      group.add(label, ring, hat, bar);
+      group.position.z = Z.contacts;
+      group.visible = false;
+      this.scene.add(group);
+      this.contacts.push({ group, label, ring, hat, bar, canvas, texture, text: '', color: null });
+    }
+  }
+
+  /**
+   * Diamond around the highest priority threat
+   * @private
+   */
+  _createPriorityMarker() {
+    const s = this.options.symbolSize * 0.8;
+    this.priorityMarker = this._createLine([0, s, s, 0, 0, -s, -s, 0, 0, s], 0xffffff, THREE.Line);
+    this.priorityMarker.position.z = Z.markers;
+    this.priorityMarker.visible = false;
+    this.scene.add(this.priorityMarker);
+  }
+
+  /**
+   * Circle outline
+   * @private
+   */
+  _createCircle(radius, color, opacity) {
+    const points = [];
+    const segments = 48;
+    for (let i = 0; i <= segments; i++) {
+      const a = (i / segments) * Math.PI * 2;
+      points.push(Math.sin(a) * radius, Math.cos(a) * radius);
+    }
+    return this._createLine(points, color, THREE.Line, opacity);
+  }
+
+  /**
+   * Line from flat [x, y, x, y, ...] points
+   * @private
+   */
+  _createLine(points, color, LineType, opacity = 1) {
+    const positions = new Float32Array((points.length / 2) * 3);
+    for (let i = 0; i < points.length / 2; i++) {
+      positions[i * 3] = points[i * 2];
+      positions[i * 3 + 1] = points[i * 2 + 1];
+    }
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+    return new LineType(
+      geometry,
+      new THREE.LineBasicMaterial({ color, transparent: opacity < 1, opacity, depthWrite: false })
+    );
+  }
+
+  // ============================================
+  // Private Methods - Drawing
+  // ============================================
+
+  /**
+   * Redraw the range rings for the RWR's ring count, the 30 degree ticks
+   * and the own aircraft cross
+   * @private
+   */
+  _rebuildGrid() {
+    for (const child of [...this.grid.children]) {
+      this.grid.remove(child);
+      child.geometry.dispose();
+      child.material.dispose();
+    }
+
+    const { size, searchColor } = this.options;
+    const outer = size / 2;
+
+    // Ring boundaries sit between the rings contacts are drawn on
+    for (let ring = 0; ring < this._ringCount - 1; ring++) {
+      const radius = (this._getRingRadius(ring) + this._getRingRadius(ring + 1)) / 2;
+      this.grid.add(this._createCircle(radius, searchColor, 0.25));
+    }
+
+    const ticks = [];
+    for (let bearing = 0; bearing < 360; bearing += 30) {
+      const sin = Math.sin(bearing * DEG_TO_RAD);
+      const cos = Math.cos(bearing * DEG_TO_RAD);
+      const inner = bearing % 90 === 0 ? outer - 10 : outer - 5;
+      ticks.push(sin * inner, cos * inner, sin * outer, cos * outer);
+    }
+    this.grid.add(this._createLine(ticks, searchColor, THREE.LineSegments, 0.6));
+
+    const s = 6;
+    this.grid.add(this._createLine([-s, 0, s, 0, 0, s, 0, -s * 1.5], searchColor, THREE.LineSegments, 0.8));
+  }
+
+  /**
+   * Place a symbol on each contact
+   * @private
+   */
+  _updateContacts(rwr) {
+    const { blinkRate, searchColor, lockColor, launchColor } = this.options;
+    const contacts = rwr.getContacts();
+    const blinkOn = (this.time * blinkRate) % 1 < 0.6;
+    const priority = rwr.getHighestThreat();
+
+    this.priorityMarker.visible = false;
+
+    this.contacts.forEach((slot, i) => {
+      const contact = contacts[i];
+      slot.group.visible = !!contact;
+      if (!contact) return;
+
+      const color = contact.mode === 'launch' ? launchColor
+        : contact.mode === 'lock' ? lockColor
+        : searchColor;
+      this._drawSymbol(slot, contact.symbol, color);
+
+      const p = this.toDisplay(contact.bearing, contact.ring);
+      slot.group.position.set(p.x, p.y, Z.contacts);
+
+      const isNew = rwr.isNew(contact);
+      slot.label.visible = contact.mode !== 'launch' || blinkOn;
+      slot.ring.visible = contact.mode !== 'search';
+      slot.ring.material.color.setHex(color);
+      slot.hat.visible = contact.category === 'airborne' && (!isNew || blinkOn);
+      slot.hat.material.color.setHex(color);
+      slot.bar.visible = contact.category === 'missile';
+      slot.bar.material.color.setHex(color);
+
+      // Held emitters dim as they age toward the RWR's memory time
+      const fade = 1 - 0.6 * Math.min(1, contact.age / rwr.constants.memoryTime);
+      slot.label.material.opacity = fade;
+
+      if (contact === priority) {
+        this.priorityMarker.visible = true;
+        this.priorityMarker.position.set(p.x, p.y, Z.markers);
+        this.priorityMarker.material.color.setHex(color);
+      }
+    });
+  }
+
+  /**
+   * Redraw a symbol's texture when its text or color changes
+   * @private
+   */
+  _drawSymbol(slot, text, color) {
+    if (slot.text === text && slot.color === color) return;
+    slot.text = text;
+    slot.color = color;
+
+    const ctx = slot.canvas.getContext('2d');
+    ctx.clearRect(0, 0, slot.canvas.width, slot.canvas.height);
+    ctx.font = 'bold 24px monospace';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillStyle = `#${new THREE.Color(color).getHexString()}`;
+    ctx.fillText(text, slot.canvas.width / 2, slot.canvas.height / 2);
+    slot.texture.needsUpdate = true;
+  }
+
+  /**
+   * @private
+   */
+  _hideContacts() {
+    this.priorityMarker.visible = false;
+    for (const slot of this.contacts) {
+      slot.group.visible = false;
+    }
+  }
+
+  /**
+   * Radius contacts on a ring are drawn at, spread between the own aircraft
+   * symbol and the bezel
+   * @private
+   */
+  _getRingRadius(ring) {
+    const inner = 18;
+    const outer = this.options.size / 2 - this.options.symbolSize * 0.6;
+    const count = Math.max(1, this._ringCount);
+    return inner + ((ring + 0.5) / count) * (outer - inner);
+  }
+}
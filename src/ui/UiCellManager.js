@@ -39,9 +39,10 @@ export class UiCellManager {
    * @param {string} id - Unique identifier for this UI cell
    * @param {number} x - Screen X coordinate (pixels if >= 1, ratio if < 1)
    * @param {number} y - Screen Y coordinate (pixels if >= 1, ratio if < 1)
-   * @param {string} instrumentType - Type of instrument: 'test' | 'altimeter' | 'compass'
+   * @param {string} instrumentType - Type of instrument: 'test' | 'radar' | 'rwr' | 'altimeter' | 'compass'
    * @param {Object} [options] - Additional options
    * @param {number} [options.color] - Color for test scenes
+   * @param {Object} [options.display] - Display options for instrument scenes (see RadarScope, RwrDisplay)
    * @param {number} [options.deconflictRadius=0.05] - Deconfliction radius as screen ratio (0-1)
    * @returns {VoronoiCell} The created UI cell
    */
@@ -57,6 +58,12 @@ export class UiCellManager {
       case 'test':
         sceneData = this._sceneFactory.createTestScene(options.color);
         break;
+      case 'radar':
+        sceneData = this._sceneFactory.createRadarScene(options.display);
+        break;
+      case 'rwr':
+        sceneData = this._sceneFactory.createRwrScene(options.display);
+        break;
       default:
         sceneData = this._sceneFactory.createTestScene(options.color);
     }
@@ -117,6 +124,9 @@ export class UiCellManager {
 
     // Dispose scene resources
     this._disposeScene(uiCellData.scene);
+    if (uiCellData.sceneData.instrument) {
+      uiCellData.sceneData.instrument.dispose();
+    }
 
     this._uiCells.delete(id);
   }
@@ -186,14 +196,31 @@ export class UiCellManager {
     return data ? data.enabled : false;
   }
 
+  /**
+   * Get the instrument driving a UI cell's scene (e.g. a RadarScope or RwrDisplay)
+   * @param {string} id - UI cell identifier
+   * @returns {Object|null} Instrument, or null for static scenes
+   */
+  getInstrument(id) {
+    const data = this._uiCells.get(id);
+    return data && data.sceneData.instrument ? data.sceneData.instrument : null;
+  }
+
   /**
    * Update instrument displays (for animated instruments)
    * @param {Object} playerState - Current player state
    * @param {number} [playerState.altitude] - Altitude in feet
    * @param {number} [playerState.heading] - Heading in degrees
+   * @param {Radar|null} [playerState.radar] - Radar shown on radar cells
+   * @param {RadarWarningReceiver|null} [playerState.rwr] - RWR shown on RWR cells
+   * @param {number} [playerState.deltaTime] - Time step in seconds
    */
   updateInstruments(playerState) {
-    // Future: animate instrument needles, update readouts, etc.
+    for (const data of this._uiCells.values()) {
+      if (data.enabled && data.sceneData.instrument) {
+        data.sceneData.instrument.update(playerState);
+      }
+    }
   }
 
   /**
@@ -205,6 +232,9 @@ export class UiCellManager {
     for (const [id, data] of this._uiCells) {
       this._cellManager.unregisterCell(data.cell);
       this._disposeScene(data.scene);
+      if (data.sceneData.instrument) {
+        data.sceneData.instrument.dispose();
+      }
     }
     this._uiCells.clear();
   }
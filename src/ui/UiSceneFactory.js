@@ -10,6 +10,8 @@
  */
 
 import * as THREE from 'three';
+import { RadarScope } from './RadarScope.js';
+import { RwrDisplay } from './RwrDisplay.js';
 
 export class UiSceneFactory {
   // Default size for UI cell content (pixels)
@@ -90,6 +92,34 @@ export class UiSceneFactory {
     return { scene, marker };
   }
 
+  /**
+   * Create a radar display scene (B-scope or PPI with phosphor overlay)
+   *
+   * The returned instrument is redrawn each frame from the radar's state;
+   * see RadarScope.update().
+   *
+   * @param {Object} [options] - RadarScope display options
+   * @returns {{scene: THREE.Scene, marker: null, instrument: RadarScope}}
+   */
+  createRadarScene(options = {}) {
+    const instrument = new RadarScope(options);
+    return { scene: instrument.scene, marker: null, instrument };
+  }
+
+  /**
+   * Create a radar warning receiver threat display scene
+   *
+   * The returned instrument is redrawn each frame from the RWR's contacts;
+   * see RwrDisplay.update().
+   *
+   * @param {Object} [options] - RwrDisplay display options
+   * @returns {{scene: THREE.Scene, marker: null, instrument: RwrDisplay}}
+   */
+  createRwrScene(options = {}) {
+    const instrument = new RwrDisplay(options);
+    return { scene: instrument.scene, marker: null, instrument };
+  }
+
   /**
    * Create a placeholder scene for future instrument types
    * Returns the same as createTestScene but with different color
@@ -0,0 +1,153 @@
+/**
+ * WingmanMenu - DOM radial menu of wingman commands
+ *
+ * Opens centered on screen with one wedge per command, numbered in
+ * WINGMAN_COMMANDS order so each can be picked with its number key or a
+ * click. Picking a command calls onCommand and closes the menu.
+ *
+ * 8-bit pixel art aesthetic: hard edges, 1px borders, no gradients.
+ */
+
+import { WINGMAN_COMMANDS } from '../data/ai.js';
+
+export class WingmanMenu {
+  /**
+   * @param {Object} options
+   * @param {HTMLElement} [options.container] - Parent element (game-container)
+   * @param {function(string)} [options.onCommand] - Called with the picked command id
+   * @param {number} [options.radius=110] - Distance of the buttons from the center, px
+   */
+  constructor(options = {}) {
+    this.container = options.container || document.body;
+    this.onCommand = options.onCommand || null;
+    this.radius = options.radius ?? 110;
+
+    this.element = null;
+    this.buttons = [];
+    this._open = false;
+
+    this._createDOM();
+  }
+
+  _createDOM() {
+    this.element = document.createElement('div');
+    this.element.id = 'wingman-menu';
+    this.element.style.cssText = `
+      position: fixed;
+      left: 50%;
+      top: 50%;
+      width: 0;
+      height: 0;
+      display: none;
+      z-index: 110;
+      font-family: monospace;
+    `;
+
+    const title = document.createElement('div');
+    title.textContent = 'TWO';
+    title.style.cssText = `
+      position: absolute;
+      transform: translate(-50%, -50%);
+      padding: 4px 8px;
+      background: #000;
+      border: 1px solid #444;
+      color: #4a4;
+      font-size: 12px;
+    `;
+    this.element.appendChild(title);
+
+    // Buttons on a circle, first at the top, going clockwise
+    WINGMAN_COMMANDS.forEach((command, i) => {
+      const angle = (i / WINGMAN_COMMANDS.length) * Math.PI * 2;
+      const button = document.createElement('div');
+      button.textContent = `${i + 1} ${command.name.toUpperCase()}`;
+      button.style.cssText = `
+        position: absolute;
+        left: ${Math.round(Math.sin(angle) * this.radius)}px;
+        top: ${Math.round(-Math.cos(angle) * this.radius)}px;
+        transform: translate(-50%, -50%);
+        padding: 6px 8px;
+        background: #000;
+        border: 1px solid #4a4;
+        color: #4a4;
+        font-size: 12px;
+        white-space: nowrap;
+        cursor: pointer;
+      `;
+      button.addEventListener('click', () => this.select(i));
+      this.element.appendChild(button);
+      this.buttons.push(button);
+    });
+
+    this.container.appendChild(this.element);
+  }
+
+  // ============================================
+  // Public API
+  // ============================================
+
+  /**
+   * Show the menu
+   */
+  open() {
+    this._open = true;
+    this.element.style.display = 'block';
+  }
+
+  /**
+   * Hide the menu
+   */
+  close() {
+    this._open = false;
+    this.element.style.display = 'none';
+  }
+
+  /**
+   * Show the menu if hidden, hide it if shown
+   */
+  toggle() {
+    if (this._open) this.close();
+    else this.open();
+  }
+
+  /**
+   * @returns {boolean} Whether the menu is showing
+   */
+  isOpen() {
+    return this._open;
+  }
+
+  /**
+   * Pick a command by its position in the menu; closes the menu
+   * @param {number} index - 0-based, in WINGMAN_COMMANDS order
+   * @returns {boolean} Whether a command was picked
+   */
+  select(index) {
+    const command = WINGMAN_COMMANDS[index];
+    if (!this._open || !command) return false;
+    this.close();
+    if (this.onCommand) this.onCommand(command.id);
+    return true;
+  }
+
+  /**
+   * Mark the command in force
+   * @param {string|null} commandId
+   */
+  setActive(commandId) {
+    WINGMAN_COMMANDS.forEach((command, i) => {
+      const active = command.id === commandId;
+      this.buttons[i].style.background = active ? '#4a4' : '#000';
+      this.buttons[i].style.color = active ? '#000' : '#4a4';
+    });
+  }
+
+  dispose() {
+    if (this.element && this.element.parentNode) {
+      this.element.parentNode.removeChild(this.element);
+    }
+    this.element = null;
+    this.buttons = [];
+    this.onCommand = null;
+  }
+}
@@ -16,3 +16,72 @@ export function smoothstep(edge0, edge1, x) {
   const t = Math.max(0, Math.min(1, (x - edge0) / (edge1 - edge0)));
   return t * t * (3 - 2 * t);
 }
+
+/**
+ * Piecewise-linear lookup in a curve of [x, y] pairs sorted by x
+ * Values outside the curve are clamped to the first/last point
+ *
+ * @param {Array<[number, number]>} curve - Control points sorted by x
+ * @param {number} x - Lookup position
+ * @returns {number} Interpolated y value (1 if the curve is empty)
+ */
+export function interpolateCurve(curve, x) {
+  if (!curve || curve.length === 0) return 1;
+  if (x <= curve[0][0]) return curve[0][1];
+
+  for (let i = 1; i < curve.length; i++) {
+    const [x1, y1] = curve[i];
+    if (x <= x1) {
+      const [x0, y0] = curve[i - 1];
+      const t = (x - x0) / (x1 - x0);
+      return y0 + (y1 - y0) * t;
+    }
+  }
+
+  return curve[curve.length - 1][1];
+}
+
+/**
+ * Angle between two 3D vectors
+ *
+ * @param {number} ax - First vector X
+ * @param {number} ay - First vector Y
+ * @param {number} az - First vector Z
+ * @param {number} bx - Second vector X
+ * @param {number} by - Second vector Y
+ * @param {number} bz - Second vector Z
+ * @returns {number} Angle in radians [0, PI] (0 if either vector is zero)
+ */
+export function angleBetween(ax, ay, az, bx, by, bz) {
+  const lengths = Math.hypot(ax, ay, az) * Math.hypot(bx, by, bz);
+  if (lengths === 0) return 0;
+  const cos = (ax * bx + ay * by + az * bz) / lengths;
+  return Math.acos(Math.max(-1, Math.min(1, cos)));
+}
+
+/**
+ * Wrap an angle to [-PI, PI)
+ * @param {number} radians
+ * @returns {number}
+ */
+export function wrapAngle(radians) {
+  return ((radians + Math.PI) % (Math.PI * 2) + Math.PI * 2) % (Math.PI * 2) - Math.PI;
+}
+
+/**
+ * Wrap an angle to [-180, 180) degrees
+ * @param {number} degrees
+ * @returns {number}
+ */
+export function wrapDegrees(degrees) {
+  return ((degrees + 180) % 360 + 360) % 360 - 180;
+}
+
+/**
+ * Standard normal random number (Box-Muller)
+ * @returns {number}
+ */
+export function randomNormal() {
+  const u = 1 - Math.random();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * Math.random());
+}
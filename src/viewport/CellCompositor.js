@@ -0,0 +1,240 @@
+/**
+ * CellCompositor - Render-to-texture alternative to stencil masking
+ *
+ * With stencil masking every cell draws straight into the shared
+ * framebuffer, so nothing can post-process one cell alone. The compositor
+ * instead gives each cell a slot:
+ * - the cell's view renders into the slot's own render target
+ * - the cell polygons are drawn into a cell-ID texture holding each
+ *   pixel's slot
+ * - one full-screen pass (CompositeShader) picks every pixel from its
+ *   slot's render, with that cell's effects (sensor tinting, blur by
+ *   altitude) applied on the way
+ *
+ * The caller (VoronoiCellManager) drives it: beginMasks, writeMask per
+ * polygon, beginCell and its own renders per slot, then composite.
+ * Slot render targets are created as slots are first used and kept.
+ */
+
+import * as THREE from 'three';
+import { CellIdShader, CompositeShader, COMPOSITE_MAX_CELLS } from '../shaders/compositeShader.js';
+import { SENSOR_STYLES } from '../shaders/sensorShader.js';
+
+export class CellCompositor {
+  /**
+   * @param {THREE.WebGLRenderer} renderer - The Three.js renderer
+   */
+  constructor(renderer) {
+    this.renderer = renderer;
+    this.gl = renderer.getContext();
+
+    // Screen dimensions (updated on resize)
+    this.screenW = window.innerWidth;
+    this.screenH = window.innerHeight;
+
+    // Background: as drawn where no cell covers, and linear for clearing
+    // the sRGB slot targets
+    this.backgroundColor = { r: 0, g: 0, b: 0 };
+    this._clearColor = new THREE.Color(0, 0, 0);
+
+    // One render target per slot, created on first use
+    this._targets = [];
+
+    // Cell-ID texture and the material that fills polygons into it
+    this._idTarget = new THREE.WebGLRenderTarget(this.screenW, this.screenH, {
+      minFilter: THREE.NearestFilter,
+      magFilter: THREE.NearestFilter,
+      depthBuffer: false
+    });
+    this._idMaterial = new THREE.ShaderMaterial({
+      uniforms: THREE.UniformsUtils.clone(CellIdShader.uniforms),
+      vertexShader: CellIdShader.vertexShader,
+      fragmentShader: CellIdShader.fragmentShader,
+      side: THREE.DoubleSide,
+      depthTest: false,
+      depthWrite: false
+    });
+
+    // Full-screen composite pass
+    this._material = new THREE.ShaderMaterial({
+      uniforms: THREE.UniformsUtils.clone(CompositeShader.uniforms),
+      vertexShader: CompositeShader.vertexShader,
+      fragmentShader: CompositeShader.fragmentShader,
+      depthTest: false,
+      depthWrite: false
+    });
+    this._material.uniforms.tCellId.value = this._idTarget.texture;
+
+    this._quad = new THREE.Mesh(new THREE.PlaneGeometry(2, 2), this._material);
+    this._quad.frustumCulled = false;
+    this._scene = new THREE.Scene();
+    this._scene.add(this._quad);
+    this._camera = new THREE.OrthographicCamera(-1, 1, 1, -1, 0, 1);
+
+    // Polygon meshes drawn into the ID texture
+    this._maskScene = new THREE.Scene();
+  }
+
+  // ============================================
+  // Public API
+  // ============================================
+
+  /**
+   * Most cells one frame can composite; the caller draws any others itself
+   * @returns {number}
+   */
+  getMaxCells() {
+    return COMPOSITE_MAX_CELLS;
+  }
+
+  /**
+   * Set the color shown where no cell covers and behind each cell's view
+   * @param {{r: number, g: number, b: number}} color - Display color (0-1)
+   */
+  setBackgroundColor(color) {
+    this.backgroundColor = { ...color };
+    this._clearColor.setRGB(color.r, color.g, color.b, THREE.SRGBColorSpace);
+    this._material.uniforms.uBackground.value = [color.r, color.g, color.b];
+  }
+
+  /**
+   * Start a frame: clear the cell-ID texture to "no cell"
+   */
+  beginMasks() {
+    const gl = this.gl;
+    this.renderer.setRenderTarget(this._idTarget);
+    gl.clearColor(0, 0, 0, 0);
+    gl.clear(gl.COLOR_BUFFER_BIT);
+    this.renderer.setRenderTarget(null);
+  }
+
+  /**
+   * Mark a polygon's pixels as belonging to a slot
+   * @param {Array} polygon - Array of [x, y] screen-space vertices
+   * @param {number} slot - 0 to getMaxCells() - 1
+   */
+  writeMask(polygon, slot) {
+    const mesh = this._createMaskMesh(polygon);
+    if (!mesh) return;
+
+    this._idMaterial.uniforms.uSlot.value = slot;
+    this._maskScene.add(mesh);
+    this.renderer.setRenderTarget(this._idTarget);
+    this.renderer.render(this._maskScene, this._camera);
+    this.renderer.setRenderTarget(null);
+    this._maskScene.remove(mesh);
+
+    mesh.geometry.dispose();
+  }
+
+  /**
+   * Bind a slot's render target, cleared to the background, for the cell's
+   * view, and take the cell's effects for the slot
+   * @param {number} slot - 0 to getMaxCells() - 1
+   * @param {VoronoiCell} cell
+   * @param {Object} [options]
+   * @param {boolean} [options.display=false] - The view is drawn already
+   *   display-referred (the targeting pod picture), not in linear color
+   */
+  beginCell(slot, cell, { display = false } = {}) {
+    const gl = this.gl;
+    const uniforms = this._material.uniforms;
+
+    uniforms.uSensor.value[slot] = SENSOR_STYLES[cell.sensorType] ?? 0;
+    uniforms.uBlur.value[slot] = cell.blur;
+    uniforms.uDisplay.value[slot] = display ? 1 : 0;
+
+    const target = this._getTarget(slot);
+    uniforms[`tCell${slot}`].value = target.texture;
+
+    this.renderer.setRenderTarget(target);
+    this.renderer.setScissorTest(false);
+    gl.clearColor(this._clearColor.r, this._clearColor.g, this._clearColor.b, 1.0);
+    gl.clear(gl.COLOR_BUFFER_BIT | gl.DEPTH_BUFFER_BIT);
+  }
+
+  /**
+   * Draw every slot to the screen through the cell-ID texture
+   */
+  composite() {
+    this.renderer.setRenderTarget(null);
+    this.renderer.setViewport(0, 0, this.screenW, this.screenH);
+    this.renderer.setScissorTest(false);
+    this._material.uniforms.uResolution.value = [this.screenW, this.screenH];
+    this.renderer.render(this._scene, this._camera);
+  }
+
+  /**
+   * Resize every target to the screen
+   * @param {number} width
+   * @param {number} height
+   */
+  setSize(width, height) {
+    this.screenW = width;
+    this.screenH = height;
+    this._idTarget.setSize(width, height);
+    for (const target of this._targets) {
+      target.setSize(width, height);
+    }
+  }
+
+  /**
+   * Release GPU resources
+   */
+  dispose() {
+    this._idTarget.dispose();
+    this._idMaterial.dispose();
+    for (const target of this._targets) {
+      target.dispose();
+    }
+    this._targets = [];
+    this._material.dispose();
+    this._quad.geometry.dispose();
+  }
+
+  // ============================================
+  // Private Methods
+  // ============================================
+
+  /**
+   * A slot's render target: sRGB storage, so 8 bits hold linear color
+   * without banding in the darks, and filtered for the blur
+   * @private
+   */
+  _getTarget(slot) {
+    if (!this._targets[slot]) {
+      this._targets[slot] = new THREE.WebGLRenderTarget(this.screenW, this.screenH, {
+        colorSpace: THREE.SRGBColorSpace
+      });
+    }
+    return this._targets[slot];
+  }
+
+  /**
+   * Create a mesh from polygon vertices, in NDC, by fan triangulation
+   * @private
+   * @param {Array} polygon - Array of [x, y] screen-space vertices
+   * @returns {THREE.Mesh|null}
+   */
+  _createMaskMesh(polygon) {
+    if (!polygon || polygon.length < 3) return null;
+
+    const ndc = polygon.map(([x, y]) => [
+      (x / this.screenW) * 2 - 1,
+      1 - (y / this.screenH) * 2
+    ]);
+
+    const positions = [];
+    for (let i = 1; i < ndc.length - 1; i++) {
+      positions.push(ndc[0][0], ndc[0][1], 0);
+      positions.push(ndc[i][0], ndc[i][1], 0);
+      positions.push(ndc[i + 1][0], ndc[i + 1][1], 0);
+    }
+
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+    const mesh = new THREE.Mesh(geometry, this._idMaterial);
+    mesh.frustumCulled = false;
+    return mesh;
+  }
+}
@@ -2,10 +2,23 @@
  * CellBorderRenderer - Draws borders between Voronoi cells
  * Renders as an overlay on top of all cells (no stencil masking)
  * Uses NDC coordinates [-1, 1] to match StencilRenderer
+ *
+ * Also draws edge flashes: a blinking stretch of a cell's border in a given
+ * direction from its seed (e.g. toward a threat on the RWR).
  */
 
 import * as THREE from 'three';
-import { findRadialIntersection, findLongestNonEdgeSegment } from './LabelPositioner.js';
+import { findRadialIntersection, findLongestNonEdgeSegment, raySegmentIntersection } from './LabelPositioner.js';
+
+// Edge flash defaults
+const FLASH_DEFAULTS = {
+  color: 0xff0000,
+  duration: 1.0,    // seconds
+  length: 160,      // px of border lit, centered on the flash direction
+  width: 4,         // px
+  blinkRate: 4,     // blinks per second
+  fadeTime: 0.3     // seconds of fade-out at the end
+};
 
 export class CellBorderRenderer {
   constructor() {
@@ -16,9 +29,11 @@ export class CellBorderRenderer {
     // Scene for border geometry
     this.scene = new THREE.Scene();
 
-    // Border line material - green for visibility during testing
+    // Border line material - green for visibility during testing, unless
+    // the cell sets its own borderColor (sensor cells, spec-control-ui.md 6.4)
+    this.defaultBorderColor = 0x00ff00;
     this.borderMaterial = new THREE.LineBasicMaterial({
-      color: 0x00ff00,
+      vertexColors: true,
       linewidth: 2
     });
 
@@ -32,6 +47,16 @@ export class CellBorderRenderer {
       depthTest: false,
       depthWrite: false
     });
+
+    // Edge flashes, rebuilt each update as cell polygons move
+    this.flashes = [];
+    this.flashMesh = null;
+    this.flashMaterial = new THREE.MeshBasicMaterial({
+      vertexColors: true,
+      transparent: true,
+      depthTest: false,
+      depthWrite: false
+    });
   }
 
   /**
@@ -90,6 +115,8 @@ export class CellBorderRenderer {
     if (!cells || cells.length === 0) return;
 
     const positions = [];
+    const colors = [];
+    const color = new THREE.Color();
 
     // Only draw borders for EXCLUSIVE cells (off-screen targets, UI cells)
     // On-screen cells (player + visible targets) merge and should have no internal borders
@@ -100,6 +127,7 @@ export class CellBorderRenderer {
       if (!cell.polygon) continue;
 
       const polygon = cell.polygon;
+      color.set(cell.borderColor ?? this.defaultBorderColor);
       for (let i = 0; i < polygon.length - 1; i++) {
         const sx1 = polygon[i][0];
         const sy1 = polygon[i][1];
@@ -112,6 +140,7 @@ export class CellBorderRenderer {
         const [x1, y1] = this.screenToNDC(sx1, sy1);
         const [x2, y2] = this.screenToNDC(sx2, sy2);
         positions.push(x1, y1, 0, x2, y2, 0);
+        colors.push(color.r, color.g, color.b, color.r, color.g, color.b);
       }
     }
 
@@ -121,6 +150,8 @@ export class CellBorderRenderer {
     const geometry = new THREE.BufferGeometry();
     geometry.setAttribute('position',
       new THREE.Float32BufferAttribute(positions, 3));
+    geometry.setAttribute('color',
+      new THREE.Float32BufferAttribute(colors, 3));
 
     this.borderMesh = new THREE.LineSegments(geometry, this.borderMaterial);
     this.scene.add(this.borderMesh);
@@ -150,12 +181,94 @@ export class CellBorderRenderer {
     this.scene.add(this.edgeMarkerMesh);
   }
 
+  /**
+   * Flash the stretch of a cell's border in a direction from its seed.
+   * Flashing again with the same key moves that flash instead of adding one,
+   * and keeps it going for at least the new duration.
+   * @param {VoronoiCell} cell - Cell whose border flashes
+   * @param {number} angle - Screen direction from the seed (radians, 0 = up, clockwise)
+   * @param {Object} [options] - Overrides for FLASH_DEFAULTS
+   * @param {*} [options.key] - Identifies a flash to update rather than add
+   */
+  flashEdge(cell, angle, options = {}) {
+    const settings = { ...FLASH_DEFAULTS, ...options };
+    const existing = options.key !== undefined
+      ? this.flashes.find((f) => f.key === options.key)
+      : null;
+
+    if (existing) {
+      existing.cell = cell;
+      existing.angle = angle;
+      existing.settings = settings;
+      existing.timeLeft = Math.max(existing.timeLeft, settings.duration);
+      return;
+    }
+
+    this.flashes.push({ key: options.key, cell, angle, settings, time: 0, timeLeft: settings.duration });
+  }
+
+  /**
+   * Advance edge flashes and rebuild their geometry on the current cell polygons
+   * @param {number} deltaTime - Time step in seconds
+   */
+  updateFlashes(deltaTime) {
+    if (this.flashMesh) {
+      this.flashMesh.geometry.dispose();
+      this.scene.remove(this.flashMesh);
+      this.flashMesh = null;
+    }
+
+    for (const flash of this.flashes) {
+      flash.time += deltaTime;
+      flash.timeLeft -= deltaTime;
+    }
+    this.flashes = this.flashes.filter((f) => f.timeLeft > 0);
+    if (this.flashes.length === 0) return;
+
+    const positions = [];
+    const colors = [];
+    const color = new THREE.Color();
+
+    for (const flash of this.flashes) {
+      const { settings } = flash;
+      const path = this._getFlashPath(flash.cell, flash.angle, settings.length);
+      if (!path) continue;
+
+      const blinkOn = (flash.time * settings.blinkRate) % 1 < 0.6;
+      const alpha = (blinkOn ? 1 : 0.3) * Math.min(1, flash.timeLeft / settings.fadeTime);
+      color.set(settings.color);
+
+      for (let i = 0; i < path.length - 1; i++) {
+        this._pushRibbonSegment(positions, path[i], path[i + 1], settings.width);
+        for (let v = 0; v < 6; v++) {
+          colors.push(color.r, color.g, color.b, alpha);
+        }
+      }
+    }
+
+    if (positions.length === 0) return;
+
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+    geometry.setAttribute('color', new THREE.Float32BufferAttribute(colors, 4));
+
+    this.flashMesh = new THREE.Mesh(geometry, this.flashMaterial);
+    this.scene.add(this.flashMesh);
+  }
+
+  /**
+   * Stop every edge flash
+   */
+  clearFlashes() {
+    this.flashes = [];
+  }
+
   /**
    * Render borders (call after all cells have been rendered)
    * @param {THREE.WebGLRenderer} renderer - The Three.js renderer
    */
   render(renderer) {
-    if (!this.borderMesh && !this.edgeMarkerMesh) return;
+    if (!this.borderMesh && !this.edgeMarkerMesh && !this.flashMesh) return;
 
     const gl = renderer.getContext();
 
@@ -196,8 +309,8 @@ export class CellBorderRenderer {
     // Primary: radial intersection from screen center toward seed
     const radialResult = findRadialIntersection(
       cell.polygon,
-      cell.seed.x,
-      cell.seed.y,
+      cell.layoutSeed.x,
+      cell.layoutSeed.y,
       screenW,
       screenH
     );
@@ -231,7 +344,108 @@ export class CellBorderRenderer {
     if (this.edgeMarkerMesh) {
       this.edgeMarkerMesh.geometry.dispose();
     }
+    if (this.flashMesh) {
+      this.flashMesh.geometry.dispose();
+    }
     this.borderMaterial.dispose();
     this.edgeMarkerMaterial.dispose();
+    this.flashMaterial.dispose();
+  }
+
+  /**
+   * Points along a cell's border (screen coordinates) centered where a ray
+   * from the seed leaves the cell, following the border round corners
+   * @param {VoronoiCell} cell
+   * @param {number} angle - Screen direction (radians, 0 = up, clockwise)
+   * @param {number} length - Border length to cover (px)
+   * @returns {Array<[number, number]>|null} Path, or null if the ray misses
+   * @private
+   */
+  _getFlashPath(cell, angle, length) {
+    const polygon = cell.polygon;
+    if (!polygon || polygon.length < 4) return null;
+
+    const dirX = Math.sin(angle);
+    const dirY = -Math.cos(angle);
+    const edges = polygon.length - 1;  // closed ring: last vertex repeats the first
+
+    let hit = null;
+    let hitEdge = -1;
+    for (let i = 0; i < edges; i++) {
+      const intersection = raySegmentIntersection(
+        cell.layoutSeed.x, cell.layoutSeed.y, dirX, dirY,
+        polygon[i][0], polygon[i][1], polygon[i + 1][0], polygon[i + 1][1]
+      );
+      if (intersection && (!hit || intersection.t < hit.t)) {
+        hit = intersection;
+        hitEdge = i;
+      }
+    }
+    if (!hit) return null;
+
+    const start = [hit.x, hit.y];
+    const forward = this._walkBorder(polygon, start, hitEdge, length / 2, 1);
+    const backward = this._walkBorder(polygon, start, hitEdge, length / 2, -1);
+    return [...backward.reverse(), start, ...forward];
+  }
+
+  /**
+   * Follow a closed polygon from a point on one of its edges for a distance
+   * @param {Array<[number, number]>} polygon - Closed ring of vertices
+   * @param {[number, number]} start - Point on edge `edge`
+   * @param {number} edge - Index of the edge from polygon[edge] to polygon[edge + 1]
+   * @param {number} distance - px to walk
+   * @param {number} direction - 1 toward polygon[edge + 1], -1 toward polygon[edge]
+   * @returns {Array<[number, number]>} Points passed, excluding the start
+   * @private
+   */
+  _walkBorder(polygon, start, edge, distance, direction) {
+    const edges = polygon.length - 1;
+    const points = [];
+    let from = start;
+    let vertex = direction > 0 ? edge + 1 : edge;
+    let remaining = distance;
+
+    for (let step = 0; step < edges && remaining > 0; step++) {
+      const to = polygon[vertex];
+      const d = Math.hypot(to[0] - from[0], to[1] - from[1]);
+      if (d >= remaining) {
+        const t = remaining / d;
+        points.push([from[0] + (to[0] - from[0]) * t, from[1] + (to[1] - from[1]) * t]);
+        break;
+      }
+      points.push(to);
+      remaining -= d;
+      from = to;
+      vertex = ((vertex + direction) % edges + edges) % edges;
+    }
+    return points;
+  }
+
+  /**
+   * Append two triangles covering a screen-space segment of a given width
+   * @private
+   */
+  _pushRibbonSegment(positions, a, b, width) {
+    const dx = b[0] - a[0];
+    const dy = b[1] - a[1];
+    const length = Math.hypot(dx, dy);
+    if (length < 1e-6) {
+      // Degenerate segment: emit an invisible quad to keep colors aligned
+      for (let v = 0; v < 6; v++) positions.push(0, 0, 0);
+      return;
+    }
+
+    const nx = (-dy / length) * width / 2;
+    const ny = (dx / length) * width / 2;
+    const corners = [
+      this.screenToNDC(a[0] + nx, a[1] + ny),
+      this.screenToNDC(a[0] - nx, a[1] - ny),
+      this.screenToNDC(b[0] - nx, b[1] - ny),
+      this.screenToNDC(b[0] + nx, b[1] + ny)
+    ];
+    for (const index of [0, 1, 2, 0, 2, 3]) {
+      positions.push(corners[index][0], corners[index][1], 0);
+    }
   }
 }
@@ -40,7 +40,7 @@ export function isOnScreenEdge(x1, y1, x2, y2, screenW, screenH, threshold = 2)
  * @param {number} segY2 - Segment end Y
  * @returns {{x: number, y: number, t: number}|null} Intersection point and ray parameter, or null
  */
-function raySegmentIntersection(rayOriginX, rayOriginY, rayDirX, rayDirY, segX1, segY1, segX2, segY2) {
+export function raySegmentIntersection(rayOriginX, rayOriginY, rayDirX, rayDirY, segX1, segY1, segX2, segY2) {
   const segDirX = segX2 - segX1;
   const segDirY = segY2 - segY1;
 
@@ -0,0 +1,196 @@
+/**
+ * LayoutAnimator - Eases the cell layout from frame to frame
+ *
+ * Callers place cell seeds wherever they belong this frame; seeds jump when
+ * a target crosses the screen edge or deconfliction pushes seeds apart, and
+ * cells pop in and out whole as they are added and removed. The animator
+ * keeps what is drawn continuous:
+ * - each cell's layoutSeed follows its seed on a critically damped spring
+ * - its power radius (see PowerDiagram) follows the layout's on another
+ * - a new cell grows out of nothing, and a removed one leaves a ghost site
+ *   that shrinks away, so the diagram changes topology by edges growing and
+ *   shrinking rather than all at once
+ * A cell's size while it grows or shrinks is set by a negative power weight
+ * proportional to the squared distance to its nearest neighbour, which
+ * pushes its borders back past its own seed.
+ */
+
+// Animation defaults
+const LAYOUT_ANIMATOR_DEFAULTS = {
+  seedFrequency: 8,         // rad/s; settles in about 0.6 s
+  weightFrequency: 4,       // rad/s, power radius
+  growFrequency: 6,         // rad/s, cells entering and leaving
+  collapse: 1.5,            // squared nearest-neighbour distances of negative weight when fully shrunk
+  ghostCutoff: 0.02,        // growth below which a ghost is dropped
+  restEpsilon: 0.01         // offset and velocity below which a spring snaps to rest
+};
+
+/**
+ * Advance a critically damped spring one step toward its goal, exactly for
+ * a goal held over the step
+ * @param {{value: number, velocity: number}} spring - Updated in place
+ * @param {number} goal
+ * @param {number} frequency - Natural frequency (rad/s)
+ * @param {number} deltaTime - Time step in seconds
+ * @param {number} epsilon - Snap to the goal once this close and this slow
+ */
+function stepSpring(spring, goal, frequency, deltaTime, epsilon) {
+  const offset = spring.value - goal;
+  const decay = Math.exp(-frequency * deltaTime);
+  const slope = spring.velocity + frequency * offset;
+
+  const next = (offset + slope * deltaTime) * decay;
+  spring.velocity = (spring.velocity - frequency * slope * deltaTime) * decay;
+  spring.value = goal + next;
+
+  if (Math.abs(next) < epsilon && Math.abs(spring.velocity) < epsilon) {
+    spring.value = goal;
+    spring.velocity = 0;
+  }
+}
+
+export class LayoutAnimator {
+  /**
+   * @param {Object} [options] - Overrides for LAYOUT_ANIMATOR_DEFAULTS
+   */
+  constructor(options = {}) {
+    this.options = { ...LAYOUT_ANIMATOR_DEFAULTS, ...options };
+
+    // Spring state by cell: x, y, radius, growth
+    this._states = new Map();
+
+    // Sites of removed cells, shrinking away: {x, y, radius, growth}
+    this._ghosts = [];
+  }
+
+  // ============================================
+  // Public API
+  // ============================================
+
+  /**
+   * Start tracking new cells and turn removed ones into ghosts. New cells
+   * grow in from their seeds, unless there is nothing on screen yet.
+   * @param {VoronoiCell[]} cells - Registered cells
+   */
+  sync(cells) {
+    const growIn = this._states.size > 0;
+
+    for (const cell of cells) {
+      if (this._states.has(cell)) continue;
+      this._states.set(cell, {
+        x: { value: cell.seed.x, velocity: 0 },
+        y: { value: cell.seed.y, velocity: 0 },
+        radius: { value: 0, velocity: 0 },
+        growth: { value: growIn ? 0 : 1, velocity: 0 }
+      });
+      cell.layoutSeed.x = cell.seed.x;
+      cell.layoutSeed.y = cell.seed.y;
+    }
+
+    for (const [cell, state] of this._states) {
+      if (cells.includes(cell)) continue;
+      this._states.delete(cell);
+      this._ghosts.push({
+        x: state.x.value,
+        y: state.y.value,
+        radius: { ...state.radius },
+        growth: { ...state.growth }
+      });
+    }
+  }
+
+  /**
+   * Advance every spring one step
+   * @param {VoronoiCell[]} cells - Registered cells (see sync)
+   * @param {number[]} radii - Power radius (px) the layout wants for each cell
+   * @param {number} deltaTime - Time step in seconds
+   */
+  update(cells, radii, deltaTime) {
+    const o = this.options;
+    this.sync(cells);
+
+    cells.forEach((cell, i) => {
+      const state = this._states.get(cell);
+      stepSpring(state.x, cell.seed.x, o.seedFrequency, deltaTime, o.restEpsilon);
+      stepSpring(state.y, cell.seed.y, o.seedFrequency, deltaTime, o.restEpsilon);
+      stepSpring(state.radius, radii[i], o.weightFrequency, deltaTime, o.restEpsilon);
+      stepSpring(state.growth, 1, o.growFrequency, deltaTime, o.restEpsilon);
+      cell.layoutSeed.x = state.x.value;
+      cell.layoutSeed.y = state.y.value;
+    });
+
+    for (const ghost of this._ghosts) {
+      stepSpring(ghost.radius, 0, o.weightFrequency, deltaTime, o.restEpsilon);
+      stepSpring(ghost.growth, 0, o.growFrequency, deltaTime, o.restEpsilon);
+    }
+    this._ghosts = this._ghosts.filter((ghost) => ghost.growth.value > o.ghostCutoff);
+  }
+
+  /**
+   * Jump straight to the layout (after a resize): seeds on their goals,
+   * radii as given, every cell fully grown and no ghosts
+   * @param {VoronoiCell[]} cells - Registered cells
+   * @param {number[]} radii - Power radius (px) for each cell
+   */
+  snap(cells, radii) {
+    this.sync(cells);
+    this._ghosts = [];
+
+    cells.forEach((cell, i) => {
+      const state = this._states.get(cell);
+      state.x = { value: cell.seed.x, velocity: 0 };
+      state.y = { value: cell.seed.y, velocity: 0 };
+      state.radius = { value: radii[i], velocity: 0 };
+      state.growth = { value: 1, velocity: 0 };
+      cell.layoutSeed.x = cell.seed.x;
+      cell.layoutSeed.y = cell.seed.y;
+    });
+  }
+
+  /**
+   * Sites to tessellate: the cells at their layout seeds, then the ghosts
+   * @param {VoronoiCell[]} cells - Registered cells (see sync)
+   * @returns {{points: Array<[number, number]>, weights: number[], ghostCount: number}}
+   *   Power weights (px^2); all zero once every cell has grown in with no
+   *   radius, when the plain Voronoi diagram gives the same cells
+   */
+  getSites(cells) {
+    this.sync(cells);
+
+    const sites = [
+      ...cells.map((cell) => {
+        const state = this._states.get(cell);
+        return { x: state.x.value, y: state.y.value, radius: state.radius.value, growth: state.growth.value };
+      }),
+      ...this._ghosts.map((ghost) => ({ x: ghost.x, y: ghost.y, radius: ghost.radius.value, growth: ghost.growth.value }))
+    ];
+
+    const points = sites.map((site) => [site.x, site.y]);
+    const weights = sites.map((site, i) => {
+      const weight = Math.max(0, site.radius) ** 2;
+      if (site.growth >= 1) return weight;
+      return weight - (1 - site.growth) * this.options.collapse * this._nearestSquared(points, i);
+    });
+
+    return { points, weights, ghostCount: this._ghosts.length };
+  }
+
+  // ============================================
+  // Private Methods
+  // ============================================
+
+  /**
+   * Squared distance from site i to its nearest other site
+   * @private
+   */
+  _nearestSquared(points, i) {
+    let nearest = Infinity;
+    points.forEach(([x, y], j) => {
+      if (j === i) return;
+      const dx = x - points[i][0];
+      const dy = y - points[i][1];
+      nearest = Math.min(nearest, dx * dx + dy * dy);
+    });
+    return Number.isFinite(nearest) ? nearest : 0;
+  }
+}
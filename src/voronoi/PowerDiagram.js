@@ -0,0 +1,115 @@
+/**
+ * PowerDiagram - Weighted Voronoi cells for the screen layout
+ *
+ * In a power diagram each seed carries a weight w, and a point belongs to
+ * the seed with the least power distance |p - s|^2 - w. Equal weights give
+ * the ordinary Voronoi diagram; a heavier seed pushes its straight borders
+ * out into its neighbours. Cells are convex, so each is built by clipping
+ * the screen rectangle with one half-plane per other seed.
+ *
+ * A heavy enough seed can swallow a light neighbour's seed, leaving that
+ * cell off its own seed (or empty). Weights are limited pairwise to keep
+ * every seed inside its own cell.
+ */
+
+/**
+ * Limit weights so that every seed lies inside its own cell
+ *
+ * Seed i stays in its cell while w_j - w_i <= |s_i - s_j|^2 for every j.
+ * Heavier seeds are pulled down to meet that; lighter ones are never raised.
+ * @param {Array<[number, number]>} points - Seed positions
+ * @param {number[]} weights - Power weights (px^2)
+ * @param {number} [passes=4] - Relaxation passes
+ * @returns {number[]} Limited weights
+ */
+export function limitWeights(points, weights, passes = 4) {
+  const limited = [...weights];
+  const n = points.length;
+
+  for (let pass = 0; pass < passes; pass++) {
+    let changed = false;
+    for (let i = 0; i < n; i++) {
+      for (let j = 0; j < n; j++) {
+        if (i === j) continue;
+        const dx = points[i][0] - points[j][0];
+        const dy = points[i][1] - points[j][1];
+        const max = limited[i] + dx * dx + dy * dy;
+        if (limited[j] > max) {
+          limited[j] = max;
+          changed = true;
+        }
+      }
+    }
+    if (!changed) break;
+  }
+  return limited;
+}
+
+/**
+ * Clip a convex polygon to the half-plane a.x * x + a.y * y <= b
+ * (Sutherland-Hodgman against one edge)
+ * @param {Array<[number, number]>} polygon - Open ring of vertices
+ * @param {number} ax
+ * @param {number} ay
+ * @param {number} b
+ * @returns {Array<[number, number]>} Open ring, empty if nothing is left
+ */
+export function clipPolygon(polygon, ax, ay, b) {
+  const result = [];
+  const n = polygon.length;
+
+  for (let i = 0; i < n; i++) {
+    const p = polygon[i];
+    const q = polygon[(i + 1) % n];
+    const dp = ax * p[0] + ay * p[1] - b;
+    const dq = ax * q[0] + ay * q[1] - b;
+
+    if (dp <= 0) result.push(p);
+    if ((dp < 0 && dq > 0) || (dp > 0 && dq < 0)) {
+      const t = dp / (dp - dq);
+      result.push([p[0] + (q[0] - p[0]) * t, p[1] + (q[1] - p[1]) * t]);
+    }
+  }
+  return result;
+}
+
+/**
+ * Power diagram cells clipped to a rectangle
+ * @param {Array<[number, number]>} points - Seed positions
+ * @param {number[]} weights - Power weights (px^2), one per seed
+ * @param {number[]} bounds - [xmin, ymin, xmax, ymax]
+ * @returns {Array<Array<[number, number]>|null>} One closed polygon per seed
+ *   ([[x0, y0], ..., [x0, y0]], wound like d3-delaunay's cellPolygon), or
+ *   null where a cell is empty
+ */
+export function computePowerCells(points, weights, bounds) {
+  const [xmin, ymin, xmax, ymax] = bounds;
+  const n = points.length;
+  const cells = [];
+
+  for (let i = 0; i < n; i++) {
+    const [xi, yi] = points[i];
+    let polygon = [[xmin, ymin], [xmax, ymin], [xmax, ymax], [xmin, ymax]];
+
+    // Keep the side nearer seed i in power distance:
+    // 2 p . (s_j - s_i) <= |s_j|^2 - |s_i|^2 - w_j + w_i
+    for (let j = 0; j < n && polygon.length > 0; j++) {
+      if (i === j) continue;
+      const [xj, yj] = points[j];
+      if (xi === xj && yi === yj) {
+        // Coincident seeds: the first one takes the shared cell
+        if (j < i) polygon = [];
+        continue;
+      }
+      polygon = clipPolygon(
+        polygon,
+        2 * (xj - xi),
+        2 * (yj - yi),
+        xj * xj + yj * yj - xi * xi - yi * yi - weights[j] + weights[i]
+      );
+    }
+
+    cells.push(polygon.length >= 3 ? [...polygon, polygon[0]] : null);
+  }
+  return cells;
+}
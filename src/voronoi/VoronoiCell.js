@@ -1,16 +1,37 @@
 /**
  * VoronoiCell - Data structure for a single Voronoi viewport cell
  * Each cell has its own camera for rendering a different view
+ *
+ * Target cells can be framed several ways (see updateCameraForTarget):
+ * - 'centered': the target at the seed
+ * - 'bearing': shifted toward the player, leaving room for a bearing line
+ *   from the target (the owner supplies it as the cell's overlay)
+ * - 'lead': looking ahead of the target along its velocity
+ * each either heading-up, like the player's view, or north-up.
+ *
+ * A world cell is tinted by the sensor that produced it (sensorType, see
+ * SensorShader): 'visual', 'radar', 'ir' or 'datalink'.
  */
 
 import * as THREE from 'three';
 import { smoothstep } from '../utils/math.js';
+import { SENSOR_STYLES } from '../shaders/sensorShader.js';
+
+// Framing modes, in the order cycleFraming() steps through them
+const FRAMING_MODES = ['centered', 'bearing', 'lead'];
+
+// Framing defaults
+const FRAMING_DEFAULTS = {
+  leadTime: 8,              // seconds of target motion the lead framing looks ahead
+  maxLead: 0.2,             // largest framing shift, as a fraction of the view's half-height
+  bearingShift: 0.15        // bearing framing shift toward the player, same units
+};
 
 export class VoronoiCell {
   /**
    * @param {Object} config
    * @param {number} config.id - Unique cell identifier
-   * @param {string} config.type - Cell type: 'player' | 'target' | 'ui'
+   * @param {string} config.type - Cell type: 'player' | 'target' | 'tgp' | 'ui'
    * @param {string} [config.cameraType='perspective'] - Camera type: 'perspective' | 'orthographic'
    * @param {THREE.Scene} [config.scene=null] - Dedicated scene for UI cells
    */
@@ -18,9 +39,12 @@ export class VoronoiCell {
     this.id = config.id;
     this.type = config.type;
 
-    // Screen-space seed position for Voronoi computation
+    // Screen-space seed position for Voronoi computation, where the cell belongs this frame
     this.seed = { x: 0, y: 0 };
 
+    // Seed as laid out and drawn: eased toward seed by the manager's LayoutAnimator
+    this.layoutSeed = { x: 0, y: 0 };
+
     // Polygon vertices from d3-delaunay (array of [x, y] pairs)
     this.polygon = null;
 
@@ -56,6 +80,31 @@ export class VoronoiCell {
     this.worldPosition = { x: 0, z: 0 };   // World position of target
     this.onScreen = true;                  // Whether target is within player viewport
 
+    // Targeting pod whose picture a 'tgp' cell shows (sensor mode, track, designation)
+    this.pod = null;
+
+    // Border color (hex), null for the default
+    this.borderColor = null;
+
+    // Framing of a target cell's camera (see updateCameraForTarget)
+    this.framing = 'centered';
+    this.northUp = false;
+
+    // Scene object shown only while this cell renders (e.g. a bearing line), or null
+    this.overlay = null;
+
+    // Sensor the view comes from, which sets its tinting (see setSensorType)
+    this.sensorType = 'visual';
+
+    // Blur by altitude, render-to-texture compositor only (0-1, see
+    // renderer.getBlurAmount and CellCompositor)
+    this.blur = 0;
+
+    // Layout priority for the weighted layout (0-1, see VoronoiCellManager.setLayoutMode):
+    // weight is set from threat level and closure rate; a pinned cell takes the full weight
+    this.weight = 0;
+    this.pinned = false;
+
     // Camera altitude/zoom properties
     // terrainZ: actually stores CAMERA Z for this cell (legacy name)
     // Terrain is FIXED at Z=0. Camera Z controls zoom level.
@@ -76,6 +125,67 @@ export class VoronoiCell {
     this.terrainZ = cameraZ;
   }
 
+  /**
+   * Priority the weighted layout gives this cell
+   * @returns {number} 0 (ordinary Voronoi share) to 1 (largest share)
+   */
+  getLayoutWeight() {
+    if (this.pinned) return 1;
+    return Math.max(0, Math.min(1, this.weight));
+  }
+
+  /**
+   * Step to the next framing mode
+   * @returns {string} The new mode
+   */
+  cycleFraming() {
+    const index = FRAMING_MODES.indexOf(this.framing);
+    this.framing = FRAMING_MODES[(index + 1) % FRAMING_MODES.length];
+    return this.framing;
+  }
+
+  /**
+   * Set the framing mode
+   * @param {string} mode - 'centered', 'bearing' or 'lead'
+   */
+  setFraming(mode) {
+    if (!FRAMING_MODES.includes(mode)) {
+      throw new Error(`Unknown framing mode: ${mode}`);
+    }
+    this.framing = mode;
+  }
+
+  /**
+   * Switch between heading-up and north-up
+   * @returns {boolean} Whether the cell is now north-up
+   */
+  toggleNorthUp() {
+    this.northUp = !this.northUp;
+    return this.northUp;
+  }
+
+  /**
+   * Short label for a framing other than the default
+   * @returns {string} e.g. 'LEAD N-UP', or '' for centered heading-up
+   */
+  getFramingLabel() {
+    const parts = [];
+    if (this.framing !== 'centered') parts.push(this.framing.toUpperCase());
+    if (this.northUp) parts.push('N-UP');
+    return parts.join(' ');
+  }
+
+  /**
+   * Set the sensor the cell's view comes from, which tints it
+   * @param {string} type - 'visual' (untinted), 'radar', 'ir' or 'datalink'
+   */
+  setSensorType(type) {
+    if (!(type in SENSOR_STYLES)) {
+      throw new Error(`Unknown sensor type: ${type}`);
+    }
+    this.sensorType = type;
+  }
+
   /**
    * Set the cell's projected screen position (for blending calculations)
    * @param {number} x - Screen X coordinate
@@ -143,12 +253,13 @@ export class VoronoiCell {
     const screenW = window.innerWidth;
     const screenH = window.innerHeight;
 
-    // Adjust frustum so origin maps to seed position
+    // Adjust frustum so origin maps to the laid-out seed position
     // When camera.left = -seed.x, world X=0 maps to screen X=seed.x
-    this.camera.left = -this.seed.x;
-    this.camera.right = screenW - this.seed.x;
-    this.camera.top = this.seed.y;
-    this.camera.bottom = this.seed.y - screenH;
+    const seed = this.layoutSeed;
+    this.camera.left = -seed.x;
+    this.camera.right = screenW - seed.x;
+    this.camera.top = seed.y;
+    this.camera.bottom = seed.y - screenH;
     this.camera.updateProjectionMatrix();
   }
 
@@ -264,6 +375,10 @@ export class VoronoiCell {
    * and rotated to show the correct view. For a target cell, we need to set up the
    * camera to view a different world position as if it were at the screen center.
    *
+   * The cell's framing decides the point the camera centers on (the target,
+   * or shifted toward the player or ahead of the target), and north-up rolls
+   * the camera so world north points up in the cell.
+   *
    * @param {number} targetWorldX - Target world X position
    * @param {number} targetWorldY - Target world Y position
    * @param {number} cameraZ - Camera Z distance (same as main camera, e.g., 600)
@@ -271,33 +386,77 @@ export class VoronoiCell {
    * @param {number} playerX - Player world X (for relative positioning)
    * @param {number} playerY - Player world Y (for relative positioning)
    * @param {THREE.Camera} mainCamera - Optional main camera to copy FOV/near/far from
+   * @param {number} [pivotY=0] - Terrain pivot offset (TerrainRenderer.getPivotY), for
+   *   a camera centered exactly on the target
+   * @param {{x: number, y: number}|null} [velocity=null] - Target ground velocity (ft/s),
+   *   for the lead framing
    */
-  updateCameraForTarget(targetWorldX, targetWorldY, cameraZ, playerHeading, playerX, playerY, mainCamera = null) {
-    // Calculate offset from player to target in world coordinates
-    const offsetX = targetWorldX - playerX;
-    const offsetY = targetWorldY - playerY;
+  updateCameraForTarget(targetWorldX, targetWorldY, cameraZ, playerHeading, playerX, playerY, mainCamera = null, pivotY = 0, velocity = null) {
+    // Copy FOV and clip planes from main camera if provided
+    if (mainCamera) {
+      this.camera.fov = mainCamera.fov;
+      this.camera.near = mainCamera.near;
+      this.camera.far = mainCamera.far;
+    }
+
+    // Calculate offset from player to the framed point in world coordinates
+    const aim = this._getFramingPoint(targetWorldX, targetWorldY, cameraZ, playerX, playerY, velocity);
+    const offsetX = aim.x - playerX;
+    const offsetY = aim.y - playerY;
 
     // Apply heading rotation to get screen-space offset
     // Same rotation as terrain uses (pivotGroup.rotation.z = heading)
     const cos = Math.cos(playerHeading);
     const sin = Math.sin(playerHeading);
     const screenOffsetX = offsetX * cos - offsetY * sin;
-    const screenOffsetY = offsetX * sin + offsetY * cos;
+    const screenOffsetY = offsetX * sin + offsetY * cos + pivotY;
+
+    // Heading-up keeps screen Y up; north-up rolls the camera onto world
+    // north as the terrain's heading rotation carries it
+    if (this.northUp) {
+      this.camera.up.set(-sin, cos, 0);
+    } else {
+      this.camera.up.set(0, 1, 0);
+    }
 
     // Position camera offset from origin by the rotated amount
     // The camera looks at its position minus Z, so we offset X and Y
     this.camera.position.set(screenOffsetX, screenOffsetY, cameraZ);
     this.camera.lookAt(screenOffsetX, screenOffsetY, 0);
-    this.camera.up.set(0, 1, 0);  // Y is up in screen space
-
-    // Copy FOV and clip planes from main camera if provided
-    if (mainCamera) {
-      this.camera.fov = mainCamera.fov;
-      this.camera.near = mainCamera.near;
-      this.camera.far = mainCamera.far;
-    }
 
     this.camera.aspect = window.innerWidth / window.innerHeight;
     this.camera.updateProjectionMatrix();
   }
+
+  /**
+   * World point the camera centers on for the cell's framing
+   * @private
+   */
+  _getFramingPoint(targetX, targetY, cameraZ, playerX, playerY, velocity) {
+    const halfHeight = Math.tan((this.camera.fov * Math.PI) / 360) * cameraZ;
+    const f = FRAMING_DEFAULTS;
+
+    if (this.framing === 'lead' && velocity) {
+      const lead = Math.hypot(velocity.x, velocity.y) * f.leadTime;
+      const max = f.maxLead * halfHeight;
+      const scale = lead > max ? max / lead : 1;
+      return {
+        x: targetX + velocity.x * f.leadTime * scale,
+        y: targetY + velocity.y * f.leadTime * scale
+      };
+    }
+
+    if (this.framing === 'bearing') {
+      const range = Math.hypot(playerX - targetX, playerY - targetY);
+      if (range > 0) {
+        const shift = Math.min(range, f.bearingShift * halfHeight);
+        return {
+          x: targetX + ((playerX - targetX) / range) * shift,
+          y: targetY + ((playerY - targetY) / range) * shift
+        };
+      }
+    }
+
+    return { x: targetX, y: targetY };
+  }
 }
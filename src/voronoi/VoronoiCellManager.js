@@ -3,13 +3,24 @@
  *
  * Responsibilities:
  * - Manages the lifecycle of all Voronoi cells (player, target, UI)
- * - Computes Voronoi tessellation from cell seeds
+ * - Computes Voronoi tessellation from cell seeds, or in the weighted
+ *   layout a power diagram where higher-priority cells take more of the
+ *   screen (see PowerDiagram)
  * - Handles seed deconfliction to prevent overlapping cells
- * - Renders cells with appropriate stencil masking
+ * - Eases seeds, weights and cells coming and going from frame to frame
+ *   (see LayoutAnimator)
+ * - Renders cells with appropriate stencil masking, or with the
+ *   render-to-texture compositor chosen at startup, which adds per-cell
+ *   effects (see CellCompositor)
  *
  * Cell types:
  * - 'player': Always at screen center, perspective camera, shared scene
- * - 'target': World-space entities, perspective camera, shared scene
+ * - 'target': World-space entities, perspective camera, shared scene; one
+ *   tinted by its sensor (see SensorShader) renders to a texture first,
+ *   then through the tint into its stencil region
+ * - 'tgp': Targeting pod picture at a fixed screen position, perspective
+ *   camera, shared scene rendered to a texture and post-processed
+ *   (see TgpShader)
  * - 'ui': Screen-space UI elements, orthographic camera, dedicated scene
  */
 
@@ -17,19 +28,46 @@ import * as THREE from 'three';
 import { Delaunay } from 'd3-delaunay';
 import { VoronoiCell } from './VoronoiCell.js';
 import { ViewportManager } from '../viewport/ViewportManager.js';
+import { CellCompositor } from '../viewport/CellCompositor.js';
 import { CellBorderRenderer } from './CellBorderRenderer.js';
 import { LabelOverlay } from './LabelOverlay.js';
+import { computePowerCells, limitWeights } from './PowerDiagram.js';
+import { LayoutAnimator } from './LayoutAnimator.js';
+import { TgpShader } from '../shaders/tgpShader.js';
+import { SensorShader, SENSOR_STYLES } from '../shaders/sensorShader.js';
 
 // Minimum distance between seeds before deconfliction kicks in
 const DEFAULT_MIN_SEED_DISTANCE = 40;
 
+// Compositors: 'stencil' (cells masked into the shared framebuffer) or
+// 'texture' (each cell rendered to a texture, then composited)
+export const COMPOSITORS = ['stencil', 'texture'];
+
+// Layout modes: 'voronoi' (every cell equal) or 'power' (weighted by priority)
+const LAYOUT_MODES = ['voronoi', 'power'];
+
+// Weighted layout: power radius of a full-weight cell, as a fraction of the
+// shorter screen side (the power weight is its square)
+const POWER_RADIUS_FRACTION = 0.6;
+
+// Targeting pod picture: shader mode per sensor mode, label color
+const TGP_SHADER_MODES = { WHOT: 0, BHOT: 1, TV: 2 };
+const TGP_LABEL_COLOR = '#ffaa00';
+
 export class VoronoiCellManager {
   /**
    * @param {THREE.WebGLRenderer} renderer - The Three.js renderer
    * @param {THREE.Scene} scene - The main game scene
    * @param {THREE.Camera} mainCamera - The main camera
+   * @param {Object} [options]
+   * @param {string} [options.compositor='stencil'] - 'stencil' or 'texture'
    */
-  constructor(renderer, scene, mainCamera) {
+  constructor(renderer, scene, mainCamera, options = {}) {
+    const compositor = options.compositor ?? 'stencil';
+    if (!COMPOSITORS.includes(compositor)) {
+      throw new Error(`Unknown compositor: ${compositor}`);
+    }
+
     this.renderer = renderer;
     this.scene = scene;
     this.mainCamera = mainCamera;
@@ -37,6 +75,13 @@ export class VoronoiCellManager {
     // Viewport manager handles all rendering
     this.viewportManager = new ViewportManager(renderer);
 
+    // Render-to-texture compositor, or null for stencil masking
+    this._compositor = null;
+    if (compositor === 'texture') {
+      this._compositor = new CellCompositor(renderer);
+      this._compositor.setBackgroundColor(this.viewportManager.backgroundColor);
+    }
+
     // Border renderer for cell boundaries
     this.borderRenderer = new CellBorderRenderer();
 
@@ -46,15 +91,30 @@ export class VoronoiCellManager {
     // Active cells (private - use methods to access)
     this._cells = [];
 
-    // Voronoi tessellation
+    // Voronoi tessellation ('voronoi' layout only)
     this._voronoi = null;
 
+    // Layout mode (see setLayoutMode)
+    this._layoutMode = 'voronoi';
+
+    // Eases the layout between frames; ghost cells are removed cells still
+    // shrinking away, drawn with the player's view
+    this._animator = new LayoutAnimator();
+    this._ghostPolygons = [];
+
     // Screen bounds for Voronoi computation
     this._bounds = [0, 0, window.innerWidth, window.innerHeight];
 
     // Deconfliction settings
     this._minSeedDistance = DEFAULT_MIN_SEED_DISTANCE;
 
+    // Post-process passes (see _createPostPass): the targeting pod picture,
+    // created with the first 'tgp' cell, and sensor tinting, created with
+    // the first tinted target cell (stencil masking only; the compositor
+    // tints in its composite pass)
+    this._tgpPass = null;
+    this._sensorPass = null;
+
     // Listen for resize events
     this._resizeHandler = () => this._onResize();
     window.addEventListener('resize', this._resizeHandler);
@@ -83,7 +143,7 @@ export class VoronoiCellManager {
 
   /**
    * Create and register a new cell
-   * @param {string} type - Cell type: 'target' | 'ui'
+   * @param {string} type - Cell type: 'target' | 'tgp' | 'ui'
    * @param {Object} [config] - Additional configuration
    * @param {string} [config.cameraType] - 'perspective' | 'orthographic'
    * @param {THREE.Scene} [config.scene] - Dedicated scene for UI cells
@@ -207,7 +267,7 @@ export class VoronoiCellManager {
    *
    * Rules:
    * - Player seed is immovable (always at center)
-   * - UI seeds are immovable (fixed positions)
+   * - UI and targeting pod seeds are immovable (fixed positions)
    * - Target seeds are pushed away from immovable seeds
    * - Target seeds are pushed apart from each other
    *
@@ -233,9 +293,9 @@ export class VoronoiCellManager {
       });
     }
 
-    // Add UI cell seeds
+    // Add UI and targeting pod cell seeds
     for (const cell of this._cells) {
-      if (cell.type === 'ui') {
+      if (cell.type === 'ui' || cell.type === 'tgp') {
         immovableSeeds.push({
           x: cell.seed.x,
           y: cell.seed.y,
@@ -305,13 +365,55 @@ export class VoronoiCellManager {
   // ============================================
 
   /**
-   * Recompute Voronoi tessellation
-   * Call this after updating seed positions
+   * Recompute Voronoi tessellation at the current layout seeds
+   * Call this after updating seed positions; the layout moves toward them
+   * in updateLayout()
    */
   computeVoronoi() {
     this._computeVoronoi();
   }
 
+  /**
+   * Ease the layout toward this frame's seeds and weights and recompute the
+   * tessellation; call once a frame after every seed is placed
+   * @param {number} deltaTime - Time step in seconds
+   */
+  updateLayout(deltaTime) {
+    this._animator.update(this._cells, this._getLayoutRadii(), deltaTime);
+    this._computeVoronoi();
+  }
+
+  /**
+   * Choose how the screen is shared between cells
+   * - 'voronoi': ordinary Voronoi diagram, every cell on an equal footing
+   * - 'power': power diagram, each cell's area growing with its
+   *   VoronoiCell.getLayoutWeight() (threat level, closure rate, pinning)
+   * @param {string} mode - 'voronoi' or 'power'
+   */
+  setLayoutMode(mode) {
+    if (!LAYOUT_MODES.includes(mode)) {
+      throw new Error(`Unknown layout mode: ${mode}`);
+    }
+    this._layoutMode = mode;
+    this._computeVoronoi();
+  }
+
+  /**
+   * Current layout mode
+   * @returns {string} 'voronoi' or 'power'
+   */
+  getLayoutMode() {
+    return this._layoutMode;
+  }
+
+  /**
+   * How cells are put on screen, chosen at construction
+   * @returns {string} 'stencil' or 'texture'
+   */
+  getCompositor() {
+    return this._compositor ? 'texture' : 'stencil';
+  }
+
   /**
    * Update cell cameras based on main camera
    */
@@ -334,14 +436,37 @@ export class VoronoiCellManager {
     const playerCell = this.getPlayerCell();
     if (!playerCell) return;
 
-    if (this._cells.length === 1) {
+    if (this._compositor) {
+      // Render-to-texture path: every cell through the compositor, so the
+      // player's view gets its effects too
+      this._renderComposited();
+    } else if (this._cells.length === 1) {
       // Fast path: single cell, no stencil masking needed
       this.renderer.render(this.scene, playerCell.camera);
     } else {
       // Multi-cell path: use stencil masking
       this._renderMultiCell();
-      this.borderRenderer.render(this.renderer);
     }
+    this.borderRenderer.render(this.renderer);
+  }
+
+  /**
+   * Flash a stretch of a cell's border (see CellBorderRenderer.flashEdge)
+   * @param {VoronoiCell} cell - Cell whose border flashes
+   * @param {number} angle - Screen direction from the seed (radians, 0 = up, clockwise)
+   * @param {Object} [options] - Color, duration, length, width, blink rate and key
+   */
+  flashCellEdge(cell, angle, options = {}) {
+    if (!cell) return;
+    this.borderRenderer.flashEdge(cell, angle, options);
+  }
+
+  /**
+   * Advance border flashes; call after the frame's Voronoi recomputation
+   * @param {number} deltaTime - Time step in seconds
+   */
+  updateBorderFlashes(deltaTime) {
+    this.borderRenderer.updateFlashes(deltaTime);
   }
 
   /**
@@ -379,15 +504,35 @@ export class VoronoiCellManager {
       const blendedCameraZ = cell.getBlendedTerrainZ(playerCameraZ);
       const magnification = playerCameraZ / blendedCameraZ;
 
-      // Format: [1.9 nm/1.5x]
-      const text = `[${distNm.toFixed(1)} nm/${magnification.toFixed(1)}x]`;
+      // Format: [1.9 nm/1.5x], with the framing if not the default, and MASKED
+      // when terrain hides the target
+      const framing = cell.getFramingLabel();
+      const text = `[${distNm.toFixed(1)} nm/${magnification.toFixed(1)}x${framing ? ` ${framing}` : ''}` +
+        `${target.masked ? ' MASKED' : ''}]`;
+      const color = target.masked ? '#ffaa00' : '#00ff00';
 
       // Use cell id as unique identifier for DOM element reuse
       const cellId = `cell-${cell.id}`;
-      this.labelOverlay.drawBoxedLabel(cellId, text, cell.seed.x, cell.seed.y, {
+      this.labelOverlay.drawBoxedLabel(cellId, text, cell.layoutSeed.x, cell.layoutSeed.y, {
         bgColor: 'rgba(0, 0, 0, 0.75)',
-        textColor: '#00ff00',
-        borderColor: '#00ff00'
+        textColor: color,
+        borderColor: color
+      });
+    }
+
+    // Targeting pod status: [WHOT NARO POINT 6.2nm LASE]
+    for (const cell of this._cells) {
+      const pod = cell.type === 'tgp' ? cell.pod : null;
+      if (!pod) continue;
+
+      const slantNm = pod.getSlantRange() / 6076;
+      const status = pod.outOfRange ? ' RANGE' : pod.masked ? ' MASKED' : '';
+      const text = `[${pod.sensorMode} ${pod.getFieldOfView().label} ${pod.trackMode.toUpperCase()} ` +
+        `${slantNm.toFixed(1)}nm${pod.designating ? ' LASE' : ''}${status}]`;
+      this.labelOverlay.drawBoxedLabel(`cell-${cell.id}`, text, cell.layoutSeed.x, cell.layoutSeed.y, {
+        bgColor: 'rgba(0, 0, 0, 0.75)',
+        textColor: TGP_LABEL_COLOR,
+        borderColor: TGP_LABEL_COLOR
       });
     }
 
@@ -403,6 +548,15 @@ export class VoronoiCellManager {
     this.viewportManager.dispose();
     this.borderRenderer.dispose();
     this.labelOverlay.dispose();
+    if (this._compositor) {
+      this._compositor.dispose();
+    }
+    for (const pass of [this._tgpPass, this._sensorPass]) {
+      if (!pass) continue;
+      pass.target.dispose();
+      pass.material.dispose();
+      pass.scene.children[0].geometry.dispose();
+    }
   }
 
   // ============================================
@@ -424,18 +578,47 @@ export class VoronoiCellManager {
   _computeVoronoi() {
     if (this._cells.length === 0) return;
 
-    const points = this._cells.map(cell => [cell.seed.x, cell.seed.y]);
-    const delaunay = Delaunay.from(points);
-    this._voronoi = delaunay.voronoi(this._bounds);
+    const { points, weights, ghostCount } = this._animator.getSites(this._cells);
 
-    this._cells.forEach((cell, index) => {
-      const polygon = this._voronoi.cellPolygon(index);
-      cell.updatePolygon(polygon);
-    });
+    if (ghostCount > 0 || weights.some((w) => w !== 0)) {
+      this._voronoi = null;
+      const polygons = computePowerCells(points, weights, this._bounds);
+      this._cells.forEach((cell, index) => cell.updatePolygon(polygons[index]));
+      this._ghostPolygons = polygons.slice(this._cells.length).filter((polygon) => polygon !== null);
+    } else {
+      this._ghostPolygons = [];
+      const delaunay = Delaunay.from(points);
+      this._voronoi = delaunay.voronoi(this._bounds);
+
+      this._cells.forEach((cell, index) => {
+        const polygon = this._voronoi.cellPolygon(index);
+        cell.updatePolygon(polygon);
+      });
+    }
 
     this.borderRenderer.updateFromCells(this._cells);
   }
 
+  /**
+   * Power radius (px) the layout wants for each cell: none in the 'voronoi'
+   * layout; in 'power', from the cells' layout weights, limited so every
+   * cell keeps its own seed
+   * @returns {number[]}
+   * @private
+   */
+  _getLayoutRadii() {
+    if (this._layoutMode !== 'power') return this._cells.map(() => 0);
+
+    const [xmin, ymin, xmax, ymax] = this._bounds;
+    const scale = Math.min(xmax - xmin, ymax - ymin) * POWER_RADIUS_FRACTION;
+    const points = this._cells.map((cell) => [cell.seed.x, cell.seed.y]);
+    const weights = this._cells.map((cell) => {
+      const radius = cell.getLayoutWeight() * scale;
+      return radius * radius;
+    });
+    return limitWeights(points, weights).map((weight) => Math.sqrt(Math.max(0, weight)));
+  }
+
   /**
    * Render multiple cells with stencil masking
    * @private
@@ -447,12 +630,15 @@ export class VoronoiCellManager {
     const onScreenCells = this._cells.filter(c => c.type === 'player' || c.onScreen === true);
     const exclusiveCells = this._cells.filter(c => c.type !== 'player' && c.onScreen === false);
 
-    // Phase 1: Write all stencil masks
+    // Phase 1: Write all stencil masks (ghost cells show the player's view)
     for (const cell of onScreenCells) {
       if (cell.polygon) {
         this.viewportManager.writeMask(cell.polygon, 1);
       }
     }
+    for (const polygon of this._ghostPolygons) {
+      this.viewportManager.writeMask(polygon, 1);
+    }
 
     for (let i = 0; i < exclusiveCells.length; i++) {
       const cell = exclusiveCells[i];
@@ -467,15 +653,86 @@ export class VoronoiCellManager {
     }
 
     for (let i = 0; i < exclusiveCells.length; i++) {
-      const cell = exclusiveCells[i];
-      const refValue = i + 2;
+      this._renderExclusiveCell(exclusiveCells[i], i + 2);
+    }
+  }
+
+  /**
+   * Render a target or UI cell where stencil matches refValue
+   * @private
+   */
+  _renderExclusiveCell(cell, refValue) {
+    if (cell.type === 'ui') {
+      this._renderUiCell(cell, refValue);
+    } else if (cell.type === 'tgp') {
+      this._renderTgpCell(cell, refValue);
+    } else if (cell.sensorType !== 'visual') {
+      this._renderSensorCell(cell, refValue);
+    } else {
+      this._renderCellWithStencil(cell, refValue, true);
+    }
+  }
+
+  /**
+   * Render with the compositor: cell polygons into the cell-ID texture,
+   * each cell's view into its own slot, then one composite pass. Slot 0 is
+   * the player's view, shown by on-screen and ghost cells as well. Cells
+   * past the compositor's slots are stencil-masked over the composite, as
+   * in _renderMultiCell, without the altitude blur.
+   * @private
+   */
+  _renderComposited() {
+    const compositor = this._compositor;
+    const playerCell = this.getPlayerCell();
+    const onScreenCells = this._cells.filter(c => c.type === 'player' || c.onScreen === true);
+    const allExclusiveCells = this._cells.filter(c => c.type !== 'player' && c.onScreen === false);
+    const exclusiveCells = allExclusiveCells.slice(0, compositor.getMaxCells() - 1);
+    const overflowCells = allExclusiveCells.slice(exclusiveCells.length);
 
+    // Phase 1: Cell-ID texture
+    compositor.beginMasks();
+    for (const cell of onScreenCells) {
+      if (cell.polygon) {
+        compositor.writeMask(cell.polygon, 0);
+      }
+    }
+    for (const polygon of this._ghostPolygons) {
+      compositor.writeMask(polygon, 0);
+    }
+    exclusiveCells.forEach((cell, i) => {
+      if (cell.polygon) {
+        compositor.writeMask(cell.polygon, i + 1);
+      }
+    });
+
+    // Phase 2: Each cell's view into its slot
+    compositor.beginCell(0, playerCell);
+    this._drawCell(playerCell, false);
+
+    exclusiveCells.forEach((cell, i) => {
+      compositor.beginCell(i + 1, cell, { display: cell.type === 'tgp' });
       if (cell.type === 'ui') {
-        this._renderUiCell(cell, refValue);
+        this._drawUiCell(cell);
+      } else if (cell.type === 'tgp') {
+        this._drawTgpPicture(cell);
+        this.renderer.render(this._tgpPass.scene, this._tgpPass.camera);
       } else {
-        this._renderCellWithStencil(cell, refValue, true);
+        this._drawCell(cell, true);
+      }
+    });
+
+    // Phase 3: Composite to the screen
+    compositor.composite();
+
+    // Phase 4: Cells without a slot
+    for (let i = 0; i < overflowCells.length; i++) {
+      if (overflowCells[i].polygon) {
+        this.viewportManager.writeMask(overflowCells[i].polygon, i + 1);
       }
     }
+    for (let i = 0; i < overflowCells.length; i++) {
+      this._renderExclusiveCell(overflowCells[i], i + 1);
+    }
   }
 
   /**
@@ -490,29 +747,179 @@ export class VoronoiCellManager {
     this.renderer.setScissorTest(false);
     gl.viewport(0, 0, screenW, screenH);
 
-    if (useFrustumShift) {
-      const ndcOffsetX = (cell.seed.x / screenW) * 2 - 1;
-      const ndcOffsetY = 1 - (cell.seed.y / screenH) * 2;
+    gl.clear(gl.DEPTH_BUFFER_BIT);
 
-      cell.camera.aspect = screenW / screenH;
-      cell.camera.updateProjectionMatrix();
+    gl.enable(gl.STENCIL_TEST);
+    gl.stencilFunc(gl.EQUAL, refValue, 0xFF);
+    gl.stencilOp(gl.KEEP, gl.KEEP, gl.KEEP);
+    gl.stencilMask(0x00);
+
+    this._drawCell(cell, useFrustumShift);
+
+    gl.disable(gl.STENCIL_TEST);
+  }
+
+  /**
+   * Render the shared scene from a cell's camera into the current target
+   * @private
+   */
+  _drawCell(cell, useFrustumShift) {
+    this._updateCellProjection(cell, useFrustumShift);
+
+    // The cell's overlay shows in this cell only
+    if (cell.overlay) cell.overlay.visible = true;
+    this.renderer.render(this.scene, cell.camera);
+    if (cell.overlay) cell.overlay.visible = false;
+  }
+
+  /**
+   * Set a cell camera's aspect, shifting the frustum so the camera's view
+   * center lands on the cell's seed rather than the screen center
+   * @private
+   */
+  _updateCellProjection(cell, useFrustumShift) {
+    const screenW = window.innerWidth;
+    const screenH = window.innerHeight;
+
+    cell.camera.aspect = screenW / screenH;
+    cell.camera.updateProjectionMatrix();
+
+    if (useFrustumShift) {
+      const ndcOffsetX = (cell.layoutSeed.x / screenW) * 2 - 1;
+      const ndcOffsetY = 1 - (cell.layoutSeed.y / screenH) * 2;
 
       const projMatrix = cell.camera.projectionMatrix;
       projMatrix.elements[8] = -ndcOffsetX;
       projMatrix.elements[9] = -ndcOffsetY;
-    } else {
-      cell.camera.aspect = screenW / screenH;
-      cell.camera.updateProjectionMatrix();
     }
+  }
 
-    gl.clear(gl.DEPTH_BUFFER_BIT);
+  /**
+   * Render a targeting pod cell: the scene into a texture from the cell's
+   * camera (frustum shifted onto the seed), then the pod's sensor picture
+   * and symbology from that texture where stencil matches refValue
+   * @private
+   */
+  _renderTgpCell(cell, refValue) {
+    const gl = this.renderer.getContext();
+
+    this._drawTgpPicture(cell);
 
     gl.enable(gl.STENCIL_TEST);
     gl.stencilFunc(gl.EQUAL, refValue, 0xFF);
     gl.stencilOp(gl.KEEP, gl.KEEP, gl.KEEP);
     gl.stencilMask(0x00);
 
-    this.renderer.render(this.scene, cell.camera);
+    this.renderer.render(this._tgpPass.scene, this._tgpPass.camera);
+
+    gl.disable(gl.STENCIL_TEST);
+  }
+
+  /**
+   * Render the scene from a targeting pod cell's camera into the pod
+   * texture and set up the post-process quad for the cell; the current
+   * render target is bound again afterwards, for the quad
+   * @private
+   */
+  _drawTgpPicture(cell) {
+    const screenW = window.innerWidth;
+    const screenH = window.innerHeight;
+    const pod = cell.pod;
+
+    if (!this._tgpPass) this._tgpPass = this._createPostPass(TgpShader);
+    this._drawCellToTexture(cell, this._tgpPass.target);
+
+    // Post-process into the cell
+    const seed = cell.layoutSeed;
+    const farthest = cell.polygon
+      ? Math.max(...cell.polygon.map(([x, y]) => Math.hypot(x - seed.x, y - seed.y)))
+      : 1;
+    const uniforms = this._tgpPass.material.uniforms;
+    uniforms.uResolution.value = [screenW, screenH];
+    uniforms.uCenter.value = [Math.floor(seed.x) + 0.5, Math.floor(screenH - seed.y) + 0.5];
+    uniforms.uRadius.value = Math.max(1, farthest);
+    uniforms.uMode.value = TGP_SHADER_MODES[pod ? pod.sensorMode : 'WHOT'] ?? 0;
+    uniforms.uTime.value = performance.now() / 1000;
+    uniforms.uPointTrack.value = pod && pod.trackMode === 'point' ? 1 : 0;
+    uniforms.uDesignating.value = pod && pod.getDesignation() ? 1 : 0;
+    uniforms.uMasked.value = pod && !pod.hasPicture() ? 1 : 0;
+  }
+
+  /**
+   * Render the scene from a cell's camera (frustum shifted onto the seed)
+   * into a texture, then bind the previous render target again
+   * @private
+   */
+  _drawCellToTexture(cell, target) {
+    const gl = this.renderer.getContext();
+    const screenW = window.innerWidth;
+    const screenH = window.innerHeight;
+    const output = this.renderer.getRenderTarget();
+
+    // The stencil test passes everywhere without a stencil buffer
+    const bg = this.viewportManager.backgroundColor;
+    this.renderer.setScissorTest(false);
+    this.renderer.setRenderTarget(target);
+    gl.viewport(0, 0, screenW, screenH);
+    gl.clearColor(bg.r, bg.g, bg.b, 1.0);
+    gl.clear(gl.COLOR_BUFFER_BIT | gl.DEPTH_BUFFER_BIT);
+    this._drawCell(cell, true);
+    this.renderer.setRenderTarget(output);
+    gl.viewport(0, 0, screenW, screenH);
+  }
+
+  /**
+   * Create a post-process pass: a render target for a cell's view and a
+   * full-screen quad drawing it through a shader (tDiffuse)
+   * @private
+   * @returns {{target: THREE.WebGLRenderTarget, material: THREE.ShaderMaterial,
+   *   scene: THREE.Scene, camera: THREE.OrthographicCamera}}
+   */
+  _createPostPass(shader) {
+    const target = new THREE.WebGLRenderTarget(window.innerWidth, window.innerHeight, {
+      minFilter: THREE.NearestFilter,
+      magFilter: THREE.NearestFilter
+    });
+
+    const material = new THREE.ShaderMaterial({
+      uniforms: THREE.UniformsUtils.clone(shader.uniforms),
+      vertexShader: shader.vertexShader,
+      fragmentShader: shader.fragmentShader,
+      depthTest: false,
+      depthWrite: false
+    });
+    material.uniforms.tDiffuse.value = target.texture;
+
+    const quad = new THREE.Mesh(new THREE.PlaneGeometry(2, 2), material);
+    quad.frustumCulled = false;
+    const scene = new THREE.Scene();
+    scene.add(quad);
+
+    return { target, material, scene, camera: new THREE.OrthographicCamera(-1, 1, 1, -1, 0, 1) };
+  }
+
+  /**
+   * Render a sensor-tinted target cell: the scene into a texture from the
+   * cell's camera (frustum shifted onto the seed), then tinted from that
+   * texture where stencil matches refValue
+   * @private
+   */
+  _renderSensorCell(cell, refValue) {
+    const gl = this.renderer.getContext();
+
+    if (!this._sensorPass) this._sensorPass = this._createPostPass(SensorShader);
+    this._drawCellToTexture(cell, this._sensorPass.target);
+
+    const uniforms = this._sensorPass.material.uniforms;
+    uniforms.uResolution.value = [window.innerWidth, window.innerHeight];
+    uniforms.uSensor.value = SENSOR_STYLES[cell.sensorType];
+
+    gl.enable(gl.STENCIL_TEST);
+    gl.stencilFunc(gl.EQUAL, refValue, 0xFF);
+    gl.stencilOp(gl.KEEP, gl.KEEP, gl.KEEP);
+    gl.stencilMask(0x00);
+
+    this.renderer.render(this._sensorPass.scene, this._sensorPass.camera);
 
     gl.disable(gl.STENCIL_TEST);
   }
@@ -529,8 +936,6 @@ export class VoronoiCellManager {
     this.renderer.setScissorTest(false);
     gl.viewport(0, 0, screenW, screenH);
 
-    cell.updateOrthographicFrustum();
-
     gl.clear(gl.DEPTH_BUFFER_BIT);
 
     gl.enable(gl.STENCIL_TEST);
@@ -538,11 +943,21 @@ export class VoronoiCellManager {
     gl.stencilOp(gl.KEEP, gl.KEEP, gl.KEEP);
     gl.stencilMask(0x00);
 
+    this._drawUiCell(cell);
+
+    gl.disable(gl.STENCIL_TEST);
+  }
+
+  /**
+   * Render a UI cell's own scene into the current target
+   * @private
+   */
+  _drawUiCell(cell) {
+    cell.updateOrthographicFrustum();
+
     if (cell.scene) {
       this.renderer.render(cell.scene, cell.camera);
     }
-
-    gl.disable(gl.STENCIL_TEST);
   }
 
   /**
@@ -552,12 +967,20 @@ export class VoronoiCellManager {
   _onResize() {
     this._bounds = [0, 0, window.innerWidth, window.innerHeight];
 
+    for (const pass of [this._tgpPass, this._sensorPass]) {
+      if (pass) pass.target.setSize(window.innerWidth, window.innerHeight);
+    }
+    if (this._compositor) {
+      this._compositor.setSize(window.innerWidth, window.innerHeight);
+    }
+
     const playerCell = this.getPlayerCell();
     if (playerCell) {
       playerCell.seed.x = window.innerWidth / 2;
       playerCell.seed.y = window.innerHeight / 2;
     }
 
+    this._animator.snap(this._cells, this._getLayoutRadii());
     this._computeVoronoi();
   }
 }
@@ -0,0 +1,93 @@
+/**
+ * Ballistics - Free flight of bombs and rockets, and impact prediction
+ *
+ * Bombs and rockets fly the same point-mass model: gravity, drag along the
+ * velocity (deceleration = drag * sigma * V^2), and for a rocket the motor's
+ * acceleration along the velocity while it burns. No lift, so they fall
+ * along a parabola bent back by drag. The release computer runs the same
+ * model forward from the aircraft to find where a store released now
+ * would hit the ground (see BombingComputer).
+ */
+
+import { FLIGHT_MODEL_DEFAULTS } from '../data/aircraft.js';
+import { ORDNANCE_DEFAULTS } from '../data/stores.js';
+import { getDensityRatio } from '../flight/FlightModel.js';
+import { getTargetState } from './MissileSeeker.js';
+
+/**
+ * Position and velocity of a store coming off the aircraft
+ * @param {Object} aircraft - Releasing aircraft (position, heading, speed, verticalSpeed)
+ * @param {number} [ejectSpeed=0] - ft/s pushed down off the rack
+ * @returns {{x: number, y: number, altitude: number, vx: number, vy: number, vz: number}}
+ */
+export function getReleaseState(aircraft, ejectSpeed = 0) {
+  const launch = getTargetState(aircraft);
+  return {
+    x: launch.x,
+    y: launch.y,
+    altitude: launch.z,
+    vx: launch.vx,
+    vy: launch.vy,
+    vz: launch.vz - ejectSpeed
+  };
+}
+
+/**
+ * Advance a free-flying body one step
+ * @param {Object} body - {x, y, altitude, vx, vy, vz}, updated in place
+ * @param {number} deltaTime - Time step in seconds
+ * @param {number} drag - Deceleration = drag * sigma * V^2 (per ft)
+ * @param {number} [thrust=0] - Motor acceleration along the velocity (ft/s^2)
+ */
+export function stepFreeFlight(body, deltaTime, drag, thrust = 0) {
+  const { vx, vy, vz } = body;
+  const v = Math.hypot(vx, vy, vz);
+  const along = v > 0 ? (thrust - drag * getDensityRatio(body.altitude) * v * v) / v : 0;
+
+  body.vx += vx * along * deltaTime;
+  body.vy += vy * along * deltaTime;
+  body.vz += (vz * along - FLIGHT_MODEL_DEFAULTS.gravity) * deltaTime;
+
+  // Move at the step's mean velocity, so long predictions stay on the path
+  body.x += (vx + body.vx) * 0.5 * deltaTime;
+  body.y += (vy + body.vy) * 0.5 * deltaTime;
+  body.altitude += (vz + body.vz) * 0.5 * deltaTime;
+}
+
+/**
+ * Fly a body forward until it meets the ground
+ * @param {Object} body - Starting {x, y, altitude, vx, vy, vz} (not changed)
+ * @param {Object} flight
+ * @param {number} flight.drag - As stepFreeFlight
+ * @param {number} [flight.motorTime=0] - Seconds the motor still burns
+ * @param {number} [flight.acceleration=0] - Motor acceleration (ft/s^2)
+ * @param {function(number, number): number} getElevation - Surface elevation (ft) at a world position
+ * @param {Object} [constants] - Overrides for ORDNANCE_DEFAULTS
+ * @returns {{x: number, y: number, altitude: number, time: number}|null} Impact point
+ *   and time of fall, or null if it does not come down within maxFallTime
+ */
+export function predictImpact(body, { drag, motorTime = 0, acceleration = 0 }, getElevation, constants = {}) {
+  const c = { ...ORDNANCE_DEFAULTS, ...constants };
+  const step = c.predictionStep;
+  const b = { ...body };
+
+  for (let time = 0; time < c.maxFallTime; time += step) {
+    const previous = { x: b.x, y: b.y, altitude: b.altitude };
+    stepFreeFlight(b, step, drag, time < motorTime ? acceleration : 0);
+    if (b.altitude > c.terrainCeiling) continue;
+
+    const ground = getElevation(b.x, b.y);
+    if (b.altitude > ground) continue;
+
+    // Back up to where the step crossed the ground
+    const above = previous.altitude - ground;
+    const s = above > 0 ? above / (previous.altitude - b.altitude) : 0;
+    return {
+      x: previous.x + (b.x - previous.x) * s,
+      y: previous.y + (b.y - previous.y) * s,
+      altitude: ground,
+      time: time + step * s
+    };
+  }
+  return null;
+}
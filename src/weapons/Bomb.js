@@ -0,0 +1,188 @@
+/**
+ * Bomb - Free-fall and laser-guided bomb flight
+ *
+ * A bomb leaves the rack with the aircraft's velocity, pushed down by the
+ * ejector, and falls along the ballistic path (see Ballistics). A
+ * laser-guided bomb falls the same way until its seeker sees the laser
+ * spot inside its field of view; it then turns its velocity onto the line
+ * to the spot, no harder than its maneuver limit. The bomb cannot add
+ * energy, so one released short of the basket, or whose spot goes out
+ * (laser off, pod masked), falls ballistic again.
+ *
+ * On reaching the ground the bomb reports an impact; the blast is applied
+ * by the caller (see GroundDamage).
+ */
+
+import * as THREE from 'three';
+import { FLIGHT_MODEL_DEFAULTS } from '../data/aircraft.js';
+import { ORDNANCE_DEFAULTS } from '../data/stores.js';
+import { sampleTerrainElevation } from '../terrain/TerrainSampler.js';
+import { getReleaseState, stepFreeFlight } from './Ballistics.js';
+
+const DEG_TO_RAD = Math.PI / 180;
+
+// Render height above the terrain surface (world units)
+const SPRITE_HEIGHT = 20;
+
+export class Bomb {
+  /**
+   * @param {Object} spec - Bomb definition (see BOMBS)
+   * @param {Object} launcher - Releasing aircraft
+   * @param {Object} [options]
+   * @param {function(): Object|null} [options.getLaserSpot] - Where the laser is spotting
+   *   ({x, y, altitude}), or null; laser-guided bombs home on it
+   * @param {number} [options.id=0] - Identifier for logs and views
+   */
+  constructor(spec, launcher, { getLaserSpot = () => null, id = 0 } = {}) {
+    this.id = id;
+    this.spec = spec;
+    this.launcher = launcher;
+    this.warhead = spec.warhead;
+    this.constants = ORDNANCE_DEFAULTS;
+    this.getLaserSpot = getLaserSpot;
+
+    const release = getReleaseState(launcher, this.constants.ejectSpeed);
+    this.x = release.x;
+    this.y = release.y;
+    this.altitude = release.altitude;
+    this.vx = release.vx;
+    this.vy = release.vy;
+    this.vz = release.vz;
+    this.speed = Math.hypot(this.vx, this.vy, this.vz);
+    this.heading = launcher.heading;
+    this.time = 0;
+
+    this.guidance = 'ballistic';   // 'guided' while a laser-guided bomb sees the spot
+
+    // Outcome
+    this.status = 'falling';       // 'falling', 'impacted' or 'lost'
+    this.impact = null;            // { x, y, altitude } where it hit the ground
+    this.events = [];              // drained by WeaponSystem
+
+    this._createMesh();
+  }
+
+  // ============================================
+  // Public API
+  // ============================================
+
+  /**
+   * Whether the bomb is still falling
+   * @returns {boolean}
+   */
+  isActive() {
+    return this.status === 'falling';
+  }
+
+  getMesh() {
+    return this.mesh;
+  }
+
+  /**
+   * Advance the bomb one frame
+   * @param {number} deltaTime - Time step in seconds
+   * @param {function(number, number): number} getElevation - Surface elevation (ft) at a world position
+   */
+  update(deltaTime, getElevation) {
+    if (!this.isActive()) return;
+
+    this.time += deltaTime;
+    if (this.spec.guidance) this._steer(deltaTime);
+    stepFreeFlight(this, deltaTime, this.spec.drag);
+    this.speed = Math.hypot(this.vx, this.vy, this.vz);
+    this.heading = Math.atan2(this.vx, this.vy);
+
+    const ground = getElevation(this.x, this.y);
+    if (this.altitude <= ground) {
+      this.altitude = ground;
+      this.status = 'impacted';
+      this.impact = { x: this.x, y: this.y, altitude: ground };
+      this.mesh.visible = false;
+      this.events.push({ type: 'impact', ordnance: this });
+      return;
+    }
+    if (this.time >= this.constants.maxFallTime) {
+      this.status = 'lost';
+      this.mesh.visible = false;
+      return;
+    }
+
+    this._updateMesh();
+  }
+
+  /**
+   * Release GPU resources
+   */
+  dispose() {
+    this.mesh.geometry.dispose();
+    this.mesh.material.dispose();
+  }
+
+  // ============================================
+  // Private Methods
+  // ============================================
+
+  /**
+   * Turn the velocity toward the laser spot while the seeker sees it
+   * @private
+   */
+  _steer(deltaTime) {
+    const guidance = this.spec.guidance;
+    const spot = this.getLaserSpot();
+    this.guidance = 'ballistic';
+    if (!spot) return;
+
+    const dx = spot.x - this.x;
+    const dy = spot.y - this.y;
+    const dz = spot.altitude - this.altitude;
+    const range = Math.hypot(dx, dy, dz);
+    const v = this.speed;
+    if (range < 1 || v < 1) return;
+
+    const cosAngle = (dx * this.vx + dy * this.vy + dz * this.vz) / (range * v);
+    if (cosAngle < Math.cos(guidance.seekerFov * DEG_TO_RAD)) return;
+    this.guidance = 'guided';
+
+    // Velocity error off the line of sight, across the flight path only
+    let ax = (dx / range) * v - this.vx;
+    let ay = (dy / range) * v - this.vy;
+    let az = (dz / range) * v - this.vz;
+    const along = (ax * this.vx + ay * this.vy + az * this.vz) / (v * v);
+    ax = (ax - along * this.vx) * guidance.gain;
+    ay = (ay - along * this.vy) * guidance.gain;
+    az = (az - along * this.vz) * guidance.gain;
+
+    // Gravity is held off as well, within the same limit
+    az += FLIGHT_MODEL_DEFAULTS.gravity;
+    const limit = guidance.maxG * FLIGHT_MODEL_DEFAULTS.gravity;
+    const magnitude = Math.hypot(ax, ay, az);
+    const scale = magnitude > limit ? limit / magnitude : 1;
+
+    this.vx += ax * scale * deltaTime;
+    this.vy += ay * scale * deltaTime;
+    this.vz += az * scale * deltaTime;
+  }
+
+  /**
+   * Small plate pointed along the ground track
+   * @private
+   */
+  _createMesh() {
+    const { size, color } = this.spec.sprite;
+    this.mesh = new THREE.Mesh(
+      new THREE.PlaneGeometry(size * 0.4, size),
+      new THREE.MeshBasicMaterial({ color, depthWrite: false })
+    );
+    this.mesh.name = `bomb_${this.id}`;
+    this._updateMesh();
+  }
+
+  /**
+   * Place the sprite over the bomb's ground position
+   * @private
+   */
+  _updateMesh() {
+    this.mesh.position.set(this.x, this.y, sampleTerrainElevation(this.x, this.y) + SPRITE_HEIGHT);
+    this.mesh.rotation.z = -this.heading;
+  }
+}
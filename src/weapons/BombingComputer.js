@@ -0,0 +1,95 @@
+/**
+ * BombingComputer - Release solutions for bombs and rockets
+ *
+ * Runs the selected store's ballistic path forward from the aircraft (see
+ * Ballistics.predictImpact) every frame. Two delivery modes:
+ * - CCIP (continuously computed impact point): where a bomb released or
+ *   a rocket fired now would hit. The pilot flies the pipper onto the
+ *   target and releases by hand. Rockets are always delivered CCIP.
+ * - CCRP (continuously computed release point): with a point on the
+ *   ground designated by the targeting pod, the computer works out how
+ *   long until the predicted impact reaches it along track, and the
+ *   steering to put the track over it. With the pilot's consent (fire
+ *   held) the bomb comes off automatically when the time runs out.
+ * The release time assumes the aircraft holds its current velocity.
+ */
+
+import { ORDNANCE_DEFAULTS } from '../data/stores.js';
+import { getReleaseState, predictImpact } from './Ballistics.js';
+import { wrapAngle } from '../utils/math.js';
+
+export class BombingComputer {
+  /**
+   * @param {Aircraft} aircraft - Aircraft releasing the stores
+   * @param {function(number, number): number} getElevation - Surface elevation (ft) at a world position
+   * @param {Object} [constants] - Overrides for ORDNANCE_DEFAULTS
+   */
+  constructor(aircraft, getElevation, constants = {}) {
+    this.aircraft = aircraft;
+    this.getElevation = getElevation;
+    this.constants = { ...ORDNANCE_DEFAULTS, ...constants };
+    this.solution = null;
+  }
+
+  /**
+   * Recompute the solution for a store
+   * @param {Object|null} store - Bomb definition (see BOMBS) or rocket pod (see
+   *   ROCKET_PODS); null clears the solution
+   * @param {Object|null} [target=null] - Designated ground point {x, y, altitude} for CCRP
+   * @returns {Object|null} See getSolution()
+   */
+  update(store, target = null) {
+    const aircraft = this.aircraft;
+    if (!store || aircraft.isDestroyed || aircraft.onGround) {
+      this.solution = null;
+      return null;
+    }
+
+    const rocket = store.category === 'rocket' ? store.rocket : null;
+    const release = getReleaseState(aircraft, rocket ? 0 : this.constants.ejectSpeed);
+    const impact = predictImpact(release, rocket || store, this.getElevation, this.constants);
+    if (!impact) {
+      this.solution = null;
+      return null;
+    }
+
+    const mode = target && !rocket ? 'CCRP' : 'CCIP';
+    this.solution = { mode, impact, target: null, timeToRelease: null, steering: 0 };
+    if (mode === 'CCRP') {
+      // Along-track distance still to fly before the impact point reaches the target
+      const groundSpeed = Math.max(1, Math.hypot(release.vx, release.vy));
+      const ux = release.vx / groundSpeed;
+      const uy = release.vy / groundSpeed;
+      const targetAlong = (target.x - release.x) * ux + (target.y - release.y) * uy;
+      const impactAlong = (impact.x - release.x) * ux + (impact.y - release.y) * uy;
+
+      this.solution.target = target;
+      this.solution.timeToRelease = (targetAlong - impactAlong) / groundSpeed;
+      this.solution.steering = wrapAngle(Math.atan2(target.x - release.x, target.y - release.y) - aircraft.heading);
+    }
+    return this.solution;
+  }
+
+  /**
+   * Last computed solution
+   * @returns {Object|null} Null when nothing is selected or the store would not come down
+   *   - mode: 'CCIP' or 'CCRP'
+   *   - impact: {x, y, altitude, time} where a store released now would hit, and its time of fall
+   *   - target: the designated point (CCRP)
+   *   - timeToRelease: seconds until the automatic release; negative once past (CCRP)
+   *   - steering: radians right to turn to put the track over the target (CCRP)
+   */
+  getSolution() {
+    return this.solution;
+  }
+
+  /**
+   * Whether a CCRP release is due: the release time has run out, but not
+   * so long ago that the bomb would fall well long
+   * @returns {boolean}
+   */
+  isReleaseDue() {
+    const s = this.solution;
+    return !!s && s.mode === 'CCRP' && s.timeToRelease <= 0 && s.timeToRelease > -this.constants.releaseWindow;
+  }
+}
@@ -0,0 +1,167 @@
+/**
+ * CountermeasureDispenser - Chaff and flare inventory and dispensing programs
+ *
+ * Holds the aircraft's remaining chaff cartridges and flares. A dispense
+ * command runs the selected program for one countermeasure type:
+ * - single: one decoy
+ * - salvo: several decoys at once
+ * - interval: one decoy at a time, spaced out over a few seconds
+ *
+ * Decoys released since the last update are handed back to the caller,
+ * which puts them in the world and passes them to missiles in flight.
+ */
+
+import { COUNTERMEASURES, DISPENSE_PROGRAMS, getCountermeasure } from '../data/stores.js';
+import { Decoy } from './Decoy.js';
+
+const PROGRAM_ORDER = ['single', 'salvo', 'interval'];
+
+export class CountermeasureDispenser {
+  /**
+   * @param {Aircraft} aircraft - Carrying aircraft (decoys leave from its position)
+   * @param {Object} [inventory] - Count per countermeasure type, e.g. { chaff: 60, flare: 30 }
+   */
+  constructor(aircraft, inventory = {}) {
+    this.aircraft = aircraft;
+
+    this.capacity = {};
+    this.counts = {};
+    for (const type of Object.keys(COUNTERMEASURES)) {
+      this.capacity[type] = inventory[type] || 0;
+      this.counts[type] = this.capacity[type];
+    }
+
+    this.programId = 'single';
+    this._sequences = [];    // programs running: { type, burstsLeft, timer }
+    this._released = [];
+    this._nextDecoyId = 1;
+
+    // Key states from the previous frame, for press detection
+    this._previousInput = { dispenseChaff: false, dispenseFlare: false, dispenseProgram: false };
+  }
+
+  // ============================================
+  // Public API - Commands
+  // ============================================
+
+  /**
+   * Dispense chaff or flares and step the program on key press (not while held)
+   * @param {Object} inputState - Current input state
+   */
+  handleInput(inputState) {
+    const previous = this._previousInput;
+    const pressed = (name) => inputState[name] && !previous[name];
+
+    if (pressed('dispenseChaff')) this.dispense('chaff');
+    if (pressed('dispenseFlare')) this.dispense('flare');
+    if (pressed('dispenseProgram')) this.cycleProgram();
+
+    for (const name of Object.keys(previous)) {
+      previous[name] = inputState[name];
+    }
+  }
+
+  /**
+   * Start the selected program for a countermeasure type; a program already
+   * running for that type is restarted
+   * @param {string} type - 'chaff' or 'flare'
+   * @returns {boolean} True if anything is left to dispense
+   */
+  dispense(type) {
+    if (!getCountermeasure(type) || this.aircraft.isDestroyed) return false;
+    if (this.counts[type] <= 0) {
+      console.log(`${COUNTERMEASURES[type].name}: empty`);
+      return false;
+    }
+
+    const program = DISPENSE_PROGRAMS[this.programId];
+    this._sequences = this._sequences.filter((s) => s.type !== type);
+    this._sequences.push({ type, burstsLeft: program.bursts, timer: 0 });
+    return true;
+  }
+
+  /**
+   * Step to the next dispensing program
+   */
+  cycleProgram() {
+    const index = PROGRAM_ORDER.indexOf(this.programId);
+    this.programId = PROGRAM_ORDER[(index + 1) % PROGRAM_ORDER.length];
+    console.log(`Countermeasures program: ${DISPENSE_PROGRAMS[this.programId].name}`);
+  }
+
+  /**
+   * Select a dispensing program
+   * @param {string} programId - 'single', 'salvo' or 'interval'
+   */
+  setProgram(programId) {
+    if (DISPENSE_PROGRAMS[programId]) this.programId = programId;
+  }
+
+  // ============================================
+  // Public API - Updates and queries
+  // ============================================
+
+  /**
+   * Run the dispensing programs
+   * @param {number} deltaTime - Time step in seconds
+   * @returns {Decoy[]} Decoys released since the last update
+   */
+  update(deltaTime) {
+    const program = DISPENSE_PROGRAMS[this.programId];
+
+    for (const sequence of this._sequences) {
+      sequence.timer -= deltaTime;
+      if (sequence.timer > 0) continue;
+
+      this._releaseBurst(sequence.type, program.quantity);
+      sequence.burstsLeft--;
+      sequence.timer = program.interval;
+    }
+    this._sequences = this._sequences.filter(
+      (s) => s.burstsLeft > 0 && this.counts[s.type] > 0 && !this.aircraft.isDestroyed
+    );
+
+    const released = this._released;
+    this._released = [];
+    return released;
+  }
+
+  /**
+   * Whether a program is running for a countermeasure type
+   * @param {string} type - 'chaff' or 'flare'
+   * @returns {boolean}
+   */
+  isDispensing(type) {
+    return this._sequences.some((s) => s.type === type);
+  }
+
+  /**
+   * Remaining and full counts, and the selected program
+   * @returns {{chaff: number, flare: number, capacity: Object, program: string}}
+   */
+  getInventory() {
+    return {
+      chaff: this.counts.chaff,
+      flare: this.counts.flare,
+      capacity: { ...this.capacity },
+      program: DISPENSE_PROGRAMS[this.programId].name
+    };
+  }
+
+  // ============================================
+  // Private Methods
+  // ============================================
+
+  /**
+   * Release up to `quantity` decoys of a type
+   * @private
+   */
+  _releaseBurst(type, quantity) {
+    const spec = COUNTERMEASURES[type];
+    const count = Math.min(quantity, this.counts[type]);
+    for (let i = 0; i < count; i++) {
+      this._released.push(new Decoy(spec, this.aircraft, this._nextDecoyId++));
+    }
+    this.counts[type] -= count;
+  }
+}
@@ -0,0 +1,171 @@
+/**
+ * Decoy - A chaff cloud or flare released by a countermeasure dispenser
+ *
+ * Leaves the aircraft at its velocity plus a small ejection push, then
+ * slows quickly in the airstream and settles into a sink. Its signature
+ * blooms over a fraction of a second and fades in the last moments of its
+ * life; chaff is seen by radar seekers (rcs), flares by infrared seekers
+ * (ir). Carries the same position fields as a target so seekers can
+ * measure it (see MissileSeeker.checkCountermeasures).
+ */
+
+import * as THREE from 'three';
+import { sampleTerrainElevation } from '../terrain/TerrainSampler.js';
+
+// Render height above the terrain surface (world units)
+const SPRITE_HEIGHT = 18;
+
+// Fraction of the lifetime over which the signature and sprite fade out
+const FADE_FRACTION = 0.25;
+
+export class Decoy {
+  /**
+   * @param {Object} spec - Countermeasure definition (see COUNTERMEASURES)
+   * @param {Object} owner - Aircraft that released it
+   * @param {number} [id=0] - Identifier for logs
+   */
+  constructor(spec, owner, id = 0) {
+    this.id = id;
+    this.spec = spec;
+    this.type = spec.id;          // 'chaff' or 'flare'
+    this.owner = owner;
+    this.isDecoy = true;
+    this.isDestroyed = false;
+    this.age = 0;
+
+    // Released at the owner's velocity, pushed out to one side and down
+    const groundSpeed = Math.sqrt(Math.max(0, owner.speed * owner.speed - owner.verticalSpeed * owner.verticalSpeed));
+    const side = Math.random() < 0.5 ? -1 : 1;
+    const ejectHeading = owner.heading + side * Math.PI / 2;
+    this.x = owner.x;
+    this.y = owner.y;
+    this.altitude = owner.altitude;
+    this.vx = Math.sin(owner.heading) * groundSpeed + Math.sin(ejectHeading) * spec.ejectSpeed;
+    this.vy = Math.cos(owner.heading) * groundSpeed + Math.cos(ejectHeading) * spec.ejectSpeed;
+    this.vz = owner.verticalSpeed - spec.ejectSpeed / 2;
+    this._updateMotionFields();
+
+    this.signature = { rcs: 0, ir: 0 };
+    this._updateSignature();
+
+    this._createMesh();
+  }
+
+  // ============================================
+  // Public API
+  // ============================================
+
+  /**
+   * Whether the decoy is still burning or blooming
+   * @returns {boolean}
+   */
+  isActive() {
+    return !this.isDestroyed;
+  }
+
+  /**
+   * Drift, slow, sink and fade; burns out at the end of its lifetime
+   * @param {number} deltaTime - Time step in seconds
+   */
+  update(deltaTime) {
+    if (this.isDestroyed) return;
+
+    this.age += deltaTime;
+    if (this.age >= this.spec.lifetime) {
+      this.isDestroyed = true;
+      this.mesh.visible = false;
+      return;
+    }
+
+    // Horizontal speed decays toward still air, vertical toward the settled sink
+    const decay = Math.exp(-deltaTime / this.spec.slowdownTime);
+    this.vx *= decay;
+    this.vy *= decay;
+    this.vz = -this.spec.fallSpeed + (this.vz + this.spec.fallSpeed) * decay;
+
+    this.x += this.vx * deltaTime;
+    this.y += this.vy * deltaTime;
+    this.altitude += this.vz * deltaTime;
+    this._updateMotionFields();
+    this._updateSignature();
+    this._updateMesh();
+  }
+
+  getMesh() {
+    return this.mesh;
+  }
+
+  /**
+   * Release GPU resources
+   */
+  dispose() {
+    this.mesh.geometry.dispose();
+    this.mesh.material.dispose();
+  }
+
+  // ============================================
+  // Private Methods
+  // ============================================
+
+  /**
+   * Heading, speed and vertical speed from the velocity, as targets carry them
+   * @private
+   */
+  _updateMotionFields() {
+    this.speed = Math.hypot(this.vx, this.vy, this.vz);
+    this.heading = Math.atan2(this.vx, this.vy);
+    this.verticalSpeed = this.vz;
+  }
+
+  /**
+   * Strength of the decoy now: blooming, full, or fading out
+   * @private
+   */
+  _getStrength() {
+    const { bloomTime, lifetime } = this.spec;
+    const bloom = Math.min(1, this.age / bloomTime);
+    const fadeStart = lifetime * (1 - FADE_FRACTION);
+    const fade = this.age > fadeStart ? 1 - (this.age - fadeStart) / (lifetime - fadeStart) : 1;
+    return Math.max(0, bloom * fade);
+  }
+
+  /**
+   * @private
+   */
+  _updateSignature() {
+    const strength = this._getStrength();
+    this.signature.rcs = this.spec.rcs * strength;
+    this.signature.ir = this.spec.ir * strength;
+  }
+
+  /**
+   * Glowing dot for a flare, a pale cloud for chaff (lives in the terrain group)
+   * @private
+   */
+  _createMesh() {
+    const { color, size } = this.spec.sprite;
+    const material = new THREE.MeshBasicMaterial({
+      color,
+      transparent: true,
+      depthWrite: false,
+      blending: this.type === 'flare' ? THREE.AdditiveBlending : THREE.NormalBlending
+    });
+    this.mesh = new THREE.Mesh(new THREE.CircleGeometry(size / 2, 10), material);
+    this.mesh.name = `${this.type}_${this.id}`;
+    this._updateMesh();
+  }
+
+  /**
+   * Place the sprite over the decoy's ground position; chaff spreads as it blooms
+   * @private
+   */
+  _updateMesh() {
+    const surface = sampleTerrainElevation(this.x, this.y);
+    this.mesh.position.set(this.x, this.y, surface + SPRITE_HEIGHT);
+
+    const strength = this._getStrength();
+    this.mesh.material.opacity = this.type === 'flare' ? strength : 0.6 * strength;
+    const spread = this.type === 'chaff' ? 0.5 + Math.min(1, this.age / this.spec.bloomTime) : 1;
+    this.mesh.scale.setScalar(spread);
+  }
+}
@@ -0,0 +1,144 @@
+/**
+ * GroundDamage - Blast damage from bombs and rockets on ground installations
+ *
+ * Each impact is applied to everything within its warhead's reach:
+ * - SAM and AAA sites inside the lethal radius are destroyed; out to the
+ *   blast radius they take fragment hits (see GroundThreat.takeHits),
+ *   falling off to nothing at the edge
+ * - a runway within the crater radius of the impact is cratered (see
+ *   Airbase.addCrater), and closed once too little of it is left clear
+ *
+ * What each installation suffered over the sortie is kept for the
+ * campaign: getResults() for the sortie result, and getState() /
+ * setState() to carry destroyed sites and runway craters from one sortie
+ * to the next.
+ */
+
+import { ORDNANCE_DEFAULTS } from '../data/stores.js';
+
+export class GroundDamage {
+  /**
+   * @param {Object} registries
+   * @param {GroundThreatRegistry} registries.threatRegistry - SAM and AAA sites
+   * @param {AirbaseRegistry} registries.airbaseRegistry - Airfields
+   * @param {Object} [constants] - Overrides for ORDNANCE_DEFAULTS
+   */
+  constructor({ threatRegistry, airbaseRegistry }, constants = {}) {
+    this.threatRegistry = threatRegistry;
+    this.airbaseRegistry = airbaseRegistry;
+    this.constants = { ...ORDNANCE_DEFAULTS, ...constants };
+
+    // Installations hit this sortie, by id
+    this.results = new Map();
+  }
+
+  // ============================================
+  // Public API - Damage
+  // ============================================
+
+  /**
+   * Apply one impact's blast
+   * @param {{x: number, y: number, altitude: number}} impact - Where it hit the ground
+   * @param {Object} warhead - lethalRadius, blastRadius, damage (see BOMBS)
+   * @param {string} cause - 'bomb' or 'rocket'
+   * @returns {Object[]} Results for the installations this impact changed (see getResults)
+   */
+  applyImpact(impact, warhead, cause) {
+    const changed = [];
+
+    for (const site of this.threatRegistry.getAllSites()) {
+      if (site.isDestroyed) continue;
+      const distance = Math.hypot(site.x - impact.x, site.y - impact.y, site.groundElevation - impact.altitude);
+      if (distance > warhead.blastRadius) continue;
+
+      if (distance <= warhead.lethalRadius) {
+        site.destroy(cause);
+      } else {
+        const fragments = this.constants.blastFragments;
+        const blast = (warhead.blastRadius - distance) / (warhead.blastRadius - warhead.lethalRadius);
+        site.takeHits((warhead.damage * blast) / fragments, cause, fragments);
+      }
+      changed.push(this._record('site', site.id, site.name, site.isDestroyed ? 'destroyed' : 'damaged', site.isDestroyed));
+    }
+
+    const radius = warhead.lethalRadius * this.constants.craterScale;
+    for (const airbase of this.airbaseRegistry.getAllAirbases()) {
+      // A runway closed in an earlier sortie doesn't count as closed again
+      const wasClosed = airbase.isRunwayClosed();
+      if (!airbase.addCrater(impact.x, impact.y, radius)) continue;
+      const closed = airbase.isRunwayClosed();
+      const result = this._record('airbase', airbase.id, airbase.name, closed ? 'closed' : 'cratered', closed && !wasClosed);
+      result.craters = airbase.craters.length;
+      changed.push(result);
+    }
+
+    return changed;
+  }
+
+  // ============================================
+  // Public API - Results and campaign state
+  // ============================================
+
+  /**
+   * Installations hit this sortie
+   * @returns {Array<{kind: string, id: string, name: string, status: string, hits: number, knockedOut: boolean, craters?: number}>}
+   *   kind 'site' (status 'damaged' or 'destroyed') or 'airbase' (status
+   *   'cratered' or 'closed'); hits counts the impacts that reached it;
+   *   knockedOut is set when this sortie destroyed the site or closed the runway
+   */
+  getResults() {
+    return [...this.results.values()].map((r) => ({ ...r }));
+  }
+
+  /**
+   * Lasting damage to carry into the next sortie
+   * @returns {{destroyedSites: string[], craters: Object<string, Object[]>}} Ids of destroyed
+   *   sites, and runway craters by airbase id
+   */
+  getState() {
+    const craters = {};
+    for (const airbase of this.airbaseRegistry.getAllAirbases()) {
+      if (airbase.craters.length > 0) craters[airbase.id] = airbase.craters.map((c) => ({ ...c }));
+    }
+    return {
+      destroyedSites: this.threatRegistry.getAllSites().filter((s) => s.isDestroyed).map((s) => s.id),
+      craters
+    };
+  }
+
+  /**
+   * Restore lasting damage from earlier sorties; not recorded as this sortie's results
+   * @param {Object|null} state - From getState(), or null for an undamaged world
+   */
+  setState(state) {
+    if (!state) return;
+    for (const site of this.threatRegistry.getAllSites()) {
+      if (state.destroyedSites.includes(site.id)) site.destroy('strike');
+    }
+    for (const airbase of this.airbaseRegistry.getAllAirbases()) {
+      const craters = state.craters[airbase.id];
+      if (craters) airbase.craters = craters.map((c) => ({ ...c }));
+    }
+  }
+
+  // ============================================
+  // Private Methods
+  // ============================================
+
+  /**
+   * Note an impact on an installation and its status after the impact
+   * @param {boolean} knockedOut - The impact destroyed the site or closed the runway
+   * @private
+   */
+  _record(kind, id, name, status, knockedOut) {
+    let result = this.results.get(id);
+    if (!result) {
+      result = { kind, id, name, status, hits: 0, knockedOut: false };
+      this.results.set(id, result);
+    }
+    result.hits++;
+    result.status = status;
+    result.knockedOut = result.knockedOut || knockedOut;
+    return result;
+  }
+}
@@ -0,0 +1,332 @@
+/**
+ * Gun - Internal cannon: rounds in flight, hits and the gunsight solution
+ *
+ * While the trigger is held the gun fires at its rate of fire until the
+ * rounds run out. Each round leaves along the aircraft's flight path at
+ * the muzzle velocity plus the aircraft's own velocity, scattered by the
+ * gun's dispersion, then flies ballistically under gravity. A round hits
+ * when its path over a frame (relative to the target's motion) passes
+ * through the target's hitbox, a box aligned with the target's heading.
+ *
+ * The lead-computing sight answers "where must the target be now for the
+ * rounds fired now to hit it": the point a round will reach at the
+ * target's range, moved back along the target's velocity by the round's
+ * time of flight. Put the pipper on the target and fire.
+ *
+ * A ground mount (an AAA site) has no flight path: it lays the gun along
+ * its heading and gunElevation (radians above the horizon) instead.
+ */
+
+import * as THREE from 'three';
+import { FLIGHT_MODEL_DEFAULTS } from '../data/aircraft.js';
+import { GUN_DEFAULTS } from '../data/stores.js';
+import { sampleTerrainElevation } from '../terrain/TerrainSampler.js';
+import { getTargetState } from './MissileSeeker.js';
+import { randomNormal } from '../utils/math.js';
+
+export class Gun {
+  /**
+   * @param {Object} spec - Gun definition (see GUNS)
+   * @param {Object} aircraft - Firing aircraft, or ground mount with gunElevation
+   * @param {Object} options
+   * @param {number} options.rounds - Rounds loaded
+   * @param {THREE.Object3D} options.group - World-space group the tracers are added to
+   * @param {Object} [constants] - Overrides for GUN_DEFAULTS
+   */
+  constructor(spec, aircraft, { rounds, group }, constants = {}) {
+    this.spec = spec;
+    this.aircraft = aircraft;
+    this.group = group;
+    this.constants = { ...GUN_DEFAULTS, ...constants };
+    this.gravity = FLIGHT_MODEL_DEFAULTS.gravity;
+
+    this.capacity = rounds;
+    this.rounds = rounds;
+    this.trigger = false;
+
+    this.bullets = [];         // { x, y, z, vx, vy, vz, age, tracer }
+    this._fireTimer = 0;
+    this._roundsFired = 0;
+
+    this._createTracers();
+  }
+
+  // ============================================
+  // Public API - Commands
+  // ============================================
+
+  /**
+   * Hold or release the trigger
+   * @param {boolean} held
+   */
+  setTrigger(held) {
+    if (held && !this.trigger && this.rounds <= 0) {
+      console.log(`${this.spec.shortName}: empty`);
+    }
+    this.trigger = held;
+  }
+
+  // ============================================
+  // Public API - Updates and queries
+  // ============================================
+
+  /**
+   * Fire while the trigger is held, fly the rounds and test them for hits
+   * @param {number} deltaTime - Time step in seconds
+   * @param {Object[]} targets - Entities the rounds can hit
+   * @returns {Object[]} Hits this frame: { type: 'hit', target, gun }
+   */
+  update(deltaTime, targets) {
+    this._fire(deltaTime);
+
+    const hits = [];
+    const lifetime = this.constants.roundLifetime;
+    this.bullets = this.bullets.filter((bullet) => {
+      const step = bullet.pending ?? deltaTime;
+      delete bullet.pending;
+
+      const start = { x: bullet.x, y: bullet.y, z: bullet.z };
+      this._advance(bullet, step);
+
+      const target = this._findHit(start, bullet, step, targets);
+      if (target) {
+        hits.push({ type: 'hit', target, gun: this });
+        return false;
+      }
+      return bullet.age < lifetime;
+    });
+
+    this._updateTracers();
+    return hits;
+  }
+
+  /**
+   * Whether rounds are leaving the gun
+   * @returns {boolean}
+   */
+  isFiring() {
+    return this.trigger && this.rounds > 0 && !this.aircraft.isDestroyed;
+  }
+
+  /**
+   * Lead-computing gunsight solution against a target
+   * @param {Object} target - Entity with x, y, altitude, heading, speed, verticalSpeed
+   * @returns {{x: number, y: number, z: number, range: number, timeOfFlight: number,
+   *   missDistance: number, inRange: boolean}} Pipper position (world, z = altitude),
+   *   range to the target (ft), round time of flight (s), how far rounds fired now
+   *   would pass from the target (ft), and whether the target is inside gun range
+   */
+  getLeadSolution(target) {
+    const shooter = getTargetState(this.aircraft);
+    const velocity = this._getMuzzleVelocity(shooter, 0, 0);
+    const speed = Math.hypot(velocity.x, velocity.y, velocity.z);
+    const t0 = getTargetState(target);
+    const range = Math.hypot(t0.x - shooter.x, t0.y - shooter.y, t0.z - shooter.z);
+
+    // Time of flight to where the target will be; converges in a few passes
+    let time = range / speed;
+    for (let i = 0; i < 3; i++) {
+      const futureRange = Math.hypot(
+        t0.x + t0.vx * time - shooter.x,
+        t0.y + t0.vy * time - shooter.y,
+        t0.z + t0.vz * time - shooter.z
+      );
+      time = futureRange / speed;
+    }
+
+    const drop = 0.5 * this.gravity * time * time;
+    const round = {
+      x: shooter.x + velocity.x * time,
+      y: shooter.y + velocity.y * time,
+      z: shooter.z + velocity.z * time - drop
+    };
+    const pipper = {
+      x: round.x - t0.vx * time,
+      y: round.y - t0.vy * time,
+      z: round.z - t0.vz * time
+    };
+
+    return {
+      ...pipper,
+      range,
+      timeOfFlight: time,
+      missDistance: Math.hypot(pipper.x - t0.x, pipper.y - t0.y, pipper.z - t0.z),
+      inRange: range <= this.spec.range
+    };
+  }
+
+  /**
+   * Remove the tracers from the scene
+   */
+  dispose() {
+    this.group.remove(this.tracers);
+    this.tracers.geometry.dispose();
+    this.tracers.material.dispose();
+    this.bullets = [];
+  }
+
+  // ============================================
+  // Private Methods
+  // ============================================
+
+  /**
+   * Release the rounds due this frame, each already flown for the part of
+   * the frame since it left the muzzle
+   * @private
+   */
+  _fire(deltaTime) {
+    if (!this.isFiring()) {
+      this._fireTimer = 0;
+      return;
+    }
+
+    const interval = 60 / this.spec.rateOfFire;
+    const shooter = getTargetState(this.aircraft);
+    const spread = this.spec.dispersion / 1000;
+
+    this._fireTimer += deltaTime;
+    while (this._fireTimer >= interval && this.rounds > 0 && this.bullets.length < this.constants.maxRounds) {
+      this._fireTimer -= interval;
+      this.rounds--;
+      this._roundsFired++;
+
+      const velocity = this._getMuzzleVelocity(shooter, randomNormal() * spread, randomNormal() * spread);
+      this.bullets.push({
+        x: shooter.x,
+        y: shooter.y,
+        z: shooter.z,
+        vx: velocity.x,
+        vy: velocity.y,
+        vz: velocity.z,
+        age: 0,
+        pending: this._fireTimer,
+        tracer: this._roundsFired % this.spec.tracerInterval === 0
+      });
+    }
+  }
+
+  /**
+   * Round velocity: the aircraft's velocity plus the muzzle velocity along
+   * the flight path (or a mount's gun line), turned by small angles off it
+   * @private
+   */
+  _getMuzzleVelocity(shooter, headingOffset, pitchOffset) {
+    const a = this.aircraft;
+    const speed = Math.max(1, a.speed);
+    const heading = a.heading + headingOffset;
+    const gunLine = a.gunElevation ?? Math.asin(Math.max(-1, Math.min(1, a.verticalSpeed / speed)));
+    const pitch = gunLine + pitchOffset;
+    const muzzle = this.spec.muzzleVelocity;
+    return {
+      x: shooter.vx + Math.sin(heading) * Math.cos(pitch) * muzzle,
+      y: shooter.vy + Math.cos(heading) * Math.cos(pitch) * muzzle,
+      z: shooter.vz + Math.sin(pitch) * muzzle
+    };
+  }
+
+  /**
+   * Ballistic step under gravity
+   * @private
+   */
+  _advance(bullet, step) {
+    bullet.x += bullet.vx * step;
+    bullet.y += bullet.vy * step;
+    bullet.z += bullet.vz * step - 0.5 * this.gravity * step * step;
+    bullet.vz -= this.gravity * step;
+    bullet.age += step;
+  }
+
+  /**
+   * First target whose hitbox the round passed through this frame
+   * @private
+   */
+  _findHit(start, bullet, step, targets) {
+    for (const target of targets) {
+      if (target.isDestroyed) continue;
+
+      // Round path relative to the target, which also moved over the step
+      const t = getTargetState(target);
+      const from = { x: start.x - (t.x - t.vx * step), y: start.y - (t.y - t.vy * step), z: start.z - (t.z - t.vz * step) };
+      const to = { x: bullet.x - t.x, y: bullet.y - t.y, z: bullet.z - t.z };
+
+      if (this._crossesHitbox(from, to, target.heading || 0, target.hitbox || this.constants.hitbox)) {
+        return target;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Whether a segment (target-relative, world axes) passes through a box
+   * aligned with the target's heading
+   * @private
+   */
+  _crossesHitbox(from, to, heading, hitbox) {
+    const sin = Math.sin(heading);
+    const cos = Math.cos(heading);
+    const toBody = (p) => [p.x * sin + p.y * cos, p.x * cos - p.y * sin, p.z];
+    const a = toBody(from);
+    const b = toBody(to);
+    const half = [hitbox.length / 2, hitbox.span / 2, hitbox.height / 2];
+
+    // Slab test: clip the segment's parameter range against each axis
+    let enter = 0;
+    let exit = 1;
+    for (let i = 0; i < 3; i++) {
+      const d = b[i] - a[i];
+      if (Math.abs(d) < 1e-9) {
+        if (Math.abs(a[i]) > half[i]) return false;
+        continue;
+      }
+      let t1 = (-half[i] - a[i]) / d;
+      let t2 = (half[i] - a[i]) / d;
+      if (t1 > t2) [t1, t2] = [t2, t1];
+      enter = Math.max(enter, t1);
+      exit = Math.min(exit, t2);
+      if (enter > exit) return false;
+    }
+    return true;
+  }
+
+  /**
+   * Points for the tracer rounds (they live in the terrain group)
+   * @private
+   */
+  _createTracers() {
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(this.constants.maxRounds * 3), 3));
+    geometry.setDrawRange(0, 0);
+    const material = new THREE.PointsMaterial({
+      color: this.spec.tracerColor,
+      size: this.constants.tracerSize,
+      sizeAttenuation: false,
+      transparent: true,
+      depthWrite: false,
+      blending: THREE.AdditiveBlending
+    });
+    this.tracers = new THREE.Points(geometry, material);
+    this.tracers.name = `${this.spec.id}_tracers`;
+    this.tracers.frustumCulled = false;
+    this.group.add(this.tracers);
+  }
+
+  /**
+   * Place each tracer over its round's ground position
+   * @private
+   */
+  _updateTracers() {
+    const attribute = this.tracers.geometry.attributes.position;
+    const points = attribute.array;
+    let count = 0;
+    for (const bullet of this.bullets) {
+      if (!bullet.tracer) continue;
+      const i = count * 3;
+      points[i] = bullet.x;
+      points[i + 1] = bullet.y;
+      points[i + 2] = sampleTerrainElevation(bullet.x, bullet.y) + this.constants.tracerHeight;
+      count++;
+    }
+    attribute.needsUpdate = true;
+    this.tracers.geometry.setDrawRange(0, count);
+  }
+}
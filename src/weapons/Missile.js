@@ -0,0 +1,564 @@
+/**
+ * Missile - Air-to-air missile flight, guidance and fuzing
+ *
+ * Motor: a boost phase, an optional lower-thrust sustain phase, then an
+ * unpowered coast. Propellant burns off evenly across both phases, so the
+ * missile gets lighter (and quicker) as it burns. Drag follows the same
+ * parasite + induced form as the aircraft flight model, so hard turns and
+ * thin air at low speed both bleed energy.
+ *
+ * Guidance: proportional navigation toward the seeker's target, or toward
+ * an aim point before the seeker locks on:
+ * - LOBL (lock on before launch): the seeker is locked when it leaves the rail
+ * - LOAL (lock on after launch): the missile flies out on the launcher's
+ *   datalink (Fox-3), on reflected illumination (Fox-1), or straight down
+ *   the launch line (Fox-2), and the seeker searches in flight. A Fox-3
+ *   goes active ("pitbull") once the aim point is inside seeker range.
+ *
+ * Fuze: once armed, the proximity fuze fires at the closest point of
+ * approach to any target passing inside its radius. Inside the lethal
+ * radius the kill probability is the missile's pk, falling off to zero at
+ * the edge of the proximity radius. A detonation that fails to kill still
+ * sprays the target with fragments: result.damage hit points, again falling
+ * off to nothing at the edge of the proximity radius.
+ */
+
+import * as THREE from 'three';
+import { FLIGHT_MODEL_DEFAULTS } from '../data/aircraft.js';
+import { MISSILE_DEFAULTS } from '../data/stores.js';
+import { getDensityRatio } from '../flight/FlightModel.js';
+import { sampleTerrainElevation } from '../terrain/TerrainSampler.js';
+import { interpolateCurve, angleBetween } from '../utils/math.js';
+import { MissileSeeker, getTargetState } from './MissileSeeker.js';
+
+const DEG_TO_RAD = Math.PI / 180;
+
+// Render heights above the terrain surface (world units)
+const SPRITE_HEIGHT = 20;
+const TRAIL_HEIGHT = 15;
+
+// Sprite textures shared by every missile using the same image
+const spriteTextures = new Map();
+
+/**
+ * Load (once) the sprite texture for a missile type
+ * @param {string} path - Texture path under public/
+ * @returns {THREE.Texture}
+ */
+function getSpriteTexture(path) {
+  if (!spriteTextures.has(path)) {
+    const texture = new THREE.TextureLoader().load(path);
+    texture.magFilter = THREE.NearestFilter;
+    texture.minFilter = THREE.NearestFilter;
+    spriteTextures.set(path, texture);
+  }
+  return spriteTextures.get(path);
+}
+
+export class Missile {
+  /**
+   * @param {Object} spec - Missile definition (see MISSILES)
+   * @param {Object} launcher - Launching aircraft; the missile leaves along its flight path
+   * @param {Object} [options]
+   * @param {Object|null} [options.target=null] - Target designated at launch
+   * @param {boolean} [options.locked=false] - Seeker locked on the target before launch
+   * @param {function(Object): boolean} [options.isSupported] - Whether the launcher still
+   *   tracks a target (datalink for Fox-3, illumination for Fox-1)
+   * @param {number} [options.id=0] - Identifier for logs and views
+   */
+  constructor(spec, launcher, { target = null, locked = false, isSupported = () => false, id = 0 } = {}) {
+    this.id = id;
+    this.spec = spec;
+    this.launcher = launcher;
+    this.constants = MISSILE_DEFAULTS;
+    this.gravity = FLIGHT_MODEL_DEFAULTS.gravity;
+
+    // Released at the launcher's position and velocity
+    const launch = getTargetState(launcher);
+    this.x = launch.x;
+    this.y = launch.y;
+    this.altitude = launch.z;
+    this.vx = launch.vx;
+    this.vy = launch.vy;
+    this.vz = launch.vz;
+    this.speed = Math.max(1, launcher.speed);
+    this.heading = launcher.heading;
+
+    // Motor and mass
+    this.time = 0;
+    this.weight = spec.weight;     // lb, drops as propellant burns
+    this.motorPhase = 'boost';     // 'boost', 'sustain' or 'coast'
+
+    // Guidance
+    this.target = target;          // designated at launch, followed until the seeker locks
+    this.isSupported = isSupported;
+    this.launchMode = locked ? 'LOBL' : 'LOAL';
+    this.seeker = new MissileSeeker(spec.seeker);
+    if (locked) {
+      this.seeker.lock(target);
+    } else {
+      this.seeker.state = 'search';
+    }
+    this.aimPoint = target ? getTargetState(target) : null;
+    this.guidance = locked ? 'seeker' : 'inertial';  // also 'datalink', 'semiactive', 'ballistic'
+    this.isPitbull = false;
+    this.loadFactor = 0;
+
+    // Outcome
+    this.status = 'flying';        // 'flying', 'detonated' or 'lost'
+    this.result = null;            // { outcome, target, missDistance, damage }
+    this.events = [];              // drained by WeaponSystem
+
+    this._createMeshes();
+  }
+
+  // ============================================
+  // Public API
+  // ============================================
+
+  /**
+   * Whether the missile is still in flight
+   * @returns {boolean}
+   */
+  isActive() {
+    return this.status === 'flying';
+  }
+
+  /**
+   * Target the missile is currently homing on (seeker lock, or the designated target)
+   * @returns {Object|null}
+   */
+  getTarget() {
+    return this.seeker.target || this.target;
+  }
+
+  /**
+   * Distance to an entity in 3D
+   * @param {Object} entity - Anything with x, y, altitude
+   * @returns {number} Feet
+   */
+  getRangeTo(entity) {
+    return Math.hypot(entity.x - this.x, entity.y - this.y, entity.altitude - this.altitude);
+  }
+
+  /**
+   * What a radar warning receiver hears from this missile: an active radar
+   * seeker that has gone pitbull on the receiver
+   * @param {Object} receiver - Entity carrying the RWR
+   * @returns {Object|null} Emission (see Radar.getEmission), or null
+   */
+  getEmission(receiver) {
+    if (!this.isActive() || this.seeker.type !== 'arh' || !this.isPitbull) return null;
+    if (this.getTarget() !== receiver) return null;
+    return {
+      source: this,
+      category: 'missile',
+      symbol: 'M',
+      mode: 'launch',
+      x: this.x,
+      y: this.y,
+      altitude: this.altitude,
+      power: this.seeker.range
+    };
+  }
+
+  getMesh() {
+    return this.mesh;
+  }
+
+  getTrail() {
+    return this.trail;
+  }
+
+  /**
+   * Advance the missile one frame
+   * @param {number} deltaTime - Time step in seconds
+   * @param {Object[]} candidates - Entities the seeker and fuze can react to
+   * @param {function(number, number): number} getElevation - Surface elevation (ft) at a world position
+   * @param {Object[]} [decoys=[]] - Chaff and flares the seeker may be pulled onto
+   */
+  update(deltaTime, candidates, getElevation, decoys = []) {
+    if (!this.isActive()) return;
+
+    this.time += deltaTime;
+
+    const thrust = this._updateMotor(deltaTime);
+    const point = this._updateGuidance(deltaTime, candidates, decoys);
+    const acceleration = this._getLateralAcceleration(point);
+    this._integrate(deltaTime, thrust, acceleration);
+
+    this._checkFuze(deltaTime, candidates);
+    if (!this.isActive()) return;
+
+    if (this.altitude <= getElevation(this.x, this.y)) {
+      this._end('lost', 'ground');
+    } else if (this.time >= this.spec.maxFlightTime) {
+      this._end('lost', 'timeout');
+    } else if (this.motorPhase === 'coast' && this.speed < this.constants.minSpeed) {
+      this._end('lost', 'energy');
+    }
+
+    this._updateMeshes(deltaTime);
+  }
+
+  /**
+   * Release GPU resources (the shared sprite texture is kept)
+   */
+  dispose() {
+    this.mesh.geometry.dispose();
+    this.mesh.material.dispose();
+    this.trail.geometry.dispose();
+    this.trail.material.dispose();
+  }
+
+  // ============================================
+  // Private Methods - Flight
+  // ============================================
+
+  /**
+   * Step the motor phases and burn propellant
+   * @returns {number} Thrust in lbf
+   * @private
+   */
+  _updateMotor(deltaTime) {
+    const motor = this.spec.motor;
+    const burnTime = motor.boostTime + motor.sustainTime;
+
+    let thrust = 0;
+    if (this.time <= motor.boostTime) {
+      this.motorPhase = 'boost';
+      thrust = motor.boostThrust;
+    } else if (this.time <= burnTime) {
+      this.motorPhase = 'sustain';
+      thrust = motor.sustainThrust;
+    } else {
+      this.motorPhase = 'coast';
+    }
+
+    if (thrust > 0) {
+      this.weight = Math.max(this.spec.weight - motor.propellant,
+        this.weight - motor.propellant / burnTime * deltaTime);
+    }
+    return thrust;
+  }
+
+  /**
+   * Run the seeker and choose what to steer toward
+   * @returns {{x: number, y: number, z: number, vx: number, vy: number, vz: number}|null}
+   *   Point to intercept, or null to fly straight
+   * @private
+   */
+  _updateGuidance(deltaTime, candidates, decoys) {
+    const seeker = this.seeker;
+    const position = { x: this.x, y: this.y, z: this.altitude };
+    const nose = { x: this.vx, y: this.vy, z: this.vz };
+
+    // The aim point drifts on with the target's last known velocity
+    const aim = this.aimPoint;
+    if (aim) {
+      aim.x += aim.vx * deltaTime;
+      aim.y += aim.vy * deltaTime;
+      aim.z += aim.vz * deltaTime;
+    }
+
+    // A semi-active seeker only sees its target while the launcher illuminates
+    // it (chaff it was pulled onto shows up in the same illumination)
+    if (seeker.isTracking()) {
+      const illuminated = seeker.type !== 'sarh' ||
+        this.isSupported(seeker.target.isDecoy ? this.target : seeker.target);
+      if (!illuminated) seeker.drop();
+      if (illuminated && seeker.track(position, nose) &&
+          this._checkCountermeasures(position, deltaTime, decoys)) {
+        this.guidance = 'seeker';
+        this.aimPoint = getTargetState(seeker.target);
+        return this.aimPoint;
+      }
+    }
+
+    const supported = this.target !== null && !this.target.isDestroyed && this.isSupported(this.target);
+    if (supported) this.aimPoint = getTargetState(this.target);
+
+    // Look toward the aim point when it is within the gimbal, else down the nose
+    let boresight = nose;
+    if (this.aimPoint) {
+      const toAim = { x: this.aimPoint.x - this.x, y: this.aimPoint.y - this.y, z: this.aimPoint.z - this.altitude };
+      if (angleBetween(toAim.x, toAim.y, toAim.z, nose.x, nose.y, nose.z) <= seeker.gimbalLimit) {
+        boresight = toAim;
+      }
+    }
+
+    let searching = false;
+    switch (seeker.type) {
+      case 'arh':
+        if (!this.isPitbull && this.aimPoint &&
+            Math.hypot(this.aimPoint.x - this.x, this.aimPoint.y - this.y, this.aimPoint.z - this.altitude) <= seeker.range) {
+          this.isPitbull = true;
+          this.events.push({ type: 'pitbull', missile: this });
+        }
+        searching = this.isPitbull;
+        break;
+      case 'sarh':
+        searching = supported;
+        candidates = supported ? [this.target] : [];
+        break;
+      default:
+        searching = true;
+    }
+
+    if (searching && seeker.search(position, boresight, candidates)) {
+      this.guidance = 'seeker';
+      this.aimPoint = getTargetState(seeker.target);
+      return this.aimPoint;
+    }
+
+    if (!this.aimPoint) {
+      this.guidance = this.seeker.type === 'ir' ? 'inertial' : 'ballistic';
+      return null;
+    }
+    if (supported) {
+      this.guidance = seeker.type === 'arh' ? 'datalink' : seeker.type === 'sarh' ? 'semiactive' : 'inertial';
+    } else {
+      this.guidance = 'inertial';
+    }
+    return this.aimPoint;
+  }
+
+  /**
+   * Commanded acceleration perpendicular to the flight path, limited by
+   * the airframe and by dynamic pressure
+   * @param {Object|null} point - Intercept point and its velocity
+   * @returns {{x: number, y: number, z: number}} ft/s^2
+   * @private
+   */
+  _getLateralAcceleration(point) {
+    const g = this.gravity;
+    let ax = 0;
+    let ay = 0;
+    let az = g;  // carry the missile's own weight
+
+    if (point) {
+      const rx = point.x - this.x;
+      const ry = point.y - this.y;
+      const rz = point.z - this.altitude;
+      const rangeSquared = rx * rx + ry * ry + rz * rz;
+
+      if (rangeSquared > 1) {
+        const offAngle = angleBetween(rx, ry, rz, this.vx, this.vy, this.vz);
+        if (offAngle > this.constants.pursuitAngle * DEG_TO_RAD) {
+          // Too far off the nose for PN to be useful: turn flat out toward the line of sight
+          const range = Math.sqrt(rangeSquared);
+          const pull = this.spec.maxG * g * 2;
+          ax += rx / range * pull;
+          ay += ry / range * pull;
+          az += rz / range * pull;
+        } else {
+          // Pure proportional navigation: a = N * (LOS rate x missile velocity)
+          const rvx = point.vx - this.vx;
+          const rvy = point.vy - this.vy;
+          const rvz = point.vz - this.vz;
+          const wx = (ry * rvz - rz * rvy) / rangeSquared;
+          const wy = (rz * rvx - rx * rvz) / rangeSquared;
+          const wz = (rx * rvy - ry * rvx) / rangeSquared;
+          const n = this.spec.navigationGain;
+          ax += n * (wy * this.vz - wz * this.vy);
+          ay += n * (wz * this.vx - wx * this.vz);
+          az += n * (wx * this.vy - wy * this.vx);
+        }
+      }
+    }
+
+    // Only the component across the flight path turns the missile
+    const along = (ax * this.vx + ay * this.vy + az * this.vz) / (this.speed * this.speed);
+    ax -= along * this.vx;
+    ay -= along * this.vy;
+    az -= along * this.vz;
+
+    // Full authority only at or above the maneuver (equivalent) speed
+    const sigma = getDensityRatio(this.altitude);
+    const authority = Math.min(1, sigma * this.speed * this.speed / (this.spec.maneuverSpeed * this.spec.maneuverSpeed));
+    const limit = this.spec.maxG * authority * g;
+    const magnitude = Math.hypot(ax, ay, az);
+    if (magnitude > limit) {
+      const scale = limit / magnitude;
+      ax *= scale;
+      ay *= scale;
+      az *= scale;
+    }
+
+    this.loadFactor = Math.min(magnitude, limit) / g;
+    return { x: ax, y: ay, z: az };
+  }
+
+  /**
+   * Integrate speed along the flight path and turn it by the lateral acceleration
+   * @private
+   */
+  _integrate(deltaTime, thrust, acceleration) {
+    const spec = this.spec;
+    const g = this.gravity;
+    const sigma = getDensityRatio(this.altitude);
+    const v = this.speed;
+
+    const parasite = spec.dragFactor * interpolateCurve(spec.dragCurve, v) * sigma * v * v;
+    const lift = this.loadFactor * this.weight;
+    const induced = spec.inducedDrag * lift * lift / (sigma * v * v);
+
+    const sinGamma = this.vz / v;
+    const speed = Math.max(1, v + (g * (thrust - parasite - induced) / this.weight - g * sinGamma) * deltaTime);
+
+    // Turn, then restore the new speed along the new direction
+    const vx = this.vx + acceleration.x * deltaTime;
+    const vy = this.vy + acceleration.y * deltaTime;
+    const vz = this.vz + acceleration.z * deltaTime;
+    const scale = speed / Math.hypot(vx, vy, vz);
+    this.vx = vx * scale;
+    this.vy = vy * scale;
+    this.vz = vz * scale;
+    this.speed = speed;
+
+    this.x += this.vx * deltaTime;
+    this.y += this.vy * deltaTime;
+    this.altitude += this.vz * deltaTime;
+    this.heading = Math.atan2(this.vx, this.vy);
+  }
+
+  // ============================================
+  // Private Methods - Fuzing
+  // ============================================
+
+  /**
+   * Fire the proximity fuze at the closest approach to any target this frame
+   * @private
+   */
+  _checkFuze(deltaTime, candidates) {
+    const fuze = this.spec.fuze;
+    if (this.time < fuze.armingTime) return;
+
+    let closest = null;
+    let missDistance = Infinity;
+    for (const candidate of candidates) {
+      if (candidate.isDestroyed) continue;
+
+      // Relative motion over the frame, so fast closures cannot skip the fuze
+      const t = getTargetState(candidate);
+      const rvx = t.vx - this.vx;
+      const rvy = t.vy - this.vy;
+      const rvz = t.vz - this.vz;
+      const r0x = t.x - this.x - rvx * deltaTime;
+      const r0y = t.y - this.y - rvy * deltaTime;
+      const r0z = t.z - this.altitude - rvz * deltaTime;
+
+      // Wait while still closing: the closest point must fall inside this frame
+      const closingSquared = rvx * rvx + rvy * rvy + rvz * rvz;
+      let s = closingSquared > 0 ? -(r0x * rvx + r0y * rvy + r0z * rvz) / closingSquared : 0;
+      if (s > deltaTime) continue;
+      s = Math.max(0, s);
+
+      const distance = Math.hypot(r0x + rvx * s, r0y + rvy * s, r0z + rvz * s);
+      if (distance < missDistance) {
+        closest = candidate;
+        missDistance = distance;
+      }
+    }
+
+    if (!closest || missDistance > fuze.proximityRadius) return;
+
+    let pk = fuze.pk;
+    if (missDistance > fuze.lethalRadius) {
+      pk *= (fuze.proximityRadius - missDistance) / (fuze.proximityRadius - fuze.lethalRadius);
+    }
+    const outcome = Math.random() < pk ? 'kill' : 'miss';
+
+    this._end('detonated', outcome, closest, missDistance);
+    if (outcome === 'miss') {
+      const blast = Math.min(1, (fuze.proximityRadius - missDistance) / (fuze.proximityRadius - fuze.lethalRadius));
+      this.result.damage = this.constants.blastDamage * blast;
+    }
+  }
+
+  /**
+   * Let the seeker weigh decoys and the notch against its target
+   * @returns {boolean} True while still tracking
+   * @private
+   */
+  _checkCountermeasures(position, deltaTime, decoys) {
+    const outcome = this.seeker.checkCountermeasures(position, deltaTime, decoys);
+    if (outcome) this.events.push({ type: outcome, missile: this });
+    return this.seeker.isTracking();
+  }
+
+  /**
+   * Stop flying and report the outcome
+   * @param {string} status - 'detonated' or 'lost'
+   * @param {string} outcome - 'kill', 'miss', 'ground', 'timeout' or 'energy'
+   * @private
+   */
+  _end(status, outcome, target = null, missDistance = null) {
+    this.status = status;
+    this.result = { outcome, target, missDistance, damage: 0 };
+    this.mesh.visible = false;
+    this.events.push({ type: status, missile: this });
+  }
+
+  // ============================================
+  // Private Methods - Rendering
+  // ============================================
+
+  /**
+   * Build the sprite and smoke trail (both live in the terrain group)
+   * @private
+   */
+  _createMeshes() {
+    const size = this.spec.sprite.size;
+    const geometry = new THREE.PlaneGeometry(size, size);
+    const material = new THREE.MeshBasicMaterial({
+      map: getSpriteTexture(this.spec.sprite.texture),
+      transparent: true,
+      depthWrite: false
+    });
+    this.mesh = new THREE.Mesh(geometry, material);
+    this.mesh.name = `missile_${this.id}`;
+
+    const length = this.constants.trailLength;
+    const trailGeometry = new THREE.BufferGeometry();
+    trailGeometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(length * 3), 3));
+    trailGeometry.setDrawRange(0, 0);
+    const trailMaterial = new THREE.LineBasicMaterial({ color: 0xdddddd, transparent: true, opacity: 0.6 });
+    this.trail = new THREE.Line(trailGeometry, trailMaterial);
+    this.trail.frustumCulled = false;
+
+    this._trailCount = 0;
+    this._trailTimer = 0;
+    this._updateMeshes(0);
+  }
+
+  /**
+   * Place the sprite over the missile's ground position and extend the trail
+   * @private
+   */
+  _updateMeshes(deltaTime) {
+    const surface = sampleTerrainElevation(this.x, this.y);
+    this.mesh.position.set(this.x, this.y, surface + SPRITE_HEIGHT);
+    this.mesh.rotation.z = -this.heading;
+
+    this._trailTimer -= deltaTime;
+    if (this._trailTimer > 0) return;
+    this._trailTimer = this.constants.trailInterval;
+
+    const attribute = this.trail.geometry.attributes.position;
+    const points = attribute.array;
+    const length = this.constants.trailLength;
+    if (this._trailCount === length) {
+      points.copyWithin(0, 3);
+    } else {
+      this._trailCount++;
+    }
+    const i = (this._trailCount - 1) * 3;
+    points[i] = this.x;
+    points[i + 1] = this.y;
+    points[i + 2] = surface + TRAIL_HEIGHT;
+
+    attribute.needsUpdate = true;
+    this.trail.geometry.setDrawRange(0, this._trailCount);
+  }
+}
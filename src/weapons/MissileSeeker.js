@@ -0,0 +1,292 @@
+/**
+ * MissileSeeker - Target acquisition and tracking for a missile seeker head
+ *
+ * A searching seeker looks for a target inside its field of view around a
+ * boresight; once locked it follows the target anywhere inside its gimbal
+ * limit. Acquisition range scales with the target's signature: radar
+ * seekers with the fourth root of RCS, infrared seekers with the square
+ * root of IR signature and with aspect (the tailpipe is easiest to see).
+ *
+ * Targets are any entity with x, y, altitude, heading, speed and
+ * verticalSpeed (aircraft, or test targets that carry the same fields).
+ * While tracking, the seeker weighs chaff or flares released near its
+ * target and may be pulled off onto one (see checkCountermeasures).
+ */
+
+import { MISSILE_DEFAULTS } from '../data/stores.js';
+import { angleBetween } from '../utils/math.js';
+
+const DEG_TO_RAD = Math.PI / 180;
+
+/**
+ * Position and velocity of a target in world axes (z = altitude)
+ * @param {Object} target - Entity with x, y, altitude, heading, speed, verticalSpeed
+ * @returns {{x: number, y: number, z: number, vx: number, vy: number, vz: number}}
+ */
+export function getTargetState(target) {
+  const speed = target.speed || 0;
+  const verticalSpeed = target.verticalSpeed || 0;
+  const groundSpeed = Math.sqrt(Math.max(0, speed * speed - verticalSpeed * verticalSpeed));
+  return {
+    x: target.x,
+    y: target.y,
+    z: target.altitude,
+    vx: Math.sin(target.heading || 0) * groundSpeed,
+    vy: Math.cos(target.heading || 0) * groundSpeed,
+    vz: verticalSpeed
+  };
+}
+
+export class MissileSeeker {
+  /**
+   * @param {Object} spec - Seeker spec from MISSILES[id].seeker
+   * @param {Object} [constants] - Overrides for MISSILE_DEFAULTS
+   */
+  constructor(spec, constants = {}) {
+    this.type = spec.type;          // 'ir', 'sarh' or 'arh'
+    this.fov = spec.fov * DEG_TO_RAD;
+    this.gimbalLimit = spec.gimbalLimit * DEG_TO_RAD;
+    this.range = spec.range;
+    this.ccm = spec.ccm ?? 0;
+    this.constants = { ...MISSILE_DEFAULTS, ...constants };
+
+    this.state = 'off';             // 'off', 'search' or 'track'
+    this.target = null;
+
+    // Decoys already weighed against the target (see checkCountermeasures)
+    this._judgedDecoys = new WeakSet();
+  }
+
+  // ============================================
+  // Public API - Queries
+  // ============================================
+
+  /**
+   * Whether the seeker is locked on a target
+   * @returns {boolean}
+   */
+  isTracking() {
+    return this.state === 'track';
+  }
+
+  /**
+   * Range at which this seeker can see a target from a given position
+   * @param {{x: number, y: number, z: number}} position - Seeker position
+   * @param {Object} target
+   * @returns {number} Range in feet
+   */
+  getAcquisitionRange(position, target) {
+    const signature = target.signature || {};
+
+    if (this.type !== 'ir') {
+      const rcs = signature.rcs ?? this.constants.referenceRcs;
+      return this.range * Math.pow(rcs / this.constants.referenceRcs, 0.25);
+    }
+
+    // Aspect: 1 looking up the tailpipe, 0 head-on
+    const t = getTargetState(target);
+    const away = angleBetween(t.x - position.x, t.y - position.y, t.z - position.z, t.vx, t.vy, t.vz);
+    const aspect = (Math.cos(away) + 1) / 2;
+    const plume = target.throttle > 1 ? 1.5 : 1;
+    return this.range * Math.sqrt((signature.ir ?? 1) * plume) * (0.6 + 0.4 * aspect);
+  }
+
+  /**
+   * Whether a target lies inside a cone around the boresight and within range
+   * @param {{x: number, y: number, z: number}} position - Seeker position
+   * @param {{x: number, y: number, z: number}} boresight - Direction the seeker looks
+   * @param {Object} target
+   * @param {number} cone - Half-angle in radians
+   * @param {number} [rangeScale=1] - Multiplier on acquisition range
+   * @returns {boolean}
+   */
+  canSee(position, boresight, target, cone, rangeScale = 1) {
+    if (!target || target.isDestroyed) return false;
+
+    const dx = target.x - position.x;
+    const dy = target.y - position.y;
+    const dz = target.altitude - position.z;
+    if (Math.hypot(dx, dy, dz) > this.getAcquisitionRange(position, target) * rangeScale) return false;
+
+    return angleBetween(dx, dy, dz, boresight.x, boresight.y, boresight.z) <= cone;
+  }
+
+  // ============================================
+  // Public API - Commands
+  // ============================================
+
+  /**
+   * Lock a target directly (slaved to the launcher's sensor before launch)
+   * @param {Object} target
+   */
+  lock(target) {
+    this.target = target;
+    this.state = 'track';
+  }
+
+  /**
+   * Look for a target inside the field of view, taking the one nearest the boresight
+   * @param {{x: number, y: number, z: number}} position
+   * @param {{x: number, y: number, z: number}} boresight
+   * @param {Object[]} candidates
+   * @returns {boolean} True if a target was acquired
+   */
+  search(position, boresight, candidates) {
+    this.state = 'search';
+
+    let best = null;
+    let bestAngle = Infinity;
+    for (const candidate of candidates) {
+      if (!this.canSee(position, boresight, candidate, this.fov)) continue;
+      const angle = angleBetween(
+        candidate.x - position.x, candidate.y - position.y, candidate.altitude - position.z,
+        boresight.x, boresight.y, boresight.z
+      );
+      if (angle < bestAngle) {
+        best = candidate;
+        bestAngle = angle;
+      }
+    }
+
+    if (best) this.lock(best);
+    return best !== null;
+  }
+
+  /**
+   * Keep tracking the locked target; drop it once it leaves the gimbal or range
+   * @param {{x: number, y: number, z: number}} position
+   * @param {{x: number, y: number, z: number}} nose - Missile body direction
+   * @returns {boolean} True while still tracking
+   */
+  track(position, nose) {
+    if (this.state !== 'track') return false;
+
+    if (!this.canSee(position, nose, this.target, this.gimbalLimit, this.constants.trackMargin)) {
+      this.drop();
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * Lose the current target and go back to searching
+   */
+  drop() {
+    this.target = null;
+    this.state = 'search';
+  }
+
+  // ============================================
+  // Public API - Countermeasures
+  // ============================================
+
+  /**
+   * Weigh decoys against the tracked target. Each decoy the seeker can see
+   * near its target is judged once, when it first appears; if it wins the
+   * seeker switches to it. A radar seeker looking down at a target with
+   * almost no radial speed may also lose it in the clutter (the notch).
+   * @param {{x: number, y: number, z: number}} position - Seeker position
+   * @param {number} deltaTime - Time step in seconds
+   * @param {Object[]} decoys - Chaff and flares in the air
+   * @returns {string|null} 'decoyed' if it switched to a decoy (now its
+   *   target), 'notched' if it lost the target in the clutter, else null
+   */
+  checkCountermeasures(position, deltaTime, decoys) {
+    if (this.state !== 'track' || this.target.isDecoy) return null;
+    const target = this.target;
+    const decoyType = this.type === 'ir' ? 'flare' : 'chaff';
+
+    for (const decoy of decoys) {
+      if (decoy.isDestroyed || decoy.type !== decoyType || this._judgedDecoys.has(decoy)) continue;
+      if (!this._isNearTarget(position, decoy, target)) continue;
+
+      this._judgedDecoys.add(decoy);
+      if (Math.random() < this.getDecoyChance(position, decoy, target)) {
+        this.lock(decoy);
+        return 'decoyed';
+      }
+    }
+
+    if (this.type !== 'ir' && target.altitude < position.z) {
+      const radialSpeed = this._getRadialSpeed(position, target);
+      if (Math.abs(radialSpeed) < this.constants.notchSpeed &&
+          Math.random() < this.constants.notchBreakRate * deltaTime) {
+        this.drop();
+        return 'notched';
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Chance that a decoy pulls the seeker off its target:
+   * - flares: the flare's share of the infrared seen, which is highest
+   *   against a target seen nose-on at low power
+   * - chaff: the chaff's share of the radar return, scaled down when the
+   *   target's radial speed separates it from the near-still chaff in doppler
+   *   (notching targets share the chaff's doppler and are easiest to hide)
+   * Both are reduced by the seeker's counter-countermeasures.
+   * @param {{x: number, y: number, z: number}} position - Seeker position
+   * @param {Object} decoy
+   * @param {Object} target
+   * @returns {number} 0 to 1
+   */
+  getDecoyChance(position, decoy, target) {
+    const c = this.constants;
+    const signature = target.signature || {};
+    const t = getTargetState(target);
+    const toSeeker = { x: position.x - t.x, y: position.y - t.y, z: position.z - t.z };
+    const aspect = angleBetween(t.vx, t.vy, t.vz, toSeeker.x, toSeeker.y, toSeeker.z);
+
+    let share;
+    if (this.type === 'ir') {
+      // 1 looking up the tailpipe, 0 head-on; as in getAcquisitionRange()
+      const tail = (1 - Math.cos(aspect)) / 2;
+      const plume = target.throttle > 1 ? 1.5 : 1;
+      const targetIr = (signature.ir ?? 1) * plume * Math.pow(0.6 + 0.4 * tail, 2);
+      share = decoy.signature.ir / (decoy.signature.ir + targetIr);
+    } else {
+      // RCS grows off the nose, as the launcher's radar sees it
+      const sin = Math.sin(aspect);
+      const targetRcs = (signature.rcs ?? c.referenceRcs) * (1 + 2 * sin * sin + 0.5 * (1 - Math.cos(aspect)));
+      const rcsShare = decoy.signature.rcs / (decoy.signature.rcs + targetRcs);
+      const radialSpeed = Math.abs(this._getRadialSpeed(position, target));
+      const doppler = Math.max(0, 1 - radialSpeed / c.dopplerSeparation);
+      share = rcsShare * (c.chaffFloor + (1 - c.chaffFloor) * doppler);
+    }
+    return Math.max(0, Math.min(1, share * (1 - this.ccm)));
+  }
+
+  // ============================================
+  // Private Methods
+  // ============================================
+
+  /**
+   * Whether a decoy is inside the field of view around the line to the target
+   * and close enough for the seeker to see
+   * @private
+   */
+  _isNearTarget(position, decoy, target) {
+    const dx = decoy.x - position.x;
+    const dy = decoy.y - position.y;
+    const dz = decoy.altitude - position.z;
+    if (Math.hypot(dx, dy, dz) > this.range * this.constants.trackMargin) return false;
+    return angleBetween(
+      dx, dy, dz,
+      target.x - position.x, target.y - position.y, target.altitude - position.z
+    ) <= this.fov;
+  }
+
+  /**
+   * Target's own speed along the line of sight from the seeker; near zero when it beams the seeker
+   * @private
+   */
+  _getRadialSpeed(position, target) {
+    const t = getTargetState(target);
+    const lx = t.x - position.x;
+    const ly = t.y - position.y;
+    const lz = t.z - position.z;
+    const range = Math.max(1, Math.hypot(lx, ly, lz));
+    return (t.vx * lx + t.vy * ly + t.vz * lz) / range;
+  }
+}
@@ -0,0 +1,184 @@
+/**
+ * Rocket - Unguided rocket fired from a pod
+ *
+ * Leaves the pod along the aircraft's flight path, thrown off it by a
+ * small random dispersion, and accelerates while its motor burns; after
+ * burnout it flies the same ballistic path as a bomb (see Ballistics).
+ * Reports an impact on reaching the ground, like a bomb.
+ */
+
+import * as THREE from 'three';
+import { ORDNANCE_DEFAULTS } from '../data/stores.js';
+import { sampleTerrainElevation } from '../terrain/TerrainSampler.js';
+import { getReleaseState, stepFreeFlight } from './Ballistics.js';
+import { randomNormal } from '../utils/math.js';
+
+// Render heights above the terrain surface (world units)
+const SPRITE_HEIGHT = 20;
+const TRAIL_HEIGHT = 15;
+
+export class Rocket {
+  /**
+   * @param {Object} pod - Rocket pod definition (see ROCKET_PODS)
+   * @param {Object} launcher - Firing aircraft
+   * @param {Object} [options]
+   * @param {number} [options.id=0] - Identifier for logs and views
+   */
+  constructor(pod, launcher, { id = 0 } = {}) {
+    this.id = id;
+    this.spec = pod;
+    this.rocket = pod.rocket;
+    this.launcher = launcher;
+    this.warhead = pod.rocket.warhead;
+    this.constants = ORDNANCE_DEFAULTS;
+
+    // Launch line turned off the flight path by the dispersion
+    const launch = getReleaseState(launcher);
+    const spread = pod.rocket.dispersion / 1000;
+    const yaw = randomNormal() * spread;
+    const pitch = randomNormal() * spread;
+    const groundSpeed = Math.hypot(launch.vx, launch.vy);
+    const heading = Math.atan2(launch.vx, launch.vy) + yaw;
+    const climb = Math.atan2(launch.vz, groundSpeed) + pitch;
+    const speed = Math.max(1, Math.hypot(groundSpeed, launch.vz));
+
+    this.x = launch.x;
+    this.y = launch.y;
+    this.altitude = launch.altitude;
+    this.vx = Math.sin(heading) * Math.cos(climb) * speed;
+    this.vy = Math.cos(heading) * Math.cos(climb) * speed;
+    this.vz = Math.sin(climb) * speed;
+    this.speed = speed;
+    this.heading = heading;
+    this.time = 0;
+
+    // Outcome
+    this.status = 'flying';        // 'flying', 'impacted' or 'lost'
+    this.impact = null;            // { x, y, altitude } where it hit the ground
+    this.events = [];              // drained by WeaponSystem
+
+    this._createMeshes();
+  }
+
+  // ============================================
+  // Public API
+  // ============================================
+
+  /**
+   * Whether the rocket is still flying
+   * @returns {boolean}
+   */
+  isActive() {
+    return this.status === 'flying';
+  }
+
+  getMesh() {
+    return this.mesh;
+  }
+
+  getTrail() {
+    return this.trail;
+  }
+
+  /**
+   * Advance the rocket one frame
+   * @param {number} deltaTime - Time step in seconds
+   * @param {function(number, number): number} getElevation - Surface elevation (ft) at a world position
+   */
+  update(deltaTime, getElevation) {
+    if (!this.isActive()) return;
+
+    const rocket = this.rocket;
+    const thrust = this.time < rocket.motorTime ? rocket.acceleration : 0;
+    this.time += deltaTime;
+    stepFreeFlight(this, deltaTime, rocket.drag, thrust);
+    this.speed = Math.hypot(this.vx, this.vy, this.vz);
+    this.heading = Math.atan2(this.vx, this.vy);
+
+    const ground = getElevation(this.x, this.y);
+    if (this.altitude <= ground) {
+      this.altitude = ground;
+      this.status = 'impacted';
+      this.impact = { x: this.x, y: this.y, altitude: ground };
+      this.mesh.visible = false;
+      this.events.push({ type: 'impact', ordnance: this });
+      return;
+    }
+    if (this.time >= this.constants.maxFallTime) {
+      this.status = 'lost';
+      this.mesh.visible = false;
+      return;
+    }
+
+    this._updateMeshes(deltaTime);
+  }
+
+  /**
+   * Release GPU resources
+   */
+  dispose() {
+    this.mesh.geometry.dispose();
+    this.mesh.material.dispose();
+    this.trail.geometry.dispose();
+    this.trail.material.dispose();
+  }
+
+  // ============================================
+  // Private Methods
+  // ============================================
+
+  /**
+   * Build the sprite and smoke trail (both live in the terrain group)
+   * @private
+   */
+  _createMeshes() {
+    const { size, color } = this.spec.sprite;
+    this.mesh = new THREE.Mesh(
+      new THREE.PlaneGeometry(size * 0.3, size),
+      new THREE.MeshBasicMaterial({ color, depthWrite: false })
+    );
+    this.mesh.name = `rocket_${this.id}`;
+
+    const length = this.constants.trailLength;
+    const trailGeometry = new THREE.BufferGeometry();
+    trailGeometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(length * 3), 3));
+    trailGeometry.setDrawRange(0, 0);
+    const trailMaterial = new THREE.LineBasicMaterial({ color: 0xdddddd, transparent: true, opacity: 0.5 });
+    this.trail = new THREE.Line(trailGeometry, trailMaterial);
+    this.trail.frustumCulled = false;
+
+    this._trailCount = 0;
+    this._trailTimer = 0;
+    this._updateMeshes(0);
+  }
+
+  /**
+   * Place the sprite over the rocket's ground position and extend the trail
+   * @private
+   */
+  _updateMeshes(deltaTime) {
+    const surface = sampleTerrainElevation(this.x, this.y);
+    this.mesh.position.set(this.x, this.y, surface + SPRITE_HEIGHT);
+    this.mesh.rotation.z = -this.heading;
+
+    this._trailTimer -= deltaTime;
+    if (this._trailTimer > 0) return;
+    this._trailTimer = this.constants.trailInterval;
+
+    const attribute = this.trail.geometry.attributes.position;
+    const points = attribute.array;
+    const length = this.constants.trailLength;
+    if (this._trailCount === length) {
+      points.copyWithin(0, 3);
+    } else {
+      this._trailCount++;
+    }
+    const i = (this._trailCount - 1) * 3;
+    points[i] = this.x;
+    points[i + 1] = this.y;
+    points[i + 2] = surface + TRAIL_HEIGHT;
+
+    attribute.needsUpdate = true;
+    this.trail.geometry.setDrawRange(0, this._trailCount);
+  }
+}
@@ -0,0 +1,588 @@
+/**
+ * WeaponSystem - Stores management and missiles in flight for one aircraft
+ *
+ * Tracks which missiles remain on the hardpoints and which type is
+ * selected; the aircraft's radar designates the target and supports
+ * radar missiles in flight (Fox-1 needs an STT lock, Fox-3 a lock or a
+ * firm TWS track). On a fire command the selected missile comes off its
+ * station either locked (LOBL, the seeker can see the designated target
+ * from the rail) or unlocked (LOAL, for missiles that can acquire in
+ * flight). Missiles in flight are updated here and report launches,
+ * pitbulls, detonations and losses as events.
+ *
+ * Bombs and rocket pods are selected the same way. The bombing computer
+ * keeps a release solution for the selected one (see BombingComputer):
+ * - bombs in CCIP are released on the fire press; in CCRP (a point
+ *   designated by the targeting pod) holding fire consents to release and
+ *   the bomb comes off when the computed release time runs out
+ * - laser-guided bombs home on the targeting pod's laser spot
+ * - rockets ripple from the first pod with any left, a few per press
+ * Bombs and rockets report their release and their impact on the ground.
+ *
+ * The internal gun (if fitted) is selected like a missile type, as
+ * 'gun', and fires for as long as the fire key is held.
+ */
+
+import { getMissile, getGun, getBomb, getRocketPod } from '../data/stores.js';
+import { Gun } from './Gun.js';
+import { Missile } from './Missile.js';
+import { MissileSeeker, getTargetState } from './MissileSeeker.js';
+import { Bomb } from './Bomb.js';
+import { Rocket } from './Rocket.js';
+import { BombingComputer } from './BombingComputer.js';
+
+// Selection id of the internal gun
+export const GUN_STORE_ID = 'gun';
+
+// Radio call made on launch, by missile category
+const LAUNCH_CALLS = {
+  fox1: 'FOX 1',
+  fox2: 'FOX 2',
+  fox3: 'FOX 3'
+};
+
+export class WeaponSystem {
+  /**
+   * @param {Aircraft} aircraft - Launching aircraft (loadout, sensors, flight state)
+   * @param {Object} options
+   * @param {THREE.Object3D} options.group - World-space group the missile meshes are added to
+   * @param {function(number, number): number} options.getElevation - Surface elevation (ft) at a world position
+   *   (also what bombs and rockets impact on)
+   */
+  constructor(aircraft, { group, getElevation }) {
+    this.aircraft = aircraft;
+    this.group = group;
+    this.getElevation = getElevation;
+
+    const gun = aircraft.type.gun;
+    this.gun = gun && getGun(gun.id)
+      ? new Gun(getGun(gun.id), aircraft, { rounds: gun.rounds, group })
+      : null;
+
+    // Rockets left in each pod, by station
+    this.rockets = {};
+    for (const [station, storeId] of Object.entries(aircraft.loadout)) {
+      const pod = getRocketPod(storeId);
+      if (pod) this.rockets[station] = pod.rockets;
+    }
+
+    this.selectedStore = this._getSelectableStores()[0] || null;
+
+    this.missiles = [];
+    this.ordnance = [];             // bombs and rockets in flight
+    this.events = [];
+    this._nextMissileId = 1;
+    this._nextOrdnanceId = 1;
+
+    // Air-to-ground deliveries
+    this.bombingComputer = new BombingComputer(aircraft, getElevation);
+    this.releaseConsent = false;    // fire held for a CCRP release
+    this._ripple = null;            // rockets still to come in the current ripple
+
+    // Key states from the previous frame, for press detection
+    this._previousInput = { fire: false, weaponSelect: false };
+  }
+
+  // ============================================
+  // Public API - Commands
+  // ============================================
+
+  /**
+   * Fire and cycle weapons on key press (not while held); the gun fires
+   * while the key is held, and holding it consents to a CCRP release
+   * @param {Object} inputState - Current input state
+   */
+  handleInput(inputState) {
+    const previous = this._previousInput;
+
+    if (inputState.weaponSelect && !previous.weaponSelect) {
+      this.selectNextWeapon();
+    }
+    if (this.isGunSelected()) {
+      this.gun.setTrigger(inputState.fire);
+    } else if (this.getLaunchMode() === 'CCRP') {
+      if (inputState.fire && !previous.fire) this.releaseConsent = true;
+      if (!inputState.fire) this.releaseConsent = false;
+    } else if (inputState.fire && !previous.fire) {
+      this.fire();
+    }
+
+    previous.fire = inputState.fire;
+    previous.weaponSelect = inputState.weaponSelect;
+  }
+
+  /**
+   * Step the selection to the next missile type still on the hardpoints,
+   * then bombs and rockets, then the gun
+   */
+  selectNextWeapon() {
+    if (this.gun) this.gun.setTrigger(false);
+    this.releaseConsent = false;
+
+    const stores = this._getSelectableStores();
+    if (stores.length === 0) {
+      this.selectedStore = null;
+      return;
+    }
+    const index = stores.indexOf(this.selectedStore);
+    this.selectedStore = stores[(index + 1) % stores.length];
+  }
+
+  /**
+   * Select a store type, if any remain on the hardpoints, or the gun
+   * @param {string} storeId - Missile, bomb or rocket pod store id, or GUN_STORE_ID
+   * @returns {boolean} True if it is now selected
+   */
+  selectWeapon(storeId) {
+    if (!this._getSelectableStores().includes(storeId)) return false;
+    if (this.gun && storeId !== GUN_STORE_ID) this.gun.setTrigger(false);
+    if (storeId !== this.selectedStore) this.releaseConsent = false;
+    this.selectedStore = storeId;
+    return true;
+  }
+
+  /**
+   * Whether the gun is the selected weapon
+   * @returns {boolean}
+   */
+  isGunSelected() {
+    return this.gun !== null && this.selectedStore === GUN_STORE_ID;
+  }
+
+  /**
+   * Whether a bomb or rocket pod is the selected weapon
+   * @returns {boolean}
+   */
+  isGroundWeaponSelected() {
+    return !!(getBomb(this.selectedStore) || getRocketPod(this.selectedStore));
+  }
+
+  /**
+   * Launch the selected missile, release the selected bomb, or start a
+   * rocket ripple
+   * @returns {Missile|Bomb|Rocket|null} What came off, or null if nothing could
+   */
+  fire() {
+    const aircraft = this.aircraft;
+    if (aircraft.isDestroyed || aircraft.onGround) return null;
+
+    if (getBomb(this.selectedStore)) return this._releaseBomb();
+    if (getRocketPod(this.selectedStore)) return this._startRipple();
+
+    const spec = getMissile(this.selectedStore);
+    const station = this._findStation(this.selectedStore);
+    if (!spec || station === null) {
+      console.log('No missile selected');
+      return null;
+    }
+
+    const target = this.getDesignatedTarget();
+    const locked = this.canLockOnLaunch(spec, target);
+
+    if (!locked && !spec.loal) {
+      console.log(`${spec.shortName}: no seeker lock`);
+      return null;
+    }
+    if (!locked && spec.seeker.type === 'sarh' && !target) {
+      console.log(`${spec.shortName}: no target to illuminate`);
+      return null;
+    }
+
+    const missile = new Missile(spec, aircraft, {
+      target,
+      locked,
+      isSupported: (t) => this.isSupporting(t, spec),
+      id: this._nextMissileId++
+    });
+    aircraft.loadout[station] = null;
+    this.missiles.push(missile);
+    this.group.add(missile.getTrail());
+    this.group.add(missile.getMesh());
+
+    if (this._findStation(this.selectedStore) === null) this.selectNextWeapon();
+
+    this.events.push({ type: 'launch', missile });
+    console.log(
+      `${LAUNCH_CALLS[spec.category]} ${spec.shortName} #${missile.id} ${missile.launchMode}` +
+      `${target ? ` at ${(missile.getRangeTo(target) / 6076).toFixed(1)}nm` : ''}`
+    );
+    return missile;
+  }
+
+  // ============================================
+  // Public API - Updates and queries
+  // ============================================
+
+  /**
+   * Fly every missile, bomb and rocket and drop the ones that have
+   * finished; make CCRP releases and rocket ripples that are due
+   * @param {number} deltaTime - Time step in seconds
+   * @param {Object[]} targets - Entities the missiles can home on and fuze against
+   * @param {Object[]} [decoys=[]] - Chaff and flares in the air
+   * @returns {Object[]} Events since the last update: { type, missile }, with type
+   *   'launch', 'pitbull', 'decoyed', 'notched', 'detonated' or 'lost'; gun
+   *   hits as { type: 'hit', target, gun }; and bombs and rockets as
+   *   { type, ordnance }, with type 'release' or 'impact'
+   */
+  update(deltaTime, targets, decoys = []) {
+    const candidates = targets.filter((t) => t !== this.aircraft && !t.isDestroyed);
+    const hostileDecoys = decoys.filter((d) => d.owner !== this.aircraft);
+
+    if (this.gun) {
+      this.events.push(...this.gun.update(deltaTime, candidates));
+    }
+
+    this._updateDeliveries(deltaTime);
+    for (const item of this.ordnance) {
+      item.update(deltaTime, this.getElevation);
+      this.events.push(...item.events);
+      item.events.length = 0;
+    }
+    this.ordnance = this.ordnance.filter((item) => {
+      if (item.isActive()) return true;
+      this._removeOrdnance(item);
+      return false;
+    });
+
+    for (const missile of this.missiles) {
+      missile.update(deltaTime, candidates, this.getElevation, hostileDecoys);
+      this.events.push(...missile.events);
+      missile.events.length = 0;
+    }
+
+    this.missiles = this.missiles.filter((missile) => {
+      if (missile.isActive()) return true;
+      this._removeMissile(missile);
+      return false;
+    });
+
+    const events = this.events;
+    this.events = [];
+    return events;
+  }
+
+  /**
+   * Target missiles are launched at, from the radar
+   * @returns {Object|null}
+   */
+  getDesignatedTarget() {
+    const radar = this.aircraft.radar;
+    const target = radar ? radar.getDesignatedTarget() : null;
+    return target && !target.isDestroyed ? target : null;
+  }
+
+  /**
+   * Whether the launcher's radar still supports a missile on a target
+   * @param {Object} target
+   * @param {Object} spec - Missile definition (semi-active missiles need a lock)
+   * @returns {boolean}
+   */
+  isSupporting(target, spec) {
+    const radar = this.aircraft.radar;
+    if (!radar || !target || target.isDestroyed || this.aircraft.isDestroyed) return false;
+    return radar.isSupporting(target, spec.seeker.type === 'sarh');
+  }
+
+  /**
+   * Whether a missile's seeker can lock a target while still on the rail
+   * @param {Object} spec - Missile definition
+   * @param {Object|null} target
+   * @returns {boolean}
+   */
+  canLockOnLaunch(spec, target) {
+    if (!target) return false;
+    if (spec.seeker.type === 'sarh' && !this.isSupporting(target, spec)) return false;
+
+    // On the rail the seeker looks along the launcher's flight path
+    const launch = getTargetState(this.aircraft);
+    const seeker = new MissileSeeker(spec.seeker);
+    return seeker.canSee(
+      { x: launch.x, y: launch.y, z: launch.z },
+      { x: launch.vx, y: launch.vy, z: launch.vz },
+      target,
+      seeker.gimbalLimit
+    );
+  }
+
+  /**
+   * Launch mode the selected missile would fire in right now, or the
+   * delivery mode of the selected bomb or rockets
+   * @returns {string|null} 'LOBL', 'LOAL', 'CCIP', 'CCRP', or null if it cannot be fired
+   */
+  getLaunchMode() {
+    if (this.isGroundWeaponSelected()) {
+      const solution = this.bombingComputer.getSolution();
+      return solution ? solution.mode : null;
+    }
+
+    const spec = getMissile(this.selectedStore);
+    if (!spec || this._findStation(this.selectedStore) === null) return null;
+
+    const target = this.getDesignatedTarget();
+    if (this.canLockOnLaunch(spec, target)) return 'LOBL';
+    if (!spec.loal || (spec.seeker.type === 'sarh' && !target)) return null;
+    return 'LOAL';
+  }
+
+  /**
+   * Missiles remaining on the hardpoints, by type
+   * @returns {Array<{storeId: string, name: string, count: number}>}
+   */
+  getInventory() {
+    return this._getMissileStores().map((storeId) => ({
+      storeId,
+      name: getMissile(storeId).shortName,
+      count: Object.values(this.aircraft.loadout).filter((s) => s === storeId).length
+    }));
+  }
+
+  /**
+   * Bombs and rockets remaining, by type
+   * @returns {Array<{storeId: string, name: string, count: number}>}
+   */
+  getGroundInventory() {
+    const inventory = [];
+    for (const [station, storeId] of Object.entries(this.aircraft.loadout)) {
+      const spec = getBomb(storeId) || getRocketPod(storeId);
+      if (!spec) continue;
+      let entry = inventory.find((w) => w.storeId === storeId);
+      if (!entry) {
+        entry = { storeId, name: spec.shortName, count: 0 };
+        inventory.push(entry);
+      }
+      entry.count += getRocketPod(storeId) ? this.rockets[station] : 1;
+    }
+    return inventory;
+  }
+
+  /**
+   * Missiles currently in flight
+   * @returns {Missile[]}
+   */
+  getMissiles() {
+    return this.missiles;
+  }
+
+  /**
+   * Bombs and rockets currently in flight
+   * @returns {Array<Bomb|Rocket>}
+   */
+  getOrdnance() {
+    return this.ordnance;
+  }
+
+  /**
+   * Release solution for the selected bomb or rockets
+   * @returns {Object|null} See BombingComputer.getSolution()
+   */
+  getBombingSolution() {
+    return this.isGroundWeaponSelected() ? this.bombingComputer.getSolution() : null;
+  }
+
+  /**
+   * Emissions a radar warning receiver hears from this aircraft: its radar,
+   * raised from lock to launch while it guides a semi-active missile at the
+   * receiver, and active seekers that have gone pitbull on the receiver
+   * @param {Object} receiver - Entity carrying the RWR
+   * @returns {Object[]} Emissions (see Radar.getEmission)
+   */
+  getEmissions(receiver) {
+    const emissions = [];
+
+    const radar = this.aircraft.radar;
+    const radarEmission = radar ? radar.getEmission(receiver) : null;
+    if (radarEmission) {
+      const guiding = radarEmission.mode === 'lock' && this.missiles.some(
+        (m) => m.isActive() && m.seeker.type === 'sarh' && m.getTarget() === receiver
+      );
+      emissions.push(guiding ? { ...radarEmission, mode: 'launch' } : radarEmission);
+    }
+
+    for (const missile of this.missiles) {
+      const emission = missile.getEmission(receiver);
+      if (emission) emissions.push(emission);
+    }
+    return emissions;
+  }
+
+  /**
+   * Remove every missile, trail and tracer from the scene
+   */
+  dispose() {
+    for (const missile of this.missiles) {
+      this._removeMissile(missile);
+    }
+    this.missiles = [];
+    for (const item of this.ordnance) {
+      this._removeOrdnance(item);
+    }
+    this.ordnance = [];
+    if (this.gun) this.gun.dispose();
+  }
+
+  // ============================================
+  // Private Methods
+  // ============================================
+
+  /**
+   * Missile store ids on the hardpoints, in station order, without duplicates
+   * @private
+   */
+  _getMissileStores() {
+    const stores = [];
+    for (const storeId of Object.values(this.aircraft.loadout)) {
+      if (getMissile(storeId) && !stores.includes(storeId)) stores.push(storeId);
+    }
+    return stores;
+  }
+
+  /**
+   * Everything the selection can step through: missile types, bombs and
+   * rocket pods, then the gun while it has rounds
+   * @private
+   */
+  _getSelectableStores() {
+    const stores = this._getMissileStores();
+    for (const { storeId, count } of this.getGroundInventory()) {
+      if (count > 0) stores.push(storeId);
+    }
+    if (this.gun && this.gun.rounds > 0) stores.push(GUN_STORE_ID);
+    return stores;
+  }
+
+  /**
+   * First station carrying a store (for a rocket pod, one with rockets left)
+   * @returns {number|null} Station number
+   * @private
+   */
+  _findStation(storeId) {
+    if (!storeId) return null;
+    for (const [station, id] of Object.entries(this.aircraft.loadout)) {
+      if (id !== storeId) continue;
+      if (getRocketPod(id) && this.rockets[station] === 0) continue;
+      return Number(station);
+    }
+    return null;
+  }
+
+  /**
+   * Take a missile's sprite and trail out of the scene
+   * @private
+   */
+  _removeMissile(missile) {
+    this.group.remove(missile.getMesh());
+    this.group.remove(missile.getTrail());
+    missile.dispose();
+  }
+
+  // ============================================
+  // Private Methods - Air-to-ground
+  // ============================================
+
+  /**
+   * Recompute the release solution, and make a CCRP release or the next
+   * rocket of a ripple when due
+   * @private
+   */
+  _updateDeliveries(deltaTime) {
+    const store = getBomb(this.selectedStore) || getRocketPod(this.selectedStore);
+    const tgp = this.aircraft.tgp;
+    const target = tgp && tgp.hasPicture() ? tgp.aimPoint : null;
+    this.bombingComputer.update(store, target);
+
+    if (this.releaseConsent && this.bombingComputer.isReleaseDue()) {
+      this.releaseConsent = false;
+      this._releaseBomb();
+    }
+
+    const ripple = this._ripple;
+    if (ripple) {
+      ripple.timer -= deltaTime;
+      while (ripple.remaining > 0 && ripple.timer <= 0) {
+        ripple.remaining = this._fireRocket(ripple.storeId) ? ripple.remaining - 1 : 0;
+        ripple.timer += getRocketPod(ripple.storeId).rippleInterval;
+      }
+      if (ripple.remaining === 0) this._ripple = null;
+    }
+  }
+
+  /**
+   * Release the selected bomb
+   * @returns {Bomb|null}
+   * @private
+   */
+  _releaseBomb() {
+    const aircraft = this.aircraft;
+    const spec = getBomb(this.selectedStore);
+    const station = this._findStation(this.selectedStore);
+    if (!spec || station === null || aircraft.isDestroyed || aircraft.onGround) return null;
+
+    const tgp = aircraft.tgp;
+    const bomb = new Bomb(spec, aircraft, {
+      getLaserSpot: () => (tgp ? tgp.getDesignation() : null),
+      id: this._nextOrdnanceId++
+    });
+    aircraft.loadout[station] = null;
+    this._addOrdnance(bomb);
+
+    if (this._findStation(this.selectedStore) === null) this.selectNextWeapon();
+
+    const solution = this.bombingComputer.getSolution();
+    console.log(`${spec.shortName} #${bomb.id} away${solution ? ` ${solution.mode}, ${solution.impact.time.toFixed(0)}s to impact` : ''}`);
+    return bomb;
+  }
+
+  /**
+   * Fire the first rocket of a ripple; the rest follow in update
+   * @returns {Rocket|null}
+   * @private
+   */
+  _startRipple() {
+    if (this._ripple) return null;
+    const pod = getRocketPod(this.selectedStore);
+    const rocket = this._fireRocket(this.selectedStore);
+    if (!rocket) return null;
+    this._ripple = { storeId: pod.id, remaining: pod.ripple - 1, timer: pod.rippleInterval };
+    return rocket;
+  }
+
+  /**
+   * Fire one rocket from the first pod of a type with any left
+   * @returns {Rocket|null}
+   * @private
+   */
+  _fireRocket(storeId) {
+    const aircraft = this.aircraft;
+    const pod = getRocketPod(storeId);
+    const station = this._findStation(storeId);
+    if (!pod || station === null || aircraft.isDestroyed || aircraft.onGround) return null;
+
+    const rocket = new Rocket(pod, aircraft, { id: this._nextOrdnanceId++ });
+    this.rockets[station]--;
+    this._addOrdnance(rocket);
+    this.group.add(rocket.getTrail());
+
+    if (this.selectedStore === storeId && this._findStation(storeId) === null) this.selectNextWeapon();
+    return rocket;
+  }
+
+  /**
+   * Put a bomb or rocket in flight and report its release
+   * @private
+   */
+  _addOrdnance(item) {
+    this.ordnance.push(item);
+    this.group.add(item.getMesh());
+    this.events.push({ type: 'release', ordnance: item });
+  }
+
+  /**
+   * Take a bomb's or rocket's sprite (and trail) out of the scene
+   * @private
+   */
+  _removeOrdnance(item) {
+    this.group.remove(item.getMesh());
+    if (item.getTrail) this.group.remove(item.getTrail());
+    item.dispose();
+  }
+}